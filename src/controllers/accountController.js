@@ -0,0 +1,133 @@
+const { accountRepository } = require('../repositories');
+const currencyService = require('../services/currencyService');
+const { getUserCurrency } = require('../utils/currency');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class AccountController {
+  /**
+   * Lista as contas do usuário
+   */
+  getAccounts = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { isActive, type } = req.query;
+
+    const filters = {};
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+    if (type) filters.type = type;
+
+    const accounts = await accountRepository.findByUser(userId, filters);
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  });
+
+  /**
+   * Busca resumo dos saldos das contas ativas
+   */
+  getBalanceSummary = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    // Contas em outra moeda entram no total convertidas para a moeda base
+    const summary = await currencyService.convertBalanceSummary(
+      userId,
+      await accountRepository.getBalanceSummary(userId),
+      getUserCurrency(req.user)
+    );
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  });
+
+  /**
+   * Busca conta por ID
+   */
+  getAccountById = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: req.resource
+    });
+  });
+
+  /**
+   * Cria uma nova conta
+   */
+  createAccount = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const accountData = {
+      ...req.body,
+      user: userId
+    };
+
+    const account = await accountRepository.create(accountData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Conta criada com sucesso',
+      data: account
+    });
+  });
+
+  /**
+   * Atualiza uma conta
+   */
+  updateAccount = asyncHandler(async (req, res) => {
+    const { user, ...updateData } = req.body;
+
+    const account = await accountRepository.update(req.resource._id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Conta atualizada com sucesso',
+      data: account
+    });
+  });
+
+  /**
+   * Desativa uma conta (as transações vinculadas são mantidas)
+   */
+  deleteAccount = asyncHandler(async (req, res) => {
+    await accountRepository.delete(req.resource._id);
+
+    res.json({
+      success: true,
+      message: 'Conta desativada com sucesso'
+    });
+  });
+
+  /**
+   * Busca a evolução do saldo da conta
+   */
+  getBalanceHistory = asyncHandler(async (req, res) => {
+    const { startDate, endDate, groupBy } = req.query;
+
+    const history = await accountRepository.getBalanceHistory(req.resource._id, {
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      groupBy: groupBy || 'dia'
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  });
+
+  /**
+   * Recalcula o saldo da conta a partir do saldo inicial e das transações
+   */
+  recalculateBalance = asyncHandler(async (req, res) => {
+    const account = await accountRepository.recalculateBalance(req.resource._id);
+
+    res.json({
+      success: true,
+      message: 'Saldo recalculado com sucesso',
+      data: account
+    });
+  });
+}
+
+module.exports = new AccountController();
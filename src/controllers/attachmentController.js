@@ -0,0 +1,70 @@
+const attachmentService = require('../services/attachmentService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class AttachmentController {
+  /**
+   * Lista os anexos da transação e o espaço usado pelo usuário
+   */
+  getAttachments = asyncHandler(async (req, res) => {
+    const uso = await attachmentService.getUsage(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Anexos obtidos com sucesso',
+      data: {
+        anexos: req.resource.anexos,
+        uso
+      }
+    });
+  });
+
+  /**
+   * Envia um anexo para a transação
+   */
+  uploadAttachment = asyncHandler(async (req, res) => {
+    const anexo = await attachmentService.addAttachment(req.resource, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Anexo enviado com sucesso',
+      data: anexo
+    });
+  });
+
+  /**
+   * Faz o download de um anexo
+   */
+  downloadAttachment = asyncHandler(async (req, res) => {
+    const { anexo, stream } = attachmentService.openAttachment(req.resource, req.params.attachmentId);
+
+    res.attachment(anexo.nome);
+    res.type(anexo.tipo);
+
+    // Se o arquivo não puder ser lido antes de enviar algo, responde 404 em vez do download
+    stream.on('error', () => {
+      if (res.headersSent) return res.destroy();
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Type');
+      res.status(404).json({
+        success: false,
+        message: 'Arquivo do anexo não encontrado'
+      });
+    });
+
+    stream.pipe(res);
+  });
+
+  /**
+   * Remove um anexo da transação
+   */
+  deleteAttachment = asyncHandler(async (req, res) => {
+    await attachmentService.removeAttachment(req.resource, req.params.attachmentId);
+
+    res.json({
+      success: true,
+      message: 'Anexo removido com sucesso'
+    });
+  });
+}
+
+module.exports = new AttachmentController();
@@ -0,0 +1,61 @@
+const { auditLogRepository } = require('../repositories');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+// Tipos de documento aceitos na URL e o modelo correspondente
+const MODELOS = {
+  transactions: 'Transaction',
+  debts: 'Debt',
+  goals: 'Goal',
+  cards: 'Card',
+  investments: 'Investment'
+};
+
+class AuditController {
+  /**
+   * Lista o histórico de alterações do usuário
+   */
+  getAuditLogs = asyncHandler(async (req, res) => {
+    const { tipo, acao, origem, startDate, endDate } = req.query;
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    };
+
+    const result = await auditLogRepository.findWithPagination(
+      req.user._id,
+      { modelo: MODELOS[tipo], acao, origem, startDate, endDate },
+      options
+    );
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+  });
+
+  /**
+   * Lista o histórico de um documento (inclusive já excluído)
+   */
+  getDocumentHistory = asyncHandler(async (req, res) => {
+    const { tipo, id } = req.params;
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    };
+
+    const result = await auditLogRepository.findWithPagination(
+      req.user._id,
+      { modelo: MODELOS[tipo], documento: id },
+      options
+    );
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+  });
+}
+
+module.exports = new AuditController();
@@ -191,6 +191,28 @@ class AuthController {
     }
   }
   
+  /**
+   * Atualiza as configurações do usuário
+   */
+  async updateSettings(req, res) {
+    try {
+      const user = await authService.updateSettings(req.user, req.body.configuracoes);
+      
+      res.json({
+        success: true,
+        message: 'Configurações atualizadas com sucesso',
+        data: user
+      });
+      
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
+  
   /**
    * Solicita reset de senha
    */
@@ -185,6 +185,38 @@ class CardController {
     });
   });
 
+  /**
+   * Recalcula saldo do cartão a partir das transações
+   */
+  recalculateBalance = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+    
+    // Verificar se o cartão existe e pertence ao usuário
+    const existingCard = await cardRepository.findById(id);
+    if (!existingCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cartão não encontrado'
+      });
+    }
+    
+    if (existingCard.user.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acesso negado'
+      });
+    }
+    
+    const card = await cardRepository.recalculateBalance(id);
+    
+    res.json({
+      success: true,
+      message: 'Saldo do cartão recalculado com sucesso',
+      data: card
+    });
+  });
+
   /**
    * Busca cartões com paginação
    */
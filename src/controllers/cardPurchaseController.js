@@ -0,0 +1,105 @@
+const { cardPurchaseRepository } = require('../repositories');
+const cardPurchaseService = require('../services/cardPurchaseService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class CardPurchaseController {
+  /**
+   * Busca a compra e verifica se pertence ao cartão da rota
+   */
+  findCardPurchase = async (req, res) => {
+    const purchase = await cardPurchaseRepository.findById(req.params.purchaseId);
+
+    if (!purchase || purchase.cartao._id.toString() !== req.resource._id.toString()) {
+      res.status(404).json({
+        success: false,
+        message: 'Compra parcelada não encontrada'
+      });
+      return null;
+    }
+
+    return purchase;
+  };
+
+  /**
+   * Lista as compras parceladas do cartão
+   */
+  getPurchases = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { status } = req.query;
+
+    const filters = {};
+    if (status) filters.status = status;
+
+    const purchases = await cardPurchaseRepository.findByCard(userId, req.resource._id, filters);
+
+    res.json({
+      success: true,
+      data: purchases
+    });
+  });
+
+  /**
+   * Busca compra parcelada com parcelas pagas e restantes
+   */
+  getPurchaseById = asyncHandler(async (req, res) => {
+    const purchase = await this.findCardPurchase(req, res);
+    if (!purchase) return;
+
+    const details = await cardPurchaseService.getPurchaseDetails(purchase);
+
+    res.json({
+      success: true,
+      data: details
+    });
+  });
+
+  /**
+   * Cria uma compra parcelada no cartão
+   */
+  createPurchase = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const details = await cardPurchaseService.createPurchase(userId, req.resource, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Compra parcelada criada com sucesso',
+      data: details
+    });
+  });
+
+  /**
+   * Antecipa parcelas restantes da compra
+   */
+  anticipateInstallments = asyncHandler(async (req, res) => {
+    const purchase = await this.findCardPurchase(req, res);
+    if (!purchase) return;
+
+    const quantidade = req.body.parcelas ? parseInt(req.body.parcelas) : null;
+    const details = await cardPurchaseService.anticipateInstallments(purchase, quantidade);
+
+    res.json({
+      success: true,
+      message: 'Parcelas antecipadas com sucesso',
+      data: details
+    });
+  });
+
+  /**
+   * Cancela as parcelas restantes da compra
+   */
+  cancelPurchase = asyncHandler(async (req, res) => {
+    const purchase = await this.findCardPurchase(req, res);
+    if (!purchase) return;
+
+    const details = await cardPurchaseService.cancelRemaining(purchase);
+
+    res.json({
+      success: true,
+      message: 'Parcelas restantes canceladas com sucesso',
+      data: details
+    });
+  });
+}
+
+module.exports = new CardPurchaseController();
@@ -0,0 +1,80 @@
+const cardStatementService = require('../services/cardStatementService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class CardStatementController {
+  /**
+   * Lista as faturas do cartão
+   */
+  getStatements = asyncHandler(async (req, res) => {
+    const meses = Math.min(parseInt(req.query.meses) || 12, 60);
+
+    const statements = await cardStatementService.listStatements(req.resource, meses);
+
+    res.json({
+      success: true,
+      data: statements
+    });
+  });
+
+  /**
+   * Busca fatura com seus lançamentos e pagamentos
+   */
+  getStatement = asyncHandler(async (req, res) => {
+    const statement = await cardStatementService.getStatement(req.resource, req.params.referencia);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  });
+
+  /**
+   * Paga a fatura (total ou parcialmente)
+   */
+  payStatement = asyncHandler(async (req, res) => {
+    const { valor, data, descricao } = req.body;
+
+    const statement = await cardStatementService.payStatement(req.resource, req.params.referencia, {
+      valor,
+      data,
+      descricao
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pagamento da fatura registrado com sucesso',
+      data: statement
+    });
+  });
+
+  /**
+   * Remove um pagamento da fatura
+   */
+  removePayment = asyncHandler(async (req, res) => {
+    const statement = await cardStatementService.removePayment(
+      req.resource,
+      req.params.referencia,
+      req.params.transactionId
+    );
+
+    res.json({
+      success: true,
+      message: 'Pagamento da fatura removido com sucesso',
+      data: statement
+    });
+  });
+
+  /**
+   * Busca o melhor dia de compra do cartão
+   */
+  getBestPurchaseDay = asyncHandler(async (req, res) => {
+    const hint = cardStatementService.getBestPurchaseDay(req.resource);
+
+    res.json({
+      success: true,
+      data: hint
+    });
+  });
+}
+
+module.exports = new CardStatementController();
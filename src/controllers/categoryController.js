@@ -1,4 +1,6 @@
 const { categoryRepository } = require('../repositories');
+const { Category } = require('../models');
+const categoryService = require('../services/categoryService');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 class CategoryController {
@@ -22,6 +24,59 @@ class CategoryController {
     });
   });
 
+  /**
+   * Lista as categorias do usuário em árvore (categorias com suas subcategorias)
+   */
+  getCategoryTree = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { tipo, ativo } = req.query;
+
+    const filters = {};
+    if (tipo) filters.tipo = tipo;
+    filters.ativo = ativo === 'false' ? false : true;
+
+    const categories = await categoryRepository.findByUser(userId, filters);
+
+    res.json({
+      success: true,
+      data: Category.buildTree(categories)
+    });
+  });
+
+  /**
+   * Busca uma categoria com suas subcategorias e o caminho desde a categoria raiz
+   */
+  getCategorySubtree = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const category = await categoryRepository.findById(id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoria não encontrada'
+      });
+    }
+
+    if (category.user.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acesso negado'
+      });
+    }
+
+    const categories = await categoryRepository.findByUser(userId);
+
+    res.json({
+      success: true,
+      data: {
+        caminho: Category.getPath(categories, id).map(item => ({ id: item._id, nome: item.nome })),
+        categoria: Category.buildTree(categories, id)[0]
+      }
+    });
+  });
+
   /**
    * Busca categoria por ID
    */
@@ -70,6 +125,18 @@ class CategoryController {
       });
     }
     
+    // Subcategoria: a categoria pai precisa ser do usuário, ativa e do mesmo tipo
+    if (req.body.pai) {
+      const categories = await categoryRepository.findByUser(userId);
+      const erro = Category.validateParent(categories, { pai: req.body.pai, tipo: req.body.tipo });
+      if (erro) {
+        return res.status(400).json({
+          success: false,
+          message: erro
+        });
+      }
+    }
+    
     const category = await categoryRepository.create(categoryData);
     
     res.status(201).json({
@@ -113,7 +180,28 @@ class CategoryController {
       }
     }
     
-    const category = await categoryRepository.update(id, req.body);
+    // Categoria pai: sem ciclos, no limite de níveis e do mesmo tipo da categoria
+    const tipo = req.body.tipo || existingCategory.tipo;
+    if (req.body.pai !== undefined || tipo !== existingCategory.tipo) {
+      const categories = await categoryRepository.findByUser(userId);
+      const temSubcategorias = categories.some(category => category.pai && category.pai.toString() === id);
+      const pai = req.body.pai !== undefined ? req.body.pai : existingCategory.pai;
+
+      const erro = tipo !== existingCategory.tipo && temSubcategorias
+        ? 'Categoria com subcategorias não pode mudar de tipo'
+        : Category.validateParent(categories, { id, pai, tipo });
+      if (erro) {
+        return res.status(400).json({
+          success: false,
+          message: erro
+        });
+      }
+    }
+    
+    const updateData = { ...req.body };
+    if (updateData.pai !== undefined) updateData.pai = updateData.pai || null;
+    
+    const category = await categoryRepository.update(id, updateData);
     
     res.json({
       success: true,
@@ -123,18 +211,77 @@ class CategoryController {
   });
 
   /**
-   * Deleta uma categoria (soft delete)
+   * Conta os documentos afetados ao mesclar ou remover uma categoria
+   */
+  getCategoryUsage = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const category = await categoryRepository.findById(id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoria não encontrada'
+      });
+    }
+
+    if (category.user.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acesso negado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await categoryService.getUsage(category)
+    });
+  });
+
+  /**
+   * Mescla uma categoria em outra (os documentos passam para a categoria de destino)
+   */
+  mergeCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const category = await categoryRepository.findById(id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoria não encontrada'
+      });
+    }
+
+    if (category.user.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acesso negado'
+      });
+    }
+
+    const result = await categoryService.merge(category, req.body.destino);
+
+    res.json({
+      success: true,
+      message: 'Categorias mescladas com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Apaga uma categoria
+   * Se houver documentos usando a categoria, exige uma categoria substituta (?substituta=ID) ou
+   * a confirmação de que ficarão sem categoria (?semCategoria=true); sem isso, devolve a contagem.
    */
   deleteCategory = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const userId = req.user._id;
-    
-    console.log(`🗑️ Iniciando exclusão da categoria: ${id} para usuário: ${userId}`);
+    const { substituta, semCategoria } = req.query;
     
     // Verificar se a categoria existe e pertence ao usuário
     const existingCategory = await categoryRepository.findById(id);
     if (!existingCategory) {
-      console.log(`❌ Categoria ${id} não encontrada`);
       return res.status(404).json({
         success: false,
         message: 'Categoria não encontrada'
@@ -142,21 +289,38 @@ class CategoryController {
     }
     
     if (existingCategory.user.toString() !== userId.toString()) {
-      console.log(`🚫 Acesso negado para categoria ${id} - usuário ${userId}`);
       return res.status(403).json({
         success: false,
         message: 'Acesso negado'
       });
     }
     
-    console.log(`📝 Categoria antes da exclusão - ativo: ${existingCategory.ativo}`);
-    const category = await categoryRepository.delete(id);
-    console.log(`✅ Categoria após exclusão - ativo: ${category.ativo}`);
+    if (substituta) {
+      const result = await categoryService.merge(existingCategory, substituta);
+      return res.json({
+        success: true,
+        message: 'Categoria deletada e documentos movidos para a categoria substituta',
+        data: result
+      });
+    }
+    
+    if (semCategoria !== 'true') {
+      const uso = await categoryService.getUsage(existingCategory);
+      if (uso.total > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Categoria em uso: informe uma categoria substituta ou confirme a exclusão sem categoria',
+          data: uso
+        });
+      }
+    }
+    
+    const result = await categoryService.uncategorize(existingCategory);
     
     res.json({
       success: true,
       message: 'Categoria deletada com sucesso',
-      data: category
+      data: result
     });
   });
 
@@ -228,37 +392,69 @@ class CategoryController {
       });
     }
     
-    const categories = await categoryRepository.createDefaultCategories(userId);
+    // Pacote padrão, no idioma do usuário
+    const { criadas } = await categoryService.applyTemplate(req.user, 'padrao');
     
     res.status(201).json({
       success: true,
       message: 'Categorias padrão criadas com sucesso',
-      data: categories
+      data: criadas
+    });
+  });
+
+  /**
+   * Lista os pacotes de categorias (no idioma do usuário ou no informado)
+   */
+  getCategoryTemplates = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: categoryService.getTemplates(req.user, req.query.idioma)
+    });
+  });
+
+  /**
+   * Aplica um pacote de categorias (as de nome já existente são mantidas)
+   */
+  applyCategoryTemplate = asyncHandler(async (req, res) => {
+    const { idioma, rendaMensal } = req.body;
+
+    const result = await categoryService.applyTemplate(req.user, req.params.pacote, { idioma, rendaMensal });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pacote de categorias aplicado com sucesso',
+      data: result
     });
   });
 
   /**
    * Apaga todas as categorias do usuário logado
+   * Os documentos ficam sem categoria; se houver algum, exige ?semCategoria=true e, sem isso, devolve a contagem.
    */
   deleteAllCategories = asyncHandler(async (req, res) => {
-    console.log('--- [DELETE /api/categories/all] ---');
-    console.log('Headers:', req.headers);
-    console.log('req.user:', req.user);
     if (!req.user || !req.user._id) {
       return res.status(401).json({ success: false, message: 'Usuário não autenticado' });
     }
     const userId = req.user._id;
-    try {
-      const result = await categoryRepository.deleteAllByUser(userId);
-      res.json({
-        success: true,
-        message: `Todas as categorias do usuário foram apagadas (${result.deletedCount})`,
-        deletedCount: result.deletedCount
-      });
-    } catch (error) {
-      console.error('Erro ao apagar categorias:', error);
-      res.status(400).json({ success: false, message: error.message, stack: error.stack });
+
+    if (req.query.semCategoria !== 'true') {
+      const uso = await categoryService.getUsageAll(userId);
+      if (uso.total > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Há documentos usando as categorias: confirme a exclusão sem categoria',
+          data: uso
+        });
+      }
     }
+
+    const result = await categoryService.deleteAll(userId);
+    res.json({
+      success: true,
+      message: `Todas as categorias do usuário foram apagadas (${result.deletedCount})`,
+      deletedCount: result.deletedCount,
+      data: { alterados: result.alterados }
+    });
   });
 }
 
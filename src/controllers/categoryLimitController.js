@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const { Limit, Category, Transaction } = require('../models');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
@@ -19,14 +20,21 @@ class CategoryLimitController {
       .populate({ path: 'categoria', select: 'nome icone' })
       .lean();
 
-    // Buscar gastos do mês por categoria
+    // Buscar gastos do mês por categoria (pendentes e canceladas não contam)
     const transactions = await Transaction.aggregate([
-      { $match: { user: userId, tipo: 'despesa', data: { $gte: start, $lte: end } } },
+      { $match: { user: userId, status: 'confirmada', data: { $gte: start, $lte: end } } },
+      // Estornos abatem os gastos da categoria da compra original
+      ...Transaction.refundStages(),
+      { $match: { tipo: 'despesa' } },
+      // Cada linha de uma transação dividida conta no limite da própria categoria
+      ...Transaction.splitStages(),
       { $group: { _id: '$categoria', total: { $sum: '$valor' }, count: { $sum: 1 } } }
     ]);
+    // O gasto de uma categoria pai inclui o das subcategorias
+    const totais = new Map(transactions.filter(t => t._id).map(t => [t._id.toString(), { total: t.total, count: t.count }]));
     const gastosPorCategoria = {};
-    transactions.forEach(t => {
-      gastosPorCategoria[t._id?.toString()] = { spent: t.total, transactions: t.count };
+    Category.rollup(categories, totais).forEach((soma, catId) => {
+      gastosPorCategoria[catId] = { spent: soma.total, transactions: soma.count };
     });
 
     // Mapear limites por categoriaId para lookup rápido
@@ -94,9 +102,26 @@ class CategoryLimitController {
     const mes = now.getMonth() + 1;
     const start = new Date(ano, mes - 1, 1);
     const end = new Date(ano, mes, 0, 23, 59, 59);
+    // O limite de uma categoria pai cobre também as subcategorias
+    const categories = await Category.find({ user: userId }).lean();
+    const categoriaIds = [
+      limit.categoria,
+      ...Category.getDescendantIds(categories, limit.categoria).map(id => new mongoose.Types.ObjectId(id))
+    ];
     const transactions = await Transaction.aggregate([
-      { $match: { user: userId, tipo: 'despesa', categoria: limit.categoria, data: { $gte: start, $lte: end } } },
-      { $group: { _id: '$categoria', total: { $sum: '$valor' }, count: { $sum: 1 } } }
+      {
+        $match: {
+          user: userId,
+          $or: [{ categoria: { $in: categoriaIds } }, { 'divisoes.categoria': { $in: categoriaIds } }],
+          status: 'confirmada',
+          data: { $gte: start, $lte: end }
+        }
+      },
+      ...Transaction.refundStages(),
+      { $match: { tipo: 'despesa' } },
+      ...Transaction.splitStages(),
+      { $match: { categoria: { $in: categoriaIds } } },
+      { $group: { _id: null, total: { $sum: '$valor' }, count: { $sum: 1 } } }
     ]);
     const spent = transactions[0]?.total || 0;
     const transactionsCount = transactions[0]?.count || 0;
@@ -0,0 +1,138 @@
+const { categoryRuleRepository } = require('../repositories');
+const categoryRuleService = require('../services/categoryRuleService');
+const transactionBulkService = require('../services/transactionBulkService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class CategoryRuleController {
+  /**
+   * Lista as regras do usuário
+   */
+  getRules = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { ativo } = req.query;
+
+    const filters = {};
+    if (ativo !== undefined) filters.ativo = ativo === 'true';
+
+    const rules = await categoryRuleRepository.findByUser(userId, filters);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  });
+
+  /**
+   * Busca regra por ID
+   */
+  getRuleById = asyncHandler(async (req, res) => {
+    const rule = await categoryRuleRepository.findById(req.resource._id);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  });
+
+  /**
+   * Cria uma nova regra
+   */
+  createRule = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { nome, prioridade, ativo, condicoes, acoes } = req.body;
+
+    // A categoria aplicada e o cartão da condição precisam ser do usuário
+    await transactionBulkService.validateReferences(userId, {
+      categoria: acoes && acoes.categoria,
+      cartao: condicoes && condicoes.cartao
+    });
+
+    const rule = await categoryRuleRepository.create({
+      user: userId,
+      nome,
+      prioridade,
+      ativo,
+      condicoes,
+      acoes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Regra criada com sucesso',
+      data: rule
+    });
+  });
+
+  /**
+   * Atualiza uma regra
+   */
+  updateRule = asyncHandler(async (req, res) => {
+    const { nome, prioridade, ativo, condicoes, acoes } = req.body;
+    const updateData = Object.fromEntries(
+      Object.entries({ nome, prioridade, ativo, condicoes, acoes }).filter(([, value]) => value !== undefined)
+    );
+
+    await transactionBulkService.validateReferences(req.user._id, {
+      categoria: acoes && acoes.categoria,
+      cartao: condicoes && condicoes.cartao
+    });
+
+    const rule = await categoryRuleRepository.update(req.resource, updateData);
+
+    res.json({
+      success: true,
+      message: 'Regra atualizada com sucesso',
+      data: rule
+    });
+  });
+
+  /**
+   * Deleta uma regra
+   */
+  deleteRule = asyncHandler(async (req, res) => {
+    await categoryRuleRepository.delete(req.resource._id);
+
+    res.json({
+      success: true,
+      message: 'Regra deletada com sucesso'
+    });
+  });
+
+  /**
+   * Simula a regra nas transações existentes
+   */
+  previewRule = asyncHandler(async (req, res) => {
+    const preview = await categoryRuleService.previewRule(req.resource, this.getApplyOptions(req.body));
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  });
+
+  /**
+   * Aplica a regra retroativamente nas transações existentes
+   */
+  applyRule = asyncHandler(async (req, res) => {
+    const result = await categoryRuleService.applyRule(req.resource, this.getApplyOptions(req.body));
+
+    res.json({
+      success: true,
+      message: `${result.alteradas} transações alteradas, ${result.ignoradas.length} ignoradas`,
+      data: result
+    });
+  });
+
+  /**
+   * Extrai as opções de aplicação retroativa do corpo da requisição
+   */
+  getApplyOptions(body = {}) {
+    return {
+      sobrescreverCategoria: body.sobrescreverCategoria === true || body.sobrescreverCategoria === 'true',
+      startDate: body.startDate || null,
+      endDate: body.endDate || null
+    };
+  }
+}
+
+module.exports = new CategoryRuleController();
@@ -1,4 +1,5 @@
 const dashboardService = require('../services/dashboardService');
+const { getUserCurrency } = require('../utils/currency');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 class DashboardController {
@@ -8,7 +9,10 @@ class DashboardController {
   getDashboardData = asyncHandler(async (req, res) => {
     const userId = req.user._id;
     
-    const dashboardData = await dashboardService.getDashboardData(userId);
+    const dashboardData = await dashboardService.getDashboardData(userId, {
+      incluirPendentes: req.query.incluirPendentes === 'true',
+      moeda: getUserCurrency(req.user)
+    });
     
     res.json({
       success: true,
@@ -0,0 +1,49 @@
+const duplicateService = require('../services/duplicateService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class DuplicateController {
+  /**
+   * Lista os grupos de possíveis transações duplicadas
+   */
+  getDuplicateGroups = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+
+    const grupos = await duplicateService.findGroups(req.user._id, { startDate, endDate });
+
+    res.json({
+      success: true,
+      message: 'Possíveis duplicatas obtidas com sucesso',
+      data: grupos
+    });
+  });
+
+  /**
+   * Mantém uma transação e exclui as duplicatas dela
+   */
+  mergeDuplicates = asyncHandler(async (req, res) => {
+    const { manter, remover } = req.body;
+
+    const result = await duplicateService.merge(req.user._id, manter, remover);
+
+    res.json({
+      success: true,
+      message: `${result.removidas} duplicata(s) removida(s) com sucesso`,
+      data: result
+    });
+  });
+
+  /**
+   * Marca transações como não duplicadas
+   */
+  dismissDuplicates = asyncHandler(async (req, res) => {
+    const result = await duplicateService.dismiss(req.user._id, req.body.transacoes);
+
+    res.json({
+      success: true,
+      message: 'Transações marcadas como não duplicadas',
+      data: result
+    });
+  });
+}
+
+module.exports = new DuplicateController();
@@ -0,0 +1,73 @@
+const currencyService = require('../services/currencyService');
+const { getUserCurrency } = require('../utils/currency');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class ExchangeRateController {
+  /**
+   * Lista as cotações do usuário e as do arquivo de cotações
+   */
+  getExchangeRates = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+    const de = req.query.de ? req.query.de.toUpperCase() : undefined;
+    const para = req.query.para ? req.query.para.toUpperCase() : undefined;
+
+    const rates = await currencyService.listRates(req.user._id, { de, para, startDate, endDate });
+
+    res.json({
+      success: true,
+      data: rates,
+      moedaBase: getUserCurrency(req.user)
+    });
+  });
+
+  /**
+   * Registra uma cotação manual
+   */
+  saveExchangeRate = asyncHandler(async (req, res) => {
+    const rate = await currencyService.saveRate(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cotação registrada com sucesso',
+      data: rate
+    });
+  });
+
+  /**
+   * Remove uma cotação manual
+   */
+  deleteExchangeRate = asyncHandler(async (req, res) => {
+    await currencyService.deleteRate(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Cotação removida com sucesso'
+    });
+  });
+
+  /**
+   * Converte um valor entre moedas (por padrão, para a moeda base)
+   */
+  convert = asyncHandler(async (req, res) => {
+    const de = req.query.de.toUpperCase();
+    const para = req.query.para ? req.query.para.toUpperCase() : getUserCurrency(req.user);
+    const data = req.query.data ? new Date(req.query.data) : new Date();
+    const valor = parseFloat(req.query.valor);
+
+    const resultado = await currencyService.convert(req.user._id, valor, de, para, data);
+
+    res.json({
+      success: true,
+      data: {
+        de,
+        para,
+        data,
+        valorOriginal: valor,
+        valor: resultado.valor,
+        taxa: resultado.taxa
+      }
+    });
+  });
+}
+
+module.exports = new ExchangeRateController();
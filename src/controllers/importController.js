@@ -0,0 +1,113 @@
+const { importBatchRepository } = require('../repositories');
+const importService = require('../services/importService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class ImportController {
+  /**
+   * Lista os presets de bancos para importação
+   */
+  getPresets = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: importService.getPresets()
+    });
+  });
+
+  /**
+   * Lista as importações do usuário
+   */
+  getImports = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { status } = req.query;
+
+    const filters = {};
+    if (status) filters.status = status;
+
+    const batches = await importBatchRepository.findByUser(userId, filters);
+
+    res.json({
+      success: true,
+      data: batches
+    });
+  });
+
+  /**
+   * Busca importação por ID, com as transações do lote
+   */
+  getImportById = asyncHandler(async (req, res) => {
+    const batch = await importService.getBatchDetails(req.resource);
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  });
+
+  /**
+   * Simula a importação do CSV sem gravar transações
+   */
+  previewCsv = asyncHandler(async (req, res) => {
+    const preview = importService.previewCsv(req.file, req.body);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  });
+
+  /**
+   * Importa o CSV como transações
+   */
+  importCsv = asyncHandler(async (req, res) => {
+    const result = await importService.importCsv(req.user, req.file, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.importacao.quantidadeImportada} transações importadas com sucesso`,
+      data: result
+    });
+  });
+
+  /**
+   * Simula a importação do OFX, separando lançamentos novos e duplicados
+   */
+  previewOfx = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const preview = await importService.previewOfx(userId, req.file, req.body);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  });
+
+  /**
+   * Importa o OFX/QFX como transações, ignorando lançamentos já importados
+   */
+  importOfx = asyncHandler(async (req, res) => {
+    const result = await importService.importOfx(req.user, req.file, req.body);
+    const { novas, duplicadas, rejeitadas } = result.resumo;
+
+    res.status(result.importacao ? 201 : 200).json({
+      success: true,
+      message: `${novas} novas, ${duplicadas} duplicadas e ${rejeitadas} rejeitadas`,
+      data: result
+    });
+  });
+
+  /**
+   * Reverte uma importação, removendo as transações do lote
+   */
+  revertImport = asyncHandler(async (req, res) => {
+    const result = await importService.revertBatch(req.resource);
+
+    res.json({
+      success: true,
+      message: `Importação revertida: ${result.removidas} transações removidas`,
+      data: result
+    });
+  });
+}
+
+module.exports = new ImportController();
@@ -0,0 +1,122 @@
+const merchantService = require('../services/merchantService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class MerchantController {
+  /**
+   * Lista os estabelecimentos com os gastos do período
+   */
+  getMerchants = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+
+    const merchants = await merchantService.list(req.user._id, { startDate, endDate });
+
+    res.json({
+      success: true,
+      data: merchants
+    });
+  });
+
+  /**
+   * Sugere estabelecimentos para o texto digitado
+   */
+  autocomplete = asyncHandler(async (req, res) => {
+    const merchants = await merchantService.autocomplete(req.user._id, req.query.q);
+
+    res.json({
+      success: true,
+      data: merchants
+    });
+  });
+
+  /**
+   * Vincula as transações sem estabelecimento aos estabelecimentos citados na descrição
+   */
+  linkTransactions = asyncHandler(async (req, res) => {
+    const vinculadas = await merchantService.linkExisting(req.user._id);
+
+    res.json({
+      success: true,
+      message: `${vinculadas} transações vinculadas`,
+      data: { vinculadas }
+    });
+  });
+
+  /**
+   * Busca estabelecimento por ID com as estatísticas de gastos
+   */
+  getMerchantById = asyncHandler(async (req, res) => {
+    const meses = req.query.meses ? parseInt(req.query.meses) : 12;
+
+    const stats = await merchantService.getStats(req.resource, meses);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  });
+
+  /**
+   * Lista as transações do estabelecimento
+   */
+  getMerchantTransactions = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+
+    const result = await merchantService.getHistory(req.resource, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10,
+      startDate,
+      endDate
+    });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      totais: result.totais
+    });
+  });
+
+  /**
+   * Cria um estabelecimento
+   */
+  createMerchant = asyncHandler(async (req, res) => {
+    const { nome, apelidos, categoria } = req.body;
+
+    const result = await merchantService.create(req.user._id, { nome, apelidos, categoria });
+
+    res.status(201).json({
+      success: true,
+      message: 'Estabelecimento criado com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Atualiza um estabelecimento
+   */
+  updateMerchant = asyncHandler(async (req, res) => {
+    const { nome, apelidos, categoria } = req.body;
+
+    const result = await merchantService.update(req.resource, { nome, apelidos, categoria });
+
+    res.json({
+      success: true,
+      message: 'Estabelecimento atualizado com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Remove um estabelecimento
+   */
+  deleteMerchant = asyncHandler(async (req, res) => {
+    await merchantService.delete(req.resource);
+
+    res.json({
+      success: true,
+      message: 'Estabelecimento removido com sucesso'
+    });
+  });
+}
+
+module.exports = new MerchantController();
@@ -0,0 +1,76 @@
+const pendingTransactionService = require('../services/pendingTransactionService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class PendingTransactionController {
+  /**
+   * Lista as transações pendentes
+   */
+  getPending = asyncHandler(async (req, res) => {
+    const result = await pendingTransactionService.list(req.user._id, {
+      vencidas: req.query.vencidas === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  /**
+   * Confirma uma transação pendente
+   */
+  confirmTransaction = asyncHandler(async (req, res) => {
+    const transaction = await pendingTransactionService.resolve(req.resource, 'confirmada');
+
+    res.json({
+      success: true,
+      message: 'Transação confirmada com sucesso',
+      data: transaction
+    });
+  });
+
+  /**
+   * Cancela uma transação pendente
+   */
+  cancelTransaction = asyncHandler(async (req, res) => {
+    const transaction = await pendingTransactionService.resolve(req.resource, 'cancelada');
+
+    res.json({
+      success: true,
+      message: 'Transação cancelada com sucesso',
+      data: transaction
+    });
+  });
+
+  /**
+   * Confirma várias transações pendentes
+   */
+  confirmMany = asyncHandler(async (req, res) => {
+    const { ids, filtro, texto } = req.body;
+
+    const report = await pendingTransactionService.resolveMany(req.user._id, { ids, filtro, texto }, 'confirmada');
+
+    res.json({
+      success: report.falhas === 0,
+      message: `${report.sucesso} de ${report.total} transação(ões) confirmada(s)`,
+      data: report
+    });
+  });
+
+  /**
+   * Cancela várias transações pendentes
+   */
+  cancelMany = asyncHandler(async (req, res) => {
+    const { ids, filtro, texto } = req.body;
+
+    const report = await pendingTransactionService.resolveMany(req.user._id, { ids, filtro, texto }, 'cancelada');
+
+    res.json({
+      success: report.falhas === 0,
+      message: `${report.sucesso} de ${report.total} transação(ões) cancelada(s)`,
+      data: report
+    });
+  });
+}
+
+module.exports = new PendingTransactionController();
@@ -0,0 +1,105 @@
+const reconciliationService = require('../services/reconciliationService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class ReconciliationController {
+  /**
+   * Lista as conciliações do usuário
+   */
+  getReconciliations = asyncHandler(async (req, res) => {
+    const { account, cartao, status } = req.query;
+
+    const reconciliations = await reconciliationService.list(req.user._id, { account, cartao, status });
+
+    res.json({
+      success: true,
+      data: reconciliations
+    });
+  });
+
+  /**
+   * Abre a conciliação de uma conta ou cartão
+   */
+  createReconciliation = asyncHandler(async (req, res) => {
+    const { account, cartao, dataFim, saldoFinal } = req.body;
+
+    const result = await reconciliationService.create(req.user._id, { account, cartao, dataFim, saldoFinal });
+
+    res.status(201).json({
+      success: true,
+      message: 'Conciliação aberta com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Busca a conciliação com as transações e a diferença para o extrato
+   */
+  getReconciliationById = asyncHandler(async (req, res) => {
+    const result = await reconciliationService.buildSummary(req.resource);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  /**
+   * Corrige a data ou o saldo do extrato
+   */
+  updateReconciliation = asyncHandler(async (req, res) => {
+    const { dataFim, saldoFinal } = req.body;
+
+    const result = await reconciliationService.update(req.resource, { dataFim, saldoFinal });
+
+    res.json({
+      success: true,
+      message: 'Conciliação atualizada com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Marca e desmarca transações
+   */
+  updateItems = asyncHandler(async (req, res) => {
+    const { marcar, desmarcar } = req.body;
+
+    const result = await reconciliationService.updateItems(req.resource, { marcar, desmarcar });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  /**
+   * Conclui a conciliação
+   */
+  completeReconciliation = asyncHandler(async (req, res) => {
+    const result = await reconciliationService.complete(req.user, req.resource, {
+      criarAjuste: String(req.body.criarAjuste) === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Conciliação concluída com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Descarta a conciliação aberta ou desfaz a concluída
+   */
+  deleteReconciliation = asyncHandler(async (req, res) => {
+    const concluida = req.resource.status === 'concluida';
+
+    await reconciliationService.undo(req.resource);
+
+    res.json({
+      success: true,
+      message: concluida ? 'Conciliação desfeita com sucesso' : 'Conciliação descartada com sucesso'
+    });
+  });
+}
+
+module.exports = new ReconciliationController();
@@ -0,0 +1,135 @@
+const { recurrenceRepository } = require('../repositories');
+const recurrenceService = require('../services/recurrenceService');
+const transactionBulkService = require('../services/transactionBulkService');
+const currencyService = require('../services/currencyService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class RecurrenceController {
+  /**
+   * Lista as séries recorrentes do usuário
+   */
+  getRecurrences = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { ativo } = req.query;
+
+    const filters = {};
+    if (ativo !== undefined) filters.ativo = ativo === 'true';
+
+    const recurrences = await recurrenceRepository.findByUser(userId, filters);
+
+    res.json({
+      success: true,
+      data: recurrences
+    });
+  });
+
+  /**
+   * Busca série recorrente por ID
+   */
+  getRecurrenceById = asyncHandler(async (req, res) => {
+    const recurrence = await recurrenceRepository.findById(req.resource._id);
+
+    res.json({
+      success: true,
+      data: recurrence
+    });
+  });
+
+  /**
+   * Cria uma nova série recorrente
+   */
+  createRecurrence = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const data = req.body;
+
+    // As categorias, o cartão e a conta precisam ser do usuário
+    await transactionBulkService.validateReferences(userId, {
+      categoria: data.categoriaId || data.categoria,
+      divisoes: data.divisoes,
+      cartao: data.cartaoId || data.cartao,
+      account: data.account
+    });
+    // Em moeda estrangeira, o valor é convertido pela cotação da data de início
+    const convertida = await currencyService.applyToTransaction(req.user, { ...data, data: data.dataInicio });
+
+    const recurrence = await recurrenceService.createRecurrence(userId, convertida);
+
+    res.status(201).json({
+      success: true,
+      message: 'Série recorrente criada com sucesso',
+      data: recurrence
+    });
+  });
+
+  /**
+   * Lista as próximas ocorrências da série
+   */
+  getUpcoming = asyncHandler(async (req, res) => {
+    const recurrence = req.resource;
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const upcoming = recurrenceService.getUpcoming(recurrence, limit);
+
+    res.json({
+      success: true,
+      data: upcoming
+    });
+  });
+
+  /**
+   * Pula uma ocorrência da série
+   */
+  skipOccurrence = asyncHandler(async (req, res) => {
+    const recurrence = req.resource;
+
+    const updated = await recurrenceService.skipOccurrence(recurrence, req.body.data);
+
+    res.json({
+      success: true,
+      message: 'Ocorrência ignorada com sucesso',
+      data: updated
+    });
+  });
+
+  /**
+   * Edita a ocorrência informada e as seguintes
+   */
+  updateFollowing = asyncHandler(async (req, res) => {
+    const recurrence = req.resource;
+
+    const { data, ...changes } = req.body;
+    await transactionBulkService.validateReferences(req.user._id, {
+      categoria: changes.categoriaId || changes.categoria,
+      divisoes: changes.divisoes,
+      cartao: changes.cartaoId || changes.cartao,
+      account: changes.account
+    });
+    // Em moeda estrangeira, a nova série usa a cotação da data da primeira ocorrência alterada
+    const convertidas = await currencyService.applyToTransaction(req.user, { ...changes, data }, recurrence.template);
+    delete convertidas.data;
+    const result = await recurrenceService.updateFollowing(recurrence, data, convertidas);
+
+    res.json({
+      success: true,
+      message: 'Série recorrente atualizada com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Encerra a série recorrente
+   */
+  stopRecurrence = asyncHandler(async (req, res) => {
+    const recurrence = req.resource;
+
+    const stopped = await recurrenceService.stopRecurrence(recurrence);
+
+    res.json({
+      success: true,
+      message: 'Série recorrente encerrada com sucesso',
+      data: stopped
+    });
+  });
+}
+
+module.exports = new RecurrenceController();
@@ -0,0 +1,21 @@
+const refundService = require('../services/refundService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class RefundController {
+  /**
+   * Estorna, total ou parcialmente, uma despesa
+   */
+  refundTransaction = asyncHandler(async (req, res) => {
+    const { valor, data, descricao, observacoes } = req.body;
+
+    const result = await refundService.refund(req.user, req.resource, { valor, data, descricao, observacoes });
+
+    res.status(201).json({
+      success: true,
+      message: 'Estorno registrado com sucesso',
+      data: result
+    });
+  });
+}
+
+module.exports = new RefundController();
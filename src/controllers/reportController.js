@@ -1,4 +1,5 @@
 const reportService = require('../services/reportService');
+const { getUserCurrency } = require('../utils/currency');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 class ReportController {
@@ -11,7 +12,8 @@ class ReportController {
       startDate: req.query.startDate,
       endDate: req.query.endDate,
       groupBy: req.query.groupBy || 'categoria',
-      includeCharts: req.query.includeCharts !== 'false'
+      includeCharts: req.query.includeCharts !== 'false',
+      moeda: getUserCurrency(req.user)
     };
     
     const report = await reportService.generateFinancialReport(userId, options);
@@ -30,7 +32,10 @@ class ReportController {
     const options = {
       startDate: req.query.startDate,
       endDate: req.query.endDate,
-      tipo: req.query.tipo
+      tipo: req.query.tipo,
+      agrupar: req.query.agrupar === 'true',
+      categoria: req.query.categoria,
+      moeda: getUserCurrency(req.user)
     };
     
     const report = await reportService.generateCategoryReport(userId, options);
@@ -41,6 +46,25 @@ class ReportController {
     });
   });
 
+  /**
+   * Gera relatório de tags
+   */
+  generateTagReport = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const options = {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      moeda: getUserCurrency(req.user)
+    };
+
+    const report = await reportService.generateTagReport(userId, options);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  });
+
   /**
    * Gera relatório de fluxo de caixa
    */
@@ -48,7 +72,7 @@ class ReportController {
     const userId = req.user._id;
     const ano = parseInt(req.query.ano) || new Date().getFullYear();
     
-    const report = await reportService.generateCashFlowReport(userId, ano);
+    const report = await reportService.generateCashFlowReport(userId, ano, getUserCurrency(req.user));
     
     res.json({
       success: true,
@@ -112,19 +136,24 @@ class ReportController {
   exportReport = asyncHandler(async (req, res) => {
     const userId = req.user._id;
     const { tipo, formato = 'json' } = req.query;
+    const moeda = getUserCurrency(req.user);
+    const options = { ...req.query, moeda };
     
     let report;
     
     switch (tipo) {
       case 'financeiro':
-        report = await reportService.generateFinancialReport(userId, req.query);
+        report = await reportService.generateFinancialReport(userId, options);
         break;
       case 'categorias':
-        report = await reportService.generateCategoryReport(userId, req.query);
+        report = await reportService.generateCategoryReport(userId, options);
+        break;
+      case 'tags':
+        report = await reportService.generateTagReport(userId, options);
         break;
       case 'fluxo-caixa':
         const ano = parseInt(req.query.ano) || new Date().getFullYear();
-        report = await reportService.generateCashFlowReport(userId, ano);
+        report = await reportService.generateCashFlowReport(userId, ano, moeda);
         break;
       default:
         return res.status(400).json({
@@ -164,6 +193,12 @@ class ReportController {
         descricao: 'Análise detalhada dos gastos por categoria',
         parametros: ['startDate', 'endDate', 'tipo']
       },
+      {
+        id: 'tags',
+        nome: 'Relatório de Tags',
+        descricao: 'Receitas e despesas por tag, incluindo tags de linhas de transações divididas',
+        parametros: ['startDate', 'endDate']
+      },
       {
         id: 'fluxo-caixa',
         nome: 'Relatório de Fluxo de Caixa',
@@ -0,0 +1,63 @@
+const tagService = require('../services/tagService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class TagController {
+  /**
+   * Lista as tags do usuário com uso e totais
+   */
+  getTags = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+
+    const tags = await tagService.listTags(req.user._id, { startDate, endDate });
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  });
+
+  /**
+   * Renomeia uma tag e/ou define a cor dela
+   */
+  updateTag = asyncHandler(async (req, res) => {
+    const { nome, cor } = req.body;
+
+    const tag = await tagService.updateTag(req.user._id, req.params.nome, { nome, cor });
+
+    res.json({
+      success: true,
+      message: 'Tag atualizada com sucesso',
+      data: tag
+    });
+  });
+
+  /**
+   * Mescla várias tags em uma
+   */
+  mergeTags = asyncHandler(async (req, res) => {
+    const { origem, destino } = req.body;
+
+    const result = await tagService.mergeTags(req.user._id, origem, destino);
+
+    res.json({
+      success: true,
+      message: 'Tags mescladas com sucesso',
+      data: result
+    });
+  });
+
+  /**
+   * Remove uma tag de todos os documentos
+   */
+  deleteTag = asyncHandler(async (req, res) => {
+    const result = await tagService.deleteTag(req.user._id, req.params.nome);
+
+    res.json({
+      success: true,
+      message: 'Tag removida com sucesso',
+      data: result
+    });
+  });
+}
+
+module.exports = new TagController();
@@ -1,4 +1,12 @@
 const { transactionRepository } = require('../repositories');
+const { Transaction } = require('../models');
+const recurrenceService = require('../services/recurrenceService');
+const categoryRuleService = require('../services/categoryRuleService');
+const transactionBulkService = require('../services/transactionBulkService');
+const currencyService = require('../services/currencyService');
+const refundService = require('../services/refundService');
+const merchantService = require('../services/merchantService');
+const { parseQueryFilters } = require('../utils/transactionFilter');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 class TransactionController {
@@ -12,15 +20,8 @@ class TransactionController {
       limit: parseInt(req.query.limit) || 10,
       sortBy: req.query.sortBy || 'data',
       sortOrder: req.query.sortOrder || 'desc',
-      search: req.query.search || '',
-      tipo: req.query.tipo || null,
-      categoriaId: req.query.categoriaId || null,
-      cartaoId: req.query.cartaoId || null,
-      status: req.query.status || null,
-      startDate: req.query.startDate || null,
-      endDate: req.query.endDate || null,
-      valorMin: req.query.valorMin ? parseFloat(req.query.valorMin) : null,
-      valorMax: req.query.valorMax ? parseFloat(req.query.valorMax) : null
+      filtro: parseQueryFilters(req.query),
+      texto: req.query.texto || ''
     };
     
     const result = await transactionRepository.findWithPagination(userId, options);
@@ -28,7 +29,62 @@ class TransactionController {
     res.json({
       success: true,
       data: result.data,
-      pagination: result.pagination
+      pagination: result.pagination,
+      totais: result.totais
+    });
+  });
+
+  /**
+   * Busca transações com filtro combinável (and/or)
+   */
+  searchTransactions = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const options = {
+      page: parseInt(req.body.page) || 1,
+      limit: parseInt(req.body.limit) || 10,
+      sortBy: req.body.sortBy || 'data',
+      sortOrder: req.body.sortOrder || 'desc',
+      filtro: req.body.filtro || null,
+      texto: req.body.texto || ''
+    };
+
+    const result = await transactionRepository.findWithPagination(userId, options);
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      totais: result.totais
+    });
+  });
+
+  /**
+   * Altera várias transações de uma vez (por IDs ou filtro)
+   */
+  bulkUpdateTransactions = asyncHandler(async (req, res) => {
+    const { ids, filtro, texto, alteracoes } = req.body;
+
+    const report = await transactionBulkService.updateMany(req.user._id, { ids, filtro, texto }, alteracoes);
+
+    res.json({
+      success: report.falhas === 0,
+      message: `${report.sucesso} de ${report.total} transação(ões) atualizada(s)`,
+      data: report
+    });
+  });
+
+  /**
+   * Exclui várias transações de uma vez (por IDs ou filtro)
+   */
+  bulkDeleteTransactions = asyncHandler(async (req, res) => {
+    const { ids, filtro, texto } = req.body;
+
+    const report = await transactionBulkService.deleteMany(req.user._id, { ids, filtro, texto });
+
+    res.json({
+      success: report.falhas === 0,
+      message: `${report.sucesso} de ${report.total} transação(ões) movida(s) para a lixeira`,
+      data: report
     });
   });
 
@@ -66,7 +122,8 @@ class TransactionController {
    */
   createTransaction = asyncHandler(async (req, res) => {
     const userId = req.user._id;
-    const data = { ...req.body, user: userId };
+    // Só os campos informados pelo cliente: lixeira, fatura, transferência, anexos etc. têm rotas próprias
+    const data = { ...Transaction.pickClientFields(req.body, { recorrencia: true }), user: userId };
     // Garante que só o campo categoria é usado
     if (data.categoria_id) {
       data.categoria = data.categoria_id;
@@ -76,7 +133,30 @@ class TransactionController {
       data.categoria = data.categoriaId;
       delete data.categoriaId;
     }
-    const transaction = await transactionRepository.create(data);
+    if (!data.recorrente) delete data.recorrencia;
+    const erroDivisao = Transaction.validateSplit(data.valor, data.divisoes);
+    if (erroDivisao) {
+      return res.status(400).json({
+        success: false,
+        message: erroDivisao
+      });
+    }
+    // As categorias, o cartão e a conta precisam ser do usuário
+    await transactionBulkService.validateReferences(userId, {
+      categoria: data.categoria,
+      divisoes: data.divisoes,
+      cartao: data.cartaoId || data.cartao,
+      account: data.account
+    });
+    // Em moeda estrangeira, o valor informado é convertido para a moeda base do usuário
+    const convertida = await currencyService.applyToTransaction(req.user, data);
+    // Regras têm precedência sobre a categoria padrão do estabelecimento
+    const [regrada] = await categoryRuleService.applyToNew(userId, [convertida]);
+    const [categorizada] = await merchantService.applyToNew(userId, [regrada]);
+    // Transação recorrente com regra: cria também a série que gera as próximas ocorrências
+    const transaction = categorizada.recorrente && categorizada.recorrencia
+      ? await recurrenceService.createFromTransaction(userId, categorizada)
+      : await transactionRepository.create(Transaction.applyScheduledStatus(categorizada));
     res.status(201).json({
       success: true,
       message: 'Transação criada com sucesso',
@@ -90,13 +170,36 @@ class TransactionController {
   createBulkTransactions = asyncHandler(async (req, res) => {
     const userId = req.user._id;
     const { transactions } = req.body;
+
+    const indiceInvalido = transactions.findIndex(t => Transaction.validateSplit(t.valor, t.divisoes));
+    if (indiceInvalido !== -1) {
+      const transaction = transactions[indiceInvalido];
+      return res.status(400).json({
+        success: false,
+        message: `Transação ${indiceInvalido + 1}: ${Transaction.validateSplit(transaction.valor, transaction.divisoes)}`
+      });
+    }
     
-    const transactionsData = transactions.map(transaction => ({
-      ...transaction,
-      user: userId
-    }));
+    // Só os campos informados pelo cliente, como na criação avulsa (sem série recorrente)
+    const convertidas = [];
+    for (const transaction of transactions.map(dados => Transaction.pickClientFields(dados))) {
+      await transactionBulkService.validateReferences(userId, {
+        categoria: transaction.categoria || transaction.categoriaId,
+        divisoes: transaction.divisoes,
+        cartao: transaction.cartaoId || transaction.cartao,
+        account: transaction.account
+      });
+      convertidas.push(await currencyService.applyToTransaction(req.user, { ...transaction, user: userId }));
+    }
+    const transactionsData = await merchantService.applyToNew(
+      userId,
+      await categoryRuleService.applyToNew(userId, convertidas)
+    );
     
-    const createdTransactions = await transactionRepository.createMany(transactionsData);
+    // Transações com data futura ficam pendentes até a data, salvo status definido
+    const createdTransactions = await transactionRepository.createMany(
+      transactionsData.map(data => Transaction.applyScheduledStatus(data))
+    );
     
     res.status(201).json({
       success: true,
@@ -109,9 +212,10 @@ class TransactionController {
    * Atualiza uma transação
    */
   updateTransaction = asyncHandler(async (req, res) => {
-    const { id } = req.params;
+    const existingTransaction = req.resource;
     const userId = req.user._id;
-    const data = { ...req.body };
+    // Só os campos informados pelo cliente; a série recorrente é alterada pelas rotas de recorrências
+    const data = Transaction.pickClientFields(req.body);
     // Garante que só o campo categoria é usado
     if (data.categoria_id) {
       data.categoria = data.categoria_id;
@@ -121,7 +225,57 @@ class TransactionController {
       data.categoria = data.categoriaId;
       delete data.categoriaId;
     }
-    const transaction = await transactionRepository.update(id, data, userId);
+    if (existingTransaction.transferencia) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transação de transferência deve ser alterada pela transferência'
+      });
+    }
+    if (existingTransaction.fatura) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pagamento de fatura não pode ser alterado: remova-o pela fatura do cartão e registre outro'
+      });
+    }
+    // As categorias, o cartão e a conta precisam ser do usuário
+    await transactionBulkService.validateReferences(userId, {
+      categoria: data.categoria,
+      divisoes: data.divisoes,
+      cartao: data.cartaoId || data.cartao,
+      account: data.account
+    });
+    // Converte antes de conferir a divisão, que é salva na moeda base
+    let changes = await currencyService.applyToTransaction(req.user, data, existingTransaction);
+    // Data movida para o futuro deixa a transação pendente, como na criação
+    changes = Transaction.applyScheduledStatus(changes, existingTransaction);
+    // Confere a soma com o que fica salvo: valor e divisões podem vir separados
+    const erroDivisao = Transaction.validateSplit(
+      changes.valor !== undefined ? changes.valor : existingTransaction.valor,
+      changes.divisoes !== undefined ? changes.divisoes : existingTransaction.divisoes
+    );
+    if (erroDivisao) {
+      return res.status(400).json({
+        success: false,
+        message: erroDivisao
+      });
+    }
+    const erroParcela = Transaction.validateInstallmentChanges(existingTransaction, changes);
+    if (erroParcela) {
+      return res.status(400).json({
+        success: false,
+        message: erroParcela
+      });
+    }
+    const erroConciliacao = Transaction.validateReconciledChanges(existingTransaction, changes);
+    if (erroConciliacao) {
+      return res.status(400).json({
+        success: false,
+        message: erroConciliacao
+      });
+    }
+    await refundService.validateChanges(existingTransaction, changes);
+    changes = await merchantService.applyToChanges(userId, changes);
+    const transaction = await transactionRepository.update(existingTransaction._id, changes);
     res.json({
       success: true,
       message: 'Transação atualizada com sucesso',
@@ -130,7 +284,7 @@ class TransactionController {
   });
 
   /**
-   * Deleta uma transação
+   * Move uma transação para a lixeira
    */
   deleteTransaction = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -151,12 +305,44 @@ class TransactionController {
         message: 'Acesso negado'
       });
     }
+
+    if (existingTransaction.transferencia) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transação de transferência deve ser excluída pela transferência'
+      });
+    }
+
+    if (existingTransaction.fatura) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pagamento de fatura deve ser removido pela fatura do cartão'
+      });
+    }
+
+    const erroParcela = Transaction.validateInstallmentChanges(existingTransaction);
+    if (erroParcela) {
+      return res.status(400).json({
+        success: false,
+        message: erroParcela
+      });
+    }
+
+    const erroConciliacao = Transaction.validateReconciledChanges(existingTransaction);
+    if (erroConciliacao) {
+      return res.status(400).json({
+        success: false,
+        message: erroConciliacao
+      });
+    }
+
+    await refundService.validateDelete(existingTransaction);
     
-    await transactionRepository.delete(id);
+    await transactionRepository.trash(id);
     
     res.json({
       success: true,
-      message: 'Transação deletada com sucesso'
+      message: 'Transação movida para a lixeira'
     });
   });
 
@@ -165,12 +351,14 @@ class TransactionController {
    */
   getFinancialSummary = asyncHandler(async (req, res) => {
     const userId = req.user._id;
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, incluirPendentes } = req.query;
     
     const start = startDate ? new Date(startDate) : null;
     const end = endDate ? new Date(endDate) : null;
     
-    const summary = await transactionRepository.getFinancialSummary(userId, start, end);
+    const summary = await transactionRepository.getFinancialSummary(userId, start, end, {
+      incluirPendentes: incluirPendentes === 'true'
+    });
     
     res.json({
       success: true,
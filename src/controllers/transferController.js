@@ -0,0 +1,79 @@
+const { transferRepository } = require('../repositories');
+const transferService = require('../services/transferService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class TransferController {
+  /**
+   * Lista as transferências do usuário
+   */
+  getTransfers = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { startDate, endDate } = req.query;
+
+    const filters = {};
+    if (startDate || endDate) {
+      filters.data = {};
+      if (startDate) filters.data.$gte = new Date(startDate);
+      if (endDate) filters.data.$lte = new Date(endDate);
+    }
+
+    const transfers = await transferRepository.findByUser(userId, filters);
+
+    res.json({
+      success: true,
+      data: transfers
+    });
+  });
+
+  /**
+   * Busca transferência por ID, com suas pernas
+   */
+  getTransferById = asyncHandler(async (req, res) => {
+    const transfer = await transferService.getTransferDetails(req.resource);
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  });
+
+  /**
+   * Cria uma nova transferência
+   */
+  createTransfer = asyncHandler(async (req, res) => {
+    const transfer = await transferService.createTransfer(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transferência criada com sucesso',
+      data: transfer
+    });
+  });
+
+  /**
+   * Atualiza a transferência e suas pernas
+   */
+  updateTransfer = asyncHandler(async (req, res) => {
+    const transfer = await transferService.updateTransfer(req.user, req.resource, req.body);
+
+    res.json({
+      success: true,
+      message: 'Transferência atualizada com sucesso',
+      data: transfer
+    });
+  });
+
+  /**
+   * Deleta a transferência e suas pernas
+   */
+  deleteTransfer = asyncHandler(async (req, res) => {
+    await transferService.deleteTransfer(req.resource);
+
+    res.json({
+      success: true,
+      message: 'Transferência deletada com sucesso'
+    });
+  });
+}
+
+module.exports = new TransferController();
@@ -0,0 +1,63 @@
+const trashService = require('../services/trashService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class TrashController {
+  /**
+   * Lista as transações na lixeira
+   */
+  getTrash = asyncHandler(async (req, res) => {
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    };
+
+    const result = await trashService.list(req.user._id, options);
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      retencaoDias: result.retencaoDias
+    });
+  });
+
+  /**
+   * Restaura uma transação da lixeira
+   */
+  restoreTransaction = asyncHandler(async (req, res) => {
+    const transaction = await trashService.restore(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Transação restaurada com sucesso',
+      data: transaction
+    });
+  });
+
+  /**
+   * Exclui definitivamente uma transação da lixeira
+   */
+  purgeTransaction = asyncHandler(async (req, res) => {
+    await trashService.purge(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Transação excluída definitivamente'
+    });
+  });
+
+  /**
+   * Esvazia a lixeira
+   */
+  emptyTrash = asyncHandler(async (req, res) => {
+    const removidas = await trashService.empty(req.user._id);
+
+    res.json({
+      success: true,
+      message: `${removidas} transação(ões) excluída(s) definitivamente`,
+      data: { removidas }
+    });
+  });
+}
+
+module.exports = new TrashController();
@@ -1,5 +1,6 @@
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
 const { User } = require('../models');
+const { setContextValue } = require('../utils/requestContext');
 
 /**
  * Middleware para verificar autenticação
@@ -39,6 +40,7 @@ const authenticate = async (req, res, next) => {
     // Adicionar usuário ao request
     req.user = user;
     req.token = token;
+    setContextValue('autor', user._id);
     
     next();
   } catch (error) {
@@ -140,6 +142,7 @@ const optionalAuth = async (req, res, next) => {
       if (user && user.isActive) {
         req.user = user;
         req.token = token;
+        setContextValue('autor', user._id);
       }
     }
     
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+/**
+ * Cria um erro com status HTTP, para ser lançado pelos serviços e tratado pelo errorHandler
+ * @param {String} message - Mensagem do erro
+ * @param {Number} status - Status HTTP (padrão: 400)
+ * @returns {Error} Erro com status
+ */
+const requestError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
 /**
  * Middleware para tratamento de erros 404
  */
@@ -93,6 +105,14 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Erros de upload (multer)
+  if (err.name === 'MulterError') {
+    error = {
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'Arquivo muito grande' : `Erro no upload: ${err.message}`,
+      status: err.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+    };
+  }
+
   // Erro de conexão com o banco de dados
   if (err.name === 'MongoNetworkError' || err.name === 'MongoTimeoutError') {
     error = {
@@ -277,6 +297,7 @@ const requestLogger = (req, res, next) => {
 };
 
 module.exports = {
+  requestError,
   notFound,
   errorHandler,
   asyncHandler,
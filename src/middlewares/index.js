@@ -2,11 +2,13 @@ const auth = require('./auth');
 const validation = require('./validation');
 const errorHandler = require('./errorHandler');
 const security = require('./security');
+const upload = require('./upload');
 
 module.exports = {
   ...auth,
   ...validation,
   ...errorHandler,
-  ...security
+  ...security,
+  ...upload
 };
 
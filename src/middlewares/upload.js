@@ -0,0 +1,83 @@
+const multer = require('multer');
+const { requestError } = require('./errorHandler');
+
+const MAX_STATEMENT_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_ATTACHMENT_SIZE = (parseInt(process.env.MAX_ATTACHMENT_SIZE_MB) || 5) * 1024 * 1024;
+
+// Formatos de comprovante aceitos e suas assinaturas (primeiros bytes)
+const ATTACHMENT_FORMATS = [
+  { tipo: 'image/jpeg', extensao: '.jpg', confere: b => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+  { tipo: 'image/png', extensao: '.png', confere: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { tipo: 'image/webp', extensao: '.webp', confere: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { tipo: 'application/pdf', extensao: '.pdf', confere: b => b.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+/**
+ * Identifica o formato do comprovante pelo conteúdo (o tipo enviado pelo cliente não é confiável)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {Object|null} Formato ou null se não for aceito
+ */
+const detectAttachmentFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  return ATTACHMENT_FORMATS.find(formato => formato.confere(buffer)) || null;
+};
+
+/**
+ * Upload de extrato bancário (mantido em memória, processado na própria requisição)
+ */
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_STATEMENT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extensoes = /\.(csv|txt|ofx|qfx)$/i;
+
+    if (!extensoes.test(file.originalname)) {
+      return cb(requestError('Formato de arquivo não suportado'));
+    }
+
+    cb(null, true);
+  }
+}).single('arquivo');
+
+const receiveAttachment = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_FORMATS.some(formato => formato.tipo === file.mimetype)) {
+      return cb(requestError('Tipo de arquivo não permitido. Envie JPEG, PNG, WEBP ou PDF'));
+    }
+
+    cb(null, true);
+  }
+}).single('arquivo');
+
+/**
+ * Upload de comprovante (imagem ou PDF), gravado depois pelo backend de armazenamento
+ * Além do tipo declarado, confere os primeiros bytes do arquivo: se o conteúdo não for do
+ * formato informado, o envio é recusado antes de chegar ao armazenamento
+ */
+const attachmentUpload = (req, res, next) => {
+  receiveAttachment(req, res, (error) => {
+    if (error) return next(error);
+    if (!req.file) return next();
+
+    const formato = detectAttachmentFormat(req.file.buffer);
+    if (!formato || formato.tipo !== req.file.mimetype) {
+      return next(requestError('Conteúdo do arquivo não corresponde ao tipo informado. Envie JPEG, PNG, WEBP ou PDF'));
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  statementUpload,
+  attachmentUpload,
+  detectAttachmentFormat
+};
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { PACOTES: PACOTES_CATEGORIAS } = require('../utils/categoryTemplates');
+const { validateSafeRegex } = require('../utils/safeRegex');
 
 /**
  * Middleware para verificar erros de validação
@@ -126,6 +128,11 @@ const categoryValidation = {
       .isLength({ max: 500 })
       .withMessage('Descrição não pode ter mais de 500 caracteres'),
     
+    body('pai')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID da categoria pai inválido'),
+    
     handleValidationErrors
   ],
 
@@ -164,10 +171,127 @@ const categoryValidation = {
       .isLength({ max: 500 })
       .withMessage('Descrição não pode ter mais de 500 caracteres'),
     
+    body('pai')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID da categoria pai inválido'),
+    
+    handleValidationErrors
+  ],
+
+  tree: [
+    query('tipo')
+      .optional()
+      .isIn(['receita', 'despesa'])
+      .withMessage('Tipo deve ser "receita" ou "despesa"'),
+
+    query('ativo')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Ativo deve ser "true" ou "false"'),
+
+    handleValidationErrors
+  ],
+
+  merge: [
+    param('id')
+      .isMongoId()
+      .withMessage('ID da categoria inválido'),
+
+    body('destino')
+      .isMongoId()
+      .withMessage('ID da categoria de destino inválido'),
+
+    handleValidationErrors
+  ],
+
+  remove: [
+    param('id')
+      .isMongoId()
+      .withMessage('ID da categoria inválido'),
+
+    query('substituta')
+      .optional()
+      .isMongoId()
+      .withMessage('ID da categoria substituta inválido'),
+
+    query('semCategoria')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('semCategoria deve ser "true" ou "false"'),
+
+    handleValidationErrors
+  ],
+
+  removeAll: [
+    query('semCategoria')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('semCategoria deve ser "true" ou "false"'),
+
+    handleValidationErrors
+  ],
+
+  templates: [
+    query('idioma')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 10 })
+      .withMessage('Idioma deve ter entre 2 e 10 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  applyTemplate: [
+    param('pacote')
+      .isIn(PACOTES_CATEGORIAS)
+      .withMessage(`Pacote deve ser um destes: ${PACOTES_CATEGORIAS.join(', ')}`),
+
+    body('idioma')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 10 })
+      .withMessage('Idioma deve ter entre 2 e 10 caracteres'),
+
+    body('rendaMensal')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Renda mensal deve ser um número positivo'),
+
     handleValidationErrors
   ]
 };
 
+/**
+ * Validações das linhas de uma transação dividida entre categorias
+ * @param {String} campo - Caminho do campo (ex.: 'divisoes' ou 'transactions.*.divisoes')
+ */
+const splitLineFields = (campo = 'divisoes') => [
+  body(campo)
+    .optional()
+    .isArray()
+    .withMessage('Divisões devem ser uma lista'),
+
+  body(`${campo}.*.categoria`)
+    .isMongoId()
+    .withMessage('ID da categoria da divisão inválido'),
+
+  body(`${campo}.*.valor`)
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor da divisão deve ser um número positivo'),
+
+  body(`${campo}.*.tags`)
+    .optional()
+    .isArray()
+    .withMessage('Tags da divisão devem ser uma lista'),
+
+  body(`${campo}.*.observacoes`)
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Observações da divisão não podem ter mais de 500 caracteres')
+];
+
 /**
  * Validações para transações
  */
@@ -198,6 +322,11 @@ const transactionValidation = {
       .isISO8601()
       .withMessage('Data deve estar no formato ISO 8601'),
     
+    body('moeda')
+      .optional({ nullable: true })
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+    
     body('categoriaId')
       .optional()
       .isMongoId()
@@ -207,12 +336,27 @@ const transactionValidation = {
       .optional()
       .isMongoId()
       .withMessage('ID do cartão inválido'),
+
+    body('estabelecimento')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID do estabelecimento inválido'),
+    
+    body('account')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID da conta inválido'),
     
     body('recorrente')
       .optional()
       .isBoolean()
       .withMessage('Recorrente deve ser verdadeiro ou falso'),
     
+    body('recorrencia.frequencia')
+      .if(body('recorrencia').exists())
+      .isIn(['diaria', 'semanal', 'mensal', 'anual'])
+      .withMessage('Frequência deve ser "diaria", "semanal", "mensal" ou "anual"'),
+    
     body('observacoes')
       .optional()
       .trim()
@@ -229,6 +373,8 @@ const transactionValidation = {
       .trim()
       .isLength({ max: 50 })
       .withMessage('Cada tag não pode ter mais de 50 caracteres'),
+
+    ...splitLineFields(),
     
     handleValidationErrors
   ],
@@ -261,6 +407,11 @@ const transactionValidation = {
       .isISO8601()
       .withMessage('Data deve estar no formato ISO 8601'),
     
+    body('moeda')
+      .optional({ nullable: true })
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+    
     body('categoriaId')
       .optional()
       .isMongoId()
@@ -270,6 +421,16 @@ const transactionValidation = {
       .optional()
       .isMongoId()
       .withMessage('ID do cartão inválido'),
+
+    body('estabelecimento')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID do estabelecimento inválido'),
+    
+    body('account')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID da conta inválido'),
     
     body('recorrente')
       .optional()
@@ -286,6 +447,8 @@ const transactionValidation = {
       .optional()
       .isIn(['pendente', 'confirmada', 'cancelada'])
       .withMessage('Status deve ser "pendente", "confirmada" ou "cancelada"'),
+
+    ...splitLineFields(),
     
     handleValidationErrors
   ],
@@ -313,20 +476,1161 @@ const transactionValidation = {
     body('transactions.*.data')
       .isISO8601()
       .withMessage('Data deve estar no formato ISO 8601'),
+
+    body('transactions.*.moeda')
+      .optional({ nullable: true })
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+
+    ...splitLineFields('transactions.*.divisoes'),
     
+    handleValidationErrors
+  ],
+
+  filters: [
+    query('tipo')
+      .optional()
+      .isIn(['receita', 'despesa'])
+      .withMessage('Tipo deve ser "receita" ou "despesa"'),
+
+    query(['categorias', 'cartoes', 'contas', 'estabelecimentos'])
+      .optional()
+      .custom(value => String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id.trim())))
+      .withMessage('Informe IDs válidos separados por vírgula'),
+
+    query('tagsModo')
+      .optional()
+      .isIn(['todas', 'qualquer'])
+      .withMessage('Modo das tags deve ser "todas" ou "qualquer"'),
+
+    query(['valorMin', 'valorMax'])
+      .optional()
+      .isFloat()
+      .withMessage('Valor deve ser um número'),
+
+    query('comAnexo')
+      .optional()
+      .isBoolean()
+      .withMessage('comAnexo deve ser true ou false'),
+
+    query('combinar')
+      .optional()
+      .isIn(['and', 'or'])
+      .withMessage('combinar deve ser "and" ou "or"'),
+
+    query('texto')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Texto da busca não pode ter mais de 200 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  search: [
+    body('filtro')
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage('Filtro deve ser um objeto'),
+
+    body('texto')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Texto da busca não pode ter mais de 200 caracteres'),
+
+    body('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Página deve ser um número inteiro positivo'),
+
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limite deve ser um número entre 1 e 100'),
+
+    body('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Ordem deve ser "asc" ou "desc"'),
+
+    handleValidationErrors
+  ],
+
+  refund: [
+    body('valor')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Valor deve ser um número positivo'),
+
+    body('data')
+      .optional()
+      .isISO8601()
+      .withMessage('Data deve estar no formato ISO 8601'),
+
+    body('descricao')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Descrição deve ter entre 1 e 500 caracteres'),
+
+    body('observacoes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Observações não podem ter mais de 1000 caracteres'),
+
     handleValidationErrors
   ]
 };
 
 /**
- * Validações para parâmetros de ID
+ * Seleção das transações de uma operação em lote: lista de IDs ou filtro
+ * @returns {Array} Validações
  */
-const idValidation = {
-  mongoId: [
-    param('id')
+const bulkSelectionFields = () => [
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('IDs devem ser uma lista com 1 a 500 itens'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ID de transação inválido'),
+
+  body('filtro')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Filtro deve ser um objeto'),
+
+  body('texto')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Texto da busca não pode ter mais de 200 caracteres'),
+
+  body()
+    .custom(value => Boolean(value.ids) !== Boolean(value.filtro || value.texto))
+    .withMessage('Informe os IDs ou um filtro (apenas um dos dois)')
+];
+
+/**
+ * Validações para operações em lote de transações
+ */
+const transactionBulkValidation = {
+  update: [
+    ...bulkSelectionFields(),
+
+    body('alteracoes')
+      .isObject()
+      .withMessage('Alterações são obrigatórias'),
+
+    body('alteracoes.categoria')
+      .optional({ nullable: true })
       .isMongoId()
-      .withMessage('ID inválido'),
+      .withMessage('ID da categoria inválido'),
+
+    body('alteracoes.cartao')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID do cartão inválido'),
+
+    body('alteracoes.status')
+      .optional()
+      .isIn(['pendente', 'confirmada', 'cancelada'])
+      .withMessage('Status deve ser "pendente", "confirmada" ou "cancelada"'),
+
+    body('alteracoes.tags')
+      .optional()
+      .isObject()
+      .withMessage('Tags devem ser um objeto { adicionar, remover }'),
+
+    body(['alteracoes.tags.adicionar', 'alteracoes.tags.remover'])
+      .optional()
+      .isArray()
+      .withMessage('Tags a adicionar e remover devem ser listas'),
+
+    body(['alteracoes.tags.adicionar.*', 'alteracoes.tags.remover.*'])
+      .isString()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 50 })
+      .withMessage('Cada tag deve ter de 1 a 50 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  delete: [
+    ...bulkSelectionFields(),
+
+    handleValidationErrors
+  ],
+
+  selection: [
+    ...bulkSelectionFields(),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para duplicatas de transações
+ */
+const duplicateValidation = {
+  merge: [
+    body('manter')
+      .isMongoId()
+      .withMessage('ID da transação mantida inválido'),
+
+    body('remover')
+      .isArray({ min: 1 })
+      .withMessage('Informe pelo menos uma transação para remover'),
+
+    body('remover.*')
+      .isMongoId()
+      .withMessage('ID de transação inválido'),
+
+    handleValidationErrors
+  ],
+
+  dismiss: [
+    body('transacoes')
+      .isArray({ min: 2 })
+      .withMessage('Informe pelo menos duas transações'),
+
+    body('transacoes.*')
+      .isMongoId()
+      .withMessage('ID de transação inválido'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para séries recorrentes
+ */
+const recurrenceRuleFields = [
+  body('intervalo')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Intervalo deve ser um número inteiro positivo'),
+  
+  body('diaDoMes')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Dia do mês deve ser entre 1 e 31'),
+  
+  body('dataFim')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Data final deve estar no formato ISO 8601'),
+  
+  body('totalOcorrencias')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Total de ocorrências deve ser um número inteiro positivo')
+];
+
+const recurrenceValidation = {
+  create: [
+    body('tipo')
+      .notEmpty()
+      .withMessage('Tipo da transação é obrigatório')
+      .isIn(['receita', 'despesa'])
+      .withMessage('Tipo deve ser "receita" ou "despesa"'),
+    
+    body('valor')
+      .notEmpty()
+      .withMessage('Valor é obrigatório')
+      .isFloat({ min: 0.01 })
+      .withMessage('Valor deve ser um número positivo'),
+    
+    body('descricao')
+      .trim()
+      .notEmpty()
+      .withMessage('Descrição é obrigatória')
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Descrição deve ter entre 1 e 500 caracteres'),
+    
+    body('categoriaId')
+      .optional()
+      .isMongoId()
+      .withMessage('ID da categoria inválido'),
+    
+    body('cartaoId')
+      .optional()
+      .isMongoId()
+      .withMessage('ID do cartão inválido'),
+    
+    body('frequencia')
+      .notEmpty()
+      .withMessage('Frequência é obrigatória')
+      .isIn(['diaria', 'semanal', 'mensal', 'anual'])
+      .withMessage('Frequência deve ser "diaria", "semanal", "mensal" ou "anual"'),
+    
+    body('dataInicio')
+      .notEmpty()
+      .withMessage('Data de início é obrigatória')
+      .isISO8601()
+      .withMessage('Data de início deve estar no formato ISO 8601'),
+    
+    body('account')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID da conta inválido'),
+    
+    body('moeda')
+      .optional({ nullable: true })
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+    
+    ...splitLineFields(),
+    
+    ...recurrenceRuleFields,
+    
+    handleValidationErrors
+  ],
+
+  occurrence: [
+    body('data')
+      .notEmpty()
+      .withMessage('Data da ocorrência é obrigatória')
+      .isISO8601()
+      .withMessage('Data deve estar no formato ISO 8601'),
     
+    handleValidationErrors
+  ],
+
+  following: [
+    body('data')
+      .notEmpty()
+      .withMessage('Data da ocorrência é obrigatória')
+      .isISO8601()
+      .withMessage('Data deve estar no formato ISO 8601'),
+    
+    body('tipo')
+      .optional()
+      .isIn(['receita', 'despesa'])
+      .withMessage('Tipo deve ser "receita" ou "despesa"'),
+    
+    body('valor')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Valor deve ser um número positivo'),
+    
+    body('frequencia')
+      .optional()
+      .isIn(['diaria', 'semanal', 'mensal', 'anual'])
+      .withMessage('Frequência deve ser "diaria", "semanal", "mensal" ou "anual"'),
+    
+    body('account')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID da conta inválido'),
+    
+    body('moeda')
+      .optional({ nullable: true })
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+    
+    ...splitLineFields(),
+    
+    ...recurrenceRuleFields,
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para compras parceladas no cartão
+ */
+const cardPurchaseValidation = {
+  create: [
+    body('descricao')
+      .trim()
+      .notEmpty()
+      .withMessage('Descrição é obrigatória')
+      .isLength({ min: 1, max: 450 })
+      .withMessage('Descrição deve ter entre 1 e 450 caracteres'),
+    
+    body('valorTotal')
+      .notEmpty()
+      .withMessage('Valor total é obrigatório')
+      .isFloat({ min: 0.01 })
+      .withMessage('Valor total deve ser um número positivo'),
+    
+    body('parcelas')
+      .notEmpty()
+      .withMessage('Número de parcelas é obrigatório')
+      .isInt({ min: 1, max: 72 })
+      .withMessage('Número de parcelas deve ser entre 1 e 72'),
+    
+    body('juros')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Juros deve ser um percentual entre 0 e 100'),
+    
+    body('data')
+      .optional()
+      .isISO8601()
+      .withMessage('Data deve estar no formato ISO 8601'),
+    
+    body('categoriaId')
+      .optional()
+      .isMongoId()
+      .withMessage('ID da categoria inválido'),
+    
+    handleValidationErrors
+  ],
+
+  purchaseId: [
+    param('purchaseId')
+      .isMongoId()
+      .withMessage('ID da compra inválido'),
+    
+    handleValidationErrors
+  ],
+
+  anticipate: [
+    param('purchaseId')
+      .isMongoId()
+      .withMessage('ID da compra inválido'),
+    
+    body('parcelas')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantidade de parcelas deve ser um número inteiro positivo'),
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para faturas do cartão
+ */
+const cardStatementValidation = {
+  referencia: [
+    param('referencia')
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage('Referência deve estar no formato AAAA-MM'),
+    
+    handleValidationErrors
+  ],
+
+  pay: [
+    param('referencia')
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage('Referência deve estar no formato AAAA-MM'),
+    
+    body('valor')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Valor deve ser um número positivo'),
+    
+    body('data')
+      .optional()
+      .isISO8601()
+      .withMessage('Data deve estar no formato ISO 8601'),
+    
+    handleValidationErrors
+  ],
+
+  removePayment: [
+    param('referencia')
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage('Referência deve estar no formato AAAA-MM'),
+    
+    param('transactionId')
+      .isMongoId()
+      .withMessage('ID da transação inválido'),
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para contas bancárias
+ */
+const accountFields = [
+  body('type')
+    .optional()
+    .isIn(['checking', 'savings', 'investment', 'cash'])
+    .withMessage('Tipo deve ser "checking", "savings", "investment" ou "cash"'),
+  
+  body('bank')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Nome do banco não pode ter mais de 100 caracteres'),
+  
+  body('initialBalance')
+    .optional()
+    .isFloat()
+    .withMessage('Saldo inicial deve ser um número'),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Moeda deve ter 3 caracteres'),
+  
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Cor deve estar no formato hexadecimal'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Descrição não pode ter mais de 500 caracteres')
+];
+
+const accountValidation = {
+  create: [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Nome da conta é obrigatório')
+      .isLength({ max: 100 })
+      .withMessage('Nome não pode ter mais de 100 caracteres'),
+    
+    body('type')
+      .notEmpty()
+      .withMessage('Tipo da conta é obrigatório'),
+    
+    ...accountFields,
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Nome da conta não pode estar vazio')
+      .isLength({ max: 100 })
+      .withMessage('Nome não pode ter mais de 100 caracteres'),
+    
+    ...accountFields,
+    
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('Ativa deve ser verdadeiro ou falso'),
+    
+    handleValidationErrors
+  ],
+
+  history: [
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data inicial deve estar no formato ISO 8601'),
+    
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data final deve estar no formato ISO 8601'),
+    
+    query('groupBy')
+      .optional()
+      .isIn(['dia', 'mes'])
+      .withMessage('Agrupamento deve ser "dia" ou "mes"'),
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para transferências
+ */
+const transferEndpoint = (campo, nome, optional = false) => {
+  const tipo = body(`${campo}.tipo`);
+  return [
+    (optional ? tipo.if(body(campo).exists()) : tipo)
+      .isIn(['conta', 'cartao', 'cofrinho'])
+      .withMessage(`Tipo da ${nome} deve ser "conta", "cartao" ou "cofrinho"`),
+    
+    body(`${campo}.id`)
+      .if(body(`${campo}.tipo`).isIn(['conta', 'cartao']))
+      .isMongoId()
+      .withMessage(`ID da ${nome} inválido`)
+  ];
+};
+
+const transferFields = [
+  body('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data deve estar no formato ISO 8601'),
+  
+  body('descricao')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Descrição não pode ter mais de 500 caracteres'),
+  
+  body('observacoes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Observações não podem ter mais de 1000 caracteres'),
+  
+  body('referencia')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Referência deve estar no formato AAAA-MM')
+];
+
+const transferValidation = {
+  create: [
+    ...transferEndpoint('origem', 'origem'),
+    ...transferEndpoint('destino', 'destino'),
+    
+    body('valor')
+      .notEmpty()
+      .withMessage('Valor é obrigatório')
+      .isFloat({ min: 0.01 })
+      .withMessage('Valor deve ser um número positivo'),
+    
+    ...transferFields,
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    ...transferEndpoint('origem', 'origem', true),
+    ...transferEndpoint('destino', 'destino', true),
+    
+    body('valor')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Valor deve ser um número positivo'),
+    
+    ...transferFields,
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para importação de extratos (campos do multipart/form-data)
+ */
+const importTargetFields = [
+  body('account')
+    .optional()
+    .isMongoId()
+    .withMessage('ID da conta inválido'),
+  
+  body('cartao')
+    .optional()
+    .isMongoId()
+    .withMessage('ID do cartão inválido'),
+  
+  body('categoria')
+    .optional()
+    .isMongoId()
+    .withMessage('ID da categoria inválido')
+];
+
+const importValidation = {
+  csv: [
+    body('preset')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Preset inválido'),
+    
+    ...importTargetFields,
+    
+    handleValidationErrors
+  ],
+
+  ofx: [
+    ...importTargetFields,
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para regras de categorização
+ */
+const categoryRuleFields = [
+  body('prioridade')
+    .optional()
+    .isInt()
+    .withMessage('Prioridade deve ser um número inteiro'),
+  
+  body('ativo')
+    .optional()
+    .isBoolean()
+    .withMessage('Ativo deve ser verdadeiro ou falso'),
+  
+  body('condicoes.descricaoContem')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Texto da condição não pode ter mais de 200 caracteres'),
+  
+  body('condicoes.descricaoRegex')
+    .optional({ values: 'falsy' })
+    .custom(value => {
+      const erro = validateSafeRegex(value);
+      if (erro) throw new Error(erro);
+      return true;
+    }),
+  
+  body('condicoes.valorMin')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Valor mínimo deve ser um número positivo'),
+  
+  body('condicoes.valorMax')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Valor máximo deve ser um número positivo'),
+  
+  body('condicoes.cartao')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('ID do cartão inválido'),
+  
+  body('condicoes.tipo')
+    .optional()
+    .isIn(['receita', 'despesa'])
+    .withMessage('Tipo deve ser "receita" ou "despesa"'),
+  
+  body('acoes.categoria')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('ID da categoria inválido'),
+  
+  body('acoes.tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags devem ser um array'),
+  
+  body('acoes.descricao')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Descrição não pode ter mais de 500 caracteres'),
+  
+  body('acoes.status')
+    .optional()
+    .isIn(['pendente', 'confirmada', 'cancelada'])
+    .withMessage('Status deve ser "pendente", "confirmada" ou "cancelada"')
+];
+
+const categoryRuleValidation = {
+  create: [
+    body('nome')
+      .trim()
+      .notEmpty()
+      .withMessage('Nome da regra é obrigatório')
+      .isLength({ max: 100 })
+      .withMessage('Nome não pode ter mais de 100 caracteres'),
+    
+    body('condicoes')
+      .isObject()
+      .withMessage('Condições são obrigatórias'),
+    
+    body('acoes')
+      .isObject()
+      .withMessage('Ações são obrigatórias'),
+    
+    ...categoryRuleFields,
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    body('nome')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Nome da regra não pode estar vazio')
+      .isLength({ max: 100 })
+      .withMessage('Nome não pode ter mais de 100 caracteres'),
+    
+    ...categoryRuleFields,
+    
+    handleValidationErrors
+  ],
+
+  apply: [
+    body('sobrescreverCategoria')
+      .optional()
+      .isBoolean()
+      .withMessage('Sobrescrever categoria deve ser verdadeiro ou falso'),
+    
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data inicial deve estar no formato ISO 8601'),
+    
+    body('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data final deve estar no formato ISO 8601'),
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para tags
+ */
+const tagName = (campo) => campo
+  .trim()
+  .notEmpty()
+  .withMessage('Nome da tag é obrigatório')
+  .isLength({ max: 50 })
+  .withMessage('Tag não pode ter mais de 50 caracteres');
+
+const tagValidation = {
+  name: [
+    tagName(param('nome')),
+
+    handleValidationErrors
+  ],
+
+  update: [
+    tagName(param('nome')),
+
+    tagName(body('nome').optional()),
+
+    body('cor')
+      .optional()
+      .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+      .withMessage('Cor deve estar no formato hexadecimal'),
+
+    body()
+      .custom(value => value.nome !== undefined || value.cor !== undefined)
+      .withMessage('Informe o novo nome ou a cor da tag'),
+
+    handleValidationErrors
+  ],
+
+  merge: [
+    body('origem')
+      .isArray({ min: 1 })
+      .withMessage('Informe as tags a mesclar'),
+
+    tagName(body('origem.*')),
+
+    tagName(body('destino')),
+
+    handleValidationErrors
+  ]
+};
+
+const TIPOS_AUDITADOS = ['transactions', 'debts', 'goals', 'cards', 'investments'];
+
+const auditValidation = {
+  list: [
+    query('tipo')
+      .optional()
+      .isIn(TIPOS_AUDITADOS)
+      .withMessage(`Tipo deve ser um destes: ${TIPOS_AUDITADOS.join(', ')}`),
+
+    query('acao')
+      .optional()
+      .isIn(['criacao', 'alteracao', 'exclusao'])
+      .withMessage('Ação deve ser "criacao", "alteracao" ou "exclusao"'),
+
+    query('origem')
+      .optional()
+      .isIn(['web', 'importacao', 'regra', 'agendador', 'sistema'])
+      .withMessage('Origem deve ser "web", "importacao", "regra", "agendador" ou "sistema"'),
+
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data inicial deve estar no formato ISO 8601'),
+
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data final deve estar no formato ISO 8601'),
+
+    handleValidationErrors
+  ],
+
+  document: [
+    param('tipo')
+      .isIn(TIPOS_AUDITADOS)
+      .withMessage(`Tipo deve ser um destes: ${TIPOS_AUDITADOS.join(', ')}`),
+
+    param('id')
+      .isMongoId()
+      .withMessage('ID inválido'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para cotações de moedas
+ */
+const exchangeRateValidation = {
+  list: [
+    query('de')
+      .optional()
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda de origem deve ser um código ISO de 3 letras'),
+
+    query('para')
+      .optional()
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda de destino deve ser um código ISO de 3 letras'),
+
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data inicial deve estar no formato ISO 8601'),
+
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Data final deve estar no formato ISO 8601'),
+
+    handleValidationErrors
+  ],
+
+  create: [
+    body('de')
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda de origem deve ser um código ISO de 3 letras'),
+
+    body('para')
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda de destino deve ser um código ISO de 3 letras'),
+
+    body('taxa')
+      .isFloat({ gt: 0 })
+      .withMessage('Taxa deve ser um número positivo'),
+
+    body('data')
+      .notEmpty()
+      .withMessage('Data é obrigatória')
+      .isISO8601()
+      .withMessage('Data deve estar no formato ISO 8601'),
+
+    handleValidationErrors
+  ],
+
+  convert: [
+    query('valor')
+      .isFloat({ min: 0 })
+      .withMessage('Valor deve ser um número positivo'),
+
+    query('de')
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda de origem deve ser um código ISO de 3 letras'),
+
+    query('para')
+      .optional()
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Moeda de destino deve ser um código ISO de 3 letras'),
+
+    query('data')
+      .optional()
+      .isISO8601()
+      .withMessage('Data deve estar no formato ISO 8601'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para conciliação com extratos
+ */
+const reconciliationValidation = {
+  list: [
+    query('account')
+      .optional()
+      .isMongoId()
+      .withMessage('ID da conta inválido'),
+
+    query('cartao')
+      .optional()
+      .isMongoId()
+      .withMessage('ID do cartão inválido'),
+
+    query('status')
+      .optional()
+      .isIn(['aberta', 'concluida'])
+      .withMessage('Status deve ser "aberta" ou "concluida"'),
+
+    handleValidationErrors
+  ],
+
+  create: [
+    body('account')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID da conta inválido'),
+
+    body('cartao')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('ID do cartão inválido'),
+
+    body()
+      .custom(value => !value.account !== !value.cartao)
+      .withMessage('Informe a conta ou o cartão (apenas um dos dois)'),
+
+    body('dataFim')
+      .notEmpty()
+      .withMessage('Data final do extrato é obrigatória')
+      .isISO8601()
+      .withMessage('Data final deve estar no formato ISO 8601'),
+
+    body('saldoFinal')
+      .notEmpty()
+      .withMessage('Saldo final do extrato é obrigatório')
+      .isFloat()
+      .withMessage('Saldo final deve ser um número'),
+
+    handleValidationErrors
+  ],
+
+  update: [
+    body('dataFim')
+      .optional()
+      .isISO8601()
+      .withMessage('Data final deve estar no formato ISO 8601'),
+
+    body('saldoFinal')
+      .optional()
+      .isFloat()
+      .withMessage('Saldo final deve ser um número'),
+
+    handleValidationErrors
+  ],
+
+  items: [
+    body('marcar')
+      .optional()
+      .isArray()
+      .withMessage('Marcar deve ser uma lista de IDs'),
+
+    body('marcar.*')
+      .isMongoId()
+      .withMessage('ID de transação inválido'),
+
+    body('desmarcar')
+      .optional()
+      .isArray()
+      .withMessage('Desmarcar deve ser uma lista de IDs'),
+
+    body('desmarcar.*')
+      .isMongoId()
+      .withMessage('ID de transação inválido'),
+
+    handleValidationErrors
+  ],
+
+  complete: [
+    body('criarAjuste')
+      .optional()
+      .isBoolean()
+      .withMessage('criarAjuste deve ser verdadeiro ou falso'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para estabelecimentos
+ */
+const merchantFields = [
+  body('apelidos')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Apelidos devem ser uma lista com até 50 itens'),
+
+  body('apelidos.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada apelido deve ter entre 1 e 100 caracteres'),
+
+  body('categoria')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('ID da categoria inválido')
+];
+
+const merchantValidation = {
+  create: [
+    body('nome')
+      .trim()
+      .notEmpty()
+      .withMessage('Nome do estabelecimento é obrigatório')
+      .isLength({ max: 100 })
+      .withMessage('Nome não pode ter mais de 100 caracteres'),
+
+    ...merchantFields,
+
+    handleValidationErrors
+  ],
+
+  update: [
+    body('nome')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Nome do estabelecimento não pode estar vazio')
+      .isLength({ max: 100 })
+      .withMessage('Nome não pode ter mais de 100 caracteres'),
+
+    ...merchantFields,
+
+    handleValidationErrors
+  ],
+
+  autocomplete: [
+    query('q')
+      .trim()
+      .notEmpty()
+      .withMessage('Informe o texto para buscar')
+      .isLength({ max: 100 })
+      .withMessage('Texto não pode ter mais de 100 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  stats: [
+    query('meses')
+      .optional()
+      .isInt({ min: 1, max: 36 })
+      .withMessage('Meses deve ser um número entre 1 e 36'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validações para parâmetros de ID
+ */
+const idValidation = {
+  mongoId: [
+    param('id')
+      .isMongoId()
+      .withMessage('ID inválido'),
+    
+    handleValidationErrors
+  ],
+
+  attachmentId: [
+    param('attachmentId')
+      .isMongoId()
+      .withMessage('ID do anexo inválido'),
+
     handleValidationErrors
   ]
 };
@@ -430,6 +1734,20 @@ module.exports = {
   authValidation,
   categoryValidation,
   transactionValidation,
+  transactionBulkValidation,
+  duplicateValidation,
+  recurrenceValidation,
+  cardPurchaseValidation,
+  cardStatementValidation,
+  accountValidation,
+  transferValidation,
+  importValidation,
+  categoryRuleValidation,
+  tagValidation,
+  auditValidation,
+  exchangeRateValidation,
+  reconciliationValidation,
+  merchantValidation,
   idValidation,
   queryValidation,
   userValidation
@@ -81,7 +81,13 @@ const accountSchema = new mongoose.Schema({
   timestamps: true,
   toJSON: { 
     virtuals: true,
-    getters: true
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
   },
   toObject: { 
     virtuals: true,
@@ -110,6 +116,11 @@ accountSchema.virtual('availableBalance').get(function() {
 
 // Middleware para validação de campos específicos por tipo
 accountSchema.pre('save', function(next) {
+  // Conta nova começa com o saldo inicial
+  if (this.isNew && !this.isModified('balance')) {
+    this.balance = this.initialBalance;
+  }
+
   if (this.type === 'credit') {
     if (!this.dueDate || !this.closingDate) {
       return next(new Error('Contas de crédito devem ter data de vencimento e fechamento'));
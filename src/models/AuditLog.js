@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Campo alterado: valor anterior e novo (null na criação e na exclusão, respectivamente)
+const changeSchema = new mongoose.Schema({
+  campo: {
+    type: String,
+    required: true
+  },
+  antes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  depois: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Registro do histórico de alterações de um documento financeiro
+const auditLogSchema = new mongoose.Schema({
+  // Dono do documento alterado
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  // Quem fez a alteração (null quando feita pelo sistema)
+  autor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  modelo: {
+    type: String,
+    required: [true, 'Modelo é obrigatório'],
+    enum: {
+      values: ['Transaction', 'Debt', 'Goal', 'Card', 'Investment'],
+      message: 'Modelo inválido'
+    }
+  },
+  documento: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Documento é obrigatório']
+  },
+  acao: {
+    type: String,
+    required: [true, 'Ação é obrigatória'],
+    enum: {
+      values: ['criacao', 'alteracao', 'exclusao'],
+      message: 'Ação inválida'
+    }
+  },
+  origem: {
+    type: String,
+    enum: {
+      values: ['web', 'importacao', 'regra', 'agendador', 'sistema'],
+      message: 'Origem inválida'
+    },
+    default: 'sistema'
+  },
+  alteracoes: [changeSchema],
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, modelo: 1, documento: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
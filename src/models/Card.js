@@ -32,7 +32,13 @@ const cardSchema = new mongoose.Schema({
     min: [1, 'Dia de vencimento deve ser entre 1 e 31'],
     max: [31, 'Dia de vencimento deve ser entre 1 e 31']
   },
-  // diaFechamento removido para compatibilidade com o frontend
+  // Opcional para compatibilidade com o frontend; sem ele o fechamento é 7 dias antes do vencimento
+  diaFechamento: {
+    type: Number,
+    default: null,
+    min: [1, 'Dia de fechamento deve ser entre 1 e 31'],
+    max: [31, 'Dia de fechamento deve ser entre 1 e 31']
+  },
   ativo: {
     type: Boolean,
     default: true
@@ -97,7 +103,81 @@ cardSchema.virtual('proximoVencimento').get(function() {
   return proximoVencimento;
 });
 
-// Virtual para próximo fechamento removido (diaFechamento não existe mais)
+// Virtual para dia de fechamento efetivo
+cardSchema.virtual('diaFechamentoEfetivo').get(function() {
+  if (this.diaFechamento) return this.diaFechamento;
+
+  const dia = this.diaVencimento - 7;
+  return dia < 1 ? dia + 30 : dia;
+});
+
+// Virtual para próximo fechamento
+cardSchema.virtual('proximoFechamento').get(function() {
+  return this.getCiclo(new Date()).fechamento;
+});
+
+// Virtual para melhor dia de compra (dia seguinte ao fechamento)
+cardSchema.virtual('melhorDiaCompra').get(function() {
+  const dia = this.diaFechamentoEfetivo + 1;
+  return dia > 31 ? 1 : dia;
+});
+
+// Limita o dia ao último dia do mês
+const diaNoMes = (ano, mes, dia) => Math.min(dia, new Date(ano, mes + 1, 0).getDate());
+
+/**
+ * Calcula o ciclo de fatura que fecha no mês informado
+ * @param {Number} ano - Ano do fechamento
+ * @param {Number} mes - Mês do fechamento (0-11)
+ * @returns {Object} referencia (AAAA-MM do vencimento), inicio, fechamento e vencimento
+ */
+cardSchema.methods.getCicloPorFechamento = function(ano, mes) {
+  const diaFechamento = this.diaFechamentoEfetivo;
+
+  const fechamento = new Date(ano, mes, diaNoMes(ano, mes, diaFechamento), 23, 59, 59, 999);
+  const fechamentoAnterior = new Date(ano, mes - 1, diaNoMes(ano, mes - 1, diaFechamento));
+  const inicio = new Date(
+    fechamentoAnterior.getFullYear(),
+    fechamentoAnterior.getMonth(),
+    fechamentoAnterior.getDate() + 1
+  );
+
+  // Vencimento no mesmo mês se vier depois do fechamento, senão no mês seguinte
+  const mesVencimento = this.diaVencimento > diaFechamento ? mes : mes + 1;
+  const vencimento = new Date(ano, mesVencimento, 1);
+  vencimento.setDate(diaNoMes(vencimento.getFullYear(), vencimento.getMonth(), this.diaVencimento));
+
+  const referencia = `${vencimento.getFullYear()}-${String(vencimento.getMonth() + 1).padStart(2, '0')}`;
+
+  return { referencia, inicio, fechamento, vencimento };
+};
+
+/**
+ * Calcula o ciclo de fatura pela referência (mês de vencimento)
+ * @param {String} referencia - Mês de vencimento no formato AAAA-MM
+ * @returns {Object} Ciclo da fatura
+ */
+cardSchema.methods.getCicloPorReferencia = function(referencia) {
+  const [ano, mes] = referencia.split('-').map(Number);
+  const mesFechamento = this.diaVencimento > this.diaFechamentoEfetivo ? mes - 1 : mes - 2;
+  const data = new Date(ano, mesFechamento, 1);
+
+  return this.getCicloPorFechamento(data.getFullYear(), data.getMonth());
+};
+
+/**
+ * Calcula o ciclo de fatura em que uma data (compra) é lançada
+ * @param {Date} data - Data da compra
+ * @returns {Object} Ciclo da fatura
+ */
+cardSchema.methods.getCiclo = function(data) {
+  const dataCompra = new Date(data);
+  const ciclo = this.getCicloPorFechamento(dataCompra.getFullYear(), dataCompra.getMonth());
+
+  if (dataCompra <= ciclo.fechamento) return ciclo;
+
+  return this.getCicloPorFechamento(dataCompra.getFullYear(), dataCompra.getMonth() + 1);
+};
 
 // Virtual para transações do cartão
 cardSchema.virtual('transactions', {
@@ -142,10 +222,12 @@ cardSchema.methods.getGastosMes = async function(ano, mes) {
       $match: {
         cartaoId: this._id,
         data: { $gte: startDate, $lte: endDate },
-        tipo: 'despesa',
         status: 'confirmada'
       }
     },
+    // Estornos no cartão abatem os gastos
+    ...Transaction.refundStages(),
+    { $match: { tipo: 'despesa' } },
     {
       $group: {
         _id: null,
@@ -154,7 +236,7 @@ cardSchema.methods.getGastosMes = async function(ano, mes) {
     }
   ]);
   
-  return result.length > 0 ? Math.abs(result[0].total) : 0;
+  return result.length > 0 ? Math.max(0, Math.round(result[0].total * 100) / 100) : 0;
 };
 
 module.exports = mongoose.model('Card', cardSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const cardPurchaseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  cartao: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: [true, 'Cartão é obrigatório']
+  },
+  descricao: {
+    type: String,
+    required: [true, 'Descrição é obrigatória'],
+    trim: true,
+    maxlength: [450, 'Descrição não pode ter mais de 450 caracteres']
+  },
+  categoria: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  valorTotal: {
+    type: Number,
+    required: [true, 'Valor total é obrigatório'],
+    min: [0.01, 'Valor total deve ser positivo'],
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  numeroParcelas: {
+    type: Number,
+    required: [true, 'Número de parcelas é obrigatório'],
+    min: [1, 'Número de parcelas deve ser pelo menos 1'],
+    max: [72, 'Número de parcelas não pode ser maior que 72']
+  },
+  // Taxa de juros mensal em percentual (0 = sem juros)
+  juros: {
+    type: Number,
+    default: 0,
+    min: [0, 'Juros deve ser positivo'],
+    max: [100, 'Juros não pode ser maior que 100%']
+  },
+  valorParcela: {
+    type: Number,
+    required: true,
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  valorTotalComJuros: {
+    type: Number,
+    required: true,
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  dataCompra: {
+    type: Date,
+    required: [true, 'Data da compra é obrigatória']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['ativa', 'quitada', 'cancelada'],
+      message: 'Status inválido'
+    },
+    default: 'ativa'
+  },
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Observações não podem ter mais de 1000 caracteres']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tag não pode ter mais de 50 caracteres']
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+cardPurchaseSchema.index({ user: 1, cartao: 1, dataCompra: -1 });
+cardPurchaseSchema.index({ user: 1, status: 1 });
+
+// Virtual para as parcelas (transações) da compra
+cardPurchaseSchema.virtual('parcelas', {
+  ref: 'Transaction',
+  localField: '_id',
+  foreignField: 'compra'
+});
+
+// Virtual para juros pagos na compra
+cardPurchaseSchema.virtual('valorJuros').get(function() {
+  return Math.round((this.valorTotalComJuros - this.valorTotal) * 100) / 100;
+});
+
+/**
+ * Calcula os valores das parcelas
+ * Sem juros, os centavos restantes da divisão vão para as primeiras parcelas;
+ * com juros, usa a tabela Price (parcelas iguais).
+ * @param {Number} valorTotal - Valor total da compra
+ * @param {Number} numeroParcelas - Quantidade de parcelas
+ * @param {Number} juros - Taxa de juros mensal em percentual
+ * @returns {Array<Number>} Valor de cada parcela
+ */
+cardPurchaseSchema.statics.calcularParcelas = function(valorTotal, numeroParcelas, juros = 0) {
+  const totalCentavos = Math.round(valorTotal * 100);
+
+  if (!juros) {
+    const base = Math.floor(totalCentavos / numeroParcelas);
+    const resto = totalCentavos - base * numeroParcelas;
+
+    return Array.from({ length: numeroParcelas }, (_, i) => (base + (i < resto ? 1 : 0)) / 100);
+  }
+
+  const taxa = juros / 100;
+  const parcela = (valorTotal * taxa) / (1 - Math.pow(1 + taxa, -numeroParcelas));
+
+  return Array.from({ length: numeroParcelas }, () => Math.round(parcela * 100) / 100);
+};
+
+module.exports = mongoose.model('CardPurchase', cardPurchaseSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const cardStatementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  cartao: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: [true, 'Cartão é obrigatório']
+  },
+  // Mês de vencimento da fatura no formato AAAA-MM
+  referencia: {
+    type: String,
+    required: [true, 'Referência é obrigatória'],
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Referência deve estar no formato AAAA-MM']
+  },
+  inicio: {
+    type: Date,
+    required: true
+  },
+  fechamento: {
+    type: Date,
+    required: true
+  },
+  vencimento: {
+    type: Date,
+    required: true
+  },
+  valorTotal: {
+    type: Number,
+    default: 0,
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  valorPago: {
+    type: Number,
+    default: 0,
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  quantidadeItens: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['aberta', 'fechada', 'paga', 'vencida'],
+      message: 'Status inválido'
+    },
+    default: 'aberta'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+cardStatementSchema.index({ cartao: 1, referencia: 1 }, { unique: true });
+cardStatementSchema.index({ user: 1, status: 1 });
+
+// Virtual para valor restante a pagar
+cardStatementSchema.virtual('valorRestante').get(function() {
+  return Math.max(0, Math.round((this.valorTotal - this.valorPago) * 100) / 100);
+});
+
+// Virtual para pagamentos da fatura
+cardStatementSchema.virtual('pagamentos', {
+  ref: 'Transaction',
+  localField: '_id',
+  foreignField: 'fatura'
+});
+
+// Método para calcular o status a partir dos valores e datas
+cardStatementSchema.methods.calcularStatus = function(agora = new Date()) {
+  if (agora <= this.fechamento) return 'aberta';
+  if (this.valorTotal - this.valorPago <= 0.005) return 'paga';
+
+  const fimVencimento = new Date(this.vencimento);
+  fimVencimento.setHours(23, 59, 59, 999);
+
+  return agora > fimVencimento ? 'vencida' : 'fechada';
+};
+
+module.exports = mongoose.model('CardStatement', cardStatementSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const MAX_NIVEIS = 5;
+
 const categorySchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -37,6 +39,12 @@ const categorySchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [500, 'Descrição não pode ter mais de 500 caracteres']
+  },
+  // Categoria pai (null = categoria de primeiro nível); deve ser do mesmo usuário e tipo
+  pai: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
   }
 }, {
   timestamps: true,
@@ -56,6 +64,7 @@ const categorySchema = new mongoose.Schema({
 categorySchema.index({ user: 1, ativo: 1 });
 categorySchema.index({ user: 1, tipo: 1 });
 categorySchema.index({ user: 1, nome: 1 }, { unique: true });
+categorySchema.index({ user: 1, pai: 1 });
 
 // Virtual para transações da categoria
 categorySchema.virtual('transactions', {
@@ -64,6 +73,154 @@ categorySchema.virtual('transactions', {
   foreignField: 'categoriaId'
 });
 
+/**
+ * Agrupa as categorias pelo ID da pai
+ * Categorias cuja pai não está na lista (ex.: pai inativa) ficam no primeiro nível.
+ * @param {Array} categories - Categorias do usuário
+ * @returns {Map} ID da pai (ou 'raiz') -> subcategorias
+ */
+const groupByParent = (categories) => {
+  const ids = new Set(categories.map(category => category._id.toString()));
+  const filhos = new Map();
+
+  categories.forEach(category => {
+    const pai = category.pai && ids.has(category.pai.toString()) ? category.pai.toString() : 'raiz';
+    if (!filhos.has(pai)) filhos.set(pai, []);
+    filhos.get(pai).push(category);
+  });
+
+  return filhos;
+};
+
+categorySchema.statics.MAX_NIVEIS = MAX_NIVEIS;
+
+/**
+ * Monta a árvore de categorias, em ordem alfabética em cada nível
+ * @param {Array} categories - Categorias do usuário
+ * @param {String} raizId - Monta só a subárvore desta categoria (opcional)
+ * @returns {Array} Nós { ...categoria, subcategorias }
+ */
+categorySchema.statics.buildTree = function(categories, raizId = null) {
+  const filhos = groupByParent(categories);
+
+  const montar = (category) => ({
+    ...(typeof category.toJSON === 'function' ? category.toJSON() : category),
+    subcategorias: (filhos.get(category._id.toString()) || [])
+      .sort((a, b) => a.nome.localeCompare(b.nome))
+      .map(montar)
+  });
+
+  const raizes = raizId
+    ? categories.filter(category => category._id.toString() === raizId.toString())
+    : (filhos.get('raiz') || []).sort((a, b) => a.nome.localeCompare(b.nome));
+
+  return raizes.map(montar);
+};
+
+/**
+ * Lista os IDs de todas as subcategorias (filhas, netas...) de uma categoria
+ * @param {Array} categories - Categorias do usuário
+ * @param {String} id - ID da categoria
+ * @returns {Array<String>} IDs das subcategorias
+ */
+categorySchema.statics.getDescendantIds = function(categories, id) {
+  const filhos = groupByParent(categories);
+  const ids = [];
+  const pendentes = [id.toString()];
+
+  while (pendentes.length > 0) {
+    (filhos.get(pendentes.pop()) || []).forEach(filho => {
+      ids.push(filho._id.toString());
+      pendentes.push(filho._id.toString());
+    });
+  }
+
+  return ids;
+};
+
+/**
+ * Caminho da categoria a partir do primeiro nível (ex.: Alimentação > Restaurantes > Delivery)
+ * @param {Array} categories - Categorias do usuário
+ * @param {String} id - ID da categoria
+ * @returns {Array} Categorias, da raiz até a própria categoria
+ */
+categorySchema.statics.getPath = function(categories, id) {
+  const porId = new Map(categories.map(category => [category._id.toString(), category]));
+  const caminho = [];
+  let atual = porId.get(id.toString());
+
+  // O limite de níveis protege contra ciclos gravados antes da validação
+  while (atual && caminho.length <= MAX_NIVEIS) {
+    caminho.unshift(atual);
+    atual = atual.pai ? porId.get(atual.pai.toString()) : null;
+  }
+
+  return caminho;
+};
+
+/**
+ * Confere a categoria pai de uma categoria nova ou alterada
+ * A pai deve ser do usuário, estar ativa, ter o mesmo tipo, não ser a própria categoria nem uma
+ * subcategoria dela, e a árvore não pode passar de MAX_NIVEIS níveis.
+ * @param {Array} categories - Categorias do usuário
+ * @param {Object} category - { id (na alteração), pai, tipo }
+ * @returns {String|null} Mensagem de erro ou null se válida
+ */
+categorySchema.statics.validateParent = function(categories, { id = null, pai, tipo }) {
+  if (!pai) return null;
+
+  const categoriaPai = categories.find(category => category._id.toString() === pai.toString());
+  if (!categoriaPai) return 'Categoria pai não encontrada';
+  if (!categoriaPai.ativo) return 'Categoria pai inativa';
+  if (categoriaPai.tipo !== tipo) return 'A categoria pai deve ser do mesmo tipo';
+
+  let altura = 1;
+  if (id) {
+    if (pai.toString() === id.toString() || this.getDescendantIds(categories, id).includes(pai.toString())) {
+      return 'Uma categoria não pode ficar dentro dela mesma nem de uma subcategoria sua';
+    }
+
+    const medir = (categoryId) => 1 + Math.max(0, ...categories
+      .filter(category => category.pai && category.pai.toString() === categoryId.toString())
+      .map(category => medir(category._id)));
+    altura = medir(id);
+  }
+
+  if (this.getPath(categories, pai).length + altura > MAX_NIVEIS) {
+    return `Máximo de ${MAX_NIVEIS} níveis de categorias`;
+  }
+
+  return null;
+};
+
+/**
+ * Soma os totais de cada categoria com os das suas subcategorias
+ * @param {Array} categories - Categorias do usuário
+ * @param {Map} totais - ID da categoria -> { total, count } da própria categoria
+ * @returns {Map} ID da categoria -> { total, count } incluindo as subcategorias
+ */
+categorySchema.statics.rollup = function(categories, totais) {
+  const filhos = groupByParent(categories);
+  const result = new Map();
+
+  const somar = (category) => {
+    const id = category._id.toString();
+    const proprio = totais.get(id) || { total: 0, count: 0 };
+    const soma = (filhos.get(id) || []).map(somar).reduce(
+      (acc, item) => ({ total: acc.total + item.total, count: acc.count + item.count }),
+      { total: proprio.total, count: proprio.count }
+    );
+
+    soma.total = Math.round(soma.total * 100) / 100;
+    result.set(id, soma);
+    return soma;
+  };
+
+  (filhos.get('raiz') || []).forEach(somar);
+
+  return result;
+};
+
 // Método estático para buscar categorias ativas do usuário
 categorySchema.statics.findActiveByUser = function(userId, tipo = null) {
   const query = { user: userId, ativo: true };
@@ -78,15 +235,27 @@ categorySchema.methods.getMonthlySpent = async function(year, month) {
   
   const startDate = new Date(year, month - 1, 1);
   const endDate = new Date(year, month, 0, 23, 59, 59);
+
+  // Inclui os gastos das subcategorias
+  const categories = await this.constructor.find({ user: this.user }).lean();
+  const ids = [
+    this._id,
+    ...this.constructor.getDescendantIds(categories, this._id).map(id => new mongoose.Types.ObjectId(id))
+  ];
   
   const result = await Transaction.aggregate([
     {
       $match: {
-        categoriaId: this._id,
-        data: { $gte: startDate, $lte: endDate },
-        tipo: 'despesa'
+        $or: [{ categoriaId: { $in: ids } }, { 'divisoes.categoria': { $in: ids } }],
+        status: 'confirmada',
+        data: { $gte: startDate, $lte: endDate }
       }
     },
+    // Estornos abatem os gastos da categoria da compra original
+    ...Transaction.refundStages(),
+    { $match: { tipo: 'despesa' } },
+    ...Transaction.splitStages(),
+    { $match: { categoriaId: { $in: ids } } },
     {
       $group: {
         _id: null,
@@ -95,7 +264,7 @@ categorySchema.methods.getMonthlySpent = async function(year, month) {
     }
   ]);
   
-  return result.length > 0 ? Math.abs(result[0].total) : 0;
+  return result.length > 0 ? Math.max(0, Math.round(result[0].total * 100) / 100) : 0;
 };
 
 module.exports = mongoose.model('Category', categorySchema);
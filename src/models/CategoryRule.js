@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const { MAX_TAMANHO, validateSafeRegex } = require('../utils/safeRegex');
+
+const escapeRegex = texto => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const categoryRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome da regra é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome não pode ter mais de 100 caracteres']
+  },
+  // Regras com menor prioridade são avaliadas primeiro
+  prioridade: {
+    type: Number,
+    default: 0
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  condicoes: {
+    descricaoContem: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Texto da condição não pode ter mais de 200 caracteres']
+    },
+    // Expressão regular restrita à sintaxe segura (ver utils/safeRegex)
+    descricaoRegex: {
+      type: String,
+      trim: true,
+      maxlength: [MAX_TAMANHO, `Expressão regular não pode ter mais de ${MAX_TAMANHO} caracteres`]
+    },
+    valorMin: {
+      type: Number,
+      default: null
+    },
+    valorMax: {
+      type: Number,
+      default: null
+    },
+    cartao: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Card',
+      default: null
+    },
+    tipo: {
+      type: String,
+      enum: {
+        values: ['receita', 'despesa'],
+        message: 'Tipo de transação inválido'
+      }
+    }
+  },
+  acoes: {
+    categoria: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Tag não pode ter mais de 50 caracteres']
+    }],
+    descricao: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Descrição não pode ter mais de 500 caracteres']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pendente', 'confirmada', 'cancelada'],
+        message: 'Status inválido'
+      }
+    }
+  },
+  aplicacoes: {
+    type: Number,
+    default: 0
+  },
+  ultimaAplicacao: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+categoryRuleSchema.index({ user: 1, ativo: 1, prioridade: 1 });
+
+// Middleware para validar condições e ações
+categoryRuleSchema.pre('validate', function(next) {
+  const { condicoes, acoes } = this;
+
+  if (condicoes.descricaoRegex) {
+    const erroRegex = validateSafeRegex(condicoes.descricaoRegex);
+    if (erroRegex) this.invalidate('condicoes.descricaoRegex', erroRegex);
+  }
+
+  if (!this.hasConditions()) {
+    this.invalidate('condicoes', 'Informe pelo menos uma condição');
+  }
+
+  const temAcao = acoes.categoria || (acoes.tags && acoes.tags.length > 0) || acoes.descricao || acoes.status;
+  if (!temAcao) {
+    this.invalidate('acoes', 'Informe pelo menos uma ação');
+  }
+
+  next();
+});
+
+/**
+ * Verifica se a regra tem pelo menos uma condição
+ * @returns {Boolean} true se há condição
+ */
+categoryRuleSchema.methods.hasConditions = function() {
+  const { condicoes } = this;
+  return Boolean(condicoes.descricaoContem || condicoes.descricaoRegex || condicoes.cartao || condicoes.tipo ||
+    condicoes.valorMin !== null || condicoes.valorMax !== null);
+};
+
+/**
+ * Verifica se a expressão regular da regra pode ser avaliada
+ * Regras gravadas antes da restrição de sintaxe, com expressão fora dela, não são aplicadas até serem editadas.
+ * @returns {Boolean} true se não há expressão ou se ela é segura
+ */
+categoryRuleSchema.methods.hasSafeRegex = function() {
+  const { descricaoRegex } = this.condicoes;
+  return !descricaoRegex || validateSafeRegex(descricaoRegex) === null;
+};
+
+/**
+ * Verifica se a transação atende às condições da regra
+ * @param {Object} transaction - Transação (documento ou dados)
+ * @returns {Boolean} true se a regra se aplica
+ */
+categoryRuleSchema.methods.matches = function(transaction) {
+  const { condicoes } = this;
+  const descricao = transaction.descricao || '';
+  const valor = Math.abs(transaction.valor);
+  const cartao = transaction.cartaoId || transaction.cartao;
+  const cartaoRegra = condicoes.cartao && (condicoes.cartao._id || condicoes.cartao);
+
+  if (!this.hasConditions() || !this.hasSafeRegex()) return false;
+
+  if (condicoes.descricaoContem &&
+      !descricao.toLowerCase().includes(condicoes.descricaoContem.toLowerCase())) return false;
+  if (condicoes.descricaoRegex && !new RegExp(condicoes.descricaoRegex, 'i').test(descricao)) return false;
+  if (condicoes.valorMin !== null && valor < condicoes.valorMin) return false;
+  if (condicoes.valorMax !== null && valor > condicoes.valorMax) return false;
+  if (condicoes.tipo && transaction.tipo !== condicoes.tipo) return false;
+  if (cartaoRegra && (!cartao || (cartao._id || cartao).toString() !== cartaoRegra.toString())) return false;
+
+  return true;
+};
+
+/**
+ * Monta o filtro do MongoDB equivalente às condições (para aplicar em transações existentes)
+ * @returns {Object} Filtro de transações
+ */
+categoryRuleSchema.methods.toQuery = function() {
+  const { condicoes } = this;
+  const query = {};
+  const descricao = [];
+
+  if (condicoes.descricaoContem) descricao.push({ descricao: { $regex: escapeRegex(condicoes.descricaoContem), $options: 'i' } });
+  if (condicoes.descricaoRegex) descricao.push({ descricao: { $regex: condicoes.descricaoRegex, $options: 'i' } });
+  if (descricao.length > 0) query.$and = descricao;
+
+  if (condicoes.valorMin !== null || condicoes.valorMax !== null) {
+    query.valor = {};
+    if (condicoes.valorMin !== null) query.valor.$gte = condicoes.valorMin;
+    if (condicoes.valorMax !== null) query.valor.$lte = condicoes.valorMax;
+  }
+
+  if (condicoes.tipo) query.tipo = condicoes.tipo;
+  if (condicoes.cartao) query.cartaoId = condicoes.cartao._id || condicoes.cartao;
+
+  return query;
+};
+
+// Método estático para buscar regras ativas do usuário na ordem de avaliação
+categoryRuleSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ user: userId, ativo: true }).sort({ prioridade: 1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema);
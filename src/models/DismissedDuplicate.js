@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Par de transações que o usuário confirmou não serem duplicadas
+const dismissedDuplicateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  transacoes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  // IDs do par ordenados, para localizar o par em qualquer ordem
+  chave: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices
+dismissedDuplicateSchema.index({ user: 1, chave: 1 }, { unique: true });
+
+/**
+ * Monta a chave de um par de transações
+ * @param {String} a - ID da primeira transação
+ * @param {String} b - ID da segunda transação
+ * @returns {String} Chave do par
+ */
+dismissedDuplicateSchema.statics.buildKey = function(a, b) {
+  return [a.toString(), b.toString()].sort().join(':');
+};
+
+module.exports = mongoose.model('DismissedDuplicate', dismissedDuplicateSchema);
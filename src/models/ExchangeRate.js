@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Cotação de uma moeda em outra numa data: 1 "de" = taxa "para"
+const exchangeRateSchema = new mongoose.Schema({
+  // Cotação informada pelo usuário; null para as carregadas do arquivo de cotações (valem para todos)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  de: {
+    type: String,
+    required: [true, 'Moeda de origem é obrigatória'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Moeda de origem deve ser um código ISO de 3 letras']
+  },
+  para: {
+    type: String,
+    required: [true, 'Moeda de destino é obrigatória'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Moeda de destino deve ser um código ISO de 3 letras']
+  },
+  taxa: {
+    type: Number,
+    required: [true, 'Taxa é obrigatória'],
+    min: [0.000001, 'Taxa deve ser positiva']
+  },
+  data: {
+    type: Date,
+    required: [true, 'Data é obrigatória']
+  },
+  origem: {
+    type: String,
+    enum: {
+      values: ['manual', 'arquivo'],
+      message: 'Origem inválida'
+    },
+    default: 'manual'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices
+exchangeRateSchema.index({ user: 1, de: 1, para: 1, data: -1 }, { unique: true });
+exchangeRateSchema.index({ de: 1, para: 1, data: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  formato: {
+    type: String,
+    enum: {
+      values: ['csv', 'ofx'],
+      message: 'Formato inválido'
+    },
+    required: [true, 'Formato é obrigatório']
+  },
+  nomeArquivo: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Nome do arquivo não pode ter mais de 255 caracteres']
+  },
+  preset: {
+    type: String,
+    default: null
+  },
+  // Mapeamento de colunas usado na importação
+  mapeamento: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  cartao: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  quantidadeImportada: {
+    type: Number,
+    default: 0
+  },
+  quantidadeRejeitada: {
+    type: Number,
+    default: 0
+  },
+  quantidadeDuplicada: {
+    type: Number,
+    default: 0
+  },
+  totalReceitas: {
+    type: Number,
+    default: 0,
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  totalDespesas: {
+    type: Number,
+    default: 0,
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['concluida', 'revertida'],
+      message: 'Status inválido'
+    },
+    default: 'concluida'
+  },
+  revertidaEm: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+importBatchSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual para as transações importadas no lote
+importBatchSchema.virtual('transacoes', {
+  ref: 'Transaction',
+  localField: '_id',
+  foreignField: 'importacao'
+});
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Estabelecimento (loja, app, prestador) que aparece nas descrições das transações
+const merchantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome do estabelecimento é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome não pode ter mais de 100 caracteres']
+  },
+  // Outras formas como o estabelecimento aparece nas descrições (ex.: "IFOOD *", "IFD*")
+  apelidos: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Apelido não pode ter mais de 100 caracteres']
+  }],
+  // Categoria usada nas transações novas do estabelecimento que chegam sem categoria
+  categoria: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+merchantSchema.index({ user: 1, nome: 1 }, { unique: true });
+
+/**
+ * Normaliza um texto para comparação: sem acentos, em maiúsculas, só letras e números
+ * separados por um espaço ("iFood *Restaurante X" -> "IFOOD RESTAURANTE X")
+ * @param {String} texto - Texto
+ * @returns {String} Texto normalizado
+ */
+merchantSchema.statics.normalize = function(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Nome e apelidos normalizados, sem repetições
+ * @returns {Array<String>} Termos do estabelecimento
+ */
+merchantSchema.methods.getTermos = function() {
+  const Merchant = this.constructor;
+  return [...new Set([this.nome, ...(this.apelidos || [])].map(termo => Merchant.normalize(termo)).filter(Boolean))];
+};
+
+/**
+ * Tamanho do maior termo do estabelecimento encontrado na descrição, como palavras inteiras
+ * @param {String} descricao - Descrição da transação
+ * @returns {Number} Tamanho do termo (0 se nenhum termo aparece)
+ */
+merchantSchema.methods.matchLength = function(descricao) {
+  const texto = ` ${this.constructor.normalize(descricao)} `;
+
+  return this.getTermos()
+    .filter(termo => texto.includes(` ${termo} `))
+    .reduce((maior, termo) => Math.max(maior, termo.length), 0);
+};
+
+module.exports = mongoose.model('Merchant', merchantSchema);
@@ -30,6 +30,17 @@ const piggyBankSchema = new mongoose.Schema({
   ano: {
     type: Number,
     required: true
+  },
+  tipo: {
+    type: String,
+    enum: ['deposito', 'retirada'],
+    default: 'deposito'
+  },
+  // Entrada gerada por uma transferência
+  transferencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transfer',
+    default: null
   }
 }, {
   timestamps: true,
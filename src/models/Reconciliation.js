@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const reconciliationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  // Conta bancária ou cartão conciliado (apenas um dos dois)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  cartao: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  // Data final do extrato (fim do dia)
+  dataFim: {
+    type: Date,
+    required: [true, 'Data final do extrato é obrigatória']
+  },
+  // Saldo de fechamento informado no extrato (no cartão, o valor devido)
+  saldoFinal: {
+    type: Number,
+    required: [true, 'Saldo final do extrato é obrigatório'],
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  // Saldo final da conciliação anterior (ou o saldo inicial da conta)
+  saldoInicial: {
+    type: Number,
+    default: 0,
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['aberta', 'concluida'],
+      message: 'Status inválido'
+    },
+    default: 'aberta'
+  },
+  // Transações marcadas como presentes no extrato
+  transacoes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  // Transação de ajuste criada na conclusão para cobrir a diferença
+  ajuste: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  concluidaEm: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+reconciliationSchema.index({ user: 1, account: 1, dataFim: -1 });
+reconciliationSchema.index({ user: 1, cartao: 1, dataFim: -1 });
+
+// Exige exatamente uma conta ou um cartão
+reconciliationSchema.pre('validate', function(next) {
+  if (!this.account === !this.cartao) {
+    this.invalidate('account', 'Informe a conta ou o cartão da conciliação');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Reconciliation', reconciliationSchema);
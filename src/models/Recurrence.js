@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+
+// Linha da divisão entre categorias, copiada para cada ocorrência (como em Transaction.divisoes)
+const templateSplitLineSchema = new mongoose.Schema({
+  categoria: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Categoria da divisão é obrigatória']
+  },
+  valor: {
+    type: Number,
+    required: [true, 'Valor da divisão é obrigatório'],
+    min: [0.01, 'Valor da divisão deve ser positivo'],
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tag não pode ter mais de 50 caracteres']
+  }],
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Observações da divisão não podem ter mais de 500 caracteres']
+  }
+}, { _id: false });
+
+const recurrenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  // Modelo usado para gerar cada ocorrência
+  template: {
+    tipo: {
+      type: String,
+      required: [true, 'Tipo da transação é obrigatório'],
+      enum: {
+        values: ['receita', 'despesa'],
+        message: 'Tipo de transação inválido'
+      }
+    },
+    valor: {
+      type: Number,
+      required: [true, 'Valor é obrigatório'],
+      get: v => Math.round(v * 100) / 100,
+      set: v => Math.round(v * 100) / 100
+    },
+    descricao: {
+      type: String,
+      required: [true, 'Descrição é obrigatória'],
+      trim: true,
+      maxlength: [500, 'Descrição não pode ter mais de 500 caracteres']
+    },
+    categoria: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    cartao: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Card',
+      default: null
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null
+    },
+    // Em moeda estrangeira, "valor" fica na moeda base e o valor na moeda original em valorOriginal,
+    // convertido pela cotação da primeira ocorrência
+    moeda: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Código da moeda deve ter 3 letras'],
+      default: null
+    },
+    valorOriginal: {
+      type: Number,
+      default: null
+    },
+    taxaCambio: {
+      type: Number,
+      default: null
+    },
+    divisoes: [templateSplitLineSchema],
+    observacoes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Observações não podem ter mais de 1000 caracteres']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Tag não pode ter mais de 50 caracteres']
+    }]
+  },
+  frequencia: {
+    type: String,
+    required: [true, 'Frequência é obrigatória'],
+    enum: {
+      values: ['diaria', 'semanal', 'mensal', 'anual'],
+      message: 'Frequência inválida'
+    }
+  },
+  intervalo: {
+    type: Number,
+    default: 1,
+    min: [1, 'Intervalo deve ser pelo menos 1']
+  },
+  diaDoMes: {
+    type: Number,
+    default: null,
+    min: [1, 'Dia do mês deve ser entre 1 e 31'],
+    max: [31, 'Dia do mês deve ser entre 1 e 31']
+  },
+  dataInicio: {
+    type: Date,
+    required: [true, 'Data de início é obrigatória']
+  },
+  dataFim: {
+    type: Date,
+    default: null
+  },
+  totalOcorrencias: {
+    type: Number,
+    default: null,
+    min: [1, 'Total de ocorrências deve ser pelo menos 1']
+  },
+  // Quantidade de ocorrências da série já processadas (geradas ou puladas)
+  ocorrenciasProcessadas: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  datasIgnoradas: [{
+    type: Date
+  }],
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  // Série que deu origem a esta (edição "esta e as seguintes")
+  origem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recurrence',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+recurrenceSchema.index({ user: 1, ativo: 1 });
+recurrenceSchema.index({ ativo: 1 });
+
+// Virtual para transações geradas pela série
+recurrenceSchema.virtual('transactions', {
+  ref: 'Transaction',
+  localField: '_id',
+  foreignField: 'recorrencia'
+});
+
+// Virtual para verificar se a série terminou
+recurrenceSchema.virtual('encerrada').get(function() {
+  if (!this.ativo) return true;
+  if (this.totalOcorrencias && this.ocorrenciasProcessadas >= this.totalOcorrencias) return true;
+  return this.occurrences({ skip: this.ocorrenciasProcessadas, limit: 1 }).length === 0;
+});
+
+// Calcula a n-ésima data candidata da série (antes de aplicar início/fim)
+recurrenceSchema.methods.candidateDate = function(n) {
+  const inicio = new Date(this.dataInicio);
+  const passo = n * (this.intervalo || 1);
+  const hora = [inicio.getHours(), inicio.getMinutes(), inicio.getSeconds()];
+
+  switch (this.frequencia) {
+    case 'diaria':
+      return new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + passo, ...hora);
+    case 'semanal':
+      return new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + passo * 7, ...hora);
+    case 'mensal': {
+      const dia = this.diaDoMes || inicio.getDate();
+      const ultimoDia = new Date(inicio.getFullYear(), inicio.getMonth() + passo + 1, 0).getDate();
+      return new Date(inicio.getFullYear(), inicio.getMonth() + passo, Math.min(dia, ultimoDia), ...hora);
+    }
+    case 'anual': {
+      const ultimoDia = new Date(inicio.getFullYear() + passo, inicio.getMonth() + 1, 0).getDate();
+      return new Date(inicio.getFullYear() + passo, inicio.getMonth(), Math.min(inicio.getDate(), ultimoDia), ...hora);
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Lista as datas de ocorrência da série, em ordem
+ * @param {Object} options - skip (ocorrências a pular), until (data limite) e limit (máximo)
+ * @returns {Array<Date>} Datas das ocorrências
+ */
+recurrenceSchema.methods.occurrences = function({ skip = 0, until = null, limit = 100 } = {}) {
+  const datas = [];
+  const inicio = new Date(this.dataInicio);
+  let indice = 0;
+
+  for (let n = 0; datas.length < limit; n++) {
+    const data = this.candidateDate(n);
+    if (!data) break;
+
+    // No mensal com diaDoMes, a primeira data candidata pode cair antes do início
+    if (data < inicio) continue;
+
+    if (this.dataFim && data > this.dataFim) break;
+    if (this.totalOcorrencias && indice >= this.totalOcorrencias) break;
+    if (until && data > until) break;
+
+    if (indice >= skip) datas.push(data);
+    indice++;
+  }
+
+  return datas;
+};
+
+// Método para verificar se uma data foi marcada como ignorada
+recurrenceSchema.methods.isSkipped = function(data) {
+  const alvo = new Date(data).getTime();
+  return this.datasIgnoradas.some(d => new Date(d).getTime() === alvo);
+};
+
+// Método estático para buscar séries ativas do usuário
+recurrenceSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ user: userId, ativo: true })
+    .populate('template.categoria', 'nome cor icone')
+    .populate('template.cartao', 'nome bandeira')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Recurrence', recurrenceSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Dados de exibição de uma tag; as tags em si continuam sendo textos nos documentos
+const tagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome da tag é obrigatório'],
+    trim: true,
+    maxlength: [50, 'Tag não pode ter mais de 50 caracteres']
+  },
+  cor: {
+    type: String,
+    default: '#6B7280',
+    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Cor deve estar no formato hexadecimal']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices
+tagSchema.index({ user: 1, nome: 1 }, { unique: true });
+
+module.exports = mongoose.model('Tag', tagSchema);
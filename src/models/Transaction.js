@@ -1,5 +1,75 @@
 const mongoose = require('mongoose');
 
+// Comprovante anexado (o arquivo fica no backend de armazenamento, sob a chave)
+const attachmentSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome do arquivo é obrigatório'],
+    trim: true,
+    maxlength: [255, 'Nome do arquivo não pode ter mais de 255 caracteres']
+  },
+  tipo: {
+    type: String,
+    required: [true, 'Tipo do arquivo é obrigatório']
+  },
+  tamanho: {
+    type: Number,
+    required: [true, 'Tamanho do arquivo é obrigatório']
+  },
+  chave: {
+    type: String,
+    required: true
+  },
+  enviadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.chave;
+      return ret;
+    }
+  }
+});
+
+// Parte de uma transação dividida entre várias categorias
+const splitLineSchema = new mongoose.Schema({
+  categoria: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Categoria da divisão é obrigatória']
+  },
+  valor: {
+    type: Number,
+    required: [true, 'Valor da divisão é obrigatório'],
+    min: [0.01, 'Valor da divisão deve ser positivo'],
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tag não pode ter mais de 50 caracteres']
+  }],
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Observações da divisão não podem ter mais de 500 caracteres']
+  }
+}, {
+  toJSON: {
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
 const transactionSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -20,6 +90,25 @@ const transactionSchema = new mongoose.Schema({
     get: v => Math.round(v * 100) / 100,
     set: v => Math.round(v * 100) / 100
   },
+  // Moeda em que a transação foi feita (null = moeda base do usuário); "valor" fica sempre
+  // convertido para a moeda base e o valor na moeda original fica em valorOriginal
+  moeda: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Código da moeda deve ter 3 letras'],
+    default: null
+  },
+  valorOriginal: {
+    type: Number,
+    default: null,
+    get: v => (v == null ? v : Math.round(v * 100) / 100),
+    set: v => (v == null ? v : Math.round(v * 100) / 100)
+  },
+  // Cotação usada na conversão (moeda da transação -> moeda base)
+  taxaCambio: {
+    type: Number,
+    default: null
+  },
   descricao: {
     type: String,
     required: [true, 'Descrição é obrigatória'],
@@ -51,10 +140,79 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Card',
     default: null
   },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  // Estabelecimento identificado pela descrição (ou escolhido pelo usuário)
+  estabelecimento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    default: null
+  },
   recorrente: {
     type: Boolean,
     default: false
   },
+  recorrencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recurrence',
+    default: null
+  },
+  // Parcela de uma compra parcelada no cartão
+  compra: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CardPurchase',
+    default: null
+  },
+  parcela: {
+    type: Number,
+    default: null,
+    min: [1, 'Parcela deve ser pelo menos 1']
+  },
+  totalParcelas: {
+    type: Number,
+    default: null,
+    min: [1, 'Total de parcelas deve ser pelo menos 1']
+  },
+  // Pagamento de fatura do cartão (não conta como receita)
+  fatura: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CardStatement',
+    default: null
+  },
+  // Perna de uma transferência entre contas, cartões e cofrinho (não conta como receita/despesa)
+  transferencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transfer',
+    default: null
+  },
+  // Lote de importação de extrato que criou a transação
+  importacao: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    default: null
+  },
+  // Identificador do lançamento no banco (FITID do OFX), usado para evitar duplicidade
+  idExterno: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Estorno (ou chargeback) de uma despesa: é lançado como receita na conta ou cartão, mas nos
+  // totais abate a despesa original, na mesma categoria, em vez de contar como receita
+  estornoDe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // Transação anterior muito parecida (possível lançamento em dobro)
+  possivelDuplicata: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
   observacoes: {
     type: String,
     trim: true,
@@ -65,9 +223,9 @@ const transactionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Tag não pode ter mais de 50 caracteres']
   }],
-  anexos: [{
-    type: String
-  }],
+  anexos: [attachmentSchema],
+  // Linhas por categoria; quando preenchidas, somam o valor da transação
+  divisoes: [splitLineSchema],
   status: {
     type: String,
     enum: {
@@ -75,6 +233,17 @@ const transactionSchema = new mongoose.Schema({
       message: 'Status inválido'
     },
     default: 'confirmada'
+  },
+  // Data em que foi para a lixeira (null = transação ativa)
+  excluidaEm: {
+    type: Date,
+    default: null
+  },
+  // Conciliação concluída que conferiu a transação com o extrato (trava os campos que mexem no saldo)
+  conciliacao: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reconciliation',
+    default: null
   }
 }, {
   timestamps: true,
@@ -98,8 +267,39 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ user: 1, data: -1 });
 transactionSchema.index({ categoriaId: 1, data: -1 });
 transactionSchema.index({ cartaoId: 1, data: -1 });
+transactionSchema.index({ account: 1, data: -1 });
 transactionSchema.index({ user: 1, tipo: 1, data: -1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ compra: 1, parcela: 1 });
+transactionSchema.index({ fatura: 1 });
+transactionSchema.index({ transferencia: 1 });
+transactionSchema.index({ importacao: 1 });
+transactionSchema.index({ user: 1, idExterno: 1 });
+transactionSchema.index({ possivelDuplicata: 1 });
+transactionSchema.index({ conciliacao: 1 });
+transactionSchema.index({ estornoDe: 1 });
+transactionSchema.index({ user: 1, estabelecimento: 1, data: -1 });
+transactionSchema.index({ 'divisoes.categoria': 1 });
+transactionSchema.index({ user: 1, tags: 1 });
+transactionSchema.index({ user: 1, status: 1, data: -1 });
+transactionSchema.index({ user: 1, valor: 1 });
+transactionSchema.index({ user: 1, excluidaEm: -1 });
+// Busca textual em descrição e observações (uma coleção só pode ter um índice de texto)
+transactionSchema.index(
+  { descricao: 'text', observacoes: 'text' },
+  { name: 'busca_textual', weights: { descricao: 3, observacoes: 1 }, default_language: 'portuguese' }
+);
+transactionSchema.index(
+  { recorrencia: 1, data: 1 },
+  { unique: true, partialFilterExpression: { recorrencia: { $type: 'objectId' } } }
+);
+
+// Virtual para os estornos da transação
+transactionSchema.virtual('estornos', {
+  ref: 'Transaction',
+  localField: '_id',
+  foreignField: 'estornoDe'
+});
 
 // Middleware para sincronizar campos categoria/categoriaId
 transactionSchema.pre('save', function(next) {
@@ -118,6 +318,249 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
+// Transações na lixeira ficam fora de todas as consultas, a menos que o filtro cite excluidaEm
+transactionSchema.pre([
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete',
+  'countDocuments', 'distinct', 'updateOne', 'updateMany'
+], function() {
+  if (this.getFilter().excluidaEm === undefined) {
+    this.where({ excluidaEm: null });
+  }
+});
+
+// O mesmo vale para as agregações (o $match inicial é estendido, pois $text precisa ser o primeiro estágio)
+transactionSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const inicial = pipeline[0] && pipeline[0].$match;
+
+  if (!inicial) {
+    pipeline.unshift({ $match: { excluidaEm: null } });
+  } else if (inicial.excluidaEm === undefined) {
+    pipeline[0] = { $match: { ...inicial, excluidaEm: null } };
+  }
+});
+
+// Middleware para validar a soma das divisões
+transactionSchema.pre('validate', function(next) {
+  const erro = this.constructor.validateSplit(this.valor, this.divisoes);
+  if (erro) this.invalidate('divisoes', erro);
+  next();
+});
+
+/**
+ * Confere se as divisões de uma transação são consistentes com o valor
+ * @param {Number} valor - Valor da transação
+ * @param {Array} divisoes - Linhas da divisão
+ * @returns {String|null} Mensagem de erro ou null se estiver tudo certo
+ */
+transactionSchema.statics.validateSplit = function(valor, divisoes) {
+  if (!divisoes || divisoes.length === 0) return null;
+
+  if (divisoes.length < 2) {
+    return 'Uma transação dividida precisa de pelo menos duas linhas';
+  }
+
+  const soma = divisoes.reduce((total, linha) => total + Math.round(Number(linha.valor) * 100), 0);
+  if (soma !== Math.round(Number(valor) * 100)) {
+    return `A soma das divisões (R$ ${(soma / 100).toFixed(2)}) deve ser igual ao valor da transação (R$ ${Number(valor).toFixed(2)})`;
+  }
+
+  return null;
+};
+
+// Campos que o cliente pode informar ao criar ou alterar uma transação; os demais (lixeira, fatura,
+// transferência, parcelas, importação, anexos, conciliação, estorno...) só mudam pelas próprias rotas
+const CAMPOS_DO_CLIENTE = [
+  'tipo', 'valor', 'moeda', 'descricao', 'data', 'categoria', 'categoriaId', 'categoria_id',
+  'cartao', 'cartaoId', 'account', 'estabelecimento', 'observacoes', 'tags', 'divisoes', 'status'
+];
+
+/**
+ * Mantém só os campos que o cliente pode informar
+ * A flag e a regra de recorrência só valem na criação de uma transação avulsa, que cria a série.
+ * @param {Object} dados - Dados recebidos
+ * @param {Object} options - recorrencia: true para aceitar recorrente/recorrencia
+ * @returns {Object} Dados filtrados
+ */
+transactionSchema.statics.pickClientFields = function(dados, options = {}) {
+  const campos = options.recorrencia ? [...CAMPOS_DO_CLIENTE, 'recorrente', 'recorrencia'] : CAMPOS_DO_CLIENTE;
+
+  return campos.reduce((result, campo) => {
+    if (dados[campo] !== undefined) result[campo] = dados[campo];
+    return result;
+  }, {});
+};
+
+// Campos que mexem no saldo da conta ou do cartão e ficam travados depois da conciliação
+const CAMPOS_CONCILIADOS = ['tipo', 'valor', 'moeda', 'data', 'account', 'cartao', 'cartaoId', 'status'];
+
+// Campos da parcela que vêm da compra parcelada
+const CAMPOS_PARCELA = ['tipo', 'valor', 'moeda', 'data', 'cartao', 'cartaoId'];
+
+/**
+ * Lista os campos cujas alterações mudam de fato o valor atual da transação
+ * @param {Object} transaction - Transação atual
+ * @param {Object} changes - Alterações pedidas
+ * @param {Array} campos - Campos a conferir
+ * @returns {Array} Campos alterados
+ */
+const camposAlterados = (transaction, changes, campos) => {
+  const id = v => (v && v._id ? v._id : v);
+  const iguais = (campo, atual, novo) => {
+    if (campo === 'data') return new Date(atual).getTime() === new Date(novo).getTime();
+    if (campo === 'valor') return Math.round(Number(atual) * 100) === Math.round(Number(novo) * 100);
+    return String(id(atual) || '') === String(id(novo) || '');
+  };
+
+  return campos.filter(campo =>
+    changes[campo] !== undefined && !iguais(campo, transaction[campo], changes[campo])
+  );
+};
+
+/**
+ * Confere se as alterações são permitidas numa transação conciliada
+ * Sem alterações (exclusão), qualquer transação conciliada é recusada.
+ * @param {Object} transaction - Transação atual
+ * @param {Object|null} changes - Alterações pedidas (null para exclusão)
+ * @returns {String|null} Mensagem de erro ou null se estiver tudo certo
+ */
+transactionSchema.statics.validateReconciledChanges = function(transaction, changes = null) {
+  if (!transaction.conciliacao) return null;
+
+  if (!changes) {
+    return 'Transação conciliada: desfaça a conciliação para excluí-la';
+  }
+
+  const campos = camposAlterados(transaction, changes, CAMPOS_CONCILIADOS);
+
+  if (campos.length > 0) {
+    return `Transação conciliada: desfaça a conciliação para alterar ${campos.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Confere se as alterações são permitidas numa parcela de compra parcelada
+ * Valor, data, tipo e cartão vêm da compra e só mudam por ela; exclusão também passa pela compra.
+ * @param {Object} transaction - Transação atual
+ * @param {Object|null} changes - Alterações pedidas (null para exclusão)
+ * @returns {String|null} Mensagem de erro ou null se estiver tudo certo
+ */
+transactionSchema.statics.validateInstallmentChanges = function(transaction, changes = null) {
+  if (!transaction.compra) return null;
+
+  if (!changes) {
+    return 'Parcela de compra parcelada deve ser excluída pela compra';
+  }
+
+  if (camposAlterados(transaction, changes, CAMPOS_PARCELA).length > 0) {
+    return 'Parcela de compra parcelada deve ser alterada pela compra';
+  }
+
+  return null;
+};
+
+/**
+ * Deixa pendente a transação com data futura que não tem status definido
+ * Na alteração, só a transação confirmada cuja data passa para o futuro volta a ficar pendente.
+ * Parcelas de compras parceladas ficam de fora: já comprometem o limite do cartão e entram nas
+ * faturas futuras desde a compra.
+ * @param {Object} data - Dados da transação (ou alterações)
+ * @param {Object} existing - Transação atual (na alteração)
+ * @returns {Object} Dados com o status inicial
+ */
+transactionSchema.statics.applyScheduledStatus = function(data, existing = null) {
+  if (data.status || !data.data || new Date(data.data) <= new Date()) return data;
+  if (data.compra || (existing && (existing.compra || existing.status !== 'confirmada'))) return data;
+
+  return { ...data, status: 'pendente' };
+};
+
+/**
+ * Redistribui um novo total entre as linhas de uma divisão, na proporção dos valores atuais
+ * A sobra do arredondamento fica na última linha, para a soma bater com o total.
+ * @param {Array} divisoes - Linhas da divisão
+ * @param {Number} total - Novo total
+ * @returns {Array} Linhas com os valores ajustados
+ */
+transactionSchema.statics.scaleSplit = function(divisoes, total) {
+  const linhas = divisoes.map(linha => (typeof linha.toObject === 'function' ? linha.toObject() : { ...linha }));
+  const soma = linhas.reduce((acc, linha) => acc + Number(linha.valor), 0);
+  let restante = Math.round(total * 100);
+
+  return linhas.map((linha, i) => {
+    const centavos = i === linhas.length - 1
+      ? restante
+      : Math.round(total * 100 * Number(linha.valor) / soma);
+    restante -= centavos;
+    return { ...linha, valor: centavos / 100 };
+  });
+};
+
+/**
+ * Estágio de agregação que transforma estornos em despesas negativas (inclusive as linhas da divisão),
+ * para que abatam a despesa original nos totais por tipo e por categoria
+ * Deve vir logo depois do $match inicial.
+ * @returns {Array} Estágios do pipeline
+ */
+transactionSchema.statics.refundStages = function() {
+  const estorno = { $ne: [{ $ifNull: ['$estornoDe', null] }, null] };
+  const negativo = campo => ({ $multiply: [campo, -1] });
+
+  return [
+    {
+      $addFields: {
+        tipo: { $cond: [estorno, 'despesa', '$tipo'] },
+        valor: { $cond: [estorno, negativo('$valor'), '$valor'] },
+        divisoes: {
+          $cond: [
+            estorno,
+            {
+              $map: {
+                input: { $ifNull: ['$divisoes', []] },
+                as: 'linha',
+                in: { $mergeObjects: ['$$linha', { valor: negativo('$$linha.valor') }] }
+              }
+            },
+            { $ifNull: ['$divisoes', []] }
+          ]
+        }
+      }
+    }
+  ];
+};
+
+/**
+ * Estágios de agregação que trocam cada transação dividida pelas suas linhas,
+ * para que os totais por categoria atribuam cada parte à própria categoria
+ * @returns {Array} Estágios do pipeline
+ */
+transactionSchema.statics.splitStages = function() {
+  return [
+    {
+      $addFields: {
+        linhas: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$divisoes', []] } }, 0] },
+            '$divisoes',
+            [{ categoria: { $ifNull: ['$categoriaId', '$categoria'] }, valor: '$valor' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$linhas' },
+    {
+      $addFields: {
+        categoria: '$linhas.categoria',
+        categoriaId: '$linhas.categoria',
+        valor: '$linhas.valor'
+      }
+    },
+    { $project: { linhas: 0 } }
+  ];
+};
+
 // Método estático para buscar transações do usuário
 transactionSchema.statics.findByUser = function(userId, filters = {}) {
   const query = { user: userId, ...filters };
@@ -135,7 +578,9 @@ transactionSchema.statics.getReport = function(userId, startDate, endDate, group
   const matchStage = {
     user: new mongoose.Types.ObjectId(userId),
     data: { $gte: startDate, $lte: endDate },
-    status: 'confirmada'
+    status: 'confirmada',
+    fatura: null,
+    transferencia: null
   };
   
   const groupField = groupBy === 'categoria' ? '$categoriaId' : `$${groupBy}`;
@@ -149,6 +594,7 @@ transactionSchema.statics.getReport = function(userId, startDate, endDate, group
   
   return this.aggregate([
     { $match: matchStage },
+    ...(groupBy === 'categoria' ? this.splitStages() : []),
     { $group: groupStage },
     { $sort: { total: -1 } },
     {
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Ponta da transferência: conta bancária, cartão ou cofrinho (sem id)
+const endpointSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    required: [true, 'Tipo é obrigatório'],
+    enum: {
+      values: ['conta', 'cartao', 'cofrinho'],
+      message: 'Tipo deve ser "conta", "cartao" ou "cofrinho"'
+    }
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, { _id: false, id: false });
+
+const transferSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  origem: {
+    type: endpointSchema,
+    required: [true, 'Origem é obrigatória']
+  },
+  destino: {
+    type: endpointSchema,
+    required: [true, 'Destino é obrigatório']
+  },
+  valor: {
+    type: Number,
+    required: [true, 'Valor é obrigatório'],
+    min: [0.01, 'Valor deve ser positivo'],
+    get: v => Math.round(v * 100) / 100,
+    set: v => Math.round(v * 100) / 100
+  },
+  data: {
+    type: Date,
+    required: [true, 'Data é obrigatória'],
+    default: Date.now
+  },
+  descricao: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Descrição não pode ter mais de 500 caracteres']
+  },
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Observações não podem ter mais de 1000 caracteres']
+  },
+  // Fatura paga quando o destino é um cartão
+  fatura: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CardStatement',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Índices
+transferSchema.index({ user: 1, data: -1 });
+
+// Virtual para as transações (pernas) da transferência
+transferSchema.virtual('transacoes', {
+  ref: 'Transaction',
+  localField: '_id',
+  foreignField: 'transferencia'
+});
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -10,6 +10,19 @@ const Wishlist = require('./Wishlist');
 const IncomeSource = require('./IncomeSource');
 const Limit = require('./Limit');
 const PiggyBank = require('./PiggyBank');
+const Recurrence = require('./Recurrence');
+const CardPurchase = require('./CardPurchase');
+const CardStatement = require('./CardStatement');
+const Account = require('./Account');
+const Transfer = require('./Transfer');
+const ImportBatch = require('./ImportBatch');
+const CategoryRule = require('./CategoryRule');
+const DismissedDuplicate = require('./DismissedDuplicate');
+const Tag = require('./Tag');
+const AuditLog = require('./AuditLog');
+const ExchangeRate = require('./ExchangeRate');
+const Reconciliation = require('./Reconciliation');
+const Merchant = require('./Merchant');
 
 module.exports = {
   User,
@@ -23,6 +36,19 @@ module.exports = {
   Wishlist,
   IncomeSource,
   Limit,
-  PiggyBank
+  PiggyBank,
+  Recurrence,
+  CardPurchase,
+  CardStatement,
+  Account,
+  Transfer,
+  ImportBatch,
+  CategoryRule,
+  DismissedDuplicate,
+  Tag,
+  AuditLog,
+  ExchangeRate,
+  Reconciliation,
+  Merchant
 };
 
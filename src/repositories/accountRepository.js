@@ -0,0 +1,286 @@
+const { Account, Transaction } = require('../models');
+const mongoose = require('mongoose');
+const { arredondar } = require('../utils/currency');
+
+/**
+ * Expressão do valor de uma transação na moeda da conta
+ * Transações feitas na moeda da conta entram pelo valor original; as demais, pelo valor na moeda base.
+ * @param {String} moeda - Moeda da conta
+ * @returns {Object|String} Expressão de agregação
+ */
+const valorNaMoeda = moeda => (moeda
+  ? { $cond: [{ $eq: ['$moeda', moeda] }, '$valorOriginal', '$valor'] }
+  : '$valor');
+
+class AccountRepository {
+  /**
+   * Busca conta por ID
+   * @param {String} id - ID da conta
+   * @returns {Object|null} Conta encontrada ou null
+   */
+  async findById(id) {
+    try {
+      return await Account.findById(id);
+    } catch (error) {
+      throw new Error(`Erro ao buscar conta por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca contas do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - Filtros opcionais
+   * @returns {Array} Lista de contas
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      const query = { user: userId, ...filters };
+      return await Account.find(query).sort({ name: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar contas do usuário: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca contas ativas do usuário
+   * @param {String} userId - ID do usuário
+   * @returns {Array} Lista de contas ativas
+   */
+  async findActiveByUser(userId) {
+    try {
+      return await Account.findActiveByUser(userId);
+    } catch (error) {
+      throw new Error(`Erro ao buscar contas ativas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria uma nova conta
+   * @param {Object} accountData - Dados da conta
+   * @returns {Object} Conta criada
+   */
+  async create(accountData) {
+    try {
+      // O saldo é sempre derivado do saldo inicial e das transações
+      const { balance, ...data } = accountData;
+      const account = new Account(data);
+      return await account.save();
+    } catch (error) {
+      throw new Error(`Erro ao criar conta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza uma conta
+   * @param {String} id - ID da conta
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object|null} Conta atualizada ou null
+   */
+  async update(id, updateData) {
+    try {
+      const { balance, ...data } = updateData;
+      const update = { $set: data };
+
+      // Alterar o saldo inicial desloca o saldo atual na mesma diferença
+      if (data.initialBalance !== undefined) {
+        const account = await Account.findById(id);
+        if (!account) return null;
+
+        const diferenca = arredondar(Number(data.initialBalance) - account.initialBalance);
+        if (diferenca !== 0) update.$inc = { balance: diferenca };
+      }
+
+      return await Account.findByIdAndUpdate(
+        id,
+        update,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao atualizar conta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deleta uma conta (soft delete)
+   * @param {String} id - ID da conta
+   * @returns {Object|null} Conta atualizada ou null
+   */
+  async delete(id) {
+    try {
+      return await Account.findByIdAndUpdate(
+        id,
+        { isActive: false },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao deletar conta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ajusta o saldo da conta de forma atômica
+   * @param {String} id - ID da conta
+   * @param {Number} delta - Valor a somar ao saldo (negativo para debitar)
+   * @returns {Object|null} Conta atualizada ou null
+   */
+  async adjustBalance(id, delta) {
+    try {
+      if (!id || !delta) return null;
+
+      return await Account.findByIdAndUpdate(
+        id,
+        { $inc: { balance: delta } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao ajustar saldo da conta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Soma o movimento líquido (receitas - despesas) da conta
+   * @param {String} id - ID da conta
+   * @param {Object} dataFilter - Filtro opcional de data
+   * @param {String} moeda - Moeda da conta
+   * @returns {Number} Movimento líquido
+   */
+  async getNetMovement(id, dataFilter = null, moeda = null) {
+    const match = {
+      account: new mongoose.Types.ObjectId(id),
+      status: 'confirmada'
+    };
+    if (dataFilter) match.data = dataFilter;
+
+    const result = await Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: {
+              $cond: [{ $eq: ['$tipo', 'receita'] }, valorNaMoeda(moeda), { $multiply: [valorNaMoeda(moeda), -1] }]
+            }
+          }
+        }
+      }
+    ]);
+
+    return result.length > 0 ? result[0].total : 0;
+  }
+
+  /**
+   * Recalcula o saldo da conta a partir do saldo inicial e das transações
+   * @param {String} id - ID da conta
+   * @returns {Object|null} Conta atualizada ou null
+   */
+  async recalculateBalance(id) {
+    try {
+      const account = await Account.findById(id);
+      if (!account) return null;
+
+      const movimento = await this.getNetMovement(id, null, account.currency);
+
+      return await Account.findByIdAndUpdate(
+        id,
+        { balance: arredondar(account.initialBalance + movimento) },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao recalcular saldo da conta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca a evolução do saldo da conta
+   * @param {String} id - ID da conta
+   * @param {Object} options - startDate, endDate e groupBy ('dia' ou 'mes')
+   * @returns {Object} Saldo de abertura e pontos do histórico
+   */
+  async getBalanceHistory(id, options = {}) {
+    try {
+      const { startDate = null, endDate = null, groupBy = 'dia' } = options;
+
+      const account = await Account.findById(id);
+      if (!account) return null;
+
+      const saldoAbertura = account.initialBalance +
+        (startDate ? await this.getNetMovement(id, { $lt: startDate }, account.currency) : 0);
+
+      const match = {
+        account: new mongoose.Types.ObjectId(id),
+        status: 'confirmada'
+      };
+      if (startDate || endDate) {
+        match.data = {};
+        if (startDate) match.data.$gte = startDate;
+        if (endDate) match.data.$lte = endDate;
+      }
+
+      const periodos = await Transaction.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              $dateToString: { format: groupBy === 'mes' ? '%Y-%m' : '%Y-%m-%d', date: '$data' }
+            },
+            receitas: {
+              $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, valorNaMoeda(account.currency), 0] }
+            },
+            despesas: {
+              $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, valorNaMoeda(account.currency), 0] }
+            },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      let saldo = saldoAbertura;
+      const historico = periodos.map(periodo => {
+        saldo += periodo.receitas - periodo.despesas;
+        return {
+          periodo: periodo._id,
+          receitas: arredondar(periodo.receitas),
+          despesas: arredondar(periodo.despesas),
+          count: periodo.count,
+          saldo: arredondar(saldo)
+        };
+      });
+
+      return {
+        conta: account,
+        saldoAbertura: arredondar(saldoAbertura),
+        saldoFinal: arredondar(saldo),
+        historico
+      };
+    } catch (error) {
+      throw new Error(`Erro ao buscar histórico de saldo da conta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca resumo de saldos por tipo de conta
+   * @param {String} userId - ID do usuário
+   * @returns {Object} Total geral e totais por tipo
+   */
+  async getBalanceSummary(userId) {
+    try {
+      const accounts = await Account.find({ user: userId, isActive: true }).sort({ name: 1 });
+
+      const porTipo = accounts.reduce((acc, account) => {
+        acc[account.type] = arredondar((acc[account.type] || 0) + account.balance);
+        return acc;
+      }, {});
+
+      return {
+        total: arredondar(accounts.reduce((sum, a) => sum + a.balance, 0)),
+        porTipo,
+        contas: accounts
+      };
+    } catch (error) {
+      throw new Error(`Erro ao buscar resumo de saldos: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AccountRepository();
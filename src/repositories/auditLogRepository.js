@@ -0,0 +1,172 @@
+const { AuditLog } = require('../models');
+const { getContext } = require('../utils/requestContext');
+
+// Campos de controle que não entram no histórico
+const CAMPOS_IGNORADOS = ['_id', 'id', '__v', 'user', 'createdAt', 'updatedAt'];
+
+/**
+ * Converte um documento (mongoose ou lean) em objeto simples, comparável campo a campo
+ * @param {Object} doc - Documento
+ * @returns {Object|null} Objeto com IDs e datas em texto
+ */
+const normalize = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false })
+    : doc;
+  const objeto = JSON.parse(JSON.stringify(plain));
+
+  // A chave do arquivo no armazenamento não é exposta
+  if (Array.isArray(objeto.anexos)) {
+    objeto.anexos = objeto.anexos.map(({ chave, ...anexo }) => anexo);
+  }
+
+  CAMPOS_IGNORADOS.forEach(campo => delete objeto[campo]);
+  return objeto;
+};
+
+/**
+ * Lista os campos que mudaram entre dois estados
+ * @param {Object} antes - Estado anterior (null na criação)
+ * @param {Object} depois - Estado novo (null na exclusão)
+ * @returns {Array} { campo, antes, depois }
+ */
+const diff = (antes, depois) => {
+  const campos = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})]);
+
+  return [...campos]
+    .map(campo => ({
+      campo,
+      antes: antes && antes[campo] !== undefined ? antes[campo] : null,
+      depois: depois && depois[campo] !== undefined ? depois[campo] : null
+    }))
+    .filter(item => JSON.stringify(item.antes) !== JSON.stringify(item.depois));
+};
+
+class AuditLogRepository {
+  /**
+   * Registra a criação, alteração ou exclusão de um documento
+   * Sem ação informada, ela é deduzida dos estados: sem "antes" é criação, sem "depois" é exclusão.
+   * Falhas no registro não interrompem a operação principal.
+   * @param {String} modelo - Nome do modelo (Transaction, Debt, Goal, Card ou Investment)
+   * @param {Object|null} antes - Estado anterior do documento
+   * @param {Object|null} depois - Estado novo do documento
+   * @param {String} acao - Ação (ex.: 'exclusao' para exclusões lógicas, que mantêm o documento)
+   * @returns {Object|null} Registro criado ou null se nada mudou
+   */
+  async record(modelo, antes, depois, acao = null) {
+    try {
+      const documento = depois || antes;
+      if (!documento) return null;
+
+      const alteracoes = diff(normalize(antes), normalize(depois));
+      if (alteracoes.length === 0) return null;
+
+      const { origem, autor, ip } = getContext();
+
+      return await AuditLog.create({
+        user: documento.user._id || documento.user,
+        autor,
+        modelo,
+        documento: documento._id,
+        acao: acao || (!antes ? 'criacao' : (!depois ? 'exclusao' : 'alteracao')),
+        origem,
+        alteracoes,
+        ip
+      });
+    } catch (error) {
+      console.error(`Erro ao registrar histórico de ${modelo}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Registra várias criações ou exclusões de uma vez
+   * @param {String} modelo - Nome do modelo
+   * @param {Array} documentos - Documentos criados ou excluídos
+   * @param {String} acao - 'criacao' ou 'exclusao'
+   */
+  async recordMany(modelo, documentos, acao) {
+    for (const documento of documentos) {
+      if (acao === 'criacao') {
+        await this.record(modelo, null, documento);
+      } else {
+        await this.record(modelo, documento, null);
+      }
+    }
+  }
+
+  /**
+   * Executa um updateMany registrando a alteração de cada documento afetado
+   * @param {String} modelo - Nome do modelo no histórico
+   * @param {Object} model - Modelo do mongoose
+   * @param {Object} filtro - Filtro dos documentos
+   * @param {Object|Array} update - Alteração (objeto ou pipeline)
+   * @returns {Object} Resultado do updateMany
+   */
+  async updateManyWithHistory(modelo, model, filtro, update) {
+    const anteriores = await model.find(filtro);
+    const result = await model.updateMany(filtro, update);
+    if (anteriores.length === 0) return result;
+
+    // O filtro pode deixar de valer depois da alteração: busca de novo pelos IDs (mantendo a lixeira, se citada)
+    const atuais = await model.find({
+      _id: { $in: anteriores.map(documento => documento._id) },
+      ...(filtro.excluidaEm !== undefined ? { excluidaEm: filtro.excluidaEm } : {})
+    });
+    const porId = new Map(anteriores.map(documento => [documento._id.toString(), documento]));
+    for (const documento of atuais) {
+      await this.record(modelo, porId.get(documento._id.toString()), documento);
+    }
+
+    return result;
+  }
+
+  /**
+   * Busca o histórico do usuário com paginação
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - modelo, documento, acao, origem, startDate e endDate
+   * @param {Object} options - page e limit
+   * @returns {Object} { data, pagination }
+   */
+  async findWithPagination(userId, filters = {}, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    try {
+      const query = { user: userId };
+      ['modelo', 'documento', 'acao', 'origem'].forEach(campo => {
+        if (filters[campo]) query[campo] = filters[campo];
+      });
+
+      if (filters.startDate || filters.endDate) {
+        query.createdAt = {};
+        if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+      }
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(query)
+          .populate('autor', 'name email')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(query)
+      ]);
+
+      return {
+        data: logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Erro ao buscar histórico: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AuditLogRepository();
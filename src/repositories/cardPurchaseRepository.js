@@ -0,0 +1,69 @@
+const { CardPurchase } = require('../models');
+
+class CardPurchaseRepository {
+  /**
+   * Busca compra parcelada por ID
+   * @param {String} id - ID da compra
+   * @returns {Object|null} Compra encontrada ou null
+   */
+  async findById(id) {
+    try {
+      return await CardPurchase.findById(id)
+        .populate('categoria', 'nome cor icone')
+        .populate('cartao', 'nome bandeira');
+    } catch (error) {
+      throw new Error(`Erro ao buscar compra parcelada por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca compras parceladas de um cartão
+   * @param {String} userId - ID do usuário
+   * @param {String} cardId - ID do cartão
+   * @param {Object} filters - Filtros opcionais
+   * @returns {Array} Lista de compras
+   */
+  async findByCard(userId, cardId, filters = {}) {
+    try {
+      return await CardPurchase.find({ user: userId, cartao: cardId, ...filters })
+        .populate('categoria', 'nome cor icone')
+        .sort({ dataCompra: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar compras parceladas do cartão: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria uma nova compra parcelada
+   * @param {Object} purchaseData - Dados da compra
+   * @returns {Object} Compra criada
+   */
+  async create(purchaseData) {
+    try {
+      const purchase = new CardPurchase(purchaseData);
+      return await purchase.save();
+    } catch (error) {
+      throw new Error(`Erro ao criar compra parcelada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza uma compra parcelada
+   * @param {String} id - ID da compra
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object|null} Compra atualizada ou null
+   */
+  async update(id, updateData) {
+    try {
+      return await CardPurchase.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao atualizar compra parcelada: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CardPurchaseRepository();
@@ -1,4 +1,7 @@
-const { Card } = require('../models');
+const { Card, Transaction } = require('../models');
+const mongoose = require('mongoose');
+const auditLogRepository = require('./auditLogRepository');
+const { arredondar } = require('../utils/currency');
 
 class CardRepository {
   /**
@@ -54,7 +57,9 @@ class CardRepository {
         await Card.updateMany({ user: cardData.user, principal: true }, { principal: false });
       }
       const card = new Card(cardData);
-      return await card.save();
+      const savedCard = await card.save();
+      await auditLogRepository.record('Card', null, savedCard);
+      return savedCard;
     } catch (error) {
       if (error.code === 11000) {
         throw new Error('Já existe um cartão com este nome');
@@ -75,11 +80,17 @@ class CardRepository {
       if (updateData.principal) {
         await Card.updateMany({ user: userId, principal: true, _id: { $ne: id } }, { principal: false });
       }
-      return await Card.findByIdAndUpdate(
+      const previous = await Card.findById(id);
+      if (!previous) return null;
+
+      const card = await Card.findByIdAndUpdate(
         id,
         updateData,
         { new: true, runValidators: true }
       );
+
+      if (card) await auditLogRepository.record('Card', previous, card);
+      return card;
     } catch (error) {
       if (error.code === 11000) {
         throw new Error('Já existe um cartão com este nome');
@@ -95,11 +106,17 @@ class CardRepository {
    */
   async delete(id) {
     try {
-      return await Card.findByIdAndUpdate(
+      const previous = await Card.findById(id);
+      if (!previous) return null;
+
+      const card = await Card.findByIdAndUpdate(
         id,
         { ativo: false },
         { new: true }
       );
+
+      if (card) await auditLogRepository.record('Card', previous, card, 'exclusao');
+      return card;
     } catch (error) {
       throw new Error(`Erro ao deletar cartão: ${error.message}`);
     }
@@ -117,13 +134,89 @@ class CardRepository {
       const card = await Card.findById(id);
       if (!card) return null;
       
+      const previous = card.toObject({ virtuals: false });
       await card.atualizarSaldo(valor, operacao);
+      await auditLogRepository.record('Card', previous, card);
       return await this.findById(id);
     } catch (error) {
       throw new Error(`Erro ao atualizar saldo do cartão: ${error.message}`);
     }
   }
 
+  /**
+   * Ajusta o saldo do cartão de forma atômica
+   * @param {String} id - ID do cartão
+   * @param {Number} delta - Valor a somar ao saldo (negativo para abater)
+   * @returns {Object|null} Cartão atualizado ou null
+   */
+  async adjustBalance(id, delta) {
+    try {
+      if (!id || !delta) return null;
+
+      const previous = await Card.findById(id);
+      if (!previous) return null;
+
+      const card = await Card.findByIdAndUpdate(
+        id,
+        { $inc: { saldoAtual: delta } },
+        { new: true }
+      );
+
+      if (card) await auditLogRepository.record('Card', previous, card);
+      return card;
+    } catch (error) {
+      throw new Error(`Erro ao ajustar saldo do cartão: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recalcula o saldo do cartão a partir do histórico de transações
+   * Segue as mesmas regras de transactionRepository.getCardImpact: despesas somam o valor
+   * absoluto e os demais tipos abatem, para bater com os ajustes incrementais.
+   * @param {String} id - ID do cartão
+   * @returns {Object|null} Cartão atualizado ou null
+   */
+  async recalculateBalance(id) {
+    try {
+      const cardId = new mongoose.Types.ObjectId(id);
+
+      const result = await Transaction.aggregate([
+        {
+          $match: {
+            $or: [{ cartaoId: cardId }, { cartaoId: null, cartao: cardId }],
+            status: 'confirmada'
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            total: {
+              $sum: {
+                $cond: [{ $eq: ['$tipo', 'despesa'] }, { $abs: '$valor' }, { $multiply: [{ $abs: '$valor' }, -1] }]
+              }
+            }
+          }
+        }
+      ]);
+
+      const saldoAtual = result.length > 0 ? arredondar(result[0].total) : 0;
+
+      const previous = await Card.findById(id);
+      if (!previous) return null;
+
+      const card = await Card.findByIdAndUpdate(
+        id,
+        { saldoAtual },
+        { new: true }
+      );
+
+      if (card) await auditLogRepository.record('Card', previous, card);
+      return card;
+    } catch (error) {
+      throw new Error(`Erro ao recalcular saldo do cartão: ${error.message}`);
+    }
+  }
+
   /**
    * Busca cartões com paginação
    * @param {String} userId - ID do usuário
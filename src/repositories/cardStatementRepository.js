@@ -0,0 +1,53 @@
+const { CardStatement } = require('../models');
+
+class CardStatementRepository {
+  /**
+   * Busca fatura por cartão e referência
+   * @param {String} cardId - ID do cartão
+   * @param {String} referencia - Mês de vencimento (AAAA-MM)
+   * @returns {Object|null} Fatura encontrada ou null
+   */
+  async findByReference(cardId, referencia) {
+    try {
+      return await CardStatement.findOne({ cartao: cardId, referencia });
+    } catch (error) {
+      throw new Error(`Erro ao buscar fatura: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca faturas do cartão
+   * @param {String} cardId - ID do cartão
+   * @param {Object} filters - Filtros opcionais
+   * @returns {Array} Lista de faturas
+   */
+  async findByCard(cardId, filters = {}) {
+    try {
+      return await CardStatement.find({ cartao: cardId, ...filters }).sort({ referencia: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar faturas do cartão: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria ou atualiza a fatura de um ciclo
+   * @param {String} userId - ID do usuário
+   * @param {String} cardId - ID do cartão
+   * @param {String} referencia - Mês de vencimento (AAAA-MM)
+   * @param {Object} data - Dados calculados da fatura
+   * @returns {Object} Fatura atualizada
+   */
+  async upsert(userId, cardId, referencia, data) {
+    try {
+      return await CardStatement.findOneAndUpdate(
+        { cartao: cardId, referencia },
+        { ...data, user: userId, cartao: cardId, referencia },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao salvar fatura: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CardStatementRepository();
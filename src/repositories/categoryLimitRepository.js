@@ -15,6 +15,20 @@ class CategoryLimitRepository {
     );
   }
 
+  // Cria o limite mensal da categoria só se ela ainda não tiver um; devolve se criou
+  async createIfMissing(userId, categoriaId, valor, nome) {
+    const result = await Limit.updateOne(
+      { user: userId, categoria: categoriaId, tipo: 'categoria' },
+      {
+        $setOnInsert: {
+          nome, valorLimite: valor, periodo: 'mensal', ativo: true, tipo: 'categoria', categoria: categoriaId, categoriaId
+        }
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  }
+
   async deleteByCategoryName(userId, categoryName) {
     return Limit.findOneAndDelete({ user: userId, tipo: 'categoria' })
       .populate({ path: 'categoria', match: { nome: categoryName } });
@@ -1,4 +1,43 @@
-const { Category } = require('../models');
+const mongoose = require('mongoose');
+const {
+  Category, Transaction, Goal, Debt, FixedExpense, Investment, IncomeSource, Limit,
+  Wishlist, CardPurchase, Recurrence, CategoryRule, Merchant
+} = require('../models');
+const auditLogRepository = require('./auditLogRepository');
+
+// Documentos (além das transações) que apontam para categorias: chave no resultado, modelo e campos
+// Os modelos com histórico (auditoria) informam o nome usado nele
+const REFERENCIAS = [
+  { chave: 'metas', model: Goal, campos: ['categoria', 'categoriaId'], historico: 'Goal' },
+  { chave: 'dividas', model: Debt, campos: ['categoria', 'categoriaId'], historico: 'Debt' },
+  { chave: 'despesasFixas', model: FixedExpense, campos: ['categoria', 'categoriaId'] },
+  { chave: 'investimentos', model: Investment, campos: ['categoria', 'categoriaId'], historico: 'Investment' },
+  { chave: 'fontesDeRenda', model: IncomeSource, campos: ['categoria', 'categoriaId'] },
+  { chave: 'limites', model: Limit, campos: ['categoria', 'categoriaId'] },
+  { chave: 'wishlist', model: Wishlist, campos: ['categoria'] },
+  { chave: 'compras', model: CardPurchase, campos: ['categoria'] },
+  { chave: 'recorrencias', model: Recurrence, campos: ['template.categoria'] },
+  { chave: 'regras', model: CategoryRule, campos: ['acoes.categoria'] },
+  { chave: 'estabelecimentos', model: Merchant, campos: ['categoria'] }
+];
+
+/**
+ * Monta a expressão que troca o campo pela categoria de destino quando ele aponta para uma das origens
+ * @param {String} campo - Expressão do campo (ex.: '$categoria')
+ * @param {Array} origem - IDs das categorias substituídas
+ * @param {ObjectId|null} destino - Nova categoria ou null para deixar sem categoria
+ * @returns {Object} Expressão de agregação
+ */
+const replaceCategoryExpression = (campo, origem, destino) => ({
+  $cond: [{ $in: [campo, origem] }, destino, campo]
+});
+
+/**
+ * Converte uma lista de IDs em ObjectIds (as atualizações por pipeline não convertem sozinhas)
+ * @param {Array} ids - IDs
+ * @returns {Array<ObjectId>} IDs convertidos
+ */
+const toObjectIds = ids => [].concat(ids).map(id => new mongoose.Types.ObjectId(id));
 
 class CategoryRepository {
   /**
@@ -215,7 +254,12 @@ class CategoryRepository {
       const result = await Transaction.aggregate([
         {
           $match: {
-            user: new require('mongoose').Types.ObjectId(userId),
+            user: new require('mongoose').Types.ObjectId(userId)
+          }
+        },
+        ...Transaction.splitStages(),
+        {
+          $match: {
             categoriaId: { $ne: null }
           }
         },
@@ -260,31 +304,14 @@ class CategoryRepository {
   }
 
   /**
-   * Cria categorias padrão para um usuário
+   * Cria várias categorias para o usuário (ex.: as de um pacote de categorias)
    * @param {String} userId - ID do usuário
+   * @param {Array} categoriesData - Dados das categorias (nome, tipo, cor e icone)
    * @returns {Array} Categorias criadas
    */
-  async createDefaultCategories(userId) {
+  async createMany(userId, categoriesData) {
     try {
-      const defaultCategories = [
-        // Categorias de Receita
-        { nome: 'Salário', tipo: 'receita', cor: '#10B981', icone: 'dollar-sign' },
-        { nome: 'Freelance', tipo: 'receita', cor: '#3B82F6', icone: 'briefcase' },
-        { nome: 'Investimentos', tipo: 'receita', cor: '#8B5CF6', icone: 'trending-up' },
-        { nome: 'Outros', tipo: 'receita', cor: '#6B7280', icone: 'plus' },
-        
-        // Categorias de Despesa
-        { nome: 'Alimentação', tipo: 'despesa', cor: '#EF4444', icone: 'utensils' },
-        { nome: 'Transporte', tipo: 'despesa', cor: '#F59E0B', icone: 'car' },
-        { nome: 'Moradia', tipo: 'despesa', cor: '#8B5CF6', icone: 'home' },
-        { nome: 'Saúde', tipo: 'despesa', cor: '#EC4899', icone: 'heart' },
-        { nome: 'Educação', tipo: 'despesa', cor: '#3B82F6', icone: 'book' },
-        { nome: 'Lazer', tipo: 'despesa', cor: '#10B981', icone: 'smile' },
-        { nome: 'Compras', tipo: 'despesa', cor: '#F97316', icone: 'shopping-bag' },
-        { nome: 'Contas', tipo: 'despesa', cor: '#6B7280', icone: 'file-text' }
-      ];
-
-      const categories = defaultCategories.map(cat => ({
+      const categories = categoriesData.map(cat => ({
         ...cat,
         user: userId,
         ativo: true
@@ -292,7 +319,7 @@ class CategoryRepository {
 
       return await Category.insertMany(categories);
     } catch (error) {
-      throw new Error(`Erro ao criar categorias padrão: ${error.message}`);
+      throw new Error(`Erro ao criar categorias: ${error.message}`);
     }
   }
 
@@ -310,6 +337,174 @@ class CategoryRepository {
     }
   }
 
+  /**
+   * Conta os documentos que apontam para as categorias (inclusive transações na lixeira)
+   * @param {String} userId - ID do usuário
+   * @param {Array} ids - IDs das categorias
+   * @returns {Object} Quantidade por tipo de documento, com as transações divididas à parte
+   */
+  async countReferences(userId, ids) {
+    try {
+      const user = new mongoose.Types.ObjectId(userId);
+      const origem = toObjectIds(ids);
+
+      // Citar excluidaEm inclui as transações da lixeira
+      const [transacoes, transacoesDivididas, ...outros] = await Promise.all([
+        Transaction.countDocuments({
+          user,
+          excluidaEm: { $exists: true },
+          $or: [{ categoria: { $in: origem } }, { categoriaId: { $in: origem } }, { 'divisoes.categoria': { $in: origem } }]
+        }),
+        Transaction.countDocuments({ user, excluidaEm: { $exists: true }, 'divisoes.categoria': { $in: origem } }),
+        ...REFERENCIAS.map(({ model, campos }) => model.countDocuments({
+          user,
+          $or: campos.map(campo => ({ [campo]: { $in: origem } }))
+        }))
+      ]);
+
+      const contagem = { transacoes, transacoesDivididas };
+      REFERENCIAS.forEach(({ chave }, i) => { contagem[chave] = outros[i]; });
+
+      return contagem;
+    } catch (error) {
+      throw new Error(`Erro ao contar documentos da categoria: ${error.message}`);
+    }
+  }
+
+  /**
+   * Troca as categorias de origem pela de destino em todos os documentos do usuário
+   * Sem destino, os documentos ficam sem categoria e as divisões que citam as categorias são desfeitas.
+   * Todas as atualizações rodam até o fim; se alguma falhar, o erro lista as coleções que não foram
+   * atualizadas e as categorias não devem ser apagadas (os documentos restantes ainda apontam para elas).
+   * @param {String} userId - ID do usuário
+   * @param {Array} ids - IDs das categorias substituídas
+   * @param {String|null} destinoId - Nova categoria ou null
+   * @returns {Object} Quantidade de documentos alterados por tipo
+   */
+  async replaceReferences(userId, ids, destinoId = null) {
+    try {
+      const user = new mongoose.Types.ObjectId(userId);
+      const origem = toObjectIds(ids);
+      const destino = destinoId ? new mongoose.Types.ObjectId(destinoId) : null;
+
+      const divisoes = destino
+        ? {
+          $map: {
+            input: { $ifNull: ['$divisoes', []] },
+            as: 'linha',
+            in: { $mergeObjects: ['$$linha', { categoria: replaceCategoryExpression('$$linha.categoria', origem, destino) }] }
+          }
+        }
+        : {
+          $cond: [
+            { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$divisoes.categoria', []] }, origem] } }, 0] },
+            [],
+            { $ifNull: ['$divisoes', []] }
+          ]
+        };
+
+      const resultados = await Promise.allSettled([
+        auditLogRepository.updateManyWithHistory(
+          'Transaction',
+          Transaction,
+          {
+            user,
+            excluidaEm: { $exists: true },
+            $or: [{ categoria: { $in: origem } }, { categoriaId: { $in: origem } }, { 'divisoes.categoria': { $in: origem } }]
+          },
+          [{
+            $set: {
+              categoria: replaceCategoryExpression('$categoria', origem, destino),
+              categoriaId: replaceCategoryExpression('$categoriaId', origem, destino),
+              divisoes
+            }
+          }]
+        ),
+        ...REFERENCIAS.map(({ model, campos, historico }) => {
+          const filtro = { user, $or: campos.map(campo => ({ [campo]: { $in: origem } })) };
+          const update = [{
+            $set: Object.fromEntries(campos.map(campo => [campo, replaceCategoryExpression(`$${campo}`, origem, destino)]))
+          }];
+
+          return historico
+            ? auditLogRepository.updateManyWithHistory(historico, model, filtro, update)
+            : model.updateMany(filtro, update);
+        })
+      ]);
+
+      const chaves = ['transacoes', ...REFERENCIAS.map(({ chave }) => chave)];
+      const falhas = chaves.filter((_, i) => resultados[i].status === 'rejected');
+      if (falhas.length > 0) {
+        const motivo = resultados.find(resultado => resultado.status === 'rejected').reason;
+        throw new Error(`falha em ${falhas.join(', ')} (${motivo.message})`);
+      }
+
+      const alterados = {};
+      chaves.forEach((chave, i) => { alterados[chave] = resultados[i].value.modifiedCount; });
+
+      return alterados;
+    } catch (error) {
+      throw new Error(`Erro ao substituir a categoria nos documentos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Conta os limites por categoria (um por categoria) das categorias
+   * @param {String} userId - ID do usuário
+   * @param {Array} ids - IDs das categorias
+   * @returns {Number} Quantidade de limites
+   */
+  async countCategoryLimits(userId, ids) {
+    try {
+      return await Limit.countDocuments({ user: userId, tipo: 'categoria', categoria: { $in: toObjectIds(ids) } });
+    } catch (error) {
+      throw new Error(`Erro ao contar limites da categoria: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove os limites por categoria das categorias
+   * @param {String} userId - ID do usuário
+   * @param {Array} ids - IDs das categorias
+   * @returns {Number} Quantidade de limites removidos
+   */
+  async deleteCategoryLimits(userId, ids) {
+    try {
+      const result = await Limit.deleteMany({ user: userId, tipo: 'categoria', categoria: { $in: toObjectIds(ids) } });
+      return result.deletedCount;
+    } catch (error) {
+      throw new Error(`Erro ao remover limites da categoria: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move as subcategorias diretas de uma categoria para outra categoria pai
+   * @param {String} id - ID da categoria atual
+   * @param {String|null} paiId - Nova categoria pai (null = primeiro nível)
+   * @returns {Number} Quantidade de subcategorias movidas
+   */
+  async moveSubcategories(id, paiId = null) {
+    try {
+      const result = await Category.updateMany({ pai: id }, { pai: paiId });
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Erro ao mover subcategorias: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apaga uma categoria definitivamente (hard delete)
+   * @param {String} id - ID da categoria
+   * @returns {Object|null} Categoria apagada ou null
+   */
+  async purge(id) {
+    try {
+      return await Category.findByIdAndDelete(id);
+    } catch (error) {
+      throw new Error(`Erro ao apagar categoria: ${error.message}`);
+    }
+  }
+
   /**
    * Apaga todas as categorias de um usuário (hard delete)
    * @param {String} userId - ID do usuário
@@ -0,0 +1,113 @@
+const { CategoryRule } = require('../models');
+
+class CategoryRuleRepository {
+  /**
+   * Busca regra por ID
+   * @param {String} id - ID da regra
+   * @returns {Object|null} Regra encontrada ou null
+   */
+  async findById(id) {
+    try {
+      return await CategoryRule.findById(id)
+        .populate('acoes.categoria', 'nome cor icone')
+        .populate('condicoes.cartao', 'nome bandeira');
+    } catch (error) {
+      throw new Error(`Erro ao buscar regra por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca regras do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - Filtros opcionais
+   * @returns {Array} Lista de regras na ordem de avaliação
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      const query = { user: userId, ...filters };
+      return await CategoryRule.find(query)
+        .populate('acoes.categoria', 'nome cor icone')
+        .populate('condicoes.cartao', 'nome bandeira')
+        .sort({ prioridade: 1, createdAt: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar regras do usuário: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca regras ativas do usuário na ordem de avaliação
+   * @param {String} userId - ID do usuário
+   * @returns {Array} Lista de regras ativas
+   */
+  async findActiveByUser(userId) {
+    try {
+      return await CategoryRule.findActiveByUser(userId);
+    } catch (error) {
+      throw new Error(`Erro ao buscar regras ativas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria uma nova regra
+   * @param {Object} ruleData - Dados da regra
+   * @returns {Object} Regra criada
+   */
+  async create(ruleData) {
+    try {
+      const rule = new CategoryRule(ruleData);
+      return await rule.save();
+    } catch (error) {
+      throw new Error(`Erro ao criar regra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza uma regra (via save, para validar condições e ações)
+   * @param {Object} rule - Regra (documento)
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object} Regra atualizada
+   */
+  async update(rule, updateData) {
+    try {
+      rule.set(updateData);
+      return await rule.save();
+    } catch (error) {
+      throw new Error(`Erro ao atualizar regra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deleta uma regra
+   * @param {String} id - ID da regra
+   * @returns {Object|null} Regra deletada ou null
+   */
+  async delete(id) {
+    try {
+      return await CategoryRule.findByIdAndDelete(id);
+    } catch (error) {
+      throw new Error(`Erro ao deletar regra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra aplicações da regra
+   * @param {String} id - ID da regra
+   * @param {Number} quantidade - Quantidade de transações alteradas
+   * @returns {Object|null} Regra atualizada ou null
+   */
+  async registerApplications(id, quantidade) {
+    try {
+      if (!quantidade) return null;
+
+      return await CategoryRule.findByIdAndUpdate(
+        id,
+        { $inc: { aplicacoes: quantidade }, ultimaAplicacao: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao registrar aplicação da regra: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CategoryRuleRepository();
@@ -1,4 +1,5 @@
 const { Debt } = require('../models');
+const auditLogRepository = require('./auditLogRepository');
 const { isValidObjectId } = require('mongoose');
 
 class DebtRepository {
@@ -20,7 +21,9 @@ class DebtRepository {
     if (data.valorPago && data.valorTotal && data.valorPago > data.valorTotal) {
       data.valorPago = data.valorTotal;
     }
-    return Debt.create(data);
+    const debt = await Debt.create(data);
+    await auditLogRepository.record('Debt', null, debt);
+    return debt;
   }
 
   async update(id, data, userId) {
@@ -29,16 +32,24 @@ class DebtRepository {
     if (data.valorPago && data.valorTotal && data.valorPago > data.valorTotal) {
       data.valorPago = data.valorTotal;
     }
-    return Debt.findOneAndUpdate(
+    const previous = await Debt.findOne({ _id: id, user: userId }).lean();
+    if (!previous) return null;
+
+    const debt = await Debt.findOneAndUpdate(
       { _id: id, user: userId },
       data,
       { new: true, runValidators: true }
     ).lean();
+
+    if (debt) await auditLogRepository.record('Debt', previous, debt);
+    return debt;
   }
 
   async delete(id, userId) {
     if (!isValidObjectId(id)) return null;
-    return Debt.findOneAndDelete({ _id: id, user: userId });
+    const debt = await Debt.findOneAndDelete({ _id: id, user: userId });
+    if (debt) await auditLogRepository.record('Debt', debt, null);
+    return debt;
   }
 }
 
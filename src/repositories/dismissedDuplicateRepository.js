@@ -0,0 +1,58 @@
+const { DismissedDuplicate } = require('../models');
+
+class DismissedDuplicateRepository {
+  /**
+   * Busca as chaves dos pares ignorados do usuário
+   * @param {String} userId - ID do usuário
+   * @returns {Set<String>} Chaves dos pares
+   */
+  async findKeysByUser(userId) {
+    try {
+      const dismissed = await DismissedDuplicate.find({ user: userId }).select('chave');
+      return new Set(dismissed.map(d => d.chave));
+    } catch (error) {
+      throw new Error(`Erro ao buscar duplicatas ignoradas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra pares de transações como não duplicados
+   * @param {String} userId - ID do usuário
+   * @param {Array} pares - Pares de IDs [a, b]
+   * @returns {Number} Quantidade de pares registrados
+   */
+  async dismissPairs(userId, pares) {
+    try {
+      if (pares.length === 0) return 0;
+
+      const result = await DismissedDuplicate.bulkWrite(pares.map(([a, b]) => {
+        const chave = DismissedDuplicate.buildKey(a, b);
+        return {
+          updateOne: {
+            filter: { user: userId, chave },
+            update: { $setOnInsert: { user: userId, chave, transacoes: [a, b] } },
+            upsert: true
+          }
+        };
+      }));
+
+      return result.upsertedCount;
+    } catch (error) {
+      throw new Error(`Erro ao ignorar duplicatas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove os pares que envolvem transações excluídas
+   * @param {Array} transactionIds - IDs das transações
+   */
+  async deleteByTransactions(transactionIds) {
+    try {
+      await DismissedDuplicate.deleteMany({ transacoes: { $in: transactionIds } });
+    } catch (error) {
+      throw new Error(`Erro ao remover duplicatas ignoradas: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DismissedDuplicateRepository();
@@ -0,0 +1,116 @@
+const { ExchangeRate } = require('../models');
+
+class ExchangeRateRepository {
+  /**
+   * Busca cotação por ID
+   * @param {String} id - ID da cotação
+   * @returns {Object|null} Cotação ou null
+   */
+  async findById(id) {
+    try {
+      return await ExchangeRate.findById(id);
+    } catch (error) {
+      throw new Error(`Erro ao buscar cotação por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista as cotações visíveis ao usuário (as dele e as do arquivo de cotações)
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - de, para, startDate e endDate
+   * @returns {Array} Cotações, das mais recentes para as mais antigas
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      const query = { user: { $in: [userId, null] } };
+      if (filters.de) query.de = filters.de;
+      if (filters.para) query.para = filters.para;
+      if (filters.startDate || filters.endDate) {
+        query.data = {};
+        if (filters.startDate) query.data.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.data.$lte = new Date(filters.endDate);
+      }
+
+      return await ExchangeRate.find(query).sort({ data: -1, de: 1, para: 1 }).limit(500);
+    } catch (error) {
+      throw new Error(`Erro ao buscar cotações: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca a cotação mais recente até a data (a do usuário tem preferência na mesma data)
+   * @param {String} userId - ID do usuário
+   * @param {String} de - Moeda de origem
+   * @param {String} para - Moeda de destino
+   * @param {Date} data - Data de referência
+   * @returns {Object|null} Cotação ou null
+   */
+  async findRate(userId, de, para, data) {
+    try {
+      return await ExchangeRate.findOne({
+        user: { $in: [userId, null] },
+        de,
+        para,
+        data: { $lte: data }
+      }).sort({ data: -1, user: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar cotação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria ou substitui a cotação do usuário para o par na data
+   * @param {Object} rateData - { user, de, para, taxa, data }
+   * @returns {Object} Cotação
+   */
+  async upsert(rateData) {
+    try {
+      const { user, de, para, data, ...resto } = rateData;
+      return await ExchangeRate.findOneAndUpdate(
+        { user, de, para, data },
+        { user, de, para, data, ...resto },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao salvar cotação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Grava as cotações do arquivo de cotações (sem usuário)
+   * @param {Array} rates - { de, para, taxa, data }
+   * @returns {Number} Quantidade de cotações gravadas
+   */
+  async upsertGlobal(rates) {
+    try {
+      if (rates.length === 0) return 0;
+
+      const result = await ExchangeRate.bulkWrite(rates.map(({ de, para, taxa, data }) => ({
+        updateOne: {
+          filter: { user: null, de, para, data },
+          update: { $set: { taxa, origem: 'arquivo' } },
+          upsert: true
+        }
+      })));
+
+      return result.upsertedCount + result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Erro ao gravar cotações do arquivo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove uma cotação
+   * @param {String} id - ID da cotação
+   * @returns {Object|null} Cotação removida ou null
+   */
+  async delete(id) {
+    try {
+      return await ExchangeRate.findByIdAndDelete(id);
+    } catch (error) {
+      throw new Error(`Erro ao remover cotação: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ExchangeRateRepository();
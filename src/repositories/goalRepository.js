@@ -1,4 +1,5 @@
 const { Goal } = require('../models');
+const auditLogRepository = require('./auditLogRepository');
 
 class GoalRepository {
   /**
@@ -56,6 +57,7 @@ class GoalRepository {
     try {
       const goal = new Goal(goalData);
       const savedGoal = await goal.save();
+      await auditLogRepository.record('Goal', null, savedGoal);
       return await this.findById(savedGoal._id);
     } catch (error) {
       throw new Error(`Erro ao criar meta: ${error.message}`);
@@ -70,6 +72,9 @@ class GoalRepository {
    */
   async update(id, updateData) {
     try {
+      const previous = await Goal.findById(id);
+      if (!previous) return null;
+
       const goal = await Goal.findByIdAndUpdate(
         id,
         updateData,
@@ -77,6 +82,8 @@ class GoalRepository {
       );
       
       if (!goal) return null;
+
+      await auditLogRepository.record('Goal', previous, goal);
       
       return await this.findById(goal._id);
     } catch (error) {
@@ -91,11 +98,17 @@ class GoalRepository {
    */
   async delete(id) {
     try {
-      return await Goal.findByIdAndUpdate(
+      const previous = await Goal.findById(id);
+      if (!previous) return null;
+
+      const goal = await Goal.findByIdAndUpdate(
         id,
         { ativo: false },
         { new: true }
       );
+
+      if (goal) await auditLogRepository.record('Goal', previous, goal, 'exclusao');
+      return goal;
     } catch (error) {
       throw new Error(`Erro ao deletar meta: ${error.message}`);
     }
@@ -112,7 +125,9 @@ class GoalRepository {
       const goal = await Goal.findById(id);
       if (!goal) return null;
       
+      const previous = goal.toObject({ virtuals: false });
       await goal.updateProgress(valor);
+      await auditLogRepository.record('Goal', previous, goal);
       return await this.findById(id);
     } catch (error) {
       throw new Error(`Erro ao atualizar progresso da meta: ${error.message}`);
@@ -130,7 +145,9 @@ class GoalRepository {
       const goal = await Goal.findById(id);
       if (!goal) return null;
       
+      const previous = goal.toObject({ virtuals: false });
       await goal.setProgress(valor);
+      await auditLogRepository.record('Goal', previous, goal);
       return await this.findById(id);
     } catch (error) {
       throw new Error(`Erro ao definir progresso da meta: ${error.message}`);
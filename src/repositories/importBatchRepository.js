@@ -0,0 +1,70 @@
+const { ImportBatch } = require('../models');
+
+class ImportBatchRepository {
+  /**
+   * Busca lote de importação por ID
+   * @param {String} id - ID do lote
+   * @returns {Object|null} Lote encontrado ou null
+   */
+  async findById(id) {
+    try {
+      return await ImportBatch.findById(id)
+        .populate('account', 'name bank')
+        .populate('cartao', 'nome bandeira');
+    } catch (error) {
+      throw new Error(`Erro ao buscar importação por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca lotes de importação do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - Filtros opcionais
+   * @returns {Array} Lista de lotes
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      const query = { user: userId, ...filters };
+      return await ImportBatch.find(query)
+        .populate('account', 'name bank')
+        .populate('cartao', 'nome bandeira')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar importações do usuário: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria um novo lote de importação
+   * @param {Object} batchData - Dados do lote
+   * @returns {Object} Lote criado
+   */
+  async create(batchData) {
+    try {
+      const batch = new ImportBatch(batchData);
+      return await batch.save();
+    } catch (error) {
+      throw new Error(`Erro ao criar importação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza um lote de importação
+   * @param {String} id - ID do lote
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object|null} Lote atualizado ou null
+   */
+  async update(id, updateData) {
+    try {
+      return await ImportBatch.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao atualizar importação: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ImportBatchRepository();
@@ -9,6 +9,19 @@ const debtRepository = require('./debtRepository');
 
 const categoryLimitRepository = require('./categoryLimitRepository');
 const piggyBankRepository = require('./piggyBankRepository');
+const recurrenceRepository = require('./recurrenceRepository');
+const cardPurchaseRepository = require('./cardPurchaseRepository');
+const cardStatementRepository = require('./cardStatementRepository');
+const accountRepository = require('./accountRepository');
+const transferRepository = require('./transferRepository');
+const importBatchRepository = require('./importBatchRepository');
+const categoryRuleRepository = require('./categoryRuleRepository');
+const dismissedDuplicateRepository = require('./dismissedDuplicateRepository');
+const tagRepository = require('./tagRepository');
+const auditLogRepository = require('./auditLogRepository');
+const exchangeRateRepository = require('./exchangeRateRepository');
+const reconciliationRepository = require('./reconciliationRepository');
+const merchantRepository = require('./merchantRepository');
 
 module.exports = {
   userRepository,
@@ -20,5 +33,18 @@ module.exports = {
   debtRepository,
   piggyBankRepository,
   categoryLimitRepository,
+  recurrenceRepository,
+  cardPurchaseRepository,
+  cardStatementRepository,
+  accountRepository,
+  transferRepository,
+  importBatchRepository,
+  categoryRuleRepository,
+  dismissedDuplicateRepository,
+  tagRepository,
+  auditLogRepository,
+  exchangeRateRepository,
+  reconciliationRepository,
+  merchantRepository,
 };
 
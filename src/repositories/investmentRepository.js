@@ -1,4 +1,5 @@
 const { Investment } = require('../models');
+const auditLogRepository = require('./auditLogRepository');
 const { isValidObjectId } = require('mongoose');
 
 class InvestmentRepository {
@@ -12,17 +13,26 @@ class InvestmentRepository {
   }
 
   async create(data) {
-    return Investment.create(data);
+    const investment = await Investment.create(data);
+    await auditLogRepository.record('Investment', null, investment);
+    return investment;
   }
 
   async update(id, data, userId) {
     if (!isValidObjectId(id)) return null;
-    return Investment.findOneAndUpdate({ _id: id, user: userId }, data, { new: true, runValidators: true }).lean();
+    const previous = await Investment.findOne({ _id: id, user: userId }).lean();
+    if (!previous) return null;
+
+    const investment = await Investment.findOneAndUpdate({ _id: id, user: userId }, data, { new: true, runValidators: true }).lean();
+    if (investment) await auditLogRepository.record('Investment', previous, investment);
+    return investment;
   }
 
   async delete(id, userId) {
     if (!isValidObjectId(id)) return null;
-    return Investment.findOneAndDelete({ _id: id, user: userId });
+    const investment = await Investment.findOneAndDelete({ _id: id, user: userId });
+    if (investment) await auditLogRepository.record('Investment', investment, null);
+    return investment;
   }
 }
 
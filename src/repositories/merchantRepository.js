@@ -0,0 +1,120 @@
+const { Merchant, Transaction } = require('../models');
+const auditLogRepository = require('./auditLogRepository');
+
+class MerchantRepository {
+  /**
+   * Busca estabelecimento por ID
+   * @param {String} id - ID do estabelecimento
+   * @returns {Object|null} Estabelecimento ou null
+   */
+  async findById(id) {
+    try {
+      return await Merchant.findById(id).populate('categoria', 'nome cor icone');
+    } catch (error) {
+      throw new Error(`Erro ao buscar estabelecimento por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca os estabelecimentos do usuário
+   * @param {String} userId - ID do usuário
+   * @returns {Array} Estabelecimentos em ordem alfabética
+   */
+  async findByUser(userId) {
+    try {
+      return await Merchant.find({ user: userId })
+        .populate('categoria', 'nome cor icone')
+        .sort({ nome: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar estabelecimentos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca estabelecimento do usuário pelo nome (sem diferenciar maiúsculas)
+   * @param {String} userId - ID do usuário
+   * @param {String} nome - Nome
+   * @returns {Object|null} Estabelecimento ou null
+   */
+  async findByName(userId, nome) {
+    try {
+      return await Merchant.findOne({ user: userId, nome }).collation({ locale: 'pt', strength: 2 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar estabelecimento por nome: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria um estabelecimento
+   * @param {Object} merchantData - Dados do estabelecimento
+   * @returns {Object} Estabelecimento criado
+   */
+  async create(merchantData) {
+    try {
+      const merchant = new Merchant(merchantData);
+      await merchant.save();
+      return await this.findById(merchant._id);
+    } catch (error) {
+      throw new Error(`Erro ao criar estabelecimento: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza um estabelecimento
+   * @param {String} id - ID do estabelecimento
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object|null} Estabelecimento atualizado ou null
+   */
+  async update(id, updateData) {
+    try {
+      return await Merchant.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
+        .populate('categoria', 'nome cor icone');
+    } catch (error) {
+      throw new Error(`Erro ao atualizar estabelecimento: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove um estabelecimento, desvinculando suas transações
+   * @param {String} id - ID do estabelecimento
+   * @returns {Object|null} Estabelecimento removido ou null
+   */
+  async delete(id) {
+    try {
+      // Citar excluidaEm inclui as transações da lixeira
+      await auditLogRepository.updateManyWithHistory(
+        'Transaction',
+        Transaction,
+        { estabelecimento: id, excluidaEm: { $exists: true } },
+        { estabelecimento: null }
+      );
+      return await Merchant.findByIdAndDelete(id);
+    } catch (error) {
+      throw new Error(`Erro ao remover estabelecimento: ${error.message}`);
+    }
+  }
+
+  /**
+   * Vincula transações a um estabelecimento
+   * @param {Array} ids - IDs das transações
+   * @param {String} merchantId - ID do estabelecimento
+   * @returns {Number} Quantidade de transações alteradas
+   */
+  async linkTransactions(ids, merchantId) {
+    try {
+      if (ids.length === 0) return 0;
+
+      const result = await auditLogRepository.updateManyWithHistory(
+        'Transaction',
+        Transaction,
+        { _id: { $in: ids } },
+        { estabelecimento: merchantId }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Erro ao vincular transações ao estabelecimento: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MerchantRepository();
@@ -34,6 +34,14 @@ class PiggyBankRepository {
     return PiggyBank.findOneAndDelete({ _id: id, user: userId });
   }
 
+  async findByTransfer(transferId) {
+    return PiggyBank.find({ transferencia: transferId });
+  }
+
+  async deleteByTransfer(transferId) {
+    return PiggyBank.deleteMany({ transferencia: transferId });
+  }
+
   async findAll() {
     return PiggyBank.find({}).sort({ data: -1 });
   }
@@ -42,7 +50,12 @@ class PiggyBankRepository {
     if (!mongoose.Types.ObjectId.isValid(userId)) throw new Error('ID de usuário inválido');
     const total = await PiggyBank.aggregate([
       { $match: { user: new mongoose.Types.ObjectId(userId) } },
-      { $group: { _id: null, total: { $sum: '$valor' } } }
+      {
+        $group: {
+          _id: null,
+          total: { $sum: { $cond: [{ $eq: ['$tipo', 'retirada'] }, { $multiply: ['$valor', -1] }, '$valor'] } }
+        }
+      }
     ]);
     return total[0]?.total || 0;
   }
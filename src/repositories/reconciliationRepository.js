@@ -0,0 +1,111 @@
+const { Reconciliation } = require('../models');
+
+class ReconciliationRepository {
+  /**
+   * Busca conciliação por ID
+   * @param {String} id - ID da conciliação
+   * @returns {Object|null} Conciliação ou null
+   */
+  async findById(id) {
+    try {
+      return await Reconciliation.findById(id);
+    } catch (error) {
+      throw new Error(`Erro ao buscar conciliação por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista as conciliações do usuário, das mais recentes para as mais antigas
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - account, cartao e status
+   * @returns {Array} Conciliações
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      const query = { user: userId };
+      ['account', 'cartao', 'status'].forEach(campo => {
+        if (filters[campo]) query[campo] = filters[campo];
+      });
+
+      return await Reconciliation.find(query)
+        .populate('account', 'name currency')
+        .populate('cartao', 'nome')
+        .sort({ dataFim: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar conciliações: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca a conciliação aberta da conta ou do cartão
+   * @param {Object} alvo - { account } ou { cartao }
+   * @returns {Object|null} Conciliação ou null
+   */
+  async findOpen(alvo) {
+    try {
+      return await Reconciliation.findOne({ ...alvo, status: 'aberta' });
+    } catch (error) {
+      throw new Error(`Erro ao buscar conciliação aberta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca a última conciliação concluída da conta ou do cartão
+   * @param {Object} alvo - { account } ou { cartao }
+   * @returns {Object|null} Conciliação ou null
+   */
+  async findLastCompleted(alvo) {
+    try {
+      return await Reconciliation.findOne({ ...alvo, status: 'concluida' }).sort({ dataFim: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar última conciliação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria uma conciliação
+   * @param {Object} reconciliationData - Dados da conciliação
+   * @returns {Object} Conciliação criada
+   */
+  async create(reconciliationData) {
+    try {
+      const reconciliation = new Reconciliation(reconciliationData);
+      return await reconciliation.save();
+    } catch (error) {
+      throw new Error(`Erro ao criar conciliação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza uma conciliação
+   * @param {String} id - ID da conciliação
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object|null} Conciliação atualizada ou null
+   */
+  async update(id, updateData) {
+    try {
+      return await Reconciliation.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao atualizar conciliação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove uma conciliação
+   * @param {String} id - ID da conciliação
+   * @returns {Object|null} Conciliação removida ou null
+   */
+  async delete(id) {
+    try {
+      return await Reconciliation.findByIdAndDelete(id);
+    } catch (error) {
+      throw new Error(`Erro ao remover conciliação: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ReconciliationRepository();
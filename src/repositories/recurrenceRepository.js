@@ -0,0 +1,82 @@
+const { Recurrence } = require('../models');
+
+class RecurrenceRepository {
+  /**
+   * Busca série recorrente por ID
+   * @param {String} id - ID da série
+   * @returns {Object|null} Série encontrada ou null
+   */
+  async findById(id) {
+    try {
+      return await Recurrence.findById(id)
+        .populate('template.categoria', 'nome cor icone')
+        .populate('template.cartao', 'nome bandeira');
+    } catch (error) {
+      throw new Error(`Erro ao buscar série recorrente por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca séries recorrentes do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - Filtros opcionais
+   * @returns {Array} Lista de séries
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      const query = { user: userId, ...filters };
+      return await Recurrence.find(query)
+        .populate('template.categoria', 'nome cor icone')
+        .populate('template.cartao', 'nome bandeira')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar séries recorrentes do usuário: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca todas as séries ativas (usado pelo agendador)
+   * @returns {Array} Séries ativas
+   */
+  async findActive() {
+    try {
+      return await Recurrence.find({ ativo: true });
+    } catch (error) {
+      throw new Error(`Erro ao buscar séries recorrentes ativas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria uma nova série recorrente
+   * @param {Object} recurrenceData - Dados da série
+   * @returns {Object} Série criada
+   */
+  async create(recurrenceData) {
+    try {
+      const recurrence = new Recurrence(recurrenceData);
+      return await recurrence.save();
+    } catch (error) {
+      throw new Error(`Erro ao criar série recorrente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza uma série recorrente
+   * @param {String} id - ID da série
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object|null} Série atualizada ou null
+   */
+  async update(id, updateData) {
+    try {
+      return await Recurrence.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao atualizar série recorrente: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new RecurrenceRepository();
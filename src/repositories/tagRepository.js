@@ -0,0 +1,163 @@
+const { Tag, Transaction, Wishlist, CategoryRule, Recurrence, CardPurchase } = require('../models');
+const mongoose = require('mongoose');
+const auditLogRepository = require('./auditLogRepository');
+
+/**
+ * Monta a expressão que troca (ou remove) tags de um array, sem deixar repetidas
+ * @param {String} campo - Expressão do array de tags (ex.: '$tags')
+ * @param {Array} origem - Tags a substituir
+ * @param {String|null} destino - Nova tag ou null para remover
+ * @returns {Object} Expressão de agregação
+ */
+const replaceTagsExpression = (campo, origem, destino) => {
+  const tags = { $ifNull: [campo, []] };
+  const substituidas = destino
+    ? { $map: { input: tags, as: 'tag', in: { $cond: [{ $in: ['$$tag', origem] }, destino, '$$tag'] } } }
+    : { $filter: { input: tags, as: 'tag', cond: { $not: [{ $in: ['$$tag', origem] }] } } };
+
+  // Remove repetidas mantendo a ordem original
+  return {
+    $reduce: {
+      input: substituidas,
+      initialValue: [],
+      in: { $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] }
+    }
+  };
+};
+
+class TagRepository {
+  /**
+   * Busca as tags cadastradas (com cor) do usuário
+   * @param {String} userId - ID do usuário
+   * @returns {Array} Tags
+   */
+  async findByUser(userId) {
+    try {
+      return await Tag.find({ user: userId }).sort({ nome: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar tags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Define a cor de uma tag (cadastrando a tag se necessário)
+   * @param {String} userId - ID do usuário
+   * @param {String} nome - Nome da tag
+   * @param {String} cor - Cor em hexadecimal
+   * @returns {Object} Tag
+   */
+  async setColor(userId, nome, cor) {
+    try {
+      return await Tag.findOneAndUpdate(
+        { user: userId, nome },
+        { cor },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao salvar cor da tag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfere o cadastro (cor) das tags de origem para a tag de destino
+   * A cor do destino é mantida; se ele não tiver cadastro, herda o da primeira origem cadastrada.
+   * @param {String} userId - ID do usuário
+   * @param {Array} origem - Tags de origem
+   * @param {String|null} destino - Tag de destino ou null para apenas remover
+   */
+  async moveRecords(userId, origem, destino) {
+    try {
+      const existentes = await Tag.find({ user: userId, nome: { $in: destino ? [...origem, destino] : origem } });
+      const registroDestino = existentes.find(tag => tag.nome === destino);
+      const registroOrigem = origem.map(nome => existentes.find(tag => tag.nome === nome)).find(Boolean);
+
+      const remover = existentes.filter(tag => tag.nome !== destino);
+      await Tag.deleteMany({ _id: { $in: remover.map(tag => tag._id) } });
+
+      if (destino && !registroDestino && registroOrigem) {
+        await Tag.create({ user: userId, nome: destino, cor: registroOrigem.cor });
+      }
+    } catch (error) {
+      throw new Error(`Erro ao atualizar cadastro das tags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Troca (ou remove) tags em todos os documentos do usuário que as usam
+   * @param {String} userId - ID do usuário
+   * @param {Array} origem - Tags a substituir
+   * @param {String|null} destino - Nova tag ou null para remover
+   * @returns {Object} Quantidade de documentos alterados por tipo
+   */
+  async replaceInDocuments(userId, origem, destino) {
+    try {
+      const user = new mongoose.Types.ObjectId(userId);
+
+      const [transacoes, wishlist, regras, recorrencias, compras] = await Promise.all([
+        auditLogRepository.updateManyWithHistory(
+          'Transaction',
+          Transaction,
+          { user, $or: [{ tags: { $in: origem } }, { 'divisoes.tags': { $in: origem } }] },
+          [{
+            $set: {
+              tags: replaceTagsExpression('$tags', origem, destino),
+              divisoes: {
+                $map: {
+                  input: { $ifNull: ['$divisoes', []] },
+                  as: 'linha',
+                  in: { $mergeObjects: ['$$linha', { tags: replaceTagsExpression('$$linha.tags', origem, destino) }] }
+                }
+              }
+            }
+          }]
+        ),
+        Wishlist.updateMany(
+          { user, tags: { $in: origem } },
+          [{ $set: { tags: replaceTagsExpression('$tags', origem, destino) } }]
+        ),
+        CategoryRule.updateMany(
+          { user, 'acoes.tags': { $in: origem } },
+          [{ $set: { 'acoes.tags': replaceTagsExpression('$acoes.tags', origem, destino) } }]
+        ),
+        Recurrence.updateMany(
+          { user, 'template.tags': { $in: origem } },
+          [{ $set: { 'template.tags': replaceTagsExpression('$template.tags', origem, destino) } }]
+        ),
+        CardPurchase.updateMany(
+          { user, tags: { $in: origem } },
+          [{ $set: { tags: replaceTagsExpression('$tags', origem, destino) } }]
+        )
+      ]);
+
+      return {
+        transacoes: transacoes.modifiedCount,
+        wishlist: wishlist.modifiedCount,
+        regras: regras.modifiedCount,
+        recorrencias: recorrencias.modifiedCount,
+        compras: compras.modifiedCount
+      };
+    } catch (error) {
+      throw new Error(`Erro ao atualizar tags nos documentos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Conta os itens da lista de desejos por tag
+   * @param {String} userId - ID do usuário
+   * @returns {Array} { tag, count }
+   */
+  async countWishlistByTag(userId) {
+    try {
+      return await Wishlist.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId), 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $project: { _id: 0, tag: '$_id', count: 1 } }
+      ]);
+    } catch (error) {
+      throw new Error(`Erro ao contar tags da lista de desejos: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TagRepository();
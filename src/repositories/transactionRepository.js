@@ -1,5 +1,33 @@
-const { Transaction } = require('../models');
+const { Transaction, Category } = require('../models');
 const mongoose = require('mongoose');
+const cardRepository = require('./cardRepository');
+const accountRepository = require('./accountRepository');
+const dismissedDuplicateRepository = require('./dismissedDuplicateRepository');
+const auditLogRepository = require('./auditLogRepository');
+const { getStorage } = require('../utils/storage');
+const { compileFilter } = require('../utils/transactionFilter');
+const { arredondar } = require('../utils/currency');
+
+// Critérios para considerar duas transações possíveis duplicatas
+const DUPLICATA_DIAS = 3;
+const DUPLICATA_TOLERANCIA_VALOR = 0.01;
+const DUPLICATA_SIMILARIDADE = 0.5;
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Extrai as palavras relevantes de uma descrição (sem acentos, números e pontuação)
+ * @param {String} descricao - Descrição da transação
+ * @returns {Set<String>} Palavras
+ */
+const palavras = (descricao) => new Set(
+  String(descricao || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(palavra => palavra.length > 1)
+);
 
 class TransactionRepository {
   /**
@@ -11,7 +39,11 @@ class TransactionRepository {
     try {
       return await Transaction.findById(id)
         .populate('categoria', 'nome cor icone')
-        .populate('cartao', 'nome bandeira');
+        .populate('divisoes.categoria', 'nome cor icone')
+        .populate('cartao', 'nome bandeira')
+        .populate('estabelecimento', 'nome')
+        .populate('estornoDe', 'descricao valor data')
+        .populate({ path: 'estornos', select: 'descricao valor data', options: { sort: { data: 1 } } });
     } catch (error) {
       throw new Error(`Erro ao buscar transação por ID: ${error.message}`);
     }
@@ -38,72 +70,40 @@ class TransactionRepository {
   /**
    * Busca transações com paginação e filtros
    * @param {String} userId - ID do usuário
-   * @param {Object} options - Opções de busca
-   * @returns {Object} Resultado paginado
+   * @param {Object} options - page, limit, sortBy, sortOrder, filtro (ver utils/transactionFilter) e texto
+   * @returns {Object} Resultado paginado com os totais do conjunto filtrado
    */
   async findWithPagination(userId, options = {}) {
-    try {
-      const {
-        page = 1,
-        limit = 10,
-        sortBy = 'data',
-        sortOrder = 'desc',
-        search = '',
-        tipo = null,
-        categoriaId = null,
-        cartaoId = null,
-        status = null,
-        startDate = null,
-        endDate = null,
-        valorMin = null,
-        valorMax = null
-      } = options;
-
-      const query = { user: userId };
-      
-      if (search) {
-        query.descricao = { $regex: search, $options: 'i' };
-      }
-      
-      if (tipo) {
-        query.tipo = tipo;
-      }
-      
-      if (categoriaId) {
-        query.categoriaId = categoriaId;
-      }
-      
-      if (cartaoId) {
-        query.cartaoId = cartaoId;
-      }
-      
-      if (status) {
-        query.status = status;
-      }
-      
-      if (startDate || endDate) {
-        query.data = {};
-        if (startDate) query.data.$gte = new Date(startDate);
-        if (endDate) query.data.$lte = new Date(endDate);
-      }
-      
-      if (valorMin !== null || valorMax !== null) {
-        query.valor = {};
-        if (valorMin !== null) query.valor.$gte = valorMin;
-        if (valorMax !== null) query.valor.$lte = valorMax;
-      }
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = 'data',
+      sortOrder = 'desc',
+      filtro = null,
+      texto = ''
+    } = options;
 
+    // Filtro inválido é erro do cliente, então é compilado fora do try
+    const query = this.buildFilterQuery(userId, filtro, texto);
+
+    try {
       const skip = (page - 1) * limit;
-      const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+      const porRelevancia = texto && sortBy === 'relevancia';
+      const sortOptions = porRelevancia
+        ? { score: { $meta: 'textScore' }, data: -1 }
+        : { [sortBy === 'relevancia' ? 'data' : sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-      const [transactions, total] = await Promise.all([
-        Transaction.find(query)
+      const [transactions, total, totais] = await Promise.all([
+        Transaction.find(query, porRelevancia ? { score: { $meta: 'textScore' } } : {})
           .populate('categoria', 'nome cor icone')
+          .populate('divisoes.categoria', 'nome cor icone')
           .populate('cartao', 'nome bandeira')
+          .populate('estabelecimento', 'nome')
           .sort(sortOptions)
           .skip(skip)
           .limit(limit),
-        Transaction.countDocuments(query)
+        Transaction.countDocuments(query),
+        this.getTotals(query)
       ]);
 
       return {
@@ -113,13 +113,98 @@ class TransactionRepository {
           limit,
           total,
           pages: Math.ceil(total / limit)
-        }
+        },
+        totais
       };
     } catch (error) {
       throw new Error(`Erro ao buscar transações com paginação: ${error.message}`);
     }
   }
 
+  /**
+   * Monta o filtro do MongoDB para as transações do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} filtro - Filtro (ver utils/transactionFilter)
+   * @param {String} texto - Busca textual
+   * @returns {Object} Filtro do MongoDB
+   */
+  buildFilterQuery(userId, filtro = null, texto = '') {
+    const condicao = compileFilter(filtro);
+    const query = { user: new mongoose.Types.ObjectId(userId) };
+
+    // Busca textual pelo índice de texto (palavras inteiras, sem acento, em português)
+    if (texto) {
+      query.$text = { $search: texto };
+    }
+
+    if (Object.keys(condicao).length > 0) {
+      query.$and = [condicao];
+    }
+
+    return query;
+  }
+
+  /**
+   * Busca as transações do usuário que atendem a um filtro
+   * @param {String} userId - ID do usuário
+   * @param {Object} filtro - Filtro (ver utils/transactionFilter)
+   * @param {String} texto - Busca textual
+   * @param {Number} limit - Quantidade máxima
+   * @returns {Array} Transações, das mais recentes para as mais antigas
+   */
+  async findByFilter(userId, filtro = null, texto = '', limit = 0) {
+    const query = this.buildFilterQuery(userId, filtro, texto);
+
+    try {
+      return await Transaction.find(query).sort({ data: -1 }).limit(limit);
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações pelo filtro: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca transações pelos IDs (de qualquer usuário, para conferir a posse de cada uma)
+   * @param {Array} ids - IDs das transações
+   * @returns {Array} Transações encontradas
+   */
+  async findByIds(ids) {
+    try {
+      return await Transaction.find({ _id: { $in: ids } });
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações por IDs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Soma receitas e despesas das transações que atendem a um filtro
+   * Pernas de transferência e pagamentos de fatura não entram e estornos abatem as despesas,
+   * como no resumo financeiro. Pendentes e canceladas também não entram.
+   * @param {Object} query - Filtro do MongoDB (com tipos já convertidos)
+   * @returns {Object} { receitas, despesas, saldo }
+   */
+  async getTotals(query) {
+    const result = await Transaction.aggregate([
+      { $match: query },
+      { $match: { fatura: null, transferencia: null, status: 'confirmada' } },
+      ...Transaction.refundStages(),
+      {
+        $group: {
+          _id: '$tipo',
+          total: { $sum: '$valor' }
+        }
+      }
+    ]);
+
+    const totais = { receitas: 0, despesas: 0, saldo: 0 };
+    result.forEach(item => {
+      if (item._id === 'receita') totais.receitas = arredondar(item.total);
+      if (item._id === 'despesa') totais.despesas = arredondar(item.total);
+    });
+    totais.saldo = arredondar(totais.receitas - totais.despesas);
+
+    return totais;
+  }
+
   /**
    * Cria uma nova transação
    * @param {Object} transactionData - Dados da transação
@@ -129,6 +214,12 @@ class TransactionRepository {
     try {
       const transaction = new Transaction(transactionData);
       const savedTransaction = await transaction.save();
+
+      await this.applyBalanceImpactsOrUndo([], [savedTransaction], () =>
+        Transaction.findByIdAndDelete(savedTransaction._id)
+      );
+      await this.flagDuplicates([savedTransaction]);
+      await auditLogRepository.record('Transaction', null, savedTransaction);
       
       return await this.findById(savedTransaction._id);
     } catch (error) {
@@ -144,6 +235,12 @@ class TransactionRepository {
   async createMany(transactionsData) {
     try {
       const transactions = await Transaction.insertMany(transactionsData);
+
+      await this.applyBalanceImpactsOrUndo([], transactions, () =>
+        Transaction.deleteMany({ _id: { $in: transactions.map(t => t._id) } })
+      );
+      await this.flagDuplicates(transactions);
+      await auditLogRepository.recordMany('Transaction', transactions, 'criacao');
       
       // Buscar as transações criadas com populate
       const ids = transactions.map(t => t._id);
@@ -163,13 +260,30 @@ class TransactionRepository {
    */
   async update(id, updateData) {
     try {
+      const data = { ...updateData };
+
+      // findByIdAndUpdate não dispara o pre('save'), então sincroniza cartao/cartaoId aqui
+      if (data.cartaoId !== undefined || data.cartao !== undefined) {
+        const cartao = data.cartaoId !== undefined ? data.cartaoId : data.cartao;
+        data.cartao = cartao || null;
+        data.cartaoId = cartao || null;
+      }
+
+      const previous = await Transaction.findById(id);
+      if (!previous) return null;
+
       const transaction = await Transaction.findByIdAndUpdate(
         id,
-        updateData,
+        data,
         { new: true, runValidators: true }
       );
       
       if (!transaction) return null;
+
+      await this.applyBalanceImpactsOrUndo([previous], [transaction], () =>
+        Transaction.replaceOne({ _id: id }, previous.toObject())
+      );
+      await auditLogRepository.record('Transaction', previous, transaction);
       
       return await this.findById(transaction._id);
     } catch (error) {
@@ -178,30 +292,514 @@ class TransactionRepository {
   }
 
   /**
-   * Deleta uma transação
+   * Deleta uma transação definitivamente (sem passar pela lixeira)
    * @param {String} id - ID da transação
    * @returns {Object|null} Transação deletada ou null
    */
   async delete(id) {
     try {
-      return await Transaction.findByIdAndDelete(id);
+      const transaction = await Transaction.findByIdAndDelete(id);
+
+      if (transaction) {
+        await this.applyBalanceImpactsOrUndo([transaction], [], () =>
+          Transaction.insertMany([transaction.toObject()])
+        );
+        await this.clearDuplicateReferences([transaction._id]);
+        await this.removeAttachmentFiles([transaction]);
+        await auditLogRepository.record('Transaction', transaction, null);
+      }
+
+      return transaction;
     } catch (error) {
       throw new Error(`Erro ao deletar transação: ${error.message}`);
     }
   }
 
+  /**
+   * Move uma transação para a lixeira, desfazendo o efeito nos saldos
+   * Os comprovantes são mantidos até a exclusão definitiva.
+   * @param {String} id - ID da transação
+   * @returns {Object|null} Transação excluída ou null
+   */
+  async trash(id) {
+    try {
+      const previous = await Transaction.findById(id);
+      if (!previous) return null;
+
+      const transaction = await Transaction.findByIdAndUpdate(id, { excluidaEm: new Date() }, { new: true });
+
+      if (transaction) {
+        await this.applyBalanceImpactsOrUndo([transaction], [], () =>
+          Transaction.findByIdAndUpdate(id, { excluidaEm: previous.excluidaEm })
+        );
+        await Transaction.updateMany({ possivelDuplicata: transaction._id }, { possivelDuplicata: null });
+        await auditLogRepository.record('Transaction', previous, transaction, 'exclusao');
+      }
+
+      return transaction;
+    } catch (error) {
+      throw new Error(`Erro ao mover transação para a lixeira: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca uma transação da lixeira
+   * @param {String} id - ID da transação
+   * @returns {Object|null} Transação ou null
+   */
+  async findTrashedById(id) {
+    try {
+      return await Transaction.findOne({ _id: id, excluidaEm: { $ne: null } });
+    } catch (error) {
+      throw new Error(`Erro ao buscar transação na lixeira: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista a lixeira do usuário, das excluídas mais recentemente para as mais antigas
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - page e limit
+   * @returns {Object} { data, pagination }
+   */
+  async findTrash(userId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+
+    try {
+      const query = { user: userId, excluidaEm: { $ne: null } };
+      const [transactions, total] = await Promise.all([
+        Transaction.find(query)
+          .populate('categoria', 'nome cor icone')
+          .populate('cartao', 'nome bandeira')
+          .sort({ excluidaEm: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Transaction.countDocuments(query)
+      ]);
+
+      return {
+        data: transactions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Erro ao buscar lixeira: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restaura uma transação da lixeira, reaplicando o efeito nos saldos
+   * @param {String} id - ID da transação
+   * @returns {Object|null} Transação restaurada ou null se não estava na lixeira
+   */
+  async restore(id) {
+    try {
+      const previous = await Transaction.findOne({ _id: id, excluidaEm: { $ne: null } });
+      if (!previous) return null;
+
+      const transaction = await Transaction.findOneAndUpdate(
+        { _id: id, excluidaEm: { $ne: null } },
+        { excluidaEm: null },
+        { new: true }
+      );
+
+      if (!transaction) return null;
+
+      await this.applyBalanceImpactsOrUndo([], [transaction], () =>
+        Transaction.findByIdAndUpdate(id, { excluidaEm: previous.excluidaEm })
+      );
+      await auditLogRepository.record('Transaction', previous, transaction);
+
+      return await this.findById(transaction._id);
+    } catch (error) {
+      throw new Error(`Erro ao restaurar transação: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exclui definitivamente transações da lixeira (os saldos já foram ajustados ao excluir)
+   * @param {Object} filters - Filtros (ex.: user, _id ou excluidaEm: { $lte: data })
+   * @returns {Number} Quantidade de transações excluídas
+   */
+  async purgeTrash(filters = {}) {
+    try {
+      const transactions = await Transaction.find({ excluidaEm: { $ne: null }, ...filters });
+      if (transactions.length === 0) return 0;
+
+      const ids = transactions.map(t => t._id);
+      await Transaction.deleteMany({ _id: { $in: ids } });
+      await this.clearDuplicateReferences(ids);
+      await this.removeAttachmentFiles(transactions);
+      await auditLogRepository.recordMany('Transaction', transactions, 'exclusao');
+
+      return transactions.length;
+    } catch (error) {
+      throw new Error(`Erro ao esvaziar lixeira: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deleta as transações do usuário que atendem aos filtros
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - Filtros
+   * @returns {Number} Quantidade de transações deletadas
+   */
+  async deleteMany(userId, filters = {}) {
+    try {
+      const transactions = await Transaction.find({ user: userId, ...filters });
+      if (transactions.length === 0) return 0;
+
+      const ids = transactions.map(t => t._id);
+      await Transaction.deleteMany({ _id: { $in: ids } });
+      await this.applyBalanceImpactsOrUndo(transactions, [], () =>
+        Transaction.insertMany(transactions.map(t => t.toObject()))
+      );
+      await this.clearDuplicateReferences(ids);
+      await this.removeAttachmentFiles(transactions);
+      await auditLogRepository.recordMany('Transaction', transactions, 'exclusao');
+
+      return transactions.length;
+    } catch (error) {
+      throw new Error(`Erro ao deletar transações em lote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adiciona um anexo à transação
+   * @param {String} id - ID da transação
+   * @param {Object} anexo - Dados do anexo
+   * @returns {Object|null} Transação atualizada ou null
+   */
+  async addAttachment(id, anexo) {
+    try {
+      const previous = await Transaction.findById(id);
+      if (!previous) return null;
+
+      const transaction = await Transaction.findByIdAndUpdate(
+        id,
+        { $push: { anexos: anexo } },
+        { new: true, runValidators: true }
+      );
+
+      if (transaction) await auditLogRepository.record('Transaction', previous, transaction);
+      return transaction;
+    } catch (error) {
+      throw new Error(`Erro ao adicionar anexo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove um anexo da transação
+   * @param {String} id - ID da transação
+   * @param {String} anexoId - ID do anexo
+   * @returns {Object|null} Transação atualizada ou null
+   */
+  async removeAttachment(id, anexoId) {
+    try {
+      const previous = await Transaction.findById(id);
+      if (!previous) return null;
+
+      const transaction = await Transaction.findByIdAndUpdate(
+        id,
+        { $pull: { anexos: { _id: anexoId } } },
+        { new: true }
+      );
+
+      if (transaction) await auditLogRepository.record('Transaction', previous, transaction);
+      return transaction;
+    } catch (error) {
+      throw new Error(`Erro ao remover anexo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calcula o espaço ocupado pelos anexos do usuário
+   * @param {String} userId - ID do usuário
+   * @returns {Object} { quantidade, tamanho } em bytes
+   */
+  async getAttachmentUsage(userId) {
+    try {
+      const [result] = await Transaction.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId), 'anexos.0': { $exists: true } } },
+        { $unwind: '$anexos' },
+        {
+          $group: {
+            _id: null,
+            quantidade: { $sum: 1 },
+            tamanho: { $sum: '$anexos.tamanho' }
+          }
+        }
+      ]);
+
+      return {
+        quantidade: result ? result.quantidade : 0,
+        tamanho: result ? result.tamanho : 0
+      };
+    } catch (error) {
+      throw new Error(`Erro ao calcular uso de anexos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apaga do armazenamento os arquivos anexados às transações excluídas
+   * Falhas são apenas registradas para não impedir a exclusão das transações.
+   * @param {Array} transactions - Transações excluídas
+   */
+  async removeAttachmentFiles(transactions) {
+    const chaves = transactions.flatMap(t => (t.anexos || []).map(anexo => anexo.chave));
+    if (chaves.length === 0) return;
+
+    const storage = getStorage();
+    await Promise.all(chaves.map(chave =>
+      storage.remove(chave).catch(error => console.error(`Erro ao apagar anexo ${chave}:`, error.message))
+    ));
+  }
+
+  /**
+   * Verifica se duas transações parecem ser o mesmo lançamento
+   * Mesmo tipo e cartão, valor quase igual, datas próximas e descrições parecidas.
+   * @param {Object} a - Transação
+   * @param {Object} b - Transação
+   * @returns {Boolean} true se forem possíveis duplicatas
+   */
+  isLikelyDuplicate(a, b) {
+    if (a.tipo !== b.tipo) return false;
+
+    const cartaoA = a.cartaoId || a.cartao;
+    const cartaoB = b.cartaoId || b.cartao;
+    if (String((cartaoA && cartaoA._id) || cartaoA || '') !== String((cartaoB && cartaoB._id) || cartaoB || '')) return false;
+
+    const valorA = Math.abs(a.valor);
+    const valorB = Math.abs(b.valor);
+    if (Math.abs(valorA - valorB) > Math.max(0.01, Math.max(valorA, valorB) * DUPLICATA_TOLERANCIA_VALOR)) return false;
+
+    if (Math.abs(new Date(a.data) - new Date(b.data)) > DUPLICATA_DIAS * DIA_MS) return false;
+
+    const palavrasA = palavras(a.descricao);
+    const palavrasB = palavras(b.descricao);
+    if (palavrasA.size === 0 || palavrasB.size === 0) {
+      return String(a.descricao || '').trim().toLowerCase() === String(b.descricao || '').trim().toLowerCase();
+    }
+
+    const comuns = [...palavrasA].filter(palavra => palavrasB.has(palavra)).length;
+    const menor = Math.min(palavrasA.size, palavrasB.size);
+
+    return comuns / menor >= DUPLICATA_SIMILARIDADE;
+  }
+
+  /**
+   * Busca as transações do usuário que podem ser comparadas na detecção de duplicatas
+   * @param {String} userId - ID do usuário
+   * @param {Date} startDate - Data inicial
+   * @param {Date} endDate - Data final
+   * @param {Array} excludeIds - IDs a ignorar
+   * @returns {Array} Transações ordenadas por data
+   */
+  async findDuplicateCandidates(userId, startDate, endDate, excludeIds = []) {
+    try {
+      // Pernas de transferência e pagamentos de fatura não são lançamentos do extrato
+      return await Transaction.find({
+        user: userId,
+        _id: { $nin: excludeIds },
+        transferencia: null,
+        fatura: null,
+        data: { $gte: startDate, $lte: endDate }
+      })
+        .populate('categoria', 'nome cor icone')
+        .populate('cartao', 'nome bandeira')
+        .sort({ data: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar candidatas a duplicata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca as transações recém-criadas que parecem repetir uma transação já existente
+   * @param {Array} transactions - Transações criadas
+   * @returns {Number} Quantidade de transações marcadas
+   */
+  async flagDuplicates(transactions) {
+    const novas = transactions.filter(t => !t.transferencia && !t.fatura);
+    if (novas.length === 0) return 0;
+
+    const datas = novas.map(t => new Date(t.data).getTime());
+    const existentes = await this.findDuplicateCandidates(
+      novas[0].user,
+      new Date(Math.min(...datas) - DUPLICATA_DIAS * DIA_MS),
+      new Date(Math.max(...datas) + DUPLICATA_DIAS * DIA_MS),
+      transactions.map(t => t._id)
+    );
+    if (existentes.length === 0) return 0;
+
+    const marcacoes = novas
+      .map(transaction => {
+        const original = existentes.find(existente => this.isLikelyDuplicate(transaction, existente));
+        return original && {
+          updateOne: {
+            filter: { _id: transaction._id },
+            update: { possivelDuplicata: original._id }
+          }
+        };
+      })
+      .filter(Boolean);
+
+    if (marcacoes.length > 0) await Transaction.bulkWrite(marcacoes);
+
+    return marcacoes.length;
+  }
+
+  /**
+   * Desmarca as transações do grupo que foram marcadas como duplicata umas das outras
+   * @param {Array} ids - IDs das transações
+   */
+  async unflagDuplicates(ids) {
+    try {
+      await Transaction.updateMany(
+        { _id: { $in: ids }, possivelDuplicata: { $in: ids } },
+        { possivelDuplicata: null }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao desmarcar duplicatas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove as marcações e pares ignorados que apontam para transações excluídas
+   * @param {Array} ids - IDs das transações excluídas
+   */
+  async clearDuplicateReferences(ids) {
+    await Transaction.updateMany({ possivelDuplicata: { $in: ids } }, { possivelDuplicata: null });
+    await dismissedDuplicateRepository.deleteByTransactions(ids);
+  }
+
+  /**
+   * Calcula o impacto de uma transação no saldo do cartão
+   * @param {Object} transaction - Transação
+   * @returns {Object|null} { cardId, delta } ou null se não afeta cartão
+   */
+  getCardImpact(transaction) {
+    if (!transaction || transaction.status !== 'confirmada') return null;
+
+    const card = transaction.cartaoId || transaction.cartao;
+    if (!card) return null;
+
+    const valor = Math.abs(transaction.valor);
+
+    return {
+      cardId: (card._id || card).toString(),
+      delta: transaction.tipo === 'despesa' ? valor : -valor
+    };
+  }
+
+  /**
+   * Calcula o impacto de uma transação no saldo da conta bancária
+   * Transação feita na moeda da conta movimenta a conta pelo valor original.
+   * @param {Object} transaction - Transação
+   * @param {Object} moedasContas - Moeda de cada conta, por ID
+   * @returns {Object|null} { accountId, delta } ou null se não afeta conta
+   */
+  getAccountImpact(transaction, moedasContas = {}) {
+    if (!transaction || transaction.status !== 'confirmada' || !transaction.account) return null;
+
+    const accountId = (transaction.account._id || transaction.account).toString();
+    const naMoedaDaConta = transaction.moeda && moedasContas[accountId] === transaction.moeda;
+    const valor = Math.abs(naMoedaDaConta ? transaction.valorOriginal : transaction.valor);
+
+    return {
+      accountId,
+      delta: transaction.tipo === 'receita' ? valor : -valor
+    };
+  }
+
+  /**
+   * Aplica no saldo de cartões e contas a diferença entre transações removidas e adicionadas
+   * @param {Array} removed - Estado anterior das transações (desfeito)
+   * @param {Array} added - Estado novo das transações (aplicado)
+   */
+  async applyBalanceImpacts(removed = [], added = []) {
+    const cards = {};
+    const accounts = {};
+
+    // Moeda das contas movimentadas por transações em moeda estrangeira
+    const moedasContas = {};
+    for (const transaction of [...removed, ...added]) {
+      if (!transaction || !transaction.moeda || !transaction.account) continue;
+      const accountId = (transaction.account._id || transaction.account).toString();
+      if (moedasContas[accountId] === undefined) {
+        const account = await accountRepository.findById(accountId);
+        moedasContas[accountId] = account ? account.currency : null;
+      }
+    }
+
+    const acumular = (transaction, sinal) => {
+      const cardImpact = this.getCardImpact(transaction);
+      if (cardImpact) cards[cardImpact.cardId] = (cards[cardImpact.cardId] || 0) + sinal * cardImpact.delta;
+
+      const accountImpact = this.getAccountImpact(transaction, moedasContas);
+      if (accountImpact) accounts[accountImpact.accountId] = (accounts[accountImpact.accountId] || 0) + sinal * accountImpact.delta;
+    };
+
+    removed.forEach(transaction => acumular(transaction, -1));
+    added.forEach(transaction => acumular(transaction, 1));
+
+    const ajustes = (deltas, repository) => Object.entries(deltas)
+      .map(([id, delta]) => [id, arredondar(delta)])
+      .filter(([, delta]) => delta !== 0)
+      .map(([id, delta]) => ({ repository, id, delta }));
+
+    const pendentes = [...ajustes(cards, cardRepository), ...ajustes(accounts, accountRepository)];
+    const resultados = await Promise.allSettled(
+      pendentes.map(({ repository, id, delta }) => repository.adjustBalance(id, delta))
+    );
+
+    // Se algum ajuste falhar, desfaz os que já foram aplicados para não deixar saldos pela metade
+    const falha = resultados.find(resultado => resultado.status === 'rejected');
+    if (falha) {
+      await Promise.allSettled(pendentes
+        .filter((_, i) => resultados[i].status === 'fulfilled')
+        .map(({ repository, id, delta }) => repository.adjustBalance(id, -delta)));
+      throw falha.reason;
+    }
+  }
+
+  /**
+   * Aplica os impactos nos saldos e, se falharem, desfaz a gravação da transação
+   * A gravação e os ajustes de saldo são escritas separadas: sem a compensação,
+   * uma falha no ajuste deixaria o saldo fora de sincronia com as transações.
+   * @param {Array} removed - Estado anterior das transações (desfeito)
+   * @param {Array} added - Estado novo das transações (aplicado)
+   * @param {Function} desfazer - Reverte a gravação das transações
+   */
+  async applyBalanceImpactsOrUndo(removed, added, desfazer) {
+    try {
+      await this.applyBalanceImpacts(removed, added);
+    } catch (error) {
+      await desfazer().catch(erroDesfazer =>
+        console.error('Erro ao desfazer gravação de transação:', erroDesfazer.message)
+      );
+      throw error;
+    }
+  }
+
   /**
    * Busca resumo financeiro do usuário
+   * Estornos não contam como receita: abatem as despesas do período em que foram lançados.
    * @param {String} userId - ID do usuário
    * @param {Date} startDate - Data inicial
    * @param {Date} endDate - Data final
+   * @param {Object} options - incluirPendentes: soma também as pendentes em "previsto"
    * @returns {Object} Resumo financeiro
    */
-  async getFinancialSummary(userId, startDate = null, endDate = null) {
+  async getFinancialSummary(userId, startDate = null, endDate = null, options = {}) {
     try {
       const matchStage = {
         user: new mongoose.Types.ObjectId(userId),
-        status: 'confirmada'
+        status: options.incluirPendentes ? { $in: ['confirmada', 'pendente'] } : 'confirmada',
+        fatura: null, // pagamento de fatura não é receita
+        transferencia: null // transferências só movem dinheiro entre contas
       };
       
       if (startDate || endDate) {
@@ -212,9 +810,10 @@ class TransactionRepository {
 
       const result = await Transaction.aggregate([
         { $match: matchStage },
+        ...Transaction.refundStages(),
         {
           $group: {
-            _id: '$tipo',
+            _id: { tipo: '$tipo', status: '$status' },
             total: { $sum: '$valor' },
             count: { $sum: 1 }
           }
@@ -228,17 +827,37 @@ class TransactionRepository {
         totalTransacoes: 0
       };
 
+      const pendentes = { receitas: 0, despesas: 0, quantidade: 0 };
+
       result.forEach(item => {
-        if (item._id === 'receita') {
-          summary.receitas = Math.abs(item.total);
-          summary.totalTransacoes += item.count;
-        } else if (item._id === 'despesa') {
-          summary.despesas = Math.abs(item.total);
+        const campo = item._id.tipo === 'receita' ? 'receitas' : 'despesas';
+        if (item._id.status === 'pendente') {
+          pendentes[campo] += item.total;
+          pendentes.quantidade += item.count;
+        } else {
+          summary[campo] += item.total;
           summary.totalTransacoes += item.count;
         }
       });
 
-      summary.saldo = summary.receitas - summary.despesas;
+      // Arredonda como getTotals, para o resumo e os totais da listagem baterem no centavo
+      summary.receitas = arredondar(summary.receitas);
+      summary.despesas = arredondar(summary.despesas);
+      summary.saldo = arredondar(summary.receitas - summary.despesas);
+
+      // Previsto = confirmado + pendente
+      if (options.incluirPendentes) {
+        pendentes.receitas = arredondar(pendentes.receitas);
+        pendentes.despesas = arredondar(pendentes.despesas);
+        const receitas = arredondar(summary.receitas + pendentes.receitas);
+        const despesas = arredondar(summary.despesas + pendentes.despesas);
+        summary.previsto = {
+          receitas,
+          despesas,
+          saldo: arredondar(receitas - despesas),
+          pendentes
+        };
+      }
 
       return summary;
     } catch (error) {
@@ -248,6 +867,8 @@ class TransactionRepository {
 
   /**
    * Busca transações por categoria
+   * total e count são da própria categoria; totalComSubcategorias e countComSubcategorias somam
+   * também as subcategorias (categorias pai sem transações próprias entram com total 0).
    * @param {String} userId - ID do usuário
    * @param {Date} startDate - Data inicial
    * @param {Date} endDate - Data final
@@ -258,7 +879,8 @@ class TransactionRepository {
       const matchStage = {
         user: new mongoose.Types.ObjectId(userId),
         status: 'confirmada',
-        categoriaId: { $ne: null }
+        fatura: null,
+        transferencia: null
       };
       
       if (startDate || endDate) {
@@ -267,8 +889,12 @@ class TransactionRepository {
         if (endDate) matchStage.data.$lte = endDate;
       }
 
-      return await Transaction.aggregate([
+      const itens = await Transaction.aggregate([
         { $match: matchStage },
+        // Estornos abatem a despesa na categoria da compra original
+        ...Transaction.refundStages(),
+        ...Transaction.splitStages(),
+        { $match: { categoriaId: { $ne: null } } },
         {
           $group: {
             _id: {
@@ -295,19 +921,254 @@ class TransactionRepository {
             _id: 0,
             categoria: '$categoria',
             tipo: '$_id.tipo',
-            total: { $abs: '$total' },
+            total: { $round: ['$total', 2] },
             count: 1
           }
-        },
-        {
-          $sort: { total: -1 }
         }
       ]);
+
+      const categories = await Category.find({ user: userId }).lean();
+      const resultado = [];
+
+      for (const tipo of [...new Set(itens.map(item => item.tipo))]) {
+        const proprios = new Map(itens.filter(item => item.tipo === tipo).map(item => [item.categoria._id.toString(), item]));
+        const somas = Category.rollup(categories, proprios);
+
+        const categorias = [...categories];
+        proprios.forEach(item => {
+          if (!somas.has(item.categoria._id.toString())) categorias.push(item.categoria);
+        });
+
+        categorias.forEach(categoria => {
+          const id = categoria._id.toString();
+          const proprio = proprios.get(id);
+          const soma = somas.get(id) || proprio;
+          if (!soma || soma.count === 0) return;
+
+          resultado.push({
+            categoria: proprio ? proprio.categoria : categoria,
+            tipo,
+            total: proprio ? proprio.total : 0,
+            count: proprio ? proprio.count : 0,
+            totalComSubcategorias: soma.total,
+            countComSubcategorias: soma.count
+          });
+        });
+      }
+
+      return resultado.sort((a, b) => b.total - a.total || b.totalComSubcategorias - a.totalComSubcategorias);
     } catch (error) {
       throw new Error(`Erro ao buscar transações por categoria: ${error.message}`);
     }
   }
 
+  /**
+   * Busca totais por tag
+   * Tag da transação conta o valor inteiro; tag só em linhas de uma divisão conta o valor dessas linhas.
+   * Estornos abatem as despesas da tag.
+   * @param {String} userId - ID do usuário
+   * @param {Date} startDate - Data inicial
+   * @param {Date} endDate - Data final
+   * @returns {Array} { tag, transacoes, receitas, despesas }
+   */
+  async getByTag(userId, startDate = null, endDate = null) {
+    try {
+      const matchStage = {
+        user: new mongoose.Types.ObjectId(userId),
+        $or: [{ 'tags.0': { $exists: true } }, { 'divisoes.tags.0': { $exists: true } }]
+      };
+
+      if (startDate || endDate) {
+        matchStage.data = {};
+        if (startDate) matchStage.data.$gte = startDate;
+        if (endDate) matchStage.data.$lte = endDate;
+      }
+
+      const itensDaTransacao = {
+        $map: { input: { $ifNull: ['$tags', []] }, as: 'tag', in: { tag: '$$tag', inteiro: '$valor', linha: 0 } }
+      };
+      const itensDasLinhas = {
+        $reduce: {
+          input: { $ifNull: ['$divisoes', []] },
+          initialValue: [],
+          in: {
+            $concatArrays: ['$$value', {
+              $map: { input: { $ifNull: ['$$this.tags', []] }, as: 'tag', in: { tag: '$$tag', inteiro: 0, linha: '$$this.valor' } }
+            }]
+          }
+        }
+      };
+
+      return await Transaction.aggregate([
+        { $match: matchStage },
+        {
+          $project: {
+            tipo: { $cond: [{ $ne: [{ $ifNull: ['$estornoDe', null] }, null] }, 'despesa', '$tipo'] },
+            sinal: { $cond: [{ $ne: [{ $ifNull: ['$estornoDe', null] }, null] }, -1, 1] },
+            // Como no resumo financeiro, só transações confirmadas que não são transferência nem pagamento de fatura somam
+            soma: {
+              $and: [
+                { $eq: ['$status', 'confirmada'] },
+                { $eq: [{ $ifNull: ['$fatura', null] }, null] },
+                { $eq: [{ $ifNull: ['$transferencia', null] }, null] }
+              ]
+            },
+            itens: { $concatArrays: [itensDaTransacao, itensDasLinhas] }
+          }
+        },
+        { $unwind: '$itens' },
+        {
+          $group: {
+            _id: { transacao: '$_id', tag: '$itens.tag' },
+            tipo: { $first: '$tipo' },
+            sinal: { $first: '$sinal' },
+            soma: { $first: '$soma' },
+            inteiro: { $max: '$itens.inteiro' },
+            linhas: { $sum: '$itens.linha' }
+          }
+        },
+        {
+          $group: {
+            _id: '$_id.tag',
+            transacoes: { $sum: 1 },
+            receitas: {
+              $sum: {
+                $cond: [{ $and: ['$soma', { $eq: ['$tipo', 'receita'] }] }, { $max: ['$inteiro', '$linhas'] }, 0]
+              }
+            },
+            despesas: {
+              $sum: {
+                $cond: [
+                  { $and: ['$soma', { $eq: ['$tipo', 'despesa'] }] },
+                  { $multiply: ['$sinal', { $max: ['$inteiro', '$linhas'] }] },
+                  0
+                ]
+              }
+            }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            tag: '$_id',
+            transacoes: 1,
+            receitas: { $round: ['$receitas', 2] },
+            despesas: { $round: ['$despesas', 2] }
+          }
+        },
+        { $sort: { despesas: -1, tag: 1 } }
+      ]);
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações por tag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Soma os gastos por estabelecimento (estornos abatem as despesas)
+   * @param {String} userId - ID do usuário
+   * @param {Date} startDate - Data inicial
+   * @param {Date} endDate - Data final
+   * @param {String} merchantId - Restringe a um estabelecimento
+   * @returns {Array} { estabelecimento, despesas, receitas, transacoes, quantidadeDespesas, primeira, ultima }
+   */
+  async getByMerchant(userId, startDate = null, endDate = null, merchantId = null) {
+    try {
+      const matchStage = {
+        user: new mongoose.Types.ObjectId(userId),
+        estabelecimento: merchantId ? new mongoose.Types.ObjectId(merchantId) : { $ne: null },
+        status: 'confirmada',
+        fatura: null,
+        transferencia: null
+      };
+
+      if (startDate || endDate) {
+        matchStage.data = {};
+        if (startDate) matchStage.data.$gte = startDate;
+        if (endDate) matchStage.data.$lte = endDate;
+      }
+
+      return await Transaction.aggregate([
+        { $match: matchStage },
+        ...Transaction.refundStages(),
+        {
+          $group: {
+            _id: '$estabelecimento',
+            despesas: { $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] } },
+            receitas: { $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] } },
+            transacoes: { $sum: 1 },
+            // Compras: despesas sem os estornos, que depois de refundStages são despesas negativas
+            quantidadeDespesas: {
+              $sum: { $cond: [{ $and: [{ $eq: ['$tipo', 'despesa'] }, { $gt: ['$valor', 0] }] }, 1, 0] }
+            },
+            primeira: { $min: '$data' },
+            ultima: { $max: '$data' }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            estabelecimento: '$_id',
+            despesas: { $round: ['$despesas', 2] },
+            receitas: { $round: ['$receitas', 2] },
+            transacoes: 1,
+            quantidadeDespesas: 1,
+            primeira: 1,
+            ultima: 1
+          }
+        },
+        { $sort: { despesas: -1 } }
+      ]);
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações por estabelecimento: ${error.message}`);
+    }
+  }
+
+  /**
+   * Soma os gastos mensais de um estabelecimento (estornos abatem as despesas)
+   * @param {String} userId - ID do usuário
+   * @param {String} merchantId - ID do estabelecimento
+   * @param {Date} startDate - Data inicial
+   * @param {Date} endDate - Data final
+   * @returns {Array} { ano, mes, despesas, transacoes }, do mês mais antigo para o mais recente
+   */
+  async getMerchantMonthly(userId, merchantId, startDate, endDate) {
+    try {
+      return await Transaction.aggregate([
+        {
+          $match: {
+            user: new mongoose.Types.ObjectId(userId),
+            estabelecimento: new mongoose.Types.ObjectId(merchantId),
+            status: 'confirmada',
+            fatura: null,
+            transferencia: null,
+            data: { $gte: startDate, $lte: endDate }
+          }
+        },
+        ...Transaction.refundStages(),
+        { $match: { tipo: 'despesa' } },
+        {
+          $group: {
+            _id: { ano: { $year: '$data' }, mes: { $month: '$data' } },
+            despesas: { $sum: '$valor' },
+            transacoes: { $sum: 1 }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            ano: '$_id.ano',
+            mes: '$_id.mes',
+            despesas: { $round: ['$despesas', 2] },
+            transacoes: 1
+          }
+        },
+        { $sort: { ano: 1, mes: 1 } }
+      ]);
+    } catch (error) {
+      throw new Error(`Erro ao buscar gastos mensais do estabelecimento: ${error.message}`);
+    }
+  }
+
   /**
    * Busca fluxo de caixa mensal
    * @param {String} userId - ID do usuário
@@ -324,9 +1185,12 @@ class TransactionRepository {
           $match: {
             user: new mongoose.Types.ObjectId(userId),
             status: 'confirmada',
+            fatura: null,
+            transferencia: null,
             data: { $gte: startDate, $lte: endDate }
           }
         },
+        ...Transaction.refundStages(),
         {
           $group: {
             _id: {
@@ -343,7 +1207,7 @@ class TransactionRepository {
               $sum: {
                 $cond: [
                   { $eq: ['$_id.tipo', 'receita'] },
-                  { $abs: '$total' },
+                  '$total',
                   0
                 ]
               }
@@ -352,7 +1216,7 @@ class TransactionRepository {
               $sum: {
                 $cond: [
                   { $eq: ['$_id.tipo', 'despesa'] },
-                  { $abs: '$total' },
+                  '$total',
                   0
                 ]
               }
@@ -427,6 +1291,153 @@ class TransactionRepository {
       throw new Error(`Erro ao buscar transações recentes: ${error.message}`);
     }
   }
+
+  /**
+   * Busca as transações pendentes do usuário, das mais próximas para as mais distantes
+   * @param {String} userId - ID do usuário
+   * @param {Date} ate - Data limite (opcional)
+   * @returns {Array} Transações pendentes
+   */
+  async findPending(userId, ate = null) {
+    try {
+      const query = { user: userId, status: 'pendente' };
+      if (ate) query.data = { $lte: ate };
+
+      return await Transaction.find(query)
+        .populate('categoria', 'nome cor icone')
+        .populate('cartao', 'nome bandeira')
+        .sort({ data: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações pendentes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca transações pendentes de todos os usuários cuja data já chegou
+   * @param {Date} ate - Data limite
+   * @param {Number} limit - Quantidade máxima por execução
+   * @returns {Array} Transações pendentes
+   */
+  async findDuePending(ate, limit = 500) {
+    try {
+      return await Transaction.find({ status: 'pendente', data: { $lte: ate } })
+        .sort({ data: 1 })
+        .limit(limit);
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações pendentes vencidas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Monta o filtro das transações confirmadas de uma conta ou cartão
+   * @param {String} userId - ID do usuário
+   * @param {Object} alvo - { account } ou { cartao }
+   * @returns {Object} Filtro
+   */
+  buildTargetQuery(userId, alvo) {
+    const query = { user: userId, status: 'confirmada' };
+    if (alvo.account) {
+      query.account = alvo.account;
+    } else {
+      query.$or = [{ cartaoId: alvo.cartao }, { cartao: alvo.cartao }];
+    }
+    return query;
+  }
+
+  /**
+   * Busca as transações confirmadas e ainda não conciliadas de uma conta ou cartão até a data
+   * @param {String} userId - ID do usuário
+   * @param {Object} alvo - { account } ou { cartao }
+   * @param {Date} ate - Data final do extrato
+   * @returns {Array} Transações, das mais antigas para as mais recentes
+   */
+  async findReconcilable(userId, alvo, ate) {
+    try {
+      return await Transaction.find({
+        ...this.buildTargetQuery(userId, alvo),
+        conciliacao: null,
+        data: { $lte: ate }
+      })
+        .populate('categoria', 'nome cor icone')
+        .sort({ data: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações a conciliar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca as transações conferidas por uma conciliação
+   * @param {String} reconciliationId - ID da conciliação
+   * @returns {Array} Transações, das mais antigas para as mais recentes
+   */
+  async findByReconciliation(reconciliationId) {
+    try {
+      return await Transaction.find({ conciliacao: reconciliationId })
+        .populate('categoria', 'nome cor icone')
+        .sort({ data: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações conciliadas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca as transações ainda sem estabelecimento, só com ID e descrição
+   * Pernas de transferência não são gastos em estabelecimentos e ficam de fora.
+   * @param {String} userId - ID do usuário
+   * @param {Number} limit - Quantidade máxima
+   * @returns {Array} { _id, descricao }, das mais recentes para as mais antigas
+   */
+  async findWithoutMerchant(userId, limit) {
+    try {
+      return await Transaction.find({ user: userId, estabelecimento: null, transferencia: null }, '_id descricao')
+        .sort({ data: -1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      throw new Error(`Erro ao buscar transações sem estabelecimento: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca os estornos de uma ou mais transações
+   * @param {String|Array} ids - ID ou IDs das transações originais
+   * @returns {Array} Estornos, dos mais antigos para os mais recentes
+   */
+  async findRefunds(ids) {
+    try {
+      return await Transaction.find({ estornoDe: { $in: [].concat(ids) } }).sort({ data: 1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar estornos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca (ou desmarca, com null) transações como conciliadas
+   * @param {Array} ids - IDs das transações
+   * @param {String|null} reconciliationId - ID da conciliação
+   * @returns {Number} Quantidade de transações alteradas
+   */
+  async setReconciliation(ids, reconciliationId) {
+    try {
+      if (ids.length === 0) return 0;
+
+      const previous = await Transaction.find({ _id: { $in: ids } });
+      const result = await Transaction.updateMany(
+        { _id: { $in: ids } },
+        { conciliacao: reconciliationId }
+      );
+
+      const updated = await Transaction.find({ _id: { $in: ids } });
+      const porId = new Map(previous.map(t => [t._id.toString(), t]));
+      for (const transaction of updated) {
+        await auditLogRepository.record('Transaction', porId.get(transaction._id.toString()), transaction);
+      }
+
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Erro ao marcar transações conciliadas: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new TransactionRepository();
@@ -0,0 +1,78 @@
+const { Transfer } = require('../models');
+
+class TransferRepository {
+  /**
+   * Busca transferência por ID
+   * @param {String} id - ID da transferência
+   * @returns {Object|null} Transferência encontrada ou null
+   */
+  async findById(id) {
+    try {
+      return await Transfer.findById(id);
+    } catch (error) {
+      throw new Error(`Erro ao buscar transferência por ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca transferências do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - Filtros opcionais
+   * @returns {Array} Lista de transferências
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      const query = { user: userId, ...filters };
+      return await Transfer.find(query).sort({ data: -1 });
+    } catch (error) {
+      throw new Error(`Erro ao buscar transferências do usuário: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria uma nova transferência
+   * @param {Object} transferData - Dados da transferência
+   * @returns {Object} Transferência criada
+   */
+  async create(transferData) {
+    try {
+      const transfer = new Transfer(transferData);
+      return await transfer.save();
+    } catch (error) {
+      throw new Error(`Erro ao criar transferência: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atualiza uma transferência
+   * @param {String} id - ID da transferência
+   * @param {Object} updateData - Dados para atualização
+   * @returns {Object|null} Transferência atualizada ou null
+   */
+  async update(id, updateData) {
+    try {
+      return await Transfer.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Erro ao atualizar transferência: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deleta uma transferência
+   * @param {String} id - ID da transferência
+   * @returns {Object|null} Transferência deletada ou null
+   */
+  async delete(id) {
+    try {
+      return await Transfer.findByIdAndDelete(id);
+    } catch (error) {
+      throw new Error(`Erro ao deletar transferência: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TransferRepository();
@@ -0,0 +1,25 @@
+const express = require('express');
+const accountController = require('../controllers/accountController');
+const { authenticate } = require('../middlewares/auth');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { accountValidation, idValidation } = require('../middlewares/validation');
+const { Account } = require('../models');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+const ownAccount = [idValidation.mongoId, validateOwnership(Account)];
+
+// Rotas de contas bancárias
+router.get('/', accountController.getAccounts);
+router.get('/summary', accountController.getBalanceSummary);
+router.post('/', accountValidation.create, accountController.createAccount);
+router.get('/:id', ownAccount, accountController.getAccountById);
+router.put('/:id', ownAccount, accountValidation.update, accountController.updateAccount);
+router.delete('/:id', ownAccount, accountController.deleteAccount);
+router.get('/:id/history', ownAccount, accountValidation.history, accountController.getBalanceHistory);
+router.post('/:id/recalculate', ownAccount, accountController.recalculateBalance);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { authenticate } = require('../middlewares/auth');
+const { auditValidation, queryValidation } = require('../middlewares/validation');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+// Rotas do histórico de alterações
+router.get('/', queryValidation.pagination, auditValidation.list, auditController.getAuditLogs);
+router.get('/:tipo/:id', queryValidation.pagination, auditValidation.document, auditController.getDocumentHistory);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const authController = require('../controllers/authController');
 const { authenticate } = require('../middlewares/auth');
-const { authValidation } = require('../middlewares/validation');
+const { authValidation, userValidation } = require('../middlewares/validation');
 const { authLimiter } = require('../middlewares/security');
 
 const router = express.Router();
@@ -20,6 +20,7 @@ router.get('/verify', authController.verifyToken);
 router.post('/logout', authController.logout);
 router.post('/logout-all', authController.logoutAll);
 router.post('/change-password', authValidation.changePassword, authController.changePassword);
+router.put('/settings', userValidation.updateSettings, authController.updateSettings);
 
 module.exports = router;
 
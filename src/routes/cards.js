@@ -1,7 +1,16 @@
 const express = require('express');
 const cardController = require('../controllers/cardController');
+const cardPurchaseController = require('../controllers/cardPurchaseController');
+const cardStatementController = require('../controllers/cardStatementController');
 const { authenticate } = require('../middlewares/auth');
-const { idValidation, queryValidation } = require('../middlewares/validation');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const {
+  cardPurchaseValidation,
+  cardStatementValidation,
+  idValidation,
+  queryValidation
+} = require('../middlewares/validation');
+const { Card } = require('../models');
 
 const router = express.Router();
 
@@ -21,8 +30,26 @@ router.get('/:id', idValidation.mongoId, cardController.getCardById);
 router.put('/:id', idValidation.mongoId, cardController.updateCard);
 router.delete('/:id', idValidation.mongoId, cardController.deleteCard);
 router.patch('/:id/balance', idValidation.mongoId, cardController.updateBalance);
+router.post('/:id/recalculate', idValidation.mongoId, cardController.recalculateBalance);
 router.get('/:id/monthly-expenses', idValidation.mongoId, cardController.getMonthlyExpenses);
 router.get('/brand/:bandeira', cardController.getCardsByBrand);
 
+const ownCard = [idValidation.mongoId, validateOwnership(Card)];
+
+// Faturas
+router.get('/:id/statements', ownCard, cardStatementController.getStatements);
+router.get('/:id/statements/:referencia', ownCard, cardStatementValidation.referencia, cardStatementController.getStatement);
+router.post('/:id/statements/:referencia/pay', ownCard, cardStatementValidation.pay, cardStatementController.payStatement);
+router.delete('/:id/statements/:referencia/payments/:transactionId', ownCard, cardStatementValidation.removePayment, cardStatementController.removePayment);
+router.get('/:id/best-purchase-day', ownCard, cardStatementController.getBestPurchaseDay);
+
+// Compras parceladas
+
+router.get('/:id/purchases', ownCard, cardPurchaseController.getPurchases);
+router.post('/:id/purchases', ownCard, cardPurchaseValidation.create, cardPurchaseController.createPurchase);
+router.get('/:id/purchases/:purchaseId', ownCard, cardPurchaseValidation.purchaseId, cardPurchaseController.getPurchaseById);
+router.post('/:id/purchases/:purchaseId/anticipate', ownCard, cardPurchaseValidation.anticipate, cardPurchaseController.anticipateInstallments);
+router.post('/:id/purchases/:purchaseId/cancel', ownCard, cardPurchaseValidation.purchaseId, cardPurchaseController.cancelPurchase);
+
 module.exports = router;
 
@@ -13,15 +13,18 @@ router.get('/', queryValidation.pagination, categoryController.getCategories);
 router.get('/paginated', queryValidation.pagination, categoryController.getCategoriesWithPagination);
 router.get('/stats', categoryController.getCategoryStats);
 router.get('/most-used', categoryController.getMostUsedCategories);
+router.get('/tree', categoryValidation.tree, categoryController.getCategoryTree);
 router.post('/default', categoryController.createDefaultCategories);
+router.get('/templates', categoryValidation.templates, categoryController.getCategoryTemplates);
+router.post('/templates/:pacote/apply', categoryValidation.applyTemplate, categoryController.applyCategoryTemplate);
 router.post('/', categoryValidation.create, categoryController.createCategory);
 router.get('/:id', idValidation.mongoId, categoryController.getCategoryById);
+router.get('/:id/tree', idValidation.mongoId, categoryController.getCategorySubtree);
+router.get('/:id/usage', idValidation.mongoId, categoryController.getCategoryUsage);
+router.post('/:id/merge', categoryValidation.merge, categoryController.mergeCategory);
 router.put('/:id', categoryValidation.update, categoryController.updateCategory);
-router.delete('/all', (req, res, next) => {
-  console.log('>>> Chegou na rota DELETE /api/categories/all');
-  next();
-}, categoryController.deleteAllCategories);
-router.delete('/:id', idValidation.mongoId, categoryController.deleteCategory);
+router.delete('/all', categoryValidation.removeAll, categoryController.deleteAllCategories);
+router.delete('/:id', categoryValidation.remove, categoryController.deleteCategory);
 
 module.exports = router;
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const categoryRuleController = require('../controllers/categoryRuleController');
+const { authenticate } = require('../middlewares/auth');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { categoryRuleValidation, idValidation } = require('../middlewares/validation');
+const { CategoryRule } = require('../models');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+const ownRule = [idValidation.mongoId, validateOwnership(CategoryRule)];
+
+// Rotas de regras de categorização
+router.get('/', categoryRuleController.getRules);
+router.post('/', categoryRuleValidation.create, categoryRuleController.createRule);
+router.get('/:id', ownRule, categoryRuleController.getRuleById);
+router.put('/:id', ownRule, categoryRuleValidation.update, categoryRuleController.updateRule);
+router.delete('/:id', ownRule, categoryRuleController.deleteRule);
+router.post('/:id/preview', ownRule, categoryRuleValidation.apply, categoryRuleController.previewRule);
+router.post('/:id/apply', ownRule, categoryRuleValidation.apply, categoryRuleController.applyRule);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { authenticate } = require('../middlewares/auth');
+const { exchangeRateValidation, idValidation } = require('../middlewares/validation');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+// Rotas de cotações
+router.get('/', exchangeRateValidation.list, exchangeRateController.getExchangeRates);
+router.get('/convert', exchangeRateValidation.convert, exchangeRateController.convert);
+router.post('/', exchangeRateValidation.create, exchangeRateController.saveExchangeRate);
+router.delete('/:id', idValidation.mongoId, exchangeRateController.deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const importController = require('../controllers/importController');
+const { authenticate } = require('../middlewares/auth');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { uploadLimiter } = require('../middlewares/security');
+const { statementUpload } = require('../middlewares/upload');
+const { importValidation, idValidation } = require('../middlewares/validation');
+const { ImportBatch } = require('../models');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+const ownImport = [idValidation.mongoId, validateOwnership(ImportBatch)];
+
+// Rotas de importação de extratos
+router.get('/', importController.getImports);
+router.get('/presets', importController.getPresets);
+router.post('/csv/preview', uploadLimiter, statementUpload, importValidation.csv, importController.previewCsv);
+router.post('/csv', uploadLimiter, statementUpload, importValidation.csv, importController.importCsv);
+router.post('/ofx/preview', uploadLimiter, statementUpload, importValidation.ofx, importController.previewOfx);
+router.post('/ofx', uploadLimiter, statementUpload, importValidation.ofx, importController.importOfx);
+router.get('/:id', ownImport, importController.getImportById);
+router.post('/:id/revert', ownImport, importController.revertImport);
+
+module.exports = router;
@@ -14,6 +14,16 @@ const dashboardRoutes = require("./dashboard");
 const reportRoutes = require("./reports");
 const incomesRoutes = require("./incomes");
 const categoryLimitsRoutes = require("./categoryLimits");
+const recurrencesRoutes = require("./recurrences");
+const accountRoutes = require("./accounts");
+const transferRoutes = require("./transfers");
+const importRoutes = require("./imports");
+const categoryRuleRoutes = require("./categoryRules");
+const tagRoutes = require("./tags");
+const auditRoutes = require("./audit");
+const exchangeRateRoutes = require("./exchangeRates");
+const reconciliationRoutes = require("./reconciliations");
+const merchantRoutes = require("./merchants");
 
 const router = express.Router();
 
@@ -38,6 +48,16 @@ router.get("/health", (req, res) => {
       fixedExpenses: "/api/fixed-expenses",
       investments: "/api/investments",
       incomes: "/api/incomes",
+      recurrences: "/api/recurrences",
+      accounts: "/api/accounts",
+      transfers: "/api/transfers",
+      imports: "/api/imports",
+      rules: "/api/rules",
+      tags: "/api/tags",
+      audit: "/api/audit",
+      exchangeRates: "/api/exchange-rates",
+      reconciliations: "/api/reconciliations",
+      merchants: "/api/merchants",
     },
   });
 });
@@ -56,6 +76,16 @@ router.use("/dashboard", dashboardRoutes);
 router.use("/reports", reportRoutes);
 router.use("/investments", investmentsRoutes);
 router.use("/incomes", incomesRoutes);
+router.use("/recurrences", recurrencesRoutes);
+router.use("/accounts", accountRoutes);
+router.use("/transfers", transferRoutes);
+router.use("/imports", importRoutes);
+router.use("/rules", categoryRuleRoutes);
+router.use("/tags", tagRoutes);
+router.use("/audit", auditRoutes);
+router.use("/exchange-rates", exchangeRateRoutes);
+router.use("/reconciliations", reconciliationRoutes);
+router.use("/merchants", merchantRoutes);
 
 // Limites de categoria
 router.use("/category-limits", categoryLimitsRoutes);
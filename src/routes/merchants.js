@@ -0,0 +1,25 @@
+const express = require('express');
+const merchantController = require('../controllers/merchantController');
+const { authenticate } = require('../middlewares/auth');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { merchantValidation, idValidation, queryValidation } = require('../middlewares/validation');
+const { Merchant } = require('../models');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+const ownMerchant = [idValidation.mongoId, validateOwnership(Merchant)];
+
+// Rotas de estabelecimentos
+router.get('/', queryValidation.dateRange, merchantController.getMerchants);
+router.get('/autocomplete', merchantValidation.autocomplete, merchantController.autocomplete);
+router.post('/link', merchantController.linkTransactions);
+router.post('/', merchantValidation.create, merchantController.createMerchant);
+router.get('/:id', ownMerchant, merchantValidation.stats, merchantController.getMerchantById);
+router.get('/:id/transactions', ownMerchant, queryValidation.pagination, queryValidation.dateRange, merchantController.getMerchantTransactions);
+router.put('/:id', ownMerchant, merchantValidation.update, merchantController.updateMerchant);
+router.delete('/:id', ownMerchant, merchantController.deleteMerchant);
+
+module.exports = router;
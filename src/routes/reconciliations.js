@@ -0,0 +1,24 @@
+const express = require('express');
+const reconciliationController = require('../controllers/reconciliationController');
+const { authenticate } = require('../middlewares/auth');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { reconciliationValidation, idValidation } = require('../middlewares/validation');
+const { Reconciliation } = require('../models');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+const ownReconciliation = [idValidation.mongoId, validateOwnership(Reconciliation)];
+
+// Rotas de conciliação
+router.get('/', reconciliationValidation.list, reconciliationController.getReconciliations);
+router.post('/', reconciliationValidation.create, reconciliationController.createReconciliation);
+router.get('/:id', ownReconciliation, reconciliationController.getReconciliationById);
+router.put('/:id', ownReconciliation, reconciliationValidation.update, reconciliationController.updateReconciliation);
+router.patch('/:id/items', ownReconciliation, reconciliationValidation.items, reconciliationController.updateItems);
+router.post('/:id/complete', ownReconciliation, reconciliationValidation.complete, reconciliationController.completeReconciliation);
+router.delete('/:id', ownReconciliation, reconciliationController.deleteReconciliation);
+
+module.exports = router;
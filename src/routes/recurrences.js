@@ -0,0 +1,24 @@
+const express = require('express');
+const recurrenceController = require('../controllers/recurrenceController');
+const { authenticate } = require('../middlewares/auth');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { recurrenceValidation, idValidation } = require('../middlewares/validation');
+const { Recurrence } = require('../models');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+const ownRecurrence = [idValidation.mongoId, validateOwnership(Recurrence)];
+
+// Rotas de séries recorrentes
+router.get('/', recurrenceController.getRecurrences);
+router.post('/', recurrenceValidation.create, recurrenceController.createRecurrence);
+router.get('/:id', ownRecurrence, recurrenceController.getRecurrenceById);
+router.get('/:id/upcoming', ownRecurrence, recurrenceController.getUpcoming);
+router.post('/:id/skip', ownRecurrence, recurrenceValidation.occurrence, recurrenceController.skipOccurrence);
+router.put('/:id/following', ownRecurrence, recurrenceValidation.following, recurrenceController.updateFollowing);
+router.post('/:id/stop', ownRecurrence, recurrenceController.stopRecurrence);
+
+module.exports = router;
@@ -12,6 +12,7 @@ router.use(authenticate);
 router.get('/available', reportController.getAvailableReports);
 router.get('/financial', reportController.generateFinancialReport);
 router.get('/categories', reportController.generateCategoryReport);
+router.get('/tags', queryValidation.dateRange, reportController.generateTagReport);
 router.get('/cash-flow', reportController.generateCashFlowReport);
 router.get('/top-categories', queryValidation.dateRange, reportController.getTopCategories);
 router.get('/monthly-evolution', queryValidation.dateRange, reportController.getMonthlyEvolution);
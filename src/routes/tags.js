@@ -0,0 +1,17 @@
+const express = require('express');
+const tagController = require('../controllers/tagController');
+const { authenticate } = require('../middlewares/auth');
+const { tagValidation, queryValidation } = require('../middlewares/validation');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+// Rotas de tags
+router.get('/', queryValidation.dateRange, tagController.getTags);
+router.post('/merge', tagValidation.merge, tagController.mergeTags);
+router.put('/:nome', tagValidation.update, tagController.updateTag);
+router.delete('/:nome', tagValidation.name, tagController.deleteTag);
+
+module.exports = router;
@@ -1,25 +1,59 @@
 const express = require('express');
 const transactionController = require('../controllers/transactionController');
+const duplicateController = require('../controllers/duplicateController');
+const attachmentController = require('../controllers/attachmentController');
+const trashController = require('../controllers/trashController');
+const pendingTransactionController = require('../controllers/pendingTransactionController');
+const refundController = require('../controllers/refundController');
 const { authenticate } = require('../middlewares/auth');
-const { transactionValidation, idValidation, queryValidation } = require('../middlewares/validation');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { uploadLimiter } = require('../middlewares/security');
+const { attachmentUpload } = require('../middlewares/upload');
+const { transactionValidation, transactionBulkValidation, duplicateValidation, idValidation, queryValidation } = require('../middlewares/validation');
+const { Transaction } = require('../models');
 
 const router = express.Router();
 
 // Todas as rotas requerem autenticação
 router.use(authenticate);
 
+const ownTransaction = [idValidation.mongoId, validateOwnership(Transaction)];
+const ownAttachment = [...ownTransaction, idValidation.attachmentId];
+
 // Rotas de transações
-router.get('/', queryValidation.pagination, queryValidation.dateRange, transactionController.getTransactions);
+router.get('/', queryValidation.pagination, queryValidation.dateRange, transactionValidation.filters, transactionController.getTransactions);
+router.post('/search', transactionValidation.search, transactionController.searchTransactions);
 router.get('/summary', queryValidation.dateRange, transactionController.getFinancialSummary);
 router.get('/by-category', queryValidation.dateRange, transactionController.getTransactionsByCategory);
 router.get('/cash-flow', transactionController.getMonthlyCashFlow);
 router.get('/stats', transactionController.getTransactionStats);
 router.get('/recent', transactionController.getRecentTransactions);
+router.get('/duplicates', queryValidation.dateRange, duplicateController.getDuplicateGroups);
+router.post('/duplicates/merge', duplicateValidation.merge, duplicateController.mergeDuplicates);
+router.post('/duplicates/dismiss', duplicateValidation.dismiss, duplicateController.dismissDuplicates);
+router.get('/pending', pendingTransactionController.getPending);
+router.post('/pending/confirm', transactionBulkValidation.selection, pendingTransactionController.confirmMany);
+router.post('/pending/cancel', transactionBulkValidation.selection, pendingTransactionController.cancelMany);
+router.get('/trash', queryValidation.pagination, trashController.getTrash);
+router.delete('/trash', trashController.emptyTrash);
+router.post('/trash/:id/restore', idValidation.mongoId, trashController.restoreTransaction);
+router.delete('/trash/:id', idValidation.mongoId, trashController.purgeTransaction);
 router.post('/', transactionValidation.create, transactionController.createTransaction);
 router.post('/bulk', transactionValidation.bulkCreate, transactionController.createBulkTransactions);
+router.post('/bulk/update', transactionBulkValidation.update, transactionController.bulkUpdateTransactions);
+router.post('/bulk/delete', transactionBulkValidation.delete, transactionController.bulkDeleteTransactions);
 router.get('/:id', idValidation.mongoId, transactionController.getTransactionById);
-router.put('/:id', transactionValidation.update, transactionController.updateTransaction);
+router.put('/:id', transactionValidation.update, validateOwnership(Transaction), transactionController.updateTransaction);
 router.delete('/:id', idValidation.mongoId, transactionController.deleteTransaction);
+router.post('/:id/confirm', ownTransaction, pendingTransactionController.confirmTransaction);
+router.post('/:id/cancel', ownTransaction, pendingTransactionController.cancelTransaction);
+router.post('/:id/refund', ownTransaction, transactionValidation.refund, refundController.refundTransaction);
+
+// Comprovantes anexados
+router.get('/:id/attachments', ownTransaction, attachmentController.getAttachments);
+router.post('/:id/attachments', uploadLimiter, ownTransaction, attachmentUpload, attachmentController.uploadAttachment);
+router.get('/:id/attachments/:attachmentId', ownAttachment, attachmentController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', ownAttachment, attachmentController.deleteAttachment);
 
 module.exports = router;
 
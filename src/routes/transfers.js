@@ -0,0 +1,22 @@
+const express = require('express');
+const transferController = require('../controllers/transferController');
+const { authenticate } = require('../middlewares/auth');
+const { validateOwnership } = require('../middlewares/errorHandler');
+const { transferValidation, idValidation, queryValidation } = require('../middlewares/validation');
+const { Transfer } = require('../models');
+
+const router = express.Router();
+
+// Todas as rotas requerem autenticação
+router.use(authenticate);
+
+const ownTransfer = [idValidation.mongoId, validateOwnership(Transfer)];
+
+// Rotas de transferências
+router.get('/', queryValidation.dateRange, transferController.getTransfers);
+router.post('/', transferValidation.create, transferController.createTransfer);
+router.get('/:id', ownTransfer, transferController.getTransferById);
+router.put('/:id', ownTransfer, transferValidation.update, transferController.updateTransfer);
+router.delete('/:id', ownTransfer, transferController.deleteTransfer);
+
+module.exports = router;
@@ -6,6 +6,11 @@ require('dotenv').config();
 // Importar configurações e middlewares
 const connectDB = require('./config/database');
 const routes = require('./routes');
+const schedulerService = require('./services/schedulerService');
+const recurrenceService = require('./services/recurrenceService');
+const trashService = require('./services/trashService');
+const pendingTransactionService = require('./services/pendingTransactionService');
+const currencyService = require('./services/currencyService');
 const {
   corsConfig,
   helmetConfig,
@@ -21,6 +26,7 @@ const {
   sanitizeInput,
   requestLogger
 } = require('./middlewares/errorHandler');
+const { requestContext } = require('./utils/requestContext');
 
 // Criar aplicação Express
 const app = express();
@@ -53,6 +59,9 @@ app.use(mongoSanitizeConfig);
 app.use(xssProtection);
 app.use(sanitizeInput);
 
+// Contexto da requisição (origem e autor das alterações registradas no histórico)
+app.use(requestContext);
+
 // Rate limiting
 app.use('/api', apiLimiter);
 
@@ -91,9 +100,45 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   `);
 });
 
+// Jobs agendados (desative com SCHEDULER_ENABLED=false em instâncias extras)
+const MINUTO = 60 * 1000;
+schedulerService.register(
+  'recorrencias',
+  (parseInt(process.env.RECURRENCE_JOB_INTERVAL_MINUTES) || 60) * MINUTO,
+  () => recurrenceService.materializeDue()
+);
+schedulerService.register(
+  'lixeira',
+  60 * MINUTO,
+  () => trashService.purgeExpired()
+);
+
+// Confirmação automática das transações pendentes quando chega a data (opcional)
+if (process.env.PENDING_AUTO_CONFIRM === 'true') {
+  schedulerService.register(
+    'pendentes',
+    60 * MINUTO,
+    () => pendingTransactionService.confirmDue()
+  );
+}
+
+// Carga do arquivo local de cotações (relida uma vez por dia)
+if (process.env.EXCHANGE_RATES_FILE) {
+  schedulerService.register(
+    'cotacoes',
+    24 * 60 * MINUTO,
+    () => currencyService.loadRatesFile(process.env.EXCHANGE_RATES_FILE)
+  );
+}
+
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  schedulerService.start();
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM recebido. Encerrando servidor graciosamente...');
+  schedulerService.stop();
   server.close(() => {
     console.log('Servidor encerrado.');
     process.exit(0);
@@ -102,6 +147,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT recebido. Encerrando servidor graciosamente...');
+  schedulerService.stop();
   server.close(() => {
     console.log('Servidor encerrado.');
     process.exit(0);
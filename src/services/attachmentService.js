@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { transactionRepository } = require('../repositories');
+const { getStorage } = require('../utils/storage');
+const { requestError } = require('../middlewares/errorHandler');
+const { detectAttachmentFormat } = require('../middlewares/upload');
+
+const MAX_ANEXOS_POR_TRANSACAO = 10;
+const QUOTA_USUARIO = (parseInt(process.env.ATTACHMENT_QUOTA_MB) || 50) * 1024 * 1024;
+
+
+class AttachmentService {
+  /**
+   * Retorna o espaço usado pelos anexos do usuário e o limite
+   * @param {String} userId - ID do usuário
+   * @returns {Object} { quantidade, tamanho, limite } em bytes
+   */
+  async getUsage(userId) {
+    const uso = await transactionRepository.getAttachmentUsage(userId);
+    return { ...uso, limite: QUOTA_USUARIO };
+  }
+
+  /**
+   * Anexa um arquivo à transação
+   * @param {Object} transaction - Transação
+   * @param {Object} file - Arquivo recebido pelo multer
+   * @returns {Object} Anexo criado
+   */
+  async addAttachment(transaction, file) {
+    if (!file) {
+      throw requestError('Arquivo é obrigatório');
+    }
+
+    const formato = detectAttachmentFormat(file.buffer);
+    if (!formato) {
+      throw requestError('Conteúdo do arquivo não corresponde a JPEG, PNG, WEBP ou PDF');
+    }
+
+    if ((transaction.anexos || []).length >= MAX_ANEXOS_POR_TRANSACAO) {
+      throw requestError(`Uma transação pode ter no máximo ${MAX_ANEXOS_POR_TRANSACAO} anexos`);
+    }
+
+    const uso = await this.getUsage(transaction.user);
+    if (uso.tamanho + file.size > uso.limite) {
+      throw requestError('Limite de armazenamento de anexos atingido', 413);
+    }
+
+    const chave = `anexos/${transaction.user}/${transaction._id}/${crypto.randomUUID()}${formato.extensao}`;
+    const storage = getStorage();
+    await storage.save(chave, file.buffer);
+
+    let atualizada;
+    try {
+      atualizada = await transactionRepository.addAttachment(transaction._id, {
+        nome: file.originalname,
+        tipo: formato.tipo,
+        tamanho: file.size,
+        chave
+      });
+    } catch (error) {
+      await storage.remove(chave);
+      throw error;
+    }
+
+    if (!atualizada) {
+      await storage.remove(chave);
+      throw requestError('Transação não encontrada', 404);
+    }
+
+    return atualizada.anexos[atualizada.anexos.length - 1];
+  }
+
+  /**
+   * Busca um anexo da transação
+   * @param {Object} transaction - Transação
+   * @param {String} anexoId - ID do anexo
+   * @returns {Object} Anexo
+   */
+  getAttachment(transaction, anexoId) {
+    const anexo = transaction.anexos.id(anexoId);
+    if (!anexo) {
+      throw requestError('Anexo não encontrado', 404);
+    }
+    return anexo;
+  }
+
+  /**
+   * Abre o arquivo de um anexo para download
+   * @param {Object} transaction - Transação
+   * @param {String} anexoId - ID do anexo
+   * @returns {Object} { anexo, stream }
+   */
+  openAttachment(transaction, anexoId) {
+    const anexo = this.getAttachment(transaction, anexoId);
+    return { anexo, stream: getStorage().createReadStream(anexo.chave) };
+  }
+
+  /**
+   * Remove um anexo da transação e apaga o arquivo
+   * @param {Object} transaction - Transação
+   * @param {String} anexoId - ID do anexo
+   */
+  async removeAttachment(transaction, anexoId) {
+    const anexo = this.getAttachment(transaction, anexoId);
+
+    await transactionRepository.removeAttachment(transaction._id, anexo._id);
+    await getStorage().remove(anexo.chave);
+  }
+}
+
+module.exports = new AttachmentService();
@@ -1,4 +1,6 @@
-const { User } = require('../models');
+const { User, Transaction } = require('../models');
+const { userRepository } = require('../repositories');
+const { getUserCurrency } = require('../utils/currency');
 const { generateTokenPair, validateRefreshToken } = require('../utils/jwt');
 const bcrypt = require('bcryptjs');
 
@@ -243,6 +245,33 @@ class AuthService {
     
     return user.toJSON();
   }
+  
+  /**
+   * Atualiza as configurações do usuário (tema, moeda, idioma, notificações)
+   * A moeda base só muda enquanto não há transações: os valores já salvos estão convertidos
+   * para a moeda base da época e os totais misturariam as duas moedas.
+   * @param {Object} user - Usuário autenticado
+   * @param {Object} configuracoes - Configurações alteradas
+   * @returns {Object} Dados do usuário
+   */
+  async updateSettings(user, configuracoes = {}) {
+    const novas = { ...user.toObject().configuracoes, ...configuracoes };
+    
+    if (configuracoes.moeda) {
+      novas.moeda = configuracoes.moeda.toUpperCase();
+    }
+    
+    if (configuracoes.moeda && novas.moeda !== getUserCurrency(user)) {
+      const temTransacoes = await Transaction.exists({ user: user._id, excluidaEm: { $exists: true } });
+      if (temTransacoes) {
+        throw new Error('A moeda base não pode ser alterada depois que há transações lançadas');
+      }
+    }
+    
+    const updated = await userRepository.updateSettings(user._id, novas);
+    
+    return updated.toJSON();
+  }
 }
 
 module.exports = new AuthService();
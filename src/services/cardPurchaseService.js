@@ -0,0 +1,214 @@
+const { cardPurchaseRepository, transactionRepository } = require('../repositories');
+const { CardPurchase } = require('../models');
+const transactionBulkService = require('./transactionBulkService');
+const { requestError } = require('../middlewares/errorHandler');
+const { arredondar, somarValores } = require('../utils/currency');
+
+/**
+ * Recusa a operação se alguma das parcelas estiver conciliada
+ * @param {Array} installments - Parcelas afetadas
+ */
+const assertNotReconciled = installments => {
+  if (installments.some(installment => installment.conciliacao)) {
+    throw requestError('Parcela conciliada: desfaça a conciliação antes de alterar a compra');
+  }
+};
+
+class CardPurchaseService {
+  /**
+   * Calcula a data da parcela, mantendo o dia da compra (limitado ao fim do mês)
+   * @param {Date} dataCompra - Data da compra
+   * @param {Number} indice - Índice da parcela (0 = primeira)
+   * @returns {Date} Data da parcela
+   */
+  getInstallmentDate(dataCompra, indice) {
+    const data = new Date(dataCompra);
+    const ultimoDia = new Date(data.getFullYear(), data.getMonth() + indice + 1, 0).getDate();
+
+    return new Date(
+      data.getFullYear(),
+      data.getMonth() + indice,
+      Math.min(data.getDate(), ultimoDia),
+      data.getHours(),
+      data.getMinutes(),
+      data.getSeconds()
+    );
+  }
+
+  /**
+   * Cria uma compra parcelada e gera as transações das parcelas
+   * Cartões não têm moeda própria: as parcelas são lançadas na moeda base.
+   * As parcelas futuras nascem confirmadas (ver Transaction.applyScheduledStatus): a compra
+   * inteira já ocupa o limite do cartão e cada parcela entra na fatura do seu mês.
+   * @param {String} userId - ID do usuário
+   * @param {Object} card - Cartão da compra
+   * @param {Object} data - Dados da compra
+   * @returns {Object} Compra com parcelas e resumo
+   */
+  async createPurchase(userId, card, data) {
+    try {
+      const numeroParcelas = parseInt(data.parcelas);
+      const valorTotal = parseFloat(data.valorTotal);
+      const juros = parseFloat(data.juros) || 0;
+      const dataCompra = data.data ? new Date(data.data) : new Date();
+      const categoria = data.categoriaId || data.categoria || null;
+
+      // A categoria vai para a compra e para todas as parcelas: precisa ser do usuário
+      await transactionBulkService.validateReferences(userId, { categoria });
+
+      const valores = CardPurchase.calcularParcelas(valorTotal, numeroParcelas, juros);
+      const valorTotalComJuros = arredondar(valores.reduce((sum, v) => sum + v, 0));
+
+      const purchase = await cardPurchaseRepository.create({
+        user: userId,
+        cartao: card._id,
+        descricao: data.descricao,
+        categoria,
+        valorTotal,
+        numeroParcelas,
+        juros,
+        valorParcela: valores[0],
+        valorTotalComJuros,
+        dataCompra,
+        observacoes: data.observacoes,
+        tags: data.tags || []
+      });
+
+      // insertMany não dispara o pre('save'), então os pares de campos vão preenchidos
+      await transactionRepository.createMany(valores.map((valor, i) => ({
+        user: userId,
+        tipo: 'despesa',
+        valor,
+        descricao: `${data.descricao} (${i + 1}/${numeroParcelas})`,
+        data: this.getInstallmentDate(dataCompra, i),
+        categoria,
+        categoriaId: categoria,
+        cartao: card._id,
+        cartaoId: card._id,
+        observacoes: data.observacoes,
+        tags: data.tags || [],
+        compra: purchase._id,
+        parcela: i + 1,
+        totalParcelas: numeroParcelas,
+        status: 'confirmada'
+      })));
+
+      return await this.getPurchaseDetails(purchase);
+    } catch (error) {
+      if (error.status) throw error;
+      throw new Error(`Erro ao criar compra parcelada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca as parcelas de uma compra, ordenadas
+   * @param {Object} purchase - Compra parcelada
+   * @returns {Array} Transações das parcelas
+   */
+  async getInstallments(purchase) {
+    const installments = await transactionRepository.findByUser(purchase.user, { compra: purchase._id });
+    return installments.sort((a, b) => a.parcela - b.parcela);
+  }
+
+  /**
+   * Monta a visão da compra com parcelas pagas e restantes
+   * Parcelas com data até hoje já foram lançadas em fatura e contam como pagas.
+   * @param {Object} purchase - Compra parcelada
+   * @returns {Object} Compra, parcelas e resumo
+   */
+  async getPurchaseDetails(purchase) {
+    const agora = new Date();
+    const installments = await this.getInstallments(purchase);
+
+    const pagas = installments.filter(t => t.data <= agora);
+    const restantes = installments.filter(t => t.data > agora);
+
+    return {
+      compra: await cardPurchaseRepository.findById(purchase._id),
+      parcelas: installments.map(t => ({
+        ...t.toJSON(),
+        paga: t.data <= agora
+      })),
+      resumo: {
+        parcelasPagas: pagas.length,
+        parcelasRestantes: restantes.length,
+        valorPago: somarValores(pagas),
+        valorRestante: somarValores(restantes),
+        proximaParcela: restantes[0] || null
+      }
+    };
+  }
+
+  /**
+   * Antecipa parcelas futuras para hoje, descontando os juros quando houver
+   * As parcelas são antecipadas a partir da última, como fazem os bancos.
+   * @param {Object} purchase - Compra parcelada
+   * @param {Number} quantidade - Quantidade de parcelas (padrão: todas as restantes)
+   * @returns {Object} Compra atualizada com parcelas e resumo
+   */
+  async anticipateInstallments(purchase, quantidade = null) {
+    if (purchase.status !== 'ativa') {
+      throw requestError('Apenas compras ativas podem ter parcelas antecipadas');
+    }
+
+    const agora = new Date();
+    const installments = await this.getInstallments(purchase);
+    const restantes = installments.filter(t => t.data > agora);
+    const antecipar = quantidade ? restantes.slice(-quantidade) : restantes;
+    const taxa = (purchase.juros || 0) / 100;
+    assertNotReconciled(antecipar);
+
+    for (const installment of antecipar) {
+      const meses = Math.max(1,
+        (installment.data.getFullYear() - agora.getFullYear()) * 12 +
+        (installment.data.getMonth() - agora.getMonth())
+      );
+      const valor = taxa > 0
+        ? arredondar(installment.valor / Math.pow(1 + taxa, meses))
+        : installment.valor;
+
+      await transactionRepository.update(installment._id, { data: agora, valor });
+    }
+
+    const atualizadas = await this.getInstallments(purchase);
+    await cardPurchaseRepository.update(purchase._id, {
+      valorTotalComJuros: somarValores(atualizadas),
+      status: atualizadas.some(t => t.data > agora) ? 'ativa' : 'quitada'
+    });
+
+    return await this.getPurchaseDetails(purchase);
+  }
+
+  /**
+   * Cancela as parcelas futuras da compra (estorno das parcelas restantes)
+   * @param {Object} purchase - Compra parcelada
+   * @returns {Object} Compra atualizada com parcelas e resumo
+   */
+  async cancelRemaining(purchase) {
+    if (purchase.status !== 'ativa') {
+      throw requestError('Apenas compras ativas podem ser canceladas');
+    }
+
+    const agora = new Date();
+    const installments = await this.getInstallments(purchase);
+    const restantes = installments.filter(t => t.data > agora);
+    assertNotReconciled(restantes);
+
+    if (restantes.length > 0) {
+      const estornos = await transactionRepository.findRefunds(restantes.map(t => t._id));
+      if (estornos.length > 0) {
+        throw requestError('Parcela com estornos: exclua os estornos antes de cancelar a compra');
+      }
+    }
+
+    for (const installment of restantes) {
+      await transactionRepository.delete(installment._id);
+    }
+
+    await cardPurchaseRepository.update(purchase._id, { status: 'cancelada' });
+
+    return await this.getPurchaseDetails(purchase);
+  }
+}
+
+module.exports = new CardPurchaseService();
@@ -0,0 +1,220 @@
+const { cardStatementRepository, transactionRepository } = require('../repositories');
+const { CardStatement, Transaction } = require('../models');
+const { requestError } = require('../middlewares/errorHandler');
+const { arredondar, somarValores } = require('../utils/currency');
+
+class CardStatementService {
+  /**
+   * Busca os lançamentos do cartão no ciclo (sem pagamentos de fatura)
+   * @param {Object} card - Cartão
+   * @param {Object} ciclo - Ciclo da fatura
+   * @returns {Array} Transações do ciclo
+   */
+  async getCycleTransactions(card, ciclo) {
+    return await transactionRepository.findByUser(card.user, {
+      cartaoId: card._id,
+      status: 'confirmada',
+      fatura: null,
+      data: { $gte: ciclo.inicio, $lte: ciclo.fechamento }
+    });
+  }
+
+  /**
+   * Calcula a fatura de um ciclo a partir das transações do cartão, sem salvar
+   * A fatura só é gravada ao ser paga (ver syncStatement); até lá volta como documento novo.
+   * @param {Object} card - Cartão
+   * @param {Object} ciclo - Ciclo da fatura
+   * @returns {Object} Fatura calculada
+   */
+  async buildStatement(card, ciclo) {
+    const itens = await this.getCycleTransactions(card, ciclo);
+    const existing = await cardStatementRepository.findByReference(card._id, ciclo.referencia);
+    const pagamentos = existing
+      ? await transactionRepository.findByUser(card.user, { fatura: existing._id, status: 'confirmada' })
+      : [];
+
+    const statement = existing || new CardStatement({ user: card.user, cartao: card._id, referencia: ciclo.referencia });
+    statement.set({
+      inicio: ciclo.inicio,
+      fechamento: ciclo.fechamento,
+      vencimento: ciclo.vencimento,
+      // Receitas no cartão (estornos) abatem o total da fatura
+      valorTotal: arredondar(
+        somarValores(itens.filter(t => t.tipo === 'despesa')) - somarValores(itens.filter(t => t.tipo === 'receita'))
+      ),
+      valorPago: somarValores(pagamentos),
+      quantidadeItens: itens.length
+    });
+    statement.status = statement.calcularStatus();
+
+    return statement;
+  }
+
+  /**
+   * Recalcula e salva a fatura de um ciclo (usado no pagamento, que precisa do ID da fatura)
+   * @param {Object} card - Cartão
+   * @param {Object} ciclo - Ciclo da fatura
+   * @returns {Object} Fatura atualizada
+   */
+  async syncStatement(card, ciclo) {
+    const calculada = await this.buildStatement(card, ciclo);
+
+    return await cardStatementRepository.upsert(card.user, card._id, ciclo.referencia, {
+      inicio: calculada.inicio,
+      fechamento: calculada.fechamento,
+      vencimento: calculada.vencimento,
+      valorTotal: calculada.valorTotal,
+      valorPago: calculada.valorPago,
+      quantidadeItens: calculada.quantidadeItens,
+      status: calculada.status
+    });
+  }
+
+  /**
+   * Lista as faturas do cartão: os últimos meses e as futuras que já têm lançamentos
+   * @param {Object} card - Cartão
+   * @param {Number} meses - Quantidade de faturas passadas (incluindo a atual)
+   * @returns {Array} Faturas, da mais recente para a mais antiga
+   */
+  async listStatements(card, meses = 12) {
+    const atual = card.getCiclo(new Date());
+    const ciclos = {};
+
+    for (let i = 0; i < meses; i++) {
+      const fechamento = new Date(atual.fechamento.getFullYear(), atual.fechamento.getMonth() - i, 1);
+      const ciclo = card.getCicloPorFechamento(fechamento.getFullYear(), fechamento.getMonth());
+      ciclos[ciclo.referencia] = ciclo;
+    }
+
+    // Parcelas e compras futuras já caem em faturas seguintes
+    const futuras = await transactionRepository.findByUser(card.user, {
+      cartaoId: card._id,
+      fatura: null,
+      data: { $gt: atual.fechamento }
+    });
+
+    futuras.forEach(t => {
+      const ciclo = card.getCiclo(t.data);
+      ciclos[ciclo.referencia] = ciclo;
+    });
+
+    const statements = [];
+    for (const ciclo of Object.values(ciclos)) {
+      statements.push(await this.buildStatement(card, ciclo));
+    }
+
+    return statements.sort((a, b) => b.referencia.localeCompare(a.referencia));
+  }
+
+  /**
+   * Busca a fatura de uma referência com seus lançamentos e pagamentos
+   * @param {Object} card - Cartão
+   * @param {String} referencia - Mês de vencimento (AAAA-MM)
+   * @returns {Object} Fatura, itens e pagamentos
+   */
+  async getStatement(card, referencia) {
+    const ciclo = card.getCicloPorReferencia(referencia);
+    const fatura = await this.buildStatement(card, ciclo);
+
+    const [itens, pagamentos] = await Promise.all([
+      this.getCycleTransactions(card, ciclo),
+      fatura.isNew ? [] : transactionRepository.findByUser(card.user, { fatura: fatura._id })
+    ]);
+
+    return { fatura, itens, pagamentos };
+  }
+
+  /**
+   * Paga a fatura total ou parcialmente, criando a transação de pagamento
+   * O pagamento é lançado no cartão (libera limite) e não conta como receita.
+   * @param {Object} card - Cartão
+   * @param {String} referencia - Mês de vencimento (AAAA-MM)
+   * @param {Object} options - valor (padrão: restante), data e descricao
+   * @returns {Object} Fatura, itens e pagamentos atualizados
+   */
+  async payStatement(card, referencia, options = {}) {
+    const ciclo = card.getCicloPorReferencia(referencia);
+    const fatura = await this.syncStatement(card, ciclo);
+    const valor = options.valor !== undefined ? parseFloat(options.valor) : fatura.valorRestante;
+
+    if (fatura.valorRestante <= 0) {
+      throw requestError('Fatura já está paga');
+    }
+
+    if (!(valor > 0) || valor - fatura.valorRestante > 0.005) {
+      throw requestError(`Valor do pagamento deve ser entre 0,01 e ${fatura.valorRestante.toFixed(2)}`);
+    }
+
+    await transactionRepository.create({
+      user: card.user,
+      tipo: 'receita',
+      valor,
+      descricao: options.descricao || `Pagamento fatura ${card.nome} ${referencia}`,
+      data: options.data ? new Date(options.data) : new Date(),
+      cartao: card._id,
+      cartaoId: card._id,
+      fatura: fatura._id,
+      status: 'confirmada'
+    });
+
+    return await this.getStatement(card, referencia);
+  }
+
+  /**
+   * Remove um pagamento da fatura, movendo a transação para a lixeira
+   * A lixeira desfaz o efeito no saldo do cartão; a fatura é recalculada em seguida.
+   * @param {Object} card - Cartão
+   * @param {String} referencia - Mês de vencimento (AAAA-MM)
+   * @param {String} transactionId - ID da transação de pagamento
+   * @returns {Object} Fatura, itens e pagamentos atualizados
+   */
+  async removePayment(card, referencia, transactionId) {
+    const ciclo = card.getCicloPorReferencia(referencia);
+    const fatura = await cardStatementRepository.findByReference(card._id, ciclo.referencia);
+    const pagamento = fatura ? await transactionRepository.findById(transactionId) : null;
+
+    if (!pagamento || String(pagamento.fatura) !== fatura._id.toString()) {
+      throw requestError('Pagamento não encontrado', 404);
+    }
+
+    if (pagamento.transferencia) {
+      throw requestError('Pagamento feito por transferência deve ser excluído pela transferência');
+    }
+
+    const erroConciliacao = Transaction.validateReconciledChanges(pagamento);
+    if (erroConciliacao) throw requestError(erroConciliacao);
+
+    await transactionRepository.trash(pagamento._id);
+    await this.syncStatement(card, ciclo);
+
+    return await this.getStatement(card, referencia);
+  }
+
+  /**
+   * Sugere o melhor dia de compra do cartão
+   * Comprando logo após o fechamento, a compra só vence na fatura seguinte.
+   * @param {Object} card - Cartão
+   * @returns {Object} Melhor dia, datas do ciclo atual e prazo até o pagamento
+   */
+  getBestPurchaseDay(card) {
+    const atual = card.getCiclo(new Date());
+    const proximaMelhorData = new Date(
+      atual.fechamento.getFullYear(),
+      atual.fechamento.getMonth(),
+      atual.fechamento.getDate() + 1
+    );
+    const cicloSeguinte = card.getCiclo(proximaMelhorData);
+
+    return {
+      melhorDiaCompra: card.melhorDiaCompra,
+      diaFechamento: card.diaFechamentoEfetivo,
+      diaVencimento: card.diaVencimento,
+      proximoFechamento: atual.fechamento,
+      proximoVencimento: atual.vencimento,
+      proximaMelhorData,
+      diasAtePagamento: Math.round((cicloSeguinte.vencimento - proximaMelhorData) / (1000 * 60 * 60 * 24))
+    };
+  }
+}
+
+module.exports = new CardStatementService();
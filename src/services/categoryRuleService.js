@@ -0,0 +1,191 @@
+const { categoryRuleRepository, transactionRepository } = require('../repositories');
+const transactionBulkService = require('./transactionBulkService');
+const { runWithContext } = require('../utils/requestContext');
+
+const MAX_RETROATIVO = 5000;
+
+class CategoryRuleService {
+  /**
+   * Aplica as regras (já ordenadas) nos dados de uma transação
+   * A categoria informada pelo usuário nunca é sobrescrita; descrição e status
+   * vêm da primeira regra que os define e as tags de todas as regras são somadas.
+   * @param {Array} rules - Regras ativas na ordem de avaliação
+   * @param {Object} data - Dados da transação
+   * @returns {Object} { data, regras } com os dados alterados e as regras aplicadas
+   */
+  applyRules(rules, data) {
+    const result = { ...data };
+    const regras = [];
+    let descricaoDefinida = false;
+    let statusDefinido = false;
+
+    for (const rule of rules) {
+      if (!rule.matches(data)) continue;
+
+      const { acoes } = rule;
+      let aplicou = false;
+
+      if (acoes.categoria && !result.categoria && !result.categoriaId) {
+        result.categoria = acoes.categoria;
+        result.categoriaId = acoes.categoria;
+        aplicou = true;
+      }
+
+      if (acoes.descricao && !descricaoDefinida) {
+        result.descricao = acoes.descricao;
+        descricaoDefinida = true;
+        aplicou = true;
+      }
+
+      if (acoes.status && !statusDefinido) {
+        result.status = acoes.status;
+        statusDefinido = true;
+        aplicou = true;
+      }
+
+      if (acoes.tags && acoes.tags.length > 0) {
+        result.tags = [...new Set([...(result.tags || []), ...acoes.tags])];
+        aplicou = true;
+      }
+
+      if (aplicou) regras.push(rule._id);
+    }
+
+    return { data: result, regras };
+  }
+
+  /**
+   * Aplica as regras ativas do usuário em transações que serão criadas
+   * @param {String} userId - ID do usuário
+   * @param {Array} transactionsData - Dados das transações
+   * @returns {Array} Dados das transações com as regras aplicadas
+   */
+  async applyToNew(userId, transactionsData) {
+    const rules = await categoryRuleRepository.findActiveByUser(userId);
+    if (rules.length === 0) return transactionsData;
+
+    const contagem = {};
+    const result = transactionsData.map(data => {
+      const aplicado = this.applyRules(rules, data);
+      aplicado.regras.forEach(id => { contagem[id] = (contagem[id] || 0) + 1; });
+      return aplicado.data;
+    });
+
+    await Promise.all(
+      Object.entries(contagem).map(([id, quantidade]) => categoryRuleRepository.registerApplications(id, quantidade))
+    );
+
+    return result;
+  }
+
+  /**
+   * Calcula as alterações que a regra faria em uma transação existente
+   * @param {Object} rule - Regra
+   * @param {Object} transaction - Transação existente
+   * @param {Boolean} sobrescreverCategoria - Troca a categoria mesmo se já houver uma
+   * @returns {Object|null} Alterações ou null se nada muda
+   */
+  getChanges(rule, transaction, sobrescreverCategoria = false) {
+    const { acoes } = rule;
+    const changes = {};
+    const categoriaAtual = transaction.categoriaId || transaction.categoria;
+
+    if (acoes.categoria && (!categoriaAtual || sobrescreverCategoria) &&
+        String((categoriaAtual && categoriaAtual._id) || categoriaAtual) !== String(acoes.categoria._id || acoes.categoria)) {
+      changes.categoria = acoes.categoria._id || acoes.categoria;
+      changes.categoriaId = changes.categoria;
+    }
+
+    if (acoes.descricao && transaction.descricao !== acoes.descricao) {
+      changes.descricao = acoes.descricao;
+    }
+
+    if (acoes.status && transaction.status !== acoes.status) {
+      changes.status = acoes.status;
+    }
+
+    const novasTags = (acoes.tags || []).filter(tag => !(transaction.tags || []).includes(tag));
+    if (novasTags.length > 0) {
+      changes.tags = [...(transaction.tags || []), ...novasTags];
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Busca as transações existentes afetadas pela regra
+   * @param {Object} rule - Regra
+   * @param {Object} options - sobrescreverCategoria, startDate e endDate
+   * @returns {Array} { transacao, alteracoes }
+   */
+  async findAffected(rule, options = {}) {
+    // Sem condição o filtro pegaria todas as transações do usuário
+    if (!rule.hasConditions() || !rule.hasSafeRegex()) return [];
+
+    // Pernas de transferência e pagamentos de fatura não são receitas nem despesas
+    const query = { ...rule.toQuery(), transferencia: null, fatura: null };
+    if (options.startDate || options.endDate) {
+      query.data = {};
+      if (options.startDate) query.data.$gte = new Date(options.startDate);
+      if (options.endDate) query.data.$lte = new Date(options.endDate);
+    }
+
+    const transactions = await transactionRepository.findByUser(rule.user, query);
+
+    return transactions
+      .filter(transaction => rule.matches(transaction))
+      .slice(0, MAX_RETROATIVO)
+      .map(transaction => ({
+        transacao: transaction,
+        alteracoes: this.getChanges(rule, transaction, options.sobrescreverCategoria)
+      }))
+      .filter(item => item.alteracoes);
+  }
+
+  /**
+   * Simula a aplicação da regra nas transações existentes
+   * @param {Object} rule - Regra
+   * @param {Object} options - sobrescreverCategoria, startDate e endDate
+   * @returns {Object} Quantidade e transações que seriam alteradas
+   */
+  async previewRule(rule, options = {}) {
+    const afetadas = await this.findAffected(rule, options);
+
+    return {
+      quantidade: afetadas.length,
+      transacoes: afetadas
+    };
+  }
+
+  /**
+   * Aplica a regra retroativamente nas transações existentes
+   * Cada transação passa pelas mesmas verificações da edição em lote (ver
+   * transactionBulkService.validateChanges); as que não podem ser alteradas são ignoradas e listadas.
+   * @param {Object} rule - Regra
+   * @param {Object} options - sobrescreverCategoria, startDate e endDate
+   * @returns {Object} { alteradas, ignoradas } com a quantidade alterada e as transações ignoradas
+   */
+  async applyRule(rule, options = {}) {
+    const afetadas = await this.findAffected(rule, options);
+    const ignoradas = [];
+    let alteradas = 0;
+
+    await runWithContext({ origem: 'regra' }, async () => {
+      for (const { transacao, alteracoes } of afetadas) {
+        try {
+          await transactionBulkService.validateChanges(transacao, alteracoes);
+          await transactionRepository.update(transacao._id, alteracoes);
+          alteradas += 1;
+        } catch (error) {
+          ignoradas.push({ id: transacao._id.toString(), mensagem: error.message });
+        }
+      }
+    });
+
+    await categoryRuleRepository.registerApplications(rule._id, alteradas);
+
+    return { alteradas, ignoradas };
+  }
+}
+
+module.exports = new CategoryRuleService();
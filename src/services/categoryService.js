@@ -0,0 +1,216 @@
+const { categoryRepository, categoryLimitRepository } = require('../repositories');
+const { Category } = require('../models');
+const { getTemplate, listTemplates } = require('../utils/categoryTemplates');
+const { requestError } = require('../middlewares/errorHandler');
+
+/**
+ * Idioma do usuário (configuracoes.idioma)
+ * @param {Object} user - Usuário
+ * @returns {String|undefined} Idioma
+ */
+const getUserLanguage = user => (user && user.configuracoes ? user.configuracoes.idioma : undefined);
+
+/**
+ * Soma os documentos de todas as coleções (as transações divididas já estão nas transações)
+ * @param {Object} contagem - Quantidade por tipo de documento
+ * @returns {Number} Total
+ */
+const totalDocumentos = contagem => Object.entries(contagem)
+  .filter(([chave]) => chave !== 'transacoesDivididas')
+  .reduce((total, [, n]) => total + n, 0);
+
+/**
+ * Troca as referências às categorias antes de apagá-las
+ * Se a troca falhar, a exclusão não acontece: repetir a operação conclui o que faltou.
+ * @param {String} userId - ID do usuário
+ * @param {Array} ids - IDs das categorias substituídas
+ * @param {String|null} destinoId - Nova categoria ou null
+ * @returns {Object} Quantidade de documentos alterados por tipo
+ */
+const replaceReferencesBeforeDelete = async (userId, ids, destinoId) => {
+  try {
+    return await categoryRepository.replaceReferences(userId, ids, destinoId);
+  } catch (error) {
+    throw new Error(`${error.message}. Nenhuma categoria foi apagada; repita a operação para concluir`);
+  }
+};
+
+class CategoryService {
+  /**
+   * Conta o que será afetado ao mesclar ou remover uma categoria
+   * @param {Object} category - Categoria
+   * @returns {Object} Quantidade por tipo de documento, subcategorias e total
+   */
+  async getUsage(category) {
+    const [contagem, categories] = await Promise.all([
+      categoryRepository.countReferences(category.user, [category._id]),
+      categoryRepository.findByUser(category.user)
+    ]);
+
+    const subcategorias = categories.filter(item => item.pai && item.pai.toString() === category._id.toString()).length;
+    const uso = { ...contagem, subcategorias };
+
+    return { ...uso, total: totalDocumentos(uso) };
+  }
+
+  /**
+   * Mescla uma categoria em outra: documentos e subcategorias passam para o destino e a categoria é apagada
+   * Se o destino já tem limite próprio, o limite da categoria mesclada é descartado.
+   * @param {Object} category - Categoria mesclada
+   * @param {String} destinoId - ID da categoria de destino
+   * @returns {Object} { destino, alterados }
+   */
+  async merge(category, destinoId) {
+    const id = category._id.toString();
+    if (id === String(destinoId)) {
+      throw requestError('A categoria de destino deve ser diferente da categoria mesclada');
+    }
+
+    const categories = await categoryRepository.findByUser(category.user);
+    const destino = categories.find(item => item._id.toString() === String(destinoId));
+
+    if (!destino) {
+      throw requestError('Categoria de destino não encontrada', 404);
+    }
+    if (!destino.ativo) {
+      throw requestError('Categoria de destino inativa');
+    }
+    if (destino.tipo !== category.tipo) {
+      throw requestError('A categoria de destino deve ser do mesmo tipo');
+    }
+    if (Category.getDescendantIds(categories, id).includes(destino._id.toString())) {
+      throw requestError('A categoria de destino não pode ser uma subcategoria da categoria mesclada');
+    }
+
+    // As subcategorias passam para o destino: confere o limite de níveis sem a categoria mesclada
+    const restantes = categories.filter(item => item._id.toString() !== id);
+    for (const sub of restantes.filter(item => item.pai && item.pai.toString() === id)) {
+      const erro = Category.validateParent(restantes, { id: sub._id, pai: destino._id, tipo: sub.tipo });
+      if (erro) throw requestError(erro);
+    }
+
+    const limitesDescartados = await categoryRepository.countCategoryLimits(category.user, [destino._id]) > 0
+      ? await categoryRepository.deleteCategoryLimits(category.user, [category._id])
+      : 0;
+
+    const alterados = await replaceReferencesBeforeDelete(category.user, [category._id], destino._id);
+    alterados.subcategorias = await categoryRepository.moveSubcategories(category._id, destino._id);
+    alterados.limitesDescartados = limitesDescartados;
+
+    await categoryRepository.purge(category._id);
+
+    return { destino, alterados };
+  }
+
+  /**
+   * Remove uma categoria deixando os documentos sem categoria
+   * Os limites da categoria são apagados e as subcategorias sobem um nível. Transações divididas
+   * exigem uma categoria substituta (as linhas da divisão precisam de categoria).
+   * @param {Object} category - Categoria
+   * @returns {Object} { alterados }
+   */
+  async uncategorize(category) {
+    const uso = await this.getUsage(category);
+    if (uso.transacoesDivididas > 0) {
+      throw requestError('Categoria usada em transações divididas: escolha uma categoria substituta');
+    }
+
+    const limitesRemovidos = await categoryRepository.deleteCategoryLimits(category.user, [category._id]);
+    const alterados = await replaceReferencesBeforeDelete(category.user, [category._id], null);
+    alterados.subcategorias = await categoryRepository.moveSubcategories(category._id, category.pai || null);
+    alterados.limitesRemovidos = limitesRemovidos;
+
+    await categoryRepository.purge(category._id);
+
+    return { alterados };
+  }
+
+  /**
+   * Conta o que será afetado ao remover todas as categorias do usuário
+   * @param {String} userId - ID do usuário
+   * @returns {Object} Quantidade de categorias, por tipo de documento e total
+   */
+  async getUsageAll(userId) {
+    const categories = await categoryRepository.findByUser(userId);
+    const contagem = await categoryRepository.countReferences(userId, categories.map(item => item._id));
+
+    return { categorias: categories.length, ...contagem, total: totalDocumentos(contagem) };
+  }
+
+  /**
+   * Remove todas as categorias do usuário deixando os documentos sem categoria
+   * As divisões de transações são desfeitas e os limites por categoria, apagados.
+   * @param {String} userId - ID do usuário
+   * @returns {Object} { deletedCount, alterados }
+   */
+  async deleteAll(userId) {
+    const categories = await categoryRepository.findByUser(userId);
+    const ids = categories.map(item => item._id);
+
+    const limitesRemovidos = await categoryRepository.deleteCategoryLimits(userId, ids);
+    const alterados = await replaceReferencesBeforeDelete(userId, ids, null);
+    alterados.limitesRemovidos = limitesRemovidos;
+
+    const result = await categoryRepository.deleteAllByUser(userId);
+
+    return { deletedCount: result.deletedCount, alterados };
+  }
+
+  /**
+   * Lista os pacotes de categorias no idioma informado ou no do usuário
+   * @param {Object} user - Usuário
+   * @param {String} idioma - Idioma (opcional)
+   * @returns {Array} Pacotes
+   */
+  getTemplates(user, idioma = null) {
+    return listTemplates(idioma || getUserLanguage(user));
+  }
+
+  /**
+   * Aplica um pacote de categorias ao usuário
+   * Categorias com o nome de uma já existente (sem diferenciar maiúsculas) não são criadas de novo.
+   * Com a renda mensal, cria os limites sugeridos (percentual da renda) nas categorias que ainda não têm limite.
+   * @param {Object} user - Usuário
+   * @param {String} pacote - Código do pacote
+   * @param {Object} options - idioma (padrão: o do usuário) e rendaMensal
+   * @returns {Object} { pacote, idioma, criadas, existentes, limites }
+   */
+  async applyTemplate(user, pacote, options = {}) {
+    const template = getTemplate(pacote, options.idioma || getUserLanguage(user));
+    if (!template) {
+      throw requestError('Pacote de categorias não encontrado', 404);
+    }
+
+    const atuais = await categoryRepository.findByUser(user._id);
+    const porNome = new Map(atuais.map(category => [category.nome.toLowerCase(), category]));
+
+    const novas = template.categorias.filter(item => !porNome.has(item.nome.toLowerCase()));
+    const criadas = novas.length > 0
+      ? await categoryRepository.createMany(user._id, novas.map(({ limitePercentual, ...dados }) => dados))
+      : [];
+    criadas.forEach(category => porNome.set(category.nome.toLowerCase(), category));
+
+    const limites = [];
+    const renda = Number(options.rendaMensal) || 0;
+    if (renda > 0) {
+      for (const item of template.categorias.filter(categoria => categoria.limitePercentual)) {
+        const category = porNome.get(item.nome.toLowerCase());
+        if (category.tipo !== 'despesa') continue;
+
+        const valor = Math.round(renda * item.limitePercentual) / 100;
+        const criado = await categoryLimitRepository.createIfMissing(user._id, category._id, valor, category.nome);
+        if (criado) limites.push({ categoria: category._id, nome: category.nome, valorLimite: valor });
+      }
+    }
+
+    return {
+      pacote: template.pacote,
+      idioma: template.idioma,
+      criadas,
+      existentes: template.categorias.length - novas.length,
+      limites
+    };
+  }
+}
+
+module.exports = new CategoryService();
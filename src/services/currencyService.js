@@ -0,0 +1,218 @@
+const fs = require('fs');
+const { exchangeRateRepository, accountRepository } = require('../repositories');
+const { Transaction } = require('../models');
+const { getUserCurrency, arredondar } = require('../utils/currency');
+const { requestError } = require('../middlewares/errorHandler');
+
+const CODIGO_MOEDA = /^[A-Z]{3}$/;
+
+class CurrencyService {
+  /**
+   * Busca a taxa para converter de uma moeda para outra na data (usa a cotação inversa se preciso)
+   * @param {String} userId - ID do usuário
+   * @param {String} de - Moeda de origem
+   * @param {String} para - Moeda de destino
+   * @param {Date} data - Data de referência
+   * @returns {Number} Taxa
+   */
+  async getRate(userId, de, para, data = new Date()) {
+    if (de === para) return 1;
+
+    const direta = await exchangeRateRepository.findRate(userId, de, para, data);
+    if (direta) return direta.taxa;
+
+    const inversa = await exchangeRateRepository.findRate(userId, para, de, data);
+    if (inversa) return 1 / inversa.taxa;
+
+    throw requestError(
+      `Cotação de ${de} para ${para} não encontrada até ${new Date(data).toLocaleDateString('pt-BR')}`
+    );
+  }
+
+  /**
+   * Converte um valor entre moedas
+   * @param {String} userId - ID do usuário
+   * @param {Number} valor - Valor na moeda de origem
+   * @param {String} de - Moeda de origem
+   * @param {String} para - Moeda de destino
+   * @param {Date} data - Data da cotação
+   * @returns {Object} { valor, taxa }
+   */
+  async convert(userId, valor, de, para, data = new Date()) {
+    const taxa = await this.getRate(userId, de, para, data);
+    return { valor: arredondar(valor * taxa), taxa };
+  }
+
+  /**
+   * Converte os dados de uma transação para a moeda base do usuário
+   * Em moeda estrangeira, "valor" (e as divisões) chegam na moeda da transação: viram valorOriginal
+   * e "valor" passa a ser o convertido pela cotação da data. Sem moeda informada, uma transação
+   * nova em conta de outra moeda assume a moeda da conta.
+   * @param {Object} user - Usuário
+   * @param {Object} dados - Dados recebidos
+   * @param {Object} existing - Transação atual (na alteração)
+   * @returns {Object} Dados convertidos
+   */
+  async applyToTransaction(user, dados, existing = null) {
+    // Valor original e cotação são sempre calculados aqui
+    const data = { ...dados };
+    delete data.valorOriginal;
+    delete data.taxaCambio;
+    const base = getUserCurrency(user);
+    let moeda = data.moeda !== undefined ? data.moeda : (existing ? existing.moeda : undefined);
+
+    if (moeda === undefined && !existing && data.account) {
+      const account = await accountRepository.findById(data.account);
+      if (account && account.currency) moeda = account.currency;
+    }
+
+    moeda = moeda ? String(moeda).toUpperCase() : null;
+
+    // Moeda base: só limpa os campos de conversão se a transação estava em outra moeda
+    if (!moeda || moeda === base) {
+      if (data.moeda === undefined && !(existing && existing.moeda)) return data;
+      return { ...data, moeda: null, valorOriginal: null, taxaCambio: null };
+    }
+
+    const alterouConversao = ['moeda', 'valor', 'data', 'divisoes'].some(campo => data[campo] !== undefined);
+    if (existing && !alterouConversao) return data;
+
+    let valorOriginal = data.valor;
+    if (valorOriginal === undefined) {
+      valorOriginal = existing.moeda ? existing.valorOriginal : existing.valor;
+    }
+
+    if (data.divisoes && data.divisoes.length > 0) {
+      const erroDivisao = Transaction.validateSplit(valorOriginal, data.divisoes);
+      if (erroDivisao) throw requestError(erroDivisao);
+    }
+
+    const dataReferencia = data.data || (existing && existing.data) || new Date();
+    const { valor, taxa } = await this.convert(user._id, valorOriginal, moeda, base, new Date(dataReferencia));
+
+    const result = { ...data, moeda, valorOriginal, taxaCambio: taxa, valor };
+
+    const divisoes = data.divisoes !== undefined ? data.divisoes : (existing && existing.divisoes);
+    if (divisoes && divisoes.length > 0) {
+      result.divisoes = Transaction.scaleSplit(divisoes, valor);
+    }
+
+    return result;
+  }
+
+  /**
+   * Recalcula o resumo de saldos das contas na moeda base (cotação do dia)
+   * @param {String} userId - ID do usuário
+   * @param {Object} resumo - Resultado de accountRepository.getBalanceSummary
+   * @param {String} base - Moeda base
+   * @returns {Object} Resumo com total e porTipo convertidos e as contas sem cotação
+   */
+  async convertBalanceSummary(userId, resumo, base) {
+    const porTipo = {};
+    const semCotacao = [];
+    let total = 0;
+
+    for (const conta of resumo.contas) {
+      let saldo = conta.balance;
+
+      if (conta.currency && conta.currency !== base) {
+        try {
+          saldo = (await this.convert(userId, conta.balance, conta.currency, base)).valor;
+        } catch (error) {
+          semCotacao.push(conta._id);
+          continue;
+        }
+      }
+
+      total += saldo;
+      porTipo[conta.type] = arredondar((porTipo[conta.type] || 0) + saldo);
+    }
+
+    return {
+      ...resumo,
+      moeda: base,
+      total: arredondar(total),
+      porTipo,
+      semCotacao
+    };
+  }
+
+  /**
+   * Lista as cotações do usuário e as do arquivo de cotações
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - de, para, startDate e endDate
+   * @returns {Array} Cotações
+   */
+  async listRates(userId, filters = {}) {
+    return await exchangeRateRepository.findByUser(userId, filters);
+  }
+
+  /**
+   * Registra uma cotação manual (substitui a do mesmo par e data)
+   * @param {String} userId - ID do usuário
+   * @param {Object} data - { de, para, taxa, data }
+   * @returns {Object} Cotação
+   */
+  async saveRate(userId, data) {
+    const de = data.de.toUpperCase();
+    const para = data.para.toUpperCase();
+    if (de === para) {
+      throw requestError('As moedas de origem e destino devem ser diferentes');
+    }
+
+    return await exchangeRateRepository.upsert({
+      user: userId,
+      de,
+      para,
+      taxa: Number(data.taxa),
+      data: new Date(data.data),
+      origem: 'manual'
+    });
+  }
+
+  /**
+   * Remove uma cotação manual do usuário
+   * @param {String} userId - ID do usuário
+   * @param {String} id - ID da cotação
+   */
+  async deleteRate(userId, id) {
+    const rate = await exchangeRateRepository.findById(id);
+
+    if (!rate) {
+      throw requestError('Cotação não encontrada', 404);
+    }
+
+    if (!rate.user || rate.user.toString() !== userId.toString()) {
+      throw requestError('Só é possível remover cotações informadas pelo próprio usuário', 403);
+    }
+
+    await exchangeRateRepository.delete(id);
+  }
+
+  /**
+   * Carrega o arquivo de cotações (JSON: [{ de, para, taxa, data }]) para o banco
+   * Linhas inválidas são ignoradas.
+   * @param {String} caminho - Caminho do arquivo (EXCHANGE_RATES_FILE)
+   * @returns {Object} { gravadas, ignoradas }
+   */
+  async loadRatesFile(caminho) {
+    const conteudo = JSON.parse(await fs.promises.readFile(caminho, 'utf8'));
+    const linhas = Array.isArray(conteudo) ? conteudo : [];
+
+    const validas = linhas
+      .map(linha => ({
+        de: String(linha.de || '').toUpperCase(),
+        para: String(linha.para || '').toUpperCase(),
+        taxa: Number(linha.taxa),
+        data: new Date(linha.data)
+      }))
+      .filter(linha => CODIGO_MOEDA.test(linha.de) && CODIGO_MOEDA.test(linha.para) &&
+        linha.de !== linha.para && linha.taxa > 0 && !Number.isNaN(linha.data.getTime()));
+
+    const gravadas = await exchangeRateRepository.upsertGlobal(validas);
+
+    return { gravadas, ignoradas: linhas.length - validas.length };
+  }
+}
+
+module.exports = new CurrencyService();
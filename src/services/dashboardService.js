@@ -2,17 +2,23 @@ const {
   transactionRepository, 
   goalRepository, 
   cardRepository, 
-  wishlistRepository 
+  wishlistRepository,
+  accountRepository
 } = require('../repositories');
+const currencyService = require('./currencyService');
+const { MOEDA_PADRAO } = require('../utils/currency');
 
 class DashboardService {
   /**
    * Busca dados completos do dashboard
    * @param {String} userId - ID do usuário
+   * @param {Object} options - incluirPendentes: traz o previsto do mês no resumo financeiro;
+   *   moeda: moeda base do usuário, para a qual os saldos das contas são convertidos
    * @returns {Object} Dados do dashboard
    */
-  async getDashboardData(userId) {
+  async getDashboardData(userId, options = {}) {
     try {
+      const { moeda = MOEDA_PADRAO } = options;
       const hoje = new Date();
       const inicioMes = new Date(hoje.getFullYear(), hoje.getMonth(), 1);
       const fimMes = new Date(hoje.getFullYear(), hoje.getMonth() + 1, 0, 23, 59, 59);
@@ -24,14 +30,16 @@ class DashboardService {
         metasAtivas,
         cartoes,
         wishlistItems,
-        fluxoCaixa
+        fluxoCaixa,
+        contas
       ] = await Promise.all([
-        transactionRepository.getFinancialSummary(userId, inicioMes, fimMes),
+        transactionRepository.getFinancialSummary(userId, inicioMes, fimMes, options),
         transactionRepository.findRecent(userId, 5),
         goalRepository.findActiveByUser(userId),
         cardRepository.findActiveByUser(userId),
         wishlistRepository.findActiveByUser(userId),
-        transactionRepository.getMonthlyCashFlow(userId, hoje.getFullYear())
+        transactionRepository.getMonthlyCashFlow(userId, hoje.getFullYear()),
+        accountRepository.getBalanceSummary(userId)
       ]);
 
       // Calcular estatísticas adicionais
@@ -39,12 +47,14 @@ class DashboardService {
       const alertas = await this.getAlerts(userId);
 
       return {
+        moeda,
         resumoFinanceiro,
         transacoesRecentes,
         metas: metasAtivas.slice(0, 3), // Primeiras 3 metas
         cartoes: cartoes.slice(0, 3), // Primeiros 3 cartões
         wishlist: wishlistItems.slice(0, 3), // Primeiros 3 itens
         fluxoCaixa,
+        contas: await currencyService.convertBalanceSummary(userId, contas, moeda),
         estatisticas,
         alertas
       };
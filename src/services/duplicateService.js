@@ -0,0 +1,162 @@
+const { transactionRepository, dismissedDuplicateRepository } = require('../repositories');
+const { DismissedDuplicate, Transaction } = require('../models');
+const refundService = require('./refundService');
+const { requestError } = require('../middlewares/errorHandler');
+
+const PERIODO_PADRAO_DIAS = 90;
+const JANELA_MS = 3 * 24 * 60 * 60 * 1000;
+
+class DuplicateService {
+  /**
+   * Busca as transações do usuário pelos IDs, garantindo que todas existam
+   * @param {String} userId - ID do usuário
+   * @param {Array} ids - IDs das transações
+   * @returns {Array} Transações
+   */
+  async findOwnTransactions(userId, ids) {
+    const unicos = [...new Set(ids.map(String))];
+    const transactions = await transactionRepository.findByUser(userId, { _id: { $in: unicos } });
+
+    if (transactions.length !== unicos.length) {
+      throw requestError('Transação não encontrada', 404);
+    }
+
+    if (transactions.some(t => t.transferencia)) {
+      throw requestError('Transações de transferência não podem ser tratadas como duplicatas');
+    }
+
+    if (transactions.some(t => t.fatura)) {
+      throw requestError('Pagamentos de fatura não podem ser tratados como duplicatas');
+    }
+
+    return transactions;
+  }
+
+  /**
+   * Agrupa as transações do período que parecem ser lançamentos repetidos
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - startDate e endDate (padrão: últimos 90 dias)
+   * @returns {Array} Grupos { transacoes, quantidade, valor }
+   */
+  async findGroups(userId, options = {}) {
+    const endDate = options.endDate ? new Date(options.endDate) : new Date();
+    const startDate = options.startDate
+      ? new Date(options.startDate)
+      : new Date(endDate.getTime() - PERIODO_PADRAO_DIAS * 24 * 60 * 60 * 1000);
+
+    const [transactions, ignorados] = await Promise.all([
+      transactionRepository.findDuplicateCandidates(userId, startDate, endDate),
+      dismissedDuplicateRepository.findKeysByUser(userId)
+    ]);
+
+    // Union-find: transações parecidas entre si acabam no mesmo grupo
+    const pais = transactions.map((_, i) => i);
+    const raiz = (i) => (pais[i] === i ? i : (pais[i] = raiz(pais[i])));
+
+    for (let i = 0; i < transactions.length; i++) {
+      for (let j = i + 1; j < transactions.length; j++) {
+        const a = transactions[i];
+        const b = transactions[j];
+        if (b.data - a.data > JANELA_MS) break;
+        if (ignorados.has(DismissedDuplicate.buildKey(a._id, b._id))) continue;
+        if (transactionRepository.isLikelyDuplicate(a, b)) pais[raiz(j)] = raiz(i);
+      }
+    }
+
+    const grupos = {};
+    transactions.forEach((transaction, i) => {
+      const r = raiz(i);
+      (grupos[r] = grupos[r] || []).push(transaction);
+    });
+
+    return Object.values(grupos)
+      .filter(grupo => grupo.length > 1)
+      .map(grupo => ({
+        transacoes: grupo,
+        quantidade: grupo.length,
+        valor: grupo[0].valor
+      }))
+      .sort((a, b) => b.transacoes[0].data - a.transacoes[0].data);
+  }
+
+  /**
+   * Mantém uma transação e move as duplicatas dela para a lixeira
+   * Tags e comprovantes das excluídas passam para a mantida, que herda a categoria se não tiver uma.
+   * @param {String} userId - ID do usuário
+   * @param {String} manterId - ID da transação mantida
+   * @param {Array} removerIds - IDs das duplicatas a excluir
+   * @returns {Object} { transacao, removidas }
+   */
+  async merge(userId, manterId, removerIds) {
+    if (removerIds.map(String).includes(String(manterId))) {
+      throw requestError('A transação mantida não pode estar entre as removidas');
+    }
+
+    const transactions = await this.findOwnTransactions(userId, [manterId, ...removerIds]);
+    const manter = transactions.find(t => t._id.toString() === String(manterId));
+    const remover = transactions.filter(t => t !== manter);
+
+    const conciliada = remover.find(t => t.conciliacao);
+    if (conciliada) {
+      throw requestError(Transaction.validateReconciledChanges(conciliada));
+    }
+
+    for (const transaction of remover) {
+      await refundService.validateDelete(transaction);
+    }
+
+    const changes = { possivelDuplicata: null };
+
+    const tags = [...new Set([...(manter.tags || []), ...remover.flatMap(t => t.tags || [])])];
+    if (tags.length > (manter.tags || []).length) changes.tags = tags;
+
+    const comCategoria = remover.find(t => t.categoriaId || t.categoria);
+    if (!manter.categoriaId && !manter.categoria && comCategoria) {
+      changes.categoria = comCategoria.categoriaId || comCategoria.categoria._id;
+      changes.categoriaId = changes.categoria;
+    }
+
+    // Comprovantes das duplicatas passam para a transação mantida antes da exclusão
+    const anexos = remover.flatMap(t => t.anexos || []);
+    if (anexos.length > 0) {
+      await transactionRepository.update(manter._id, { anexos: [...(manter.anexos || []), ...anexos] });
+    }
+
+    for (const transaction of remover) {
+      if ((transaction.anexos || []).length > 0) {
+        await transactionRepository.update(transaction._id, { anexos: [] });
+      }
+      await transactionRepository.trash(transaction._id);
+    }
+
+    const transacao = await transactionRepository.update(manter._id, changes);
+
+    return { transacao, removidas: remover.length };
+  }
+
+  /**
+   * Marca transações como não duplicadas, para não serem sugeridas de novo
+   * @param {String} userId - ID do usuário
+   * @param {Array} ids - IDs das transações (pelo menos duas)
+   * @returns {Object} { pares } com a quantidade de pares registrados
+   */
+  async dismiss(userId, ids) {
+    const transactions = await this.findOwnTransactions(userId, ids);
+    if (transactions.length < 2) {
+      throw requestError('Informe pelo menos duas transações diferentes');
+    }
+
+    const pares = [];
+    transactions.forEach((a, i) => {
+      transactions.slice(i + 1).forEach(b => pares.push([a._id, b._id]));
+    });
+
+    const registrados = await dismissedDuplicateRepository.dismissPairs(userId, pares);
+
+    await transactionRepository.unflagDuplicates(transactions.map(t => t._id));
+
+    return { pares: registrados };
+  }
+}
+
+module.exports = new DuplicateService();
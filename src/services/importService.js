@@ -0,0 +1,576 @@
+const mongoose = require('mongoose');
+const {
+  importBatchRepository,
+  transactionRepository,
+  accountRepository,
+  cardRepository,
+  categoryRepository
+} = require('../repositories');
+const { decodeFile, detectDelimiter, parseCsv, parseAmount, parseDate } = require('../utils/csvParser');
+const { parseOfx } = require('../utils/ofxParser');
+const categoryRuleService = require('./categoryRuleService');
+const merchantService = require('./merchantService');
+const currencyService = require('./currencyService');
+const { getUserCurrency, arredondar, somarValores } = require('../utils/currency');
+const { runWithContext } = require('../utils/requestContext');
+const { requestError } = require('../middlewares/errorHandler');
+
+const MAX_LINHAS = 5000;
+
+// Exportações comuns de bancos brasileiros
+const PRESETS = {
+  nubank: {
+    nome: 'Nubank (conta)',
+    data: 'Data',
+    descricao: 'Descrição',
+    valor: 'Valor',
+    formatoData: 'DD/MM/AAAA',
+    decimal: 'ponto',
+    sinal: 'negativo_despesa'
+  },
+  nubank_cartao: {
+    nome: 'Nubank (cartão de crédito)',
+    data: 'date',
+    descricao: 'title',
+    valor: 'amount',
+    formatoData: 'AAAA-MM-DD',
+    decimal: 'ponto',
+    sinal: 'positivo_despesa'
+  },
+  inter: {
+    nome: 'Banco Inter',
+    data: 'Data Lançamento',
+    descricao: 'Descrição',
+    valor: 'Valor',
+    formatoData: 'DD/MM/AAAA',
+    decimal: 'virgula',
+    sinal: 'negativo_despesa'
+  },
+  itau: {
+    nome: 'Itaú',
+    cabecalho: false,
+    data: 0,
+    descricao: 1,
+    valor: 2,
+    formatoData: 'DD/MM/AAAA',
+    decimal: 'virgula',
+    sinal: 'negativo_despesa',
+    ignorar: ['SALDO']
+  }
+};
+
+const MAPEAMENTO_PADRAO = {
+  cabecalho: true,
+  formatoData: 'DD/MM/AAAA',
+  decimal: 'virgula',
+  sinal: 'negativo_despesa',
+  ignorar: []
+};
+
+const normalizar = texto => String(texto)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+class ImportService {
+  /**
+   * Lista os presets de bancos disponíveis
+   * @returns {Array} Presets com chave e mapeamento
+   */
+  getPresets() {
+    return Object.entries(PRESETS).map(([chave, preset]) => ({ chave, ...preset }));
+  }
+
+  /**
+   * Monta o mapeamento de colunas a partir do preset e das opções enviadas
+   * @param {Object} options - preset e/ou mapeamento (objeto ou JSON)
+   * @returns {Object} Mapeamento completo
+   */
+  buildMapping(options = {}) {
+    if (options.preset && !PRESETS[options.preset]) {
+      throw requestError('Preset de banco desconhecido');
+    }
+
+    let mapeamento = options.mapeamento || {};
+    if (typeof mapeamento === 'string') {
+      try {
+        mapeamento = JSON.parse(mapeamento);
+      } catch (error) {
+        throw requestError('Mapeamento deve ser um JSON válido');
+      }
+    }
+
+    const { nome, ...preset } = PRESETS[options.preset] || {};
+    const mapping = { ...MAPEAMENTO_PADRAO, ...preset, ...mapeamento };
+
+    ['data', 'descricao', 'valor'].forEach(campo => {
+      if (mapping[campo] === undefined || mapping[campo] === '') {
+        throw requestError(`Informe a coluna de ${campo} no mapeamento`);
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Localiza o índice de uma coluna (por posição ou nome do cabeçalho)
+   * @param {Array} cabecalho - Nomes das colunas
+   * @param {String|Number} coluna - Coluna do mapeamento
+   * @returns {Number} Índice (-1 se não encontrada)
+   */
+  findColumn(cabecalho, coluna) {
+    if (Number.isInteger(coluna) || /^\d+$/.test(String(coluna))) return parseInt(coluna);
+
+    return cabecalho.findIndex(nome => normalizar(nome) === normalizar(coluna));
+  }
+
+  /**
+   * Lê o extrato CSV e converte as linhas em transações, sem gravar nada
+   * @param {Buffer} buffer - Arquivo enviado
+   * @param {Object} mapping - Mapeamento de colunas
+   * @returns {Object} { cabecalho, linhas, erros, ignoradas }
+   */
+  parseStatement(buffer, mapping) {
+    const texto = decodeFile(buffer);
+    const rows = parseCsv(texto, mapping.delimitador || detectDelimiter(texto));
+
+    // Alguns bancos colocam um resumo da conta antes do cabeçalho
+    let inicio = 0;
+    let cabecalho = [];
+    if (mapping.cabecalho) {
+      inicio = rows.findIndex(row => row.some(c => normalizar(c) === normalizar(mapping.data)));
+      if (inicio === -1) {
+        throw requestError(`Coluna "${mapping.data}" não encontrada no arquivo`);
+      }
+      cabecalho = rows[inicio];
+      inicio += 1;
+    }
+
+    const colunas = {
+      data: this.findColumn(cabecalho, mapping.data),
+      descricao: this.findColumn(cabecalho, mapping.descricao),
+      valor: this.findColumn(cabecalho, mapping.valor)
+    };
+
+    Object.entries(colunas).forEach(([campo, indice]) => {
+      if (indice === -1) throw requestError(`Coluna "${mapping[campo]}" não encontrada no arquivo`);
+    });
+
+    const dados = rows.slice(inicio);
+    if (dados.length > MAX_LINHAS) {
+      throw requestError(`O arquivo pode ter no máximo ${MAX_LINHAS} linhas`);
+    }
+
+    const ignorar = (mapping.ignorar || []).map(normalizar);
+    const linhas = [];
+    const erros = [];
+    let ignoradas = 0;
+
+    dados.forEach((row, i) => {
+      const linha = inicio + i + 1;
+      const descricao = (row[colunas.descricao] || '').slice(0, 500);
+
+      if (ignorar.some(prefixo => normalizar(descricao).startsWith(prefixo))) {
+        ignoradas++;
+        return;
+      }
+
+      const data = parseDate(row[colunas.data], mapping.formatoData);
+      const valor = parseAmount(row[colunas.valor], mapping.decimal);
+
+      if (!data) return erros.push({ linha, mensagem: `Data inválida: "${row[colunas.data] || ''}"` });
+      if (isNaN(valor)) return erros.push({ linha, mensagem: `Valor inválido: "${row[colunas.valor] || ''}"` });
+      if (valor === 0) return erros.push({ linha, mensagem: 'Valor zerado' });
+      if (!descricao) return erros.push({ linha, mensagem: 'Descrição vazia' });
+
+      const despesa = mapping.sinal === 'positivo_despesa' ? valor > 0 : valor < 0;
+
+      linhas.push({
+        linha,
+        data,
+        descricao,
+        valor: arredondar(Math.abs(valor)),
+        tipo: despesa ? 'despesa' : 'receita'
+      });
+    });
+
+    return { cabecalho, linhas, erros, ignoradas };
+  }
+
+  /**
+   * Resume as linhas lidas do extrato
+   * @param {Array} linhas - Linhas convertidas
+   * @returns {Object} Totais
+   */
+  summarize(linhas) {
+    const somar = tipo => somarValores(linhas.filter(l => l.tipo === tipo));
+
+    return {
+      quantidade: linhas.length,
+      totalReceitas: somar('receita'),
+      totalDespesas: somar('despesa')
+    };
+  }
+
+  /**
+   * Valida o destino da importação (conta ou cartão do usuário) e a categoria padrão
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - account e/ou cartao e categoria
+   */
+  async validateTarget(userId, options) {
+    if (options.account && options.cartao) {
+      throw requestError('Informe a conta ou o cartão, não ambos');
+    }
+
+    if (options.account) {
+      const account = await accountRepository.findById(options.account);
+      if (!account || account.user.toString() !== userId.toString()) {
+        throw requestError('Conta não encontrada', 404);
+      }
+    }
+
+    if (options.cartao) {
+      const card = await cardRepository.findById(options.cartao);
+      if (!card || card.user.toString() !== userId.toString()) {
+        throw requestError('Cartão não encontrado', 404);
+      }
+    }
+
+    if (options.categoria) {
+      const categoria = await categoryRepository.findById(options.categoria);
+      if (!categoria || categoria.user.toString() !== userId.toString()) {
+        throw requestError('Categoria não encontrada', 404);
+      }
+    }
+  }
+
+  /**
+   * Simula a importação do CSV (dry-run)
+   * @param {Object} file - Arquivo enviado (multer)
+   * @param {Object} options - preset e mapeamento
+   * @returns {Object} Mapeamento, linhas, erros e resumo
+   */
+  previewCsv(file, options = {}) {
+    if (!file) throw requestError('Arquivo é obrigatório');
+
+    const mapeamento = this.buildMapping(options);
+    const resultado = this.parseStatement(file.buffer, mapeamento);
+
+    return {
+      mapeamento,
+      ...resultado,
+      resumo: {
+        ...this.summarize(resultado.linhas),
+        rejeitadas: resultado.erros.length,
+        ignoradas: resultado.ignoradas
+      }
+    };
+  }
+
+  /**
+   * Importa o CSV, criando as transações em um lote que pode ser revertido
+   * @param {Object} user - Usuário
+   * @param {Object} file - Arquivo enviado (multer)
+   * @param {Object} options - preset, mapeamento, account, cartao, categoria e tags
+   * @returns {Object} Lote criado e erros das linhas rejeitadas
+   */
+  async importCsv(user, file, options = {}) {
+    const preview = this.previewCsv(file, options);
+    await this.validateTarget(user._id, options);
+
+    if (preview.linhas.length === 0) {
+      throw requestError('Nenhuma linha válida para importar');
+    }
+
+    const importacao = await this.createBatch(user, preview.linhas, {
+      ...this.pickTarget(options),
+      preset: options.preset,
+      formato: 'csv',
+      nomeArquivo: file.originalname,
+      mapeamento: preview.mapeamento,
+      quantidadeRejeitada: preview.erros.length
+    });
+
+    return {
+      importacao,
+      erros: preview.erros,
+      ignoradas: preview.ignoradas
+    };
+  }
+
+  /**
+   * Extrai das opções enviadas o destino e a classificação das transações importadas
+   * @param {Object} options - Opções da importação
+   * @returns {Object} account, cartao, categoria e tags
+   */
+  pickTarget(options) {
+    return {
+      account: options.account || null,
+      cartao: options.cartao || null,
+      categoria: options.categoria || null,
+      tags: options.tags
+    };
+  }
+
+  /**
+   * Lê o extrato OFX/QFX e separa lançamentos novos, duplicados e rejeitados
+   * Lançamentos com FITID já importado na mesma conta ou cartão são duplicados.
+   * @param {String} userId - ID do usuário
+   * @param {Object} file - Arquivo enviado (multer)
+   * @param {Object} options - account ou cartao de destino
+   * @returns {Object} Dados da conta, linhas novas, duplicadas, erros e resumo
+   */
+  async previewOfx(userId, file, options = {}) {
+    if (!file) throw requestError('Arquivo é obrigatório');
+
+    const extrato = parseOfx(file.buffer);
+    const linhas = [];
+    const erros = [];
+
+    extrato.lancamentos.forEach((lancamento, i) => {
+      const linha = i + 1;
+      const descricao = (lancamento.memo || lancamento.nome || '').slice(0, 500);
+
+      if (!lancamento.data) return erros.push({ linha, mensagem: `Data inválida: "${lancamento.dataOriginal || ''}"` });
+      if (isNaN(lancamento.valor)) return erros.push({ linha, mensagem: `Valor inválido: "${lancamento.valorOriginal || ''}"` });
+      if (lancamento.valor === 0) return erros.push({ linha, mensagem: 'Valor zerado' });
+      if (!descricao) return erros.push({ linha, mensagem: 'Descrição vazia' });
+
+      // DEBIT/CREDIT definem o tipo; nos demais tipos (PAYMENT, XFER...) vale o sinal
+      let tipo = lancamento.valor < 0 ? 'despesa' : 'receita';
+      if (lancamento.tipo === 'DEBIT') tipo = 'despesa';
+      if (lancamento.tipo === 'CREDIT') tipo = 'receita';
+
+      // Sem FITID, a chave é montada com data, valor e descrição
+      const idExterno = lancamento.fitid ||
+        `${lancamento.data.toISOString().slice(0, 10)}|${lancamento.valor}|${descricao}`;
+
+      linhas.push({
+        linha,
+        data: lancamento.data,
+        descricao,
+        valor: arredondar(Math.abs(lancamento.valor)),
+        tipo,
+        idExterno
+      });
+    });
+
+    const existentes = await transactionRepository.findByUser(userId, {
+      idExterno: { $in: linhas.map(l => l.idExterno) },
+      account: options.account || null,
+      cartaoId: options.cartao || null
+    });
+    const vistos = new Set(existentes.map(t => t.idExterno));
+
+    const novas = [];
+    const duplicadas = [];
+    linhas.forEach(linha => {
+      if (vistos.has(linha.idExterno)) {
+        duplicadas.push(linha);
+      } else {
+        vistos.add(linha.idExterno);
+        novas.push(linha);
+      }
+    });
+
+    return {
+      cartaoCredito: extrato.cartaoCredito,
+      conta: extrato.conta,
+      moeda: extrato.moeda,
+      linhas: novas,
+      duplicadas,
+      erros,
+      resumo: {
+        ...this.summarize(novas),
+        duplicadas: duplicadas.length,
+        rejeitadas: erros.length
+      }
+    };
+  }
+
+  /**
+   * Importa o extrato OFX/QFX, ignorando lançamentos já importados (mesmo FITID)
+   * @param {Object} user - Usuário
+   * @param {Object} file - Arquivo enviado (multer)
+   * @param {Object} options - account, cartao, categoria e tags
+   * @returns {Object} Lote criado (quando houver lançamentos novos) e resumo
+   */
+  async importOfx(user, file, options = {}) {
+    const preview = await this.previewOfx(user._id, file, options);
+    await this.validateTarget(user._id, options);
+
+    const importacao = preview.linhas.length > 0
+      ? await this.createBatch(user, preview.linhas, {
+        ...this.pickTarget(options),
+        moeda: preview.moeda,
+        formato: 'ofx',
+        nomeArquivo: file.originalname,
+        quantidadeRejeitada: preview.erros.length,
+        quantidadeDuplicada: preview.duplicadas.length
+      })
+      : null;
+
+    return {
+      importacao,
+      resumo: {
+        novas: preview.linhas.length,
+        duplicadas: preview.duplicadas.length,
+        rejeitadas: preview.erros.length
+      },
+      erros: preview.erros
+    };
+  }
+
+  /**
+   * Converte as transações importadas para a moeda base do usuário
+   * A moeda é a do extrato (OFX) ou, sem ela, a da conta de destino; cartões usam a moeda base.
+   * @param {Object} user - Usuário
+   * @param {Array} transactionsData - Dados das transações
+   * @param {Object} options - moeda do extrato e account de destino
+   * @returns {Array} Dados das transações convertidos
+   */
+  async convertCurrency(user, transactionsData, options) {
+    let moeda = options.moeda ? String(options.moeda).toUpperCase() : null;
+
+    if (!moeda && options.account) {
+      const account = await accountRepository.findById(options.account);
+      moeda = account ? account.currency : null;
+    }
+
+    if (!moeda || moeda === getUserCurrency(user)) return transactionsData;
+
+    const convertidas = [];
+    for (const data of transactionsData) {
+      convertidas.push(await currencyService.applyToTransaction(user, { ...data, moeda }));
+    }
+
+    return convertidas;
+  }
+
+  /**
+   * Cria o lote de importação e suas transações
+   * @param {Object} user - Usuário
+   * @param {Array} linhas - Linhas convertidas
+   * @param {Object} options - Dados do lote, destino (account, cartao, categoria, tags) e moeda do extrato
+   * @returns {Object} Lote criado
+   */
+  async createBatch(user, linhas, options) {
+    const userId = user._id;
+    const categoria = options.categoria || null;
+    const cartao = options.cartao || null;
+    const tags = typeof options.tags === 'string'
+      ? options.tags.split(',').map(t => t.trim()).filter(Boolean)
+      : options.tags || [];
+
+    // As regras do usuário e a categoria padrão do estabelecimento têm precedência sobre a da importação
+    const regradas = await categoryRuleService.applyToNew(userId, linhas.map(linha => ({
+      user: userId,
+      tipo: linha.tipo,
+      valor: linha.valor,
+      descricao: linha.descricao,
+      data: linha.data,
+      cartao,
+      cartaoId: cartao,
+      account: options.account || null,
+      tags,
+      idExterno: linha.idExterno || null,
+      status: 'confirmada'
+    })));
+
+    // Sem cotação, nada é importado
+    const transactionsData = await this.convertCurrency(
+      user,
+      await merchantService.applyToNew(userId, regradas),
+      options
+    );
+
+    // O lote só é gravado depois das transações, para não ficar um lote sem transações se a inserção falhar
+    const batchId = new mongoose.Types.ObjectId();
+
+    // insertMany não dispara o pre('save'), então os pares de campos vão preenchidos
+    await runWithContext({ origem: 'importacao' }, () => transactionRepository.createMany(transactionsData.map(data => ({
+      ...data,
+      importacao: batchId,
+      categoria: data.categoria || categoria,
+      categoriaId: data.categoriaId || categoria
+    }))));
+
+    // Totais com os valores gravados (já convertidos para a moeda base)
+    const resumo = this.summarize(transactionsData);
+    try {
+      await importBatchRepository.create({
+        _id: batchId,
+        user: userId,
+        formato: options.formato,
+        nomeArquivo: options.nomeArquivo,
+        preset: options.preset || null,
+        mapeamento: options.mapeamento || {},
+        account: options.account || null,
+        cartao: options.cartao || null,
+        quantidadeImportada: resumo.quantidade,
+        quantidadeRejeitada: options.quantidadeRejeitada || 0,
+        quantidadeDuplicada: options.quantidadeDuplicada || 0,
+        totalReceitas: resumo.totalReceitas,
+        totalDespesas: resumo.totalDespesas
+      });
+    } catch (error) {
+      await runWithContext({ origem: 'importacao' }, () =>
+        transactionRepository.deleteMany(userId, { importacao: batchId })
+      );
+      throw error;
+    }
+
+    return await importBatchRepository.findById(batchId);
+  }
+
+  /**
+   * Busca o lote com as transações importadas
+   * @param {Object} batch - Lote de importação
+   * @returns {Object} Lote e transações
+   */
+  async getBatchDetails(batch) {
+    const [importacao, transacoes] = await Promise.all([
+      importBatchRepository.findById(batch._id),
+      transactionRepository.findByUser(batch.user, { importacao: batch._id })
+    ]);
+
+    return { importacao, transacoes };
+  }
+
+  /**
+   * Reverte a importação, removendo todas as transações do lote
+   * Lotes com transações conciliadas ou estornadas fora do lote não podem ser revertidos.
+   * @param {Object} batch - Lote de importação
+   * @returns {Object} Lote revertido e quantidade de transações removidas
+   */
+  async revertBatch(batch) {
+    if (batch.status === 'revertida') {
+      throw requestError('Importação já foi revertida');
+    }
+
+    const transactions = await transactionRepository.findByUser(batch.user, { importacao: batch._id });
+    if (transactions.some(transaction => transaction.conciliacao)) {
+      throw requestError('Importação com transações conciliadas: desfaça a conciliação antes de reverter');
+    }
+
+    // Estornos que também vieram do lote são removidos junto
+    const ids = transactions.map(transaction => transaction._id.toString());
+    const estornos = await transactionRepository.findRefunds(ids);
+    if (estornos.some(estorno => !ids.includes(estorno._id.toString()))) {
+      throw requestError('Importação com transações estornadas: exclua os estornos antes de reverter');
+    }
+
+    const removidas = await runWithContext({ origem: 'importacao' }, () =>
+      transactionRepository.deleteMany(batch.user, { importacao: batch._id })
+    );
+    const importacao = await importBatchRepository.update(batch._id, {
+      status: 'revertida',
+      revertidaEm: new Date()
+    });
+
+    return { importacao, removidas };
+  }
+}
+
+module.exports = new ImportService();
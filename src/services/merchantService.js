@@ -0,0 +1,330 @@
+const { merchantRepository, transactionRepository, categoryRepository } = require('../repositories');
+const { Merchant } = require('../models');
+const { requestError } = require('../middlewares/errorHandler');
+const { arredondar } = require('../utils/currency');
+
+const MAX_VINCULOS = 5000;
+const LIMITE_SUGESTOES = 10;
+
+class MerchantService {
+  /**
+   * Identifica o estabelecimento de uma descrição
+   * Vale o estabelecimento com o maior nome ou apelido presente na descrição (palavras inteiras,
+   * sem diferenciar acentos, maiúsculas e pontuação).
+   * @param {Array} merchants - Estabelecimentos do usuário
+   * @param {String} descricao - Descrição da transação
+   * @returns {Object|null} Estabelecimento ou null
+   */
+  findMatch(merchants, descricao) {
+    let melhor = null;
+    let tamanho = 0;
+
+    for (const merchant of merchants) {
+      const encontrado = merchant.matchLength(descricao);
+      if (encontrado > tamanho) {
+        melhor = merchant;
+        tamanho = encontrado;
+      }
+    }
+
+    return melhor;
+  }
+
+  /**
+   * Busca um estabelecimento do usuário na lista já carregada
+   * @param {Array} merchants - Estabelecimentos do usuário
+   * @param {String} id - ID do estabelecimento
+   * @returns {Object} Estabelecimento
+   */
+  findOwn(merchants, id) {
+    const merchant = merchants.find(item => item._id.toString() === String(id._id || id));
+    if (!merchant) {
+      throw requestError('Estabelecimento não encontrado', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Identifica o estabelecimento das transações que serão criadas
+   * Sem categoria (nem divisões), a transação recebe a categoria padrão do estabelecimento.
+   * @param {String} userId - ID do usuário
+   * @param {Array} transactionsData - Dados das transações
+   * @returns {Array} Dados das transações com estabelecimento (e categoria)
+   */
+  async applyToNew(userId, transactionsData) {
+    const merchants = await merchantRepository.findByUser(userId);
+    if (merchants.length === 0) {
+      const informada = transactionsData.find(data => data.estabelecimento);
+      if (informada) throw requestError('Estabelecimento não encontrado', 404);
+      return transactionsData;
+    }
+
+    return transactionsData.map(data => {
+      const merchant = data.estabelecimento
+        ? this.findOwn(merchants, data.estabelecimento)
+        : this.findMatch(merchants, data.descricao);
+      if (!merchant) return data;
+
+      const result = { ...data, estabelecimento: merchant._id };
+      const semCategoria = !data.categoria && !data.categoriaId && !(data.divisoes && data.divisoes.length > 0);
+      if (semCategoria && merchant.categoria) {
+        result.categoria = merchant.categoria._id || merchant.categoria;
+        result.categoriaId = result.categoria;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Ajusta o estabelecimento nas alterações de uma transação
+   * O estabelecimento informado é conferido; se só a descrição mudar, ele é identificado
+   * de novo (e mantido se a nova descrição não indicar nenhum).
+   * @param {String} userId - ID do usuário
+   * @param {Object} changes - Alterações
+   * @returns {Object} Alterações com o estabelecimento
+   */
+  async applyToChanges(userId, changes) {
+    if (changes.estabelecimento === undefined && changes.descricao === undefined) return changes;
+
+    const merchants = await merchantRepository.findByUser(userId);
+
+    if (changes.estabelecimento !== undefined) {
+      if (!changes.estabelecimento) return { ...changes, estabelecimento: null };
+      return { ...changes, estabelecimento: this.findOwn(merchants, changes.estabelecimento)._id };
+    }
+
+    const merchant = this.findMatch(merchants, changes.descricao);
+    return merchant ? { ...changes, estabelecimento: merchant._id } : changes;
+  }
+
+  /**
+   * Vincula as transações ainda sem estabelecimento aos estabelecimentos identificados pela descrição
+   * @param {String} userId - ID do usuário
+   * @param {String} merchantId - Vincula só a este estabelecimento (opcional)
+   * @returns {Number} Quantidade de transações vinculadas
+   */
+  async linkExisting(userId, merchantId = null) {
+    const merchants = await merchantRepository.findByUser(userId);
+    if (merchants.length === 0) return 0;
+
+    const transactions = await transactionRepository.findWithoutMerchant(userId, MAX_VINCULOS);
+
+    const porEstabelecimento = {};
+    transactions.forEach(transaction => {
+      const merchant = this.findMatch(merchants, transaction.descricao);
+      if (!merchant || (merchantId && merchant._id.toString() !== merchantId.toString())) return;
+
+      const id = merchant._id.toString();
+      (porEstabelecimento[id] = porEstabelecimento[id] || []).push(transaction._id);
+    });
+
+    let vinculadas = 0;
+    for (const [id, ids] of Object.entries(porEstabelecimento)) {
+      vinculadas += await merchantRepository.linkTransactions(ids, id);
+    }
+
+    return vinculadas;
+  }
+
+  /**
+   * Confere o nome (único por usuário) e a categoria padrão de um estabelecimento
+   * @param {String} userId - ID do usuário
+   * @param {Object} data - nome e categoria
+   * @param {Object} atual - Estabelecimento alterado (na alteração)
+   */
+  async validate(userId, data, atual = null) {
+    if (data.nome !== undefined) {
+      const existente = await merchantRepository.findByName(userId, data.nome.trim());
+      if (existente && (!atual || existente._id.toString() !== atual._id.toString())) {
+        throw requestError('Já existe um estabelecimento com esse nome');
+      }
+    }
+
+    if (data.categoria) {
+      const categoria = await categoryRepository.findById(data.categoria);
+      if (!categoria || categoria.user.toString() !== userId.toString()) {
+        throw requestError('Categoria não encontrada', 404);
+      }
+    }
+  }
+
+  /**
+   * Limpa a lista de apelidos (sem vazios nem repetidos depois de normalizados)
+   * @param {Array} apelidos - Apelidos informados
+   * @returns {Array} Apelidos
+   */
+  cleanAliases(apelidos = []) {
+    const vistos = new Set();
+    return apelidos
+      .map(apelido => String(apelido).trim())
+      .filter(apelido => {
+        const termo = Merchant.normalize(apelido);
+        if (!termo || vistos.has(termo)) return false;
+        vistos.add(termo);
+        return true;
+      });
+  }
+
+  /**
+   * Cria um estabelecimento e vincula a ele as transações existentes que o citam
+   * @param {String} userId - ID do usuário
+   * @param {Object} data - nome, apelidos e categoria
+   * @returns {Object} { estabelecimento, vinculadas }
+   */
+  async create(userId, data) {
+    await this.validate(userId, data);
+
+    const merchant = await merchantRepository.create({
+      user: userId,
+      nome: data.nome,
+      apelidos: this.cleanAliases(data.apelidos),
+      categoria: data.categoria || null
+    });
+
+    const vinculadas = await this.linkExisting(userId, merchant._id);
+
+    return { estabelecimento: merchant, vinculadas };
+  }
+
+  /**
+   * Altera um estabelecimento; com novo nome ou apelidos, vincula as transações que passam a citá-lo
+   * As transações já vinculadas continuam vinculadas.
+   * @param {Object} merchant - Estabelecimento
+   * @param {Object} data - nome, apelidos e categoria
+   * @returns {Object} { estabelecimento, vinculadas }
+   */
+  async update(merchant, data) {
+    await this.validate(merchant.user, data, merchant);
+
+    const updateData = {};
+    if (data.nome !== undefined) updateData.nome = data.nome;
+    if (data.apelidos !== undefined) updateData.apelidos = this.cleanAliases(data.apelidos);
+    if (data.categoria !== undefined) updateData.categoria = data.categoria || null;
+
+    const updated = await merchantRepository.update(merchant._id, updateData);
+    const vinculadas = updateData.nome !== undefined || updateData.apelidos !== undefined
+      ? await this.linkExisting(merchant.user, merchant._id)
+      : 0;
+
+    return { estabelecimento: updated, vinculadas };
+  }
+
+  /**
+   * Remove um estabelecimento (as transações ficam sem estabelecimento)
+   * @param {Object} merchant - Estabelecimento
+   */
+  async delete(merchant) {
+    await merchantRepository.delete(merchant._id);
+  }
+
+  /**
+   * Lista os estabelecimentos com os gastos do período
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - startDate e endDate
+   * @returns {Array} Estabelecimentos com despesas, receitas, transacoes e ultima
+   */
+  async list(userId, options = {}) {
+    const startDate = options.startDate ? new Date(options.startDate) : null;
+    const endDate = options.endDate ? new Date(options.endDate) : null;
+
+    const [merchants, totais] = await Promise.all([
+      merchantRepository.findByUser(userId),
+      transactionRepository.getByMerchant(userId, startDate, endDate)
+    ]);
+
+    const porId = new Map(totais.map(total => [total.estabelecimento.toString(), total]));
+
+    return merchants
+      .map(merchant => {
+        const total = porId.get(merchant._id.toString()) || {};
+        return {
+          ...merchant.toJSON(),
+          despesas: total.despesas || 0,
+          receitas: total.receitas || 0,
+          transacoes: total.transacoes || 0,
+          ultima: total.ultima || null
+        };
+      })
+      .sort((a, b) => b.despesas - a.despesas || a.nome.localeCompare(b.nome));
+  }
+
+  /**
+   * Estatísticas de gastos de um estabelecimento
+   * @param {Object} merchant - Estabelecimento
+   * @param {Number} meses - Meses do histórico mensal (incluindo o atual)
+   * @returns {Object} Totais, ticket médio, primeira e última compra e gastos por mês
+   */
+  async getStats(merchant, meses = 12) {
+    const agora = new Date();
+    const inicio = new Date(agora.getFullYear(), agora.getMonth() - (meses - 1), 1);
+    const fim = new Date(agora.getFullYear(), agora.getMonth() + 1, 0, 23, 59, 59, 999);
+
+    const [[total], porMes] = await Promise.all([
+      transactionRepository.getByMerchant(merchant.user, null, null, merchant._id),
+      transactionRepository.getMerchantMonthly(merchant.user, merchant._id, inicio, fim)
+    ]);
+
+    const despesas = total ? total.despesas : 0;
+    const quantidadeDespesas = total ? total.quantidadeDespesas : 0;
+
+    return {
+      estabelecimento: merchant,
+      despesas,
+      receitas: total ? total.receitas : 0,
+      transacoes: total ? total.transacoes : 0,
+      quantidadeDespesas,
+      // Receitas (estornos e créditos do estabelecimento) não contam como compras
+      ticketMedio: quantidadeDespesas > 0 ? arredondar(despesas / quantidadeDespesas) : 0,
+      primeira: total ? total.primeira : null,
+      ultima: total ? total.ultima : null,
+      porMes
+    };
+  }
+
+  /**
+   * Histórico de transações de um estabelecimento
+   * @param {Object} merchant - Estabelecimento
+   * @param {Object} options - page, limit, startDate e endDate
+   * @returns {Object} Resultado paginado com os totais
+   */
+  async getHistory(merchant, options = {}) {
+    const periodo = {};
+    if (options.startDate) periodo.startDate = options.startDate;
+    if (options.endDate) periodo.endDate = options.endDate;
+
+    return await transactionRepository.findWithPagination(merchant.user, {
+      page: options.page,
+      limit: options.limit,
+      filtro: { ...periodo, estabelecimentos: [merchant._id.toString()] }
+    });
+  }
+
+  /**
+   * Sugere estabelecimentos para o texto digitado (autocompletar)
+   * Nomes que começam com o texto vêm antes dos que só o contêm (no nome ou em um apelido).
+   * @param {String} userId - ID do usuário
+   * @param {String} texto - Texto digitado
+   * @returns {Array} Até 10 estabelecimentos, com a categoria padrão
+   */
+  async autocomplete(userId, texto) {
+    const termo = Merchant.normalize(texto);
+    if (!termo) return [];
+
+    const merchants = await merchantRepository.findByUser(userId);
+
+    return merchants
+      .map(merchant => {
+        const nome = Merchant.normalize(merchant.nome);
+        if (nome.startsWith(termo)) return { merchant, ordem: 0 };
+        if (merchant.getTermos().some(item => item.includes(termo))) return { merchant, ordem: 1 };
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.ordem - b.ordem || a.merchant.nome.localeCompare(b.merchant.nome))
+      .slice(0, LIMITE_SUGESTOES)
+      .map(item => item.merchant);
+  }
+}
+
+module.exports = new MerchantService();
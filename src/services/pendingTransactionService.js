@@ -0,0 +1,92 @@
+const { transactionRepository } = require('../repositories');
+const transactionBulkService = require('./transactionBulkService');
+const { requestError } = require('../middlewares/errorHandler');
+const { somarValores } = require('../utils/currency');
+
+const STATUS_PENDENTE = 'pendente';
+
+class PendingTransactionService {
+  /**
+   * Lista as transações pendentes do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - vencidas: só as que já chegaram à data
+   * @returns {Object} { transacoes, receitas, despesas }
+   */
+  async list(userId, options = {}) {
+    const transacoes = await transactionRepository.findPending(userId, options.vencidas ? new Date() : null);
+
+    const somar = tipo => somarValores(transacoes.filter(t => t.tipo === tipo));
+
+    return {
+      transacoes,
+      receitas: somar('receita'),
+      despesas: somar('despesa')
+    };
+  }
+
+  /**
+   * Confirma ou cancela uma transação pendente
+   * Confirmar aplica o valor nos saldos; cancelar mantém a transação fora dos totais.
+   * @param {Object} transaction - Transação
+   * @param {String} status - 'confirmada' ou 'cancelada'
+   * @returns {Object} Transação atualizada
+   */
+  async resolve(transaction, status) {
+    if (transaction.status !== STATUS_PENDENTE) {
+      throw requestError('Transação não está pendente');
+    }
+
+    return await transactionRepository.update(transaction._id, { status });
+  }
+
+  /**
+   * Confirma ou cancela várias transações pendentes
+   * @param {String} userId - ID do usuário
+   * @param {Object} selecao - { ids } ou { filtro, texto }
+   * @param {String} status - 'confirmada' ou 'cancelada'
+   * @returns {Object} Relatório { total, sucesso, falhas, resultados }
+   */
+  async resolveMany(userId, selecao, status) {
+    const itens = await transactionBulkService.resolveTargets(userId, selecao);
+    const mensagem = status === 'confirmada' ? 'Transação confirmada' : 'Transação cancelada';
+
+    const resultados = [];
+    for (const { id, transaction, erro } of itens) {
+      if (erro) {
+        resultados.push({ id, sucesso: false, mensagem: erro });
+        continue;
+      }
+
+      try {
+        await this.resolve(transaction, status);
+        resultados.push({ id, sucesso: true, mensagem });
+      } catch (error) {
+        resultados.push({ id, sucesso: false, mensagem: error.message });
+      }
+    }
+
+    return transactionBulkService.buildReport(resultados);
+  }
+
+  /**
+   * Confirma as transações pendentes cuja data já chegou (job agendado, com PENDING_AUTO_CONFIRM=true)
+   * @returns {Number} Quantidade de transações confirmadas
+   */
+  async confirmDue() {
+    const transacoes = await transactionRepository.findDuePending(new Date());
+    let total = 0;
+
+    for (const transaction of transacoes) {
+      try {
+        await transactionRepository.update(transaction._id, { status: 'confirmada' });
+        total++;
+      } catch (error) {
+        console.error(`Erro ao confirmar transação pendente ${transaction._id}:`, error.message);
+      }
+    }
+
+    return total;
+  }
+}
+
+module.exports = new PendingTransactionService();
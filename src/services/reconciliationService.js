@@ -0,0 +1,311 @@
+const {
+  reconciliationRepository,
+  transactionRepository,
+  accountRepository,
+  cardRepository
+} = require('../repositories');
+const currencyService = require('./currencyService');
+const { requestError } = require('../middlewares/errorHandler');
+const { arredondar } = require('../utils/currency');
+
+/**
+ * Fim do dia da data informada (o extrato inclui o dia inteiro)
+ * @param {Date|String} data - Data
+ * @returns {Date} Data às 23:59:59.999
+ */
+const fimDoDia = (data) => {
+  const fim = new Date(data);
+  fim.setHours(23, 59, 59, 999);
+  return fim;
+};
+
+class ReconciliationService {
+  /**
+   * Identifica a conta ou o cartão conciliado
+   * @param {Object} reconciliation - Conciliação (ou dados com account/cartao)
+   * @returns {Object} { account } ou { cartao }
+   */
+  getTarget(reconciliation) {
+    return reconciliation.account
+      ? { account: reconciliation.account._id || reconciliation.account }
+      : { cartao: reconciliation.cartao._id || reconciliation.cartao };
+  }
+
+  /**
+   * Carrega a conta ou o cartão, garantindo que pertence ao usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} alvo - { account } ou { cartao }
+   * @returns {Object} Conta ou cartão
+   */
+  async loadTarget(userId, alvo) {
+    const item = alvo.account
+      ? await accountRepository.findById(alvo.account)
+      : await cardRepository.findById(alvo.cartao);
+
+    if (!item || item.user.toString() !== userId.toString()) {
+      throw requestError(alvo.account ? 'Conta não encontrada' : 'Cartão não encontrado', 404);
+    }
+
+    return item;
+  }
+
+  /**
+   * Efeito de uma transação no saldo da conta ou do cartão conciliado
+   * @param {Object} alvo - { account } ou { cartao }
+   * @param {Object} item - Conta ou cartão
+   * @param {Object} transaction - Transação
+   * @returns {Number} Variação do saldo
+   */
+  getImpact(alvo, item, transaction) {
+    const impact = alvo.account
+      ? transactionRepository.getAccountImpact(transaction, { [item._id.toString()]: item.currency })
+      : transactionRepository.getCardImpact(transaction);
+
+    return impact ? impact.delta : 0;
+  }
+
+  /**
+   * Monta a conciliação com as transações e a diferença para o extrato
+   * Aberta, lista as transações ainda não conciliadas até a data do extrato, indicando as marcadas;
+   * concluída, lista as transações que ela conferiu.
+   * @param {Object} reconciliation - Conciliação
+   * @returns {Object} { conciliacao, transacoes, saldoConciliado, diferenca }
+   */
+  async buildSummary(reconciliation) {
+    const alvo = this.getTarget(reconciliation);
+    const item = await this.loadTarget(reconciliation.user, alvo);
+    const aberta = reconciliation.status === 'aberta';
+
+    const transactions = aberta
+      ? await transactionRepository.findReconcilable(reconciliation.user, alvo, reconciliation.dataFim)
+      : await transactionRepository.findByReconciliation(reconciliation._id);
+
+    const marcadas = new Set(reconciliation.transacoes.map(String));
+    let saldoConciliado = reconciliation.saldoInicial;
+
+    const transacoes = transactions.map(transaction => {
+      const marcada = !aberta || marcadas.has(transaction._id.toString());
+      const impacto = arredondar(this.getImpact(alvo, item, transaction));
+      if (marcada) saldoConciliado += impacto;
+      return { transacao: transaction, impacto, marcada };
+    });
+
+    saldoConciliado = arredondar(saldoConciliado);
+
+    return {
+      conciliacao: reconciliation,
+      transacoes,
+      marcadas: transacoes.filter(t => t.marcada).length,
+      saldoConciliado,
+      diferenca: arredondar(reconciliation.saldoFinal - saldoConciliado)
+    };
+  }
+
+  /**
+   * Abre a conciliação de uma conta ou cartão com os dados do extrato
+   * @param {String} userId - ID do usuário
+   * @param {Object} data - account ou cartao, dataFim e saldoFinal
+   * @returns {Object} Conciliação montada (ver buildSummary)
+   */
+  async create(userId, data) {
+    const alvo = this.getTarget(data);
+    const item = await this.loadTarget(userId, alvo);
+
+    if (await reconciliationRepository.findOpen(alvo)) {
+      throw requestError('Já existe uma conciliação aberta para esta conta ou cartão');
+    }
+
+    const dataFim = fimDoDia(data.dataFim);
+    const anterior = await reconciliationRepository.findLastCompleted(alvo);
+    if (anterior && dataFim <= anterior.dataFim) {
+      throw requestError('A data final deve ser posterior à da última conciliação concluída');
+    }
+
+    // Sem conciliação anterior, parte do saldo inicial da conta (o cartão começa zerado)
+    const saldoInicial = anterior
+      ? anterior.saldoFinal
+      : (alvo.account ? item.initialBalance : 0);
+
+    const reconciliation = await reconciliationRepository.create({
+      user: userId,
+      ...alvo,
+      dataFim,
+      saldoFinal: data.saldoFinal,
+      saldoInicial
+    });
+
+    return await this.buildSummary(reconciliation);
+  }
+
+  /**
+   * Garante que a conciliação ainda está aberta
+   * @param {Object} reconciliation - Conciliação
+   */
+  assertOpen(reconciliation) {
+    if (reconciliation.status !== 'aberta') {
+      throw requestError('Conciliação já concluída');
+    }
+  }
+
+  /**
+   * Corrige a data ou o saldo do extrato de uma conciliação aberta
+   * Transações marcadas que ficarem depois da nova data são desmarcadas.
+   * @param {Object} reconciliation - Conciliação
+   * @param {Object} changes - dataFim e saldoFinal
+   * @returns {Object} Conciliação montada
+   */
+  async update(reconciliation, changes) {
+    this.assertOpen(reconciliation);
+
+    const updateData = {};
+    if (changes.saldoFinal !== undefined) updateData.saldoFinal = changes.saldoFinal;
+
+    if (changes.dataFim !== undefined) {
+      updateData.dataFim = fimDoDia(changes.dataFim);
+
+      const anterior = await reconciliationRepository.findLastCompleted(this.getTarget(reconciliation));
+      if (anterior && updateData.dataFim <= anterior.dataFim) {
+        throw requestError('A data final deve ser posterior à da última conciliação concluída');
+      }
+
+      const disponiveis = await transactionRepository.findReconcilable(
+        reconciliation.user,
+        this.getTarget(reconciliation),
+        updateData.dataFim
+      );
+      const ids = new Set(disponiveis.map(t => t._id.toString()));
+      updateData.transacoes = reconciliation.transacoes.filter(id => ids.has(id.toString()));
+    }
+
+    const updated = await reconciliationRepository.update(reconciliation._id, updateData);
+    return await this.buildSummary(updated);
+  }
+
+  /**
+   * Marca e desmarca transações como presentes no extrato
+   * @param {Object} reconciliation - Conciliação
+   * @param {Object} itens - { marcar, desmarcar } com IDs de transações
+   * @returns {Object} Conciliação montada
+   */
+  async updateItems(reconciliation, { marcar = [], desmarcar = [] }) {
+    this.assertOpen(reconciliation);
+
+    const disponiveis = await transactionRepository.findReconcilable(
+      reconciliation.user,
+      this.getTarget(reconciliation),
+      reconciliation.dataFim
+    );
+    const ids = new Set(disponiveis.map(t => t._id.toString()));
+
+    const invalida = marcar.map(String).find(id => !ids.has(id));
+    if (invalida) {
+      throw requestError(`Transação ${invalida} não está entre as transações a conciliar deste extrato`);
+    }
+
+    const remover = new Set(desmarcar.map(String));
+    const transacoes = [...new Set([...reconciliation.transacoes.map(String), ...marcar.map(String)])]
+      .filter(id => !remover.has(id));
+
+    const updated = await reconciliationRepository.update(reconciliation._id, { transacoes });
+    return await this.buildSummary(updated);
+  }
+
+  /**
+   * Conclui a conciliação, travando as transações marcadas
+   * Se o saldo conciliado não bater com o extrato, a diferença só é aceita com criarAjuste,
+   * que lança uma transação de ajuste na data do extrato.
+   * @param {Object} user - Usuário
+   * @param {Object} reconciliation - Conciliação
+   * @param {Object} options - criarAjuste
+   * @returns {Object} Conciliação montada
+   */
+  async complete(user, reconciliation, { criarAjuste = false } = {}) {
+    this.assertOpen(reconciliation);
+
+    const resumo = await this.buildSummary(reconciliation);
+    const alvo = this.getTarget(reconciliation);
+    let ajuste = null;
+
+    if (resumo.diferenca !== 0) {
+      if (!criarAjuste) {
+        throw requestError(
+          `Diferença de ${resumo.diferenca.toFixed(2)} entre o extrato e as transações marcadas: ` +
+          'marque as transações que faltam ou conclua com criarAjuste'
+        );
+      }
+
+      // Na conta, receita aumenta o saldo; no cartão, a despesa aumenta o valor devido
+      const aumenta = resumo.diferenca > 0;
+      const tipo = alvo.account
+        ? (aumenta ? 'receita' : 'despesa')
+        : (aumenta ? 'despesa' : 'receita');
+
+      const dados = await currencyService.applyToTransaction(user, {
+        user: user._id,
+        tipo,
+        valor: Math.abs(resumo.diferenca),
+        descricao: 'Ajuste de conciliação',
+        data: reconciliation.dataFim,
+        status: 'confirmada',
+        ...(alvo.account ? { account: alvo.account } : { cartaoId: alvo.cartao })
+      });
+
+      ajuste = await transactionRepository.create(dados);
+    }
+
+    const ids = resumo.transacoes.filter(t => t.marcada).map(t => t.transacao._id);
+    if (ajuste) ids.push(ajuste._id);
+
+    await transactionRepository.setReconciliation(ids, reconciliation._id);
+
+    const updated = await reconciliationRepository.update(reconciliation._id, {
+      status: 'concluida',
+      concluidaEm: new Date(),
+      transacoes: ids,
+      ajuste: ajuste ? ajuste._id : null
+    });
+
+    return await this.buildSummary(updated);
+  }
+
+  /**
+   * Descarta uma conciliação aberta ou desfaz a última concluída da conta ou cartão
+   * Ao desfazer, as transações são destravadas e o ajuste vai para a lixeira.
+   * @param {Object} reconciliation - Conciliação
+   */
+  async undo(reconciliation) {
+    if (reconciliation.status === 'concluida') {
+      const alvo = this.getTarget(reconciliation);
+      const ultima = await reconciliationRepository.findLastCompleted(alvo);
+      if (!ultima || ultima._id.toString() !== reconciliation._id.toString()) {
+        throw requestError('Só é possível desfazer a conciliação concluída mais recente da conta ou cartão');
+      }
+
+      // A conciliação aberta parte do saldo final desta
+      if (await reconciliationRepository.findOpen(alvo)) {
+        throw requestError('Descarte a conciliação aberta da conta ou cartão antes de desfazer esta');
+      }
+
+      const transactions = await transactionRepository.findByReconciliation(reconciliation._id);
+      await transactionRepository.setReconciliation(transactions.map(t => t._id), null);
+
+      if (reconciliation.ajuste) {
+        await transactionRepository.trash(reconciliation.ajuste);
+      }
+    }
+
+    await reconciliationRepository.delete(reconciliation._id);
+  }
+
+  /**
+   * Lista as conciliações do usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} filters - account, cartao e status
+   * @returns {Array} Conciliações
+   */
+  async list(userId, filters = {}) {
+    return await reconciliationRepository.findByUser(userId, filters);
+  }
+}
+
+module.exports = new ReconciliationService();
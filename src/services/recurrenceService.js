@@ -0,0 +1,345 @@
+const { recurrenceRepository, transactionRepository } = require('../repositories');
+const { Transaction } = require('../models');
+const { requestError } = require('../middlewares/errorHandler');
+
+/**
+ * Recusa a operação se alguma das ocorrências geradas estiver conciliada
+ * @param {Array} transactions - Transações das ocorrências
+ */
+const assertNotReconciled = transactions => {
+  if (transactions.some(transaction => transaction.conciliacao)) {
+    throw requestError('Ocorrência conciliada: desfaça a conciliação antes de alterar a série');
+  }
+};
+
+/**
+ * Recusa a operação se alguma das ocorrências que serão removidas tiver estornos
+ * @param {Array} transactions - Transações das ocorrências
+ */
+const assertWithoutRefunds = async transactions => {
+  if (transactions.length === 0) return;
+
+  const estornos = await transactionRepository.findRefunds(transactions.map(transaction => transaction._id));
+  if (estornos.length > 0) {
+    throw requestError('Ocorrência com estornos: exclua os estornos antes de alterar a série');
+  }
+};
+
+class RecurrenceService {
+  /**
+   * Monta o modelo da transação a partir dos dados recebidos (já convertidos para a moeda base)
+   * @param {Object} data - Dados da transação
+   * @returns {Object} Modelo da série
+   */
+  buildTemplate(data) {
+    const template = {
+      tipo: data.tipo,
+      valor: data.valor,
+      descricao: data.descricao,
+      categoria: data.categoria || data.categoriaId || null,
+      cartao: data.cartao || data.cartaoId || null,
+      account: data.account || null,
+      moeda: data.moeda || null,
+      valorOriginal: data.moeda ? data.valorOriginal : null,
+      taxaCambio: data.moeda ? data.taxaCambio : null,
+      divisoes: data.divisoes || [],
+      observacoes: data.observacoes,
+      tags: data.tags || []
+    };
+
+    const erroDivisao = Transaction.validateSplit(template.valor, template.divisoes);
+    if (erroDivisao) throw requestError(erroDivisao);
+
+    return template;
+  }
+
+  /**
+   * Extrai os campos da regra de recorrência
+   * @param {Object} data - Dados da regra
+   * @returns {Object} Regra de recorrência
+   */
+  buildRule(data = {}) {
+    const rule = {};
+    ['frequencia', 'intervalo', 'diaDoMes', 'dataInicio', 'dataFim', 'totalOcorrencias'].forEach(field => {
+      if (data[field] !== undefined) rule[field] = data[field];
+    });
+    return rule;
+  }
+
+  /**
+   * Cria uma série recorrente e gera as ocorrências já vencidas
+   * @param {String} userId - ID do usuário
+   * @param {Object} data - Modelo da transação e regra de recorrência
+   * @returns {Object} Série criada
+   */
+  async createRecurrence(userId, data) {
+    try {
+      const recurrence = await recurrenceRepository.create({
+        user: userId,
+        template: this.buildTemplate(data),
+        ...this.buildRule(data)
+      });
+
+      await this.materialize(recurrence);
+
+      return await recurrenceRepository.findById(recurrence._id);
+    } catch (error) {
+      if (error.status) throw error;
+      throw new Error(`Erro ao criar série recorrente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cria uma transação recorrente (flag recorrente) e a série que a acompanha
+   * @param {String} userId - ID do usuário
+   * @param {Object} data - Dados da transação, com a regra em data.recorrencia
+   * @returns {Object} Primeira transação da série
+   */
+  async createFromTransaction(userId, data) {
+    try {
+      const { recorrencia: regra, ...transactionData } = data;
+
+      const recurrence = await recurrenceRepository.create({
+        user: userId,
+        template: this.buildTemplate(transactionData),
+        ...this.buildRule(regra),
+        dataInicio: transactionData.data
+      });
+
+      // A própria transação enviada é a primeira ocorrência da série; com data futura, fica pendente
+      const transaction = await transactionRepository.create(Transaction.applyScheduledStatus({
+        ...transactionData,
+        user: userId,
+        recorrente: true,
+        recorrencia: recurrence._id
+      }));
+
+      recurrence.ocorrenciasProcessadas = 1;
+      await this.materialize(recurrence);
+
+      return transaction;
+    } catch (error) {
+      if (error.status) throw error;
+      throw new Error(`Erro ao criar transação recorrente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gera como transações as ocorrências da série até a data informada
+   * Cada ocorrência leva a conta, a moeda e a divisão do modelo.
+   * @param {Object} recurrence - Série recorrente (documento)
+   * @param {Date} until - Data limite (padrão: agora)
+   * @returns {Array} Transações criadas
+   */
+  async materialize(recurrence, until = new Date()) {
+    const created = [];
+    const datas = recurrence.occurrences({
+      skip: recurrence.ocorrenciasProcessadas,
+      until,
+      limit: 1000
+    });
+
+    for (const data of datas) {
+      if (!recurrence.isSkipped(data)) {
+        const existing = await transactionRepository.findByUser(recurrence.user, {
+          recorrencia: recurrence._id,
+          data
+        });
+
+        if (existing.length === 0) {
+          const { template } = recurrence;
+          created.push(await transactionRepository.create({
+            user: recurrence.user,
+            tipo: template.tipo,
+            valor: template.valor,
+            descricao: template.descricao,
+            categoria: template.categoria,
+            cartao: template.cartao,
+            account: template.account,
+            moeda: template.moeda,
+            valorOriginal: template.valorOriginal,
+            taxaCambio: template.taxaCambio,
+            divisoes: template.divisoes,
+            observacoes: template.observacoes,
+            tags: template.tags,
+            data,
+            recorrente: true,
+            recorrencia: recurrence._id
+          }));
+        }
+      }
+
+      recurrence.ocorrenciasProcessadas += 1;
+    }
+
+    if (recurrence.encerrada) {
+      recurrence.ativo = false;
+    }
+
+    await recurrence.save();
+
+    return created;
+  }
+
+  /**
+   * Gera as ocorrências vencidas de todas as séries ativas (job do agendador)
+   * @returns {Number} Quantidade de transações criadas
+   */
+  async materializeDue() {
+    const recurrences = await recurrenceRepository.findActive();
+    let total = 0;
+
+    for (const recurrence of recurrences) {
+      try {
+        const created = await this.materialize(recurrence);
+        total += created.length;
+      } catch (error) {
+        console.error(`Erro ao gerar ocorrências da série ${recurrence._id}:`, error.message);
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Lista as próximas ocorrências ainda não geradas
+   * @param {Object} recurrence - Série recorrente
+   * @param {Number} limit - Quantidade de ocorrências
+   * @returns {Array} Próximas ocorrências
+   */
+  getUpcoming(recurrence, limit = 10) {
+    if (!recurrence.ativo) return [];
+
+    return recurrence
+      .occurrences({ skip: recurrence.ocorrenciasProcessadas, limit })
+      .map(data => ({
+        data,
+        ignorada: recurrence.isSkipped(data),
+        tipo: recurrence.template.tipo,
+        valor: recurrence.template.valor,
+        descricao: recurrence.template.descricao
+      }));
+  }
+
+  /**
+   * Localiza a ocorrência da série que cai no dia informado
+   * @param {Object} recurrence - Série recorrente
+   * @param {Date|String} data - Dia da ocorrência
+   * @returns {Object} { data, indice } da ocorrência
+   */
+  findOccurrence(recurrence, data) {
+    const dia = new Date(data);
+    if (isNaN(dia.getTime())) {
+      throw requestError('Data inválida');
+    }
+
+    const fimDoDia = new Date(dia.getFullYear(), dia.getMonth(), dia.getDate(), 23, 59, 59, 999);
+    const datas = recurrence.occurrences({ until: fimDoDia, limit: 100000 });
+    const indice = datas.findIndex(d => d.toDateString() === dia.toDateString());
+
+    if (indice === -1) {
+      throw requestError('A série não possui ocorrência nesta data');
+    }
+
+    return { data: datas[indice], indice };
+  }
+
+  /**
+   * Pula uma ocorrência da série, removendo a transação se já tiver sido gerada
+   * @param {Object} recurrence - Série recorrente
+   * @param {Date|String} data - Dia da ocorrência
+   * @returns {Object} Série atualizada
+   */
+  async skipOccurrence(recurrence, data) {
+    const occurrence = this.findOccurrence(recurrence, data);
+
+    const existing = await transactionRepository.findByUser(recurrence.user, {
+      recorrencia: recurrence._id,
+      data: occurrence.data
+    });
+    assertNotReconciled(existing);
+    await assertWithoutRefunds(existing);
+
+    if (!recurrence.isSkipped(occurrence.data)) {
+      recurrence.datasIgnoradas.push(occurrence.data);
+      await recurrence.save();
+    }
+
+    for (const transaction of existing) {
+      await transactionRepository.delete(transaction._id);
+    }
+
+    return await recurrenceRepository.findById(recurrence._id);
+  }
+
+  /**
+   * Edita "esta e as seguintes": encerra a série antes da data e cria uma nova a partir dela
+   * @param {Object} recurrence - Série recorrente
+   * @param {Date|String} data - Dia da primeira ocorrência alterada
+   * @param {Object} changes - Alterações no modelo e/ou na regra
+   * @returns {Object} { anterior, nova }
+   */
+  async updateFollowing(recurrence, data, changes = {}) {
+    const occurrence = this.findOccurrence(recurrence, data);
+    const { categoriaId, cartaoId, ...rest } = changes;
+    const merged = { ...recurrence.toObject().template, ...rest };
+    if (categoriaId !== undefined) merged.categoria = categoriaId;
+    if (cartaoId !== undefined) merged.cartao = cartaoId;
+
+    const templateChanges = this.buildTemplate(merged);
+    const ruleChanges = this.buildRule(changes);
+
+    // Ocorrências já geradas a partir da data serão recriadas pela nova série
+    const following = await transactionRepository.findByUser(recurrence.user, {
+      recorrencia: recurrence._id,
+      data: { $gte: occurrence.data }
+    });
+    assertNotReconciled(following);
+    await assertWithoutRefunds(following);
+
+    for (const transaction of following) {
+      await transactionRepository.delete(transaction._id);
+    }
+
+    const nova = await recurrenceRepository.create({
+      user: recurrence.user,
+      template: templateChanges,
+      frequencia: recurrence.frequencia,
+      intervalo: recurrence.intervalo,
+      diaDoMes: recurrence.diaDoMes,
+      dataFim: recurrence.dataFim,
+      totalOcorrencias: recurrence.totalOcorrencias
+        ? Math.max(1, recurrence.totalOcorrencias - occurrence.indice)
+        : null,
+      ...ruleChanges,
+      dataInicio: ruleChanges.dataInicio || occurrence.data,
+      datasIgnoradas: recurrence.datasIgnoradas.filter(d => d >= occurrence.data),
+      origem: recurrence._id
+    });
+
+    recurrence.dataFim = new Date(occurrence.data.getTime() - 1);
+    recurrence.ocorrenciasProcessadas = Math.min(recurrence.ocorrenciasProcessadas, occurrence.indice);
+    recurrence.datasIgnoradas = recurrence.datasIgnoradas.filter(d => d < occurrence.data);
+    await this.materialize(recurrence);
+    await this.materialize(nova);
+
+    return {
+      anterior: await recurrenceRepository.findById(recurrence._id),
+      nova: await recurrenceRepository.findById(nova._id)
+    };
+  }
+
+  /**
+   * Encerra a série, mantendo as transações já geradas
+   * @param {Object} recurrence - Série recorrente
+   * @returns {Object} Série encerrada
+   */
+  async stopRecurrence(recurrence) {
+    return await recurrenceRepository.update(recurrence._id, {
+      ativo: false,
+      dataFim: recurrence.dataFim && recurrence.dataFim < new Date() ? recurrence.dataFim : new Date()
+    });
+  }
+}
+
+module.exports = new RecurrenceService();
@@ -0,0 +1,158 @@
+const { transactionRepository } = require('../repositories');
+const { Transaction } = require('../models');
+const currencyService = require('./currencyService');
+const { getUserCurrency, arredondar } = require('../utils/currency');
+const { requestError } = require('../middlewares/errorHandler');
+
+/**
+ * Valor da transação na moeda em que foi feita (estornos usam a moeda da compra)
+ * @param {Object} transaction - Transação
+ * @returns {Number} Valor
+ */
+const valorNaMoeda = transaction => (transaction.moeda ? transaction.valorOriginal : transaction.valor);
+
+class RefundService {
+  /**
+   * Soma o que já foi estornado de uma transação
+   * @param {Object} original - Transação original
+   * @param {String} ignorar - ID de um estorno a desconsiderar (o que está sendo alterado)
+   * @returns {Number} Total estornado, na moeda da compra
+   */
+  async getRefundedAmount(original, ignorar = null) {
+    const estornos = await transactionRepository.findRefunds(original._id);
+
+    return arredondar(estornos
+      .filter(estorno => !ignorar || estorno._id.toString() !== ignorar.toString())
+      .reduce((total, estorno) => total + valorNaMoeda(estorno), 0));
+  }
+
+  /**
+   * Estorna, total ou parcialmente, uma despesa
+   * O estorno é lançado como receita na mesma conta ou cartão (reduz o valor devido do cartão) e
+   * herda categoria, divisões e tags da compra, para abater os gastos dela nos totais.
+   * @param {Object} user - Usuário
+   * @param {Object} original - Despesa estornada
+   * @param {Object} data - valor (padrão: o que falta estornar), data, descricao e observacoes
+   * @returns {Object} Estorno criado, com a transação original
+   */
+  async refund(user, original, data = {}) {
+    if (original.estornoDe) {
+      throw requestError('Não é possível estornar um estorno');
+    }
+    if (original.tipo !== 'despesa') {
+      throw requestError('Só despesas podem ser estornadas');
+    }
+    if (original.transferencia || original.fatura) {
+      throw requestError('Transferências e pagamentos de fatura não podem ser estornados');
+    }
+    if (original.status !== 'confirmada') {
+      throw requestError('Só despesas confirmadas podem ser estornadas');
+    }
+
+    const restante = arredondar(valorNaMoeda(original) - await this.getRefundedAmount(original));
+    if (restante <= 0) {
+      throw requestError('Transação já totalmente estornada');
+    }
+
+    const valor = data.valor !== undefined ? arredondar(Number(data.valor)) : restante;
+    if (valor > restante) {
+      throw requestError(`Valor do estorno maior que o restante a estornar (${restante.toFixed(2)})`);
+    }
+
+    const categoria = original.categoria ? (original.categoria._id || original.categoria) : null;
+    const cartao = original.cartaoId || (original.cartao && (original.cartao._id || original.cartao));
+    const divisoes = (original.divisoes || []).length > 0
+      ? Transaction.scaleSplit(original.divisoes, valor).map(linha => ({
+        ...linha,
+        categoria: linha.categoria && (linha.categoria._id || linha.categoria)
+      }))
+      : [];
+
+    // As divisões e o valor vão na moeda da compra; a conversão usa a cotação da data do estorno
+    const dados = await currencyService.applyToTransaction(user, {
+      user: user._id,
+      tipo: 'receita',
+      valor,
+      moeda: original.moeda || getUserCurrency(user),
+      descricao: data.descricao || `Estorno: ${original.descricao}`,
+      data: data.data ? new Date(data.data) : new Date(),
+      categoria,
+      categoriaId: categoria,
+      cartao: cartao || null,
+      cartaoId: cartao || null,
+      account: original.account || null,
+      tags: original.tags || [],
+      divisoes,
+      observacoes: data.observacoes,
+      estornoDe: original._id,
+      status: 'confirmada'
+    });
+
+    const estorno = await transactionRepository.create(dados);
+
+    return {
+      estorno,
+      original: await transactionRepository.findById(original._id)
+    };
+  }
+
+  /**
+   * Confere alterações em estornos e em transações estornadas
+   * O estorno continua receita, na moeda da compra e sem passar do que falta estornar;
+   * a transação estornada continua despesa confirmada, com valor ao menos igual ao estornado.
+   * @param {Object} transaction - Transação atual
+   * @param {Object} changes - Alterações (já convertidas para a moeda base)
+   */
+  async validateChanges(transaction, changes) {
+    const alterouMoeda = changes.moeda !== undefined && (changes.moeda || null) !== (transaction.moeda || null);
+
+    if (transaction.estornoDe) {
+      if ((changes.tipo !== undefined && changes.tipo !== 'receita') || alterouMoeda) {
+        throw requestError('Estorno: o tipo e a moeda não podem ser alterados');
+      }
+      if (changes.valor === undefined) return;
+
+      const original = await transactionRepository.findById(transaction.estornoDe._id || transaction.estornoDe);
+      if (!original) return;
+
+      const restante = arredondar(valorNaMoeda(original) - await this.getRefundedAmount(original, transaction._id));
+      const novoValor = transaction.moeda ? changes.valorOriginal : changes.valor;
+      if (novoValor > restante) {
+        throw requestError(`Valor do estorno maior que o restante a estornar (${restante.toFixed(2)})`);
+      }
+      return;
+    }
+
+    const estornos = await transactionRepository.findRefunds(transaction._id);
+    if (estornos.length === 0) return;
+
+    if ((changes.tipo !== undefined && changes.tipo !== 'despesa') ||
+      (changes.status !== undefined && changes.status !== 'confirmada')) {
+      throw requestError('Transação com estornos: o tipo e o status não podem ser alterados');
+    }
+    if (alterouMoeda) {
+      throw requestError('Transação com estornos: a moeda não pode ser alterada');
+    }
+
+    if (changes.valor !== undefined) {
+      const estornado = await this.getRefundedAmount(transaction);
+      const novoValor = transaction.moeda ? changes.valorOriginal : changes.valor;
+      if (novoValor < estornado) {
+        throw requestError(`Transação com estornos: o valor não pode ser menor que o estornado (${estornado.toFixed(2)})`);
+      }
+    }
+  }
+
+  /**
+   * Confere se a transação pode ir para a lixeira (a original só depois dos seus estornos)
+   * @param {Object} transaction - Transação
+   */
+  async validateDelete(transaction) {
+    const estornos = await transactionRepository.findRefunds(transaction._id);
+    if (estornos.length > 0) {
+      throw requestError('Transação com estornos: exclua os estornos antes');
+    }
+  }
+}
+
+module.exports = new RefundService();
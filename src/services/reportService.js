@@ -1,10 +1,12 @@
-const { transactionRepository, categoryRepository } = require('../repositories');
+const { transactionRepository, categoryRepository, tagRepository } = require('../repositories');
+const { Category } = require('../models');
+const { MOEDA_PADRAO, formatMoney } = require('../utils/currency');
 
 class ReportService {
   /**
    * Gera relatório financeiro completo
    * @param {String} userId - ID do usuário
-   * @param {Object} options - Opções do relatório
+   * @param {Object} options - Opções do relatório (moeda: moeda base do usuário, usada nos textos)
    * @returns {Object} Relatório completo
    */
   async generateFinancialReport(userId, options = {}) {
@@ -13,7 +15,8 @@ class ReportService {
         startDate,
         endDate,
         groupBy = 'categoria',
-        includeCharts = true
+        includeCharts = true,
+        moeda = MOEDA_PADRAO
       } = options;
 
       const start = startDate ? new Date(startDate) : this.getDefaultStartDate();
@@ -24,22 +27,26 @@ class ReportService {
         transacoesPorCategoria,
         fluxoCaixa,
         topCategorias,
-        evolucaoMensal
+        evolucaoMensal,
+        transacoesPorTag
       ] = await Promise.all([
         transactionRepository.getFinancialSummary(userId, start, end),
         transactionRepository.getByCategory(userId, start, end),
         transactionRepository.getMonthlyCashFlow(userId, end.getFullYear()),
         this.getTopCategories(userId, start, end),
-        this.getMonthlyEvolution(userId, start, end)
+        this.getMonthlyEvolution(userId, start, end),
+        transactionRepository.getByTag(userId, start, end)
       ]);
 
       const relatorio = {
         periodo: { inicio: start, fim: end },
+        moeda,
         resumoGeral,
         transacoesPorCategoria,
         topCategorias,
+        topTags: transacoesPorTag.filter(t => t.despesas > 0).slice(0, 5),
         evolucaoMensal,
-        analises: this.generateAnalysis(resumoGeral, transacoesPorCategoria, evolucaoMensal)
+        analises: this.generateAnalysis(resumoGeral, transacoesPorCategoria, evolucaoMensal, moeda)
       };
 
       if (includeCharts) {
@@ -54,8 +61,10 @@ class ReportService {
 
   /**
    * Gera relatório de categorias
+   * Com agrupar, lista só as categorias raiz com os totais das subcategorias somados; com
+   * categoria, lista as subcategorias diretas dela (drill-down), com o caminho até a raiz.
    * @param {String} userId - ID do usuário
-   * @param {Object} options - Opções do relatório
+   * @param {Object} options - Opções do relatório (startDate, endDate, tipo, agrupar, categoria e moeda)
    * @returns {Object} Relatório de categorias
    */
   async generateCategoryReport(userId, options = {}) {
@@ -63,7 +72,10 @@ class ReportService {
       const {
         startDate,
         endDate,
-        tipo = null
+        tipo = null,
+        agrupar = false,
+        categoria: categoriaId = null,
+        moeda = MOEDA_PADRAO
       } = options;
 
       const start = startDate ? new Date(startDate) : this.getDefaultStartDate();
@@ -90,23 +102,51 @@ class ReportService {
 
         return {
           categoria,
+          pai: categoria.pai || null,
           totalGasto: totalTransacoes,
           quantidadeTransacoes,
           mediaTransacao: quantidadeTransacoes > 0 ? totalTransacoes / quantidadeTransacoes : 0,
+          totalComSubcategorias: transacoesCategoria.reduce((sum, t) => sum + t.totalComSubcategorias, 0),
+          quantidadeComSubcategorias: transacoesCategoria.reduce((sum, t) => sum + t.countComSubcategorias, 0),
           percentualDoTotal: 0 // Será calculado depois
         };
       });
 
+      const ids = new Set(categorias.map(categoria => categoria._id.toString()));
+      const filhoDe = (item, paiId) => (item.pai ? item.pai.toString() : null) === paiId;
+
+      let itens = relatorioDetalhado;
+      let detalhe = null;
+
+      if (categoriaId) {
+        // Drill-down: a categoria escolhida e as subcategorias diretas dela
+        const selecionada = relatorioDetalhado.find(item => item.categoria._id.toString() === categoriaId.toString());
+        itens = relatorioDetalhado.filter(item => filhoDe(item, categoriaId.toString()));
+        detalhe = selecionada ? {
+          caminho: Category.getPath(categorias, categoriaId).map(item => ({ id: item._id, nome: item.nome })),
+          categoria: selecionada
+        } : { caminho: [], categoria: null };
+      } else if (agrupar === true || agrupar === 'true') {
+        // Categorias raiz (inclusive as de pai fora da lista) com os totais das subcategorias
+        itens = relatorioDetalhado.filter(item => !item.pai || !ids.has(item.pai.toString()));
+      }
+
+      // Nos relatórios agrupados, os percentuais consideram os totais com subcategorias
+      const agrupado = itens !== relatorioDetalhado;
+      const valorDe = item => (agrupado ? item.totalComSubcategorias : item.totalGasto);
+
       // Calcular percentuais
-      const totalGeral = relatorioDetalhado.reduce((sum, item) => sum + item.totalGasto, 0);
-      relatorioDetalhado.forEach(item => {
-        item.percentualDoTotal = totalGeral > 0 ? (item.totalGasto / totalGeral) * 100 : 0;
+      const totalGeral = itens.reduce((sum, item) => sum + valorDe(item), 0);
+      itens.forEach(item => {
+        item.percentualDoTotal = totalGeral > 0 ? (valorDe(item) / totalGeral) * 100 : 0;
       });
 
       return {
         periodo: { inicio: start, fim: end },
+        moeda,
         estatisticasCategorias,
-        categorias: relatorioDetalhado.sort((a, b) => b.totalGasto - a.totalGasto),
+        ...(detalhe || {}),
+        categorias: itens.sort((a, b) => valorDe(b) - valorDe(a)),
         totalGeral
       };
     } catch (error) {
@@ -114,13 +154,54 @@ class ReportService {
     }
   }
 
+  /**
+   * Gera relatório de tags
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - Opções do relatório
+   * @returns {Object} Relatório de tags
+   */
+  async generateTagReport(userId, options = {}) {
+    try {
+      const { startDate, endDate, moeda = MOEDA_PADRAO } = options;
+
+      const start = startDate ? new Date(startDate) : this.getDefaultStartDate();
+      const end = endDate ? new Date(endDate) : new Date();
+
+      const [transacoesPorTag, cadastradas, resumoGeral] = await Promise.all([
+        transactionRepository.getByTag(userId, start, end),
+        tagRepository.findByUser(userId),
+        transactionRepository.getFinancialSummary(userId, start, end)
+      ]);
+
+      const cores = {};
+      cadastradas.forEach(tag => { cores[tag.nome] = tag.cor; });
+
+      // Uma transação pode ter várias tags, então os percentuais não somam 100%
+      const tags = transacoesPorTag.map(item => ({
+        ...item,
+        cor: cores[item.tag] || '#6B7280',
+        percentualDasDespesas: resumoGeral.despesas > 0 ? (item.despesas / resumoGeral.despesas) * 100 : 0
+      }));
+
+      return {
+        periodo: { inicio: start, fim: end },
+        moeda,
+        tags,
+        totalDespesas: resumoGeral.despesas
+      };
+    } catch (error) {
+      throw new Error(`Erro ao gerar relatório de tags: ${error.message}`);
+    }
+  }
+
   /**
    * Gera relatório de fluxo de caixa
    * @param {String} userId - ID do usuário
    * @param {Number} ano - Ano do relatório
+   * @param {String} moeda - Moeda base do usuário
    * @returns {Object} Relatório de fluxo de caixa
    */
-  async generateCashFlowReport(userId, ano) {
+  async generateCashFlowReport(userId, ano, moeda = MOEDA_PADRAO) {
     try {
       const fluxoCaixa = await transactionRepository.getMonthlyCashFlow(userId, ano);
       
@@ -157,6 +238,7 @@ class ReportService {
 
       return {
         ano,
+        moeda,
         fluxoMensal: fluxoComAcumulado,
         resumoAnual: {
           totalReceitas,
@@ -166,7 +248,7 @@ class ReportService {
           mediaDespesas,
           mediaSaldo
         },
-        analises: this.analyzeCashFlow(fluxoComAcumulado)
+        analises: this.analyzeCashFlow(fluxoComAcumulado, moeda)
       };
     } catch (error) {
       throw new Error(`Erro ao gerar relatório de fluxo de caixa: ${error.message}`);
@@ -185,12 +267,12 @@ class ReportService {
       const transacoesPorCategoria = await transactionRepository.getByCategory(userId, startDate, endDate);
       
       const receitas = transacoesPorCategoria
-        .filter(t => t.tipo === 'receita')
+        .filter(t => t.tipo === 'receita' && t.count > 0)
         .sort((a, b) => b.total - a.total)
         .slice(0, 5);
 
       const despesas = transacoesPorCategoria
-        .filter(t => t.tipo === 'despesa')
+        .filter(t => t.tipo === 'despesa' && t.count > 0)
         .sort((a, b) => b.total - a.total)
         .slice(0, 5);
 
@@ -239,9 +321,10 @@ class ReportService {
    * @param {Object} resumoGeral - Resumo geral
    * @param {Array} transacoesPorCategoria - Transações por categoria
    * @param {Array} evolucaoMensal - Evolução mensal
+   * @param {String} moeda - Moeda dos valores
    * @returns {Object} Análises
    */
-  generateAnalysis(resumoGeral, transacoesPorCategoria, evolucaoMensal) {
+  generateAnalysis(resumoGeral, transacoesPorCategoria, evolucaoMensal, moeda = MOEDA_PADRAO) {
     const analises = [];
 
     // Análise do saldo
@@ -249,13 +332,13 @@ class ReportService {
       analises.push({
         tipo: 'positivo',
         titulo: 'Saldo Positivo',
-        descricao: `Você teve um saldo positivo de R$ ${resumoGeral.saldo.toFixed(2)} no período.`
+        descricao: `Você teve um saldo positivo de ${formatMoney(resumoGeral.saldo, moeda)} no período.`
       });
     } else if (resumoGeral.saldo < 0) {
       analises.push({
         tipo: 'alerta',
         titulo: 'Saldo Negativo',
-        descricao: `Você teve um déficit de R$ ${Math.abs(resumoGeral.saldo).toFixed(2)} no período.`
+        descricao: `Você teve um déficit de ${formatMoney(Math.abs(resumoGeral.saldo), moeda)} no período.`
       });
     }
 
@@ -269,7 +352,7 @@ class ReportService {
       analises.push({
         tipo: 'informativo',
         titulo: 'Maior Categoria de Gasto',
-        descricao: `Sua maior categoria de gasto foi "${maiorGasto.categoria.nome}" com R$ ${maiorGasto.total.toFixed(2)}.`
+        descricao: `Sua maior categoria de gasto foi "${maiorGasto.categoria.nome}" com ${formatMoney(maiorGasto.total, moeda)}.`
       });
     }
 
@@ -305,7 +388,7 @@ class ReportService {
   generateChartData(transacoesPorCategoria, evolucaoMensal) {
     // Gráfico de pizza - Despesas por categoria
     const despesasPorCategoria = transacoesPorCategoria
-      .filter(t => t.tipo === 'despesa')
+      .filter(t => t.tipo === 'despesa' && t.count > 0)
       .map(t => ({
         label: t.categoria.nome,
         value: t.total,
@@ -343,9 +426,10 @@ class ReportService {
   /**
    * Analisa fluxo de caixa
    * @param {Array} fluxoMensal - Fluxo mensal
+   * @param {String} moeda - Moeda dos valores
    * @returns {Object} Análises do fluxo
    */
-  analyzeCashFlow(fluxoMensal) {
+  analyzeCashFlow(fluxoMensal, moeda = MOEDA_PADRAO) {
     const analises = [];
 
     // Meses com saldo negativo
@@ -369,13 +453,13 @@ class ReportService {
     analises.push({
       tipo: 'informativo',
       titulo: 'Melhor Mês',
-      descricao: `Seu melhor mês foi ${melhorMes.mes} com saldo de R$ ${melhorMes.saldo.toFixed(2)}.`
+      descricao: `Seu melhor mês foi ${melhorMes.mes} com saldo de ${formatMoney(melhorMes.saldo, moeda)}.`
     });
 
     analises.push({
       tipo: 'informativo',
       titulo: 'Pior Mês',
-      descricao: `Seu pior mês foi ${piorMes.mes} com saldo de R$ ${piorMes.saldo.toFixed(2)}.`
+      descricao: `Seu pior mês foi ${piorMes.mes} com saldo de ${formatMoney(piorMes.saldo, moeda)}.`
     });
 
     return analises;
@@ -0,0 +1,63 @@
+const { runWithContext } = require('../utils/requestContext');
+
+class SchedulerService {
+  constructor() {
+    this.jobs = [];
+  }
+
+  /**
+   * Registra um job executado periodicamente no próprio processo
+   * @param {String} name - Nome do job (usado nos logs)
+   * @param {Number} intervalMs - Intervalo entre execuções em milissegundos
+   * @param {Function} task - Função assíncrona executada a cada ciclo
+   */
+  register(name, intervalMs, task) {
+    this.jobs.push({ name, intervalMs, task, timer: null, running: false });
+  }
+
+  /**
+   * Executa um job, ignorando o ciclo se a execução anterior ainda não terminou
+   * @param {Object} job - Job registrado
+   */
+  async run(job) {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+      const result = await runWithContext({ origem: 'agendador', autor: null, ip: null }, () => job.task());
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`⏰ Job ${job.name} executado`, result !== undefined ? result : '');
+      }
+    } catch (error) {
+      console.error(`Erro ao executar job ${job.name}:`, error.message);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Inicia todos os jobs registrados
+   */
+  start() {
+    this.jobs.forEach(job => {
+      if (job.timer) return;
+
+      this.run(job);
+      job.timer = setInterval(() => this.run(job), job.intervalMs);
+      // Não impede o encerramento do processo
+      job.timer.unref();
+    });
+  }
+
+  /**
+   * Interrompe todos os jobs
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,124 @@
+const { tagRepository, transactionRepository } = require('../repositories');
+const { requestError } = require('../middlewares/errorHandler');
+
+const COR_PADRAO = '#6B7280';
+
+/**
+ * Soma os documentos alterados em todas as coleções
+ * @param {Object} alterados - Quantidade por tipo de documento
+ * @returns {Number} Total
+ */
+const totalAlterado = alterados => Object.values(alterados).reduce((total, n) => total + n, 0);
+
+class TagService {
+  /**
+   * Lista todas as tags do usuário com uso e totais
+   * Inclui tags usadas em transações e na lista de desejos e tags cadastradas só com cor.
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - startDate e endDate (filtram apenas as transações)
+   * @returns {Array} Tags
+   */
+  async listTags(userId, options = {}) {
+    const startDate = options.startDate ? new Date(options.startDate) : null;
+    const endDate = options.endDate ? new Date(options.endDate) : null;
+
+    const [cadastradas, porTransacao, porWishlist] = await Promise.all([
+      tagRepository.findByUser(userId),
+      transactionRepository.getByTag(userId, startDate, endDate),
+      tagRepository.countWishlistByTag(userId)
+    ]);
+
+    const tags = {};
+    const obter = (nome) => {
+      if (!tags[nome]) {
+        tags[nome] = { nome, cor: COR_PADRAO, transacoes: 0, receitas: 0, despesas: 0, wishlist: 0 };
+      }
+      return tags[nome];
+    };
+
+    cadastradas.forEach(tag => { obter(tag.nome).cor = tag.cor; });
+    porTransacao.forEach(({ tag, transacoes, receitas, despesas }) => {
+      Object.assign(obter(tag), { transacoes, receitas, despesas });
+    });
+    porWishlist.forEach(({ tag, count }) => { obter(tag).wishlist = count; });
+
+    return Object.values(tags).sort((a, b) => b.transacoes - a.transacoes || a.nome.localeCompare(b.nome));
+  }
+
+  /**
+   * Atualiza uma tag: cor e/ou nome
+   * Renomear para uma tag que já existe mescla as duas.
+   * @param {String} userId - ID do usuário
+   * @param {String} nome - Nome atual
+   * @param {Object} data - { nome, cor }
+   * @returns {Object} { nome, cor, alterados }
+   */
+  async updateTag(userId, nome, data) {
+    let atual = nome;
+    let alterados = null;
+
+    if (data.nome && data.nome !== nome) {
+      const resultado = await this.mergeTags(userId, [nome], data.nome);
+      atual = data.nome;
+      alterados = resultado.alterados;
+    }
+
+    if (data.cor) {
+      await tagRepository.setColor(userId, atual, data.cor);
+    }
+
+    const cadastro = (await tagRepository.findByUser(userId)).find(tag => tag.nome === atual);
+
+    return {
+      nome: atual,
+      cor: cadastro ? cadastro.cor : COR_PADRAO,
+      alterados
+    };
+  }
+
+  /**
+   * Mescla tags: todas as origens passam a ser a tag de destino
+   * @param {String} userId - ID do usuário
+   * @param {Array} origem - Tags a mesclar
+   * @param {String} destino - Tag resultante
+   * @returns {Object} { destino, alterados }
+   */
+  async mergeTags(userId, origem, destino) {
+    const tags = [...new Set(origem)].filter(tag => tag !== destino);
+    if (tags.length === 0) {
+      throw requestError('Informe pelo menos uma tag diferente do destino');
+    }
+
+    const cadastradas = await tagRepository.findByUser(userId);
+    const alterados = await tagRepository.replaceInDocuments(userId, tags, destino);
+
+    if (totalAlterado(alterados) === 0 && !cadastradas.some(tag => tags.includes(tag.nome))) {
+      throw requestError('Tag não encontrada', 404);
+    }
+
+    await tagRepository.moveRecords(userId, tags, destino);
+
+    return { destino, alterados };
+  }
+
+  /**
+   * Remove a tag de todos os documentos e apaga o cadastro dela
+   * @param {String} userId - ID do usuário
+   * @param {String} nome - Nome da tag
+   * @returns {Object} { alterados }
+   */
+  async deleteTag(userId, nome) {
+    const cadastradas = await tagRepository.findByUser(userId);
+    const alterados = await tagRepository.replaceInDocuments(userId, [nome], null);
+
+    if (totalAlterado(alterados) === 0 && !cadastradas.some(tag => tag.nome === nome)) {
+      throw requestError('Tag não encontrada', 404);
+    }
+
+    await tagRepository.moveRecords(userId, [nome], null);
+
+    return { alterados };
+  }
+}
+
+module.exports = new TagService();
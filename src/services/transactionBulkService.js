@@ -0,0 +1,256 @@
+const { transactionRepository, categoryRepository, cardRepository, accountRepository } = require('../repositories');
+const { Transaction } = require('../models');
+const { compileFilter } = require('../utils/transactionFilter');
+const refundService = require('./refundService');
+const { requestError } = require('../middlewares/errorHandler');
+
+const LIMITE_ITENS = 500;
+
+class TransactionBulkService {
+  /**
+   * Monta o relatório final a partir dos resultados por item
+   * @param {Array} resultados - { id, sucesso, mensagem }
+   * @returns {Object} { total, sucesso, falhas, resultados }
+   */
+  buildReport(resultados) {
+    const sucesso = resultados.filter(item => item.sucesso).length;
+    return {
+      total: resultados.length,
+      sucesso,
+      falhas: resultados.length - sucesso,
+      resultados
+    };
+  }
+
+  /**
+   * Resolve as transações alvo de uma operação em lote
+   * Com IDs, cada um vira um item do relatório (inclusive os inexistentes ou de outro usuário);
+   * com filtro, só entram transações do próprio usuário.
+   * @param {String} userId - ID do usuário
+   * @param {Object} selecao - { ids } ou { filtro, texto }
+   * @returns {Array} Itens { id, transaction, erro }
+   */
+  async resolveTargets(userId, { ids, filtro, texto }) {
+    if (ids && ids.length > 0) {
+      const unicos = [...new Set(ids.map(String))];
+      if (unicos.length > LIMITE_ITENS) {
+        throw requestError(`Máximo de ${LIMITE_ITENS} transações por operação`);
+      }
+
+      const encontradas = await transactionRepository.findByIds(unicos);
+      const porId = new Map(encontradas.map(t => [t._id.toString(), t]));
+
+      return unicos.map(id => {
+        const transaction = porId.get(id);
+        if (!transaction) return { id, erro: 'Transação não encontrada' };
+        if (transaction.user.toString() !== userId.toString()) return { id, erro: 'Acesso negado' };
+        return { id, transaction };
+      });
+    }
+
+    // Um filtro vazio selecionaria todas as transações do usuário
+    if (Object.keys(compileFilter(filtro)).length === 0 && !texto) {
+      throw requestError('Informe os IDs ou um filtro com pelo menos um critério');
+    }
+
+    const transactions = await transactionRepository.findByFilter(userId, filtro, texto, LIMITE_ITENS + 1);
+    if (transactions.length > LIMITE_ITENS) {
+      throw requestError(`O filtro seleciona mais de ${LIMITE_ITENS} transações; refine os critérios`);
+    }
+
+    return transactions.map(transaction => ({ id: transaction._id.toString(), transaction }));
+  }
+
+  /**
+   * Confere se as categorias (inclusive as das divisões), o cartão e a conta informados pertencem ao usuário
+   * @param {String} userId - ID do usuário
+   * @param {Object} alteracoes - Alterações pedidas ({ categoria, divisoes, cartao, account })
+   */
+  async validateReferences(userId, alteracoes) {
+    const categorias = new Set([
+      alteracoes.categoria,
+      ...(alteracoes.divisoes || []).map(linha => linha && linha.categoria)
+    ].filter(Boolean).map(String));
+
+    for (const categoriaId of categorias) {
+      const categoria = await categoryRepository.findById(categoriaId);
+      if (!categoria || categoria.user.toString() !== userId.toString()) {
+        throw requestError('Categoria não encontrada', 404);
+      }
+    }
+
+    if (alteracoes.cartao) {
+      const cartao = await cardRepository.findById(alteracoes.cartao);
+      if (!cartao || cartao.user.toString() !== userId.toString()) {
+        throw requestError('Cartão não encontrado', 404);
+      }
+    }
+
+    if (alteracoes.account) {
+      const account = await accountRepository.findById(alteracoes.account);
+      if (!account || account.user.toString() !== userId.toString()) {
+        throw requestError('Conta não encontrada', 404);
+      }
+    }
+  }
+
+  /**
+   * Confere se as mudanças podem ser aplicadas numa transação existente
+   * Usado pela edição em lote e pela aplicação retroativa de regras, para que os dois caminhos
+   * recusem as mesmas transações: pernas de transferência, pagamentos de fatura, categoria de
+   * transação dividida, campos de parcela, transações conciliadas e estornos.
+   * @param {Object} transaction - Transação atual
+   * @param {Object} changes - Campos a atualizar
+   */
+  async validateChanges(transaction, changes) {
+    if (transaction.transferencia) {
+      throw requestError('Transação de transferência deve ser alterada pela transferência');
+    }
+
+    if (transaction.fatura) {
+      throw requestError('Pagamento de fatura não pode ser alterado: remova-o pela fatura do cartão e registre outro');
+    }
+
+    if (changes.categoria !== undefined && (transaction.divisoes || []).length > 0) {
+      throw requestError('Transação dividida: altere a categoria pelas divisões');
+    }
+
+    const erroParcela = Transaction.validateInstallmentChanges(transaction, changes);
+    if (erroParcela) throw requestError(erroParcela);
+
+    const erroConciliacao = Transaction.validateReconciledChanges(transaction, changes);
+    if (erroConciliacao) throw requestError(erroConciliacao);
+
+    await refundService.validateChanges(transaction, changes);
+  }
+
+  /**
+   * Calcula as mudanças de uma transação a partir das alterações pedidas
+   * @param {Object} transaction - Transação atual
+   * @param {Object} alteracoes - { categoria, cartao, tags: { adicionar, remover }, status }
+   * @returns {Object} Campos a atualizar
+   */
+  buildChanges(transaction, alteracoes) {
+    const changes = {};
+
+    if (alteracoes.categoria !== undefined) {
+      changes.categoria = alteracoes.categoria || null;
+      changes.categoriaId = changes.categoria;
+    }
+
+    if (alteracoes.cartao !== undefined) {
+      changes.cartaoId = alteracoes.cartao || null;
+    }
+
+    if (alteracoes.tags) {
+      const remover = alteracoes.tags.remover || [];
+      const adicionar = alteracoes.tags.adicionar || [];
+      changes.tags = [...new Set([
+        ...(transaction.tags || []).filter(tag => !remover.includes(tag)),
+        ...adicionar
+      ])];
+    }
+
+    if (alteracoes.status !== undefined) {
+      changes.status = alteracoes.status;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Aplica as mesmas alterações a várias transações
+   * @param {String} userId - ID do usuário
+   * @param {Object} selecao - { ids } ou { filtro, texto }
+   * @param {Object} alteracoes - { categoria, cartao, tags: { adicionar, remover }, status }
+   * @returns {Object} Relatório { total, sucesso, falhas, resultados }
+   */
+  async updateMany(userId, selecao, alteracoes = {}) {
+    const alterar = ['categoria', 'cartao', 'tags', 'status'].filter(campo => alteracoes[campo] !== undefined);
+    if (alterar.length === 0) {
+      throw requestError('Informe pelo menos uma alteração');
+    }
+
+    await this.validateReferences(userId, alteracoes);
+    const itens = await this.resolveTargets(userId, selecao);
+
+    const resultados = [];
+    for (const { id, transaction, erro } of itens) {
+      if (erro) {
+        resultados.push({ id, sucesso: false, mensagem: erro });
+        continue;
+      }
+
+      try {
+        const changes = this.buildChanges(transaction, alteracoes);
+        await this.validateChanges(transaction, changes);
+        await transactionRepository.update(transaction._id, changes);
+        resultados.push({ id, sucesso: true, mensagem: 'Transação atualizada com sucesso' });
+      } catch (error) {
+        resultados.push({ id, sucesso: false, mensagem: error.message });
+      }
+    }
+
+    return this.buildReport(resultados);
+  }
+
+  /**
+   * Move várias transações para a lixeira
+   * @param {String} userId - ID do usuário
+   * @param {Object} selecao - { ids } ou { filtro, texto }
+   * @returns {Object} Relatório { total, sucesso, falhas, resultados }
+   */
+  async deleteMany(userId, selecao) {
+    const itens = await this.resolveTargets(userId, selecao);
+
+    const resultados = [];
+    for (const { id, transaction, erro } of itens) {
+      if (erro) {
+        resultados.push({ id, sucesso: false, mensagem: erro });
+        continue;
+      }
+
+      if (transaction.transferencia) {
+        resultados.push({
+          id,
+          sucesso: false,
+          mensagem: 'Transação de transferência deve ser excluída pela transferência'
+        });
+        continue;
+      }
+
+      if (transaction.fatura) {
+        resultados.push({
+          id,
+          sucesso: false,
+          mensagem: 'Pagamento de fatura deve ser removido pela fatura do cartão'
+        });
+        continue;
+      }
+
+      const erroParcela = Transaction.validateInstallmentChanges(transaction);
+      if (erroParcela) {
+        resultados.push({ id, sucesso: false, mensagem: erroParcela });
+        continue;
+      }
+
+      const erroConciliacao = Transaction.validateReconciledChanges(transaction);
+      if (erroConciliacao) {
+        resultados.push({ id, sucesso: false, mensagem: erroConciliacao });
+        continue;
+      }
+
+      try {
+        await refundService.validateDelete(transaction);
+        await transactionRepository.trash(transaction._id);
+        resultados.push({ id, sucesso: true, mensagem: 'Transação movida para a lixeira' });
+      } catch (error) {
+        resultados.push({ id, sucesso: false, mensagem: error.message });
+      }
+    }
+
+    return this.buildReport(resultados);
+  }
+}
+
+module.exports = new TransactionBulkService();
@@ -0,0 +1,315 @@
+const {
+  transferRepository,
+  transactionRepository,
+  accountRepository,
+  cardRepository,
+  piggyBankRepository
+} = require('../repositories');
+const cardStatementService = require('./cardStatementService');
+const currencyService = require('./currencyService');
+const { getUserCurrency } = require('../utils/currency');
+const { requestError } = require('../middlewares/errorHandler');
+
+class TransferService {
+  /**
+   * Valida e carrega a conta ou cartão de uma ponta da transferência
+   * @param {String} userId - ID do usuário
+   * @param {Object} endpoint - { tipo, id }
+   * @returns {Object} { tipo, id, item, nome }
+   */
+  async resolveEndpoint(userId, endpoint) {
+    if (endpoint.tipo === 'cofrinho') {
+      return { tipo: 'cofrinho', id: null, item: null, nome: 'Cofrinho' };
+    }
+
+    const item = endpoint.tipo === 'conta'
+      ? await accountRepository.findById(endpoint.id)
+      : await cardRepository.findById(endpoint.id);
+
+    if (!item || item.user.toString() !== userId.toString()) {
+      throw requestError(endpoint.tipo === 'conta' ? 'Conta não encontrada' : 'Cartão não encontrado', 404);
+    }
+
+    return { tipo: endpoint.tipo, id: item._id, item, nome: item.name || item.nome };
+  }
+
+  /**
+   * Valida origem e destino da transferência
+   * @param {String} userId - ID do usuário
+   * @param {Object} origem - Ponta de origem
+   * @param {Object} destino - Ponta de destino
+   * @returns {Object} { origem, destino } carregados
+   */
+  async resolveEndpoints(userId, origem, destino) {
+    if (origem.tipo === destino.tipo && String(origem.id || '') === String(destino.id || '')) {
+      throw requestError('Origem e destino devem ser diferentes');
+    }
+
+    return {
+      origem: await this.resolveEndpoint(userId, origem),
+      destino: await this.resolveEndpoint(userId, destino)
+    };
+  }
+
+  /**
+   * Define a moeda da transferência: a das contas envolvidas (cartões e cofrinho usam a moeda base)
+   * Transferências entre moedas diferentes são recusadas; em moeda estrangeira, confere se há cotação.
+   * @param {Object} user - Usuário
+   * @param {Object} endpoints - { origem, destino } carregados
+   * @param {Date} data - Data da transferência
+   * @returns {String} Moeda da transferência
+   */
+  async resolveCurrency(user, { origem, destino }, data) {
+    const base = getUserCurrency(user);
+    const moedaDa = endpoint => (endpoint.tipo === 'conta' && endpoint.item.currency) || base;
+    const moeda = moedaDa(origem);
+
+    if (moedaDa(destino) !== moeda) {
+      throw requestError('Origem e destino devem estar na mesma moeda');
+    }
+
+    if (moeda !== base) {
+      await currencyService.getRate(user._id, moeda, base, data);
+    }
+
+    return moeda;
+  }
+
+  /**
+   * Busca a fatura paga por uma transferência para o cartão
+   * Sem referência, paga a última fatura fechada antes da data da transferência.
+   * @param {Object} card - Cartão de destino
+   * @param {Date} data - Data da transferência
+   * @param {String} referencia - Mês de vencimento (AAAA-MM), opcional
+   * @returns {Object} Fatura
+   */
+  async resolveStatement(card, data, referencia = null) {
+    if (!referencia) {
+      const atual = card.getCiclo(data);
+      referencia = card.getCiclo(new Date(atual.inicio.getTime() - 1)).referencia;
+    }
+
+    return await cardStatementService.syncStatement(card, card.getCicloPorReferencia(referencia));
+  }
+
+  /**
+   * Gera as pernas da transferência: saída na origem e entrada no destino
+   * Em moeda estrangeira, o valor das pernas é convertido para a moeda base.
+   * Se uma perna falhar, as já criadas são desfeitas para não deixar a transferência pela metade.
+   * @param {Object} user - Usuário
+   * @param {Object} transfer - Transferência
+   * @param {Object} endpoints - { origem, destino } carregados
+   * @param {String} moeda - Moeda da transferência (ver resolveCurrency)
+   */
+  async createLegs(user, transfer, { origem, destino }, moeda) {
+    const descricao = transfer.descricao || `Transferência: ${origem.nome} → ${destino.nome}`;
+    const data = new Date(transfer.data);
+
+    const legs = [
+      { endpoint: origem, tipo: 'despesa' },
+      { endpoint: destino, tipo: 'receita' }
+    ];
+
+    const criadas = { transacoes: [], cofrinho: [] };
+
+    try {
+      for (const { endpoint, tipo } of legs) {
+        if (endpoint.tipo === 'cofrinho') {
+          criadas.cofrinho.push(await piggyBankRepository.create({
+            user: transfer.user,
+            descricao,
+            valor: transfer.valor,
+            data,
+            mes: data.getMonth() + 1,
+            ano: data.getFullYear(),
+            tipo: tipo === 'despesa' ? 'retirada' : 'deposito',
+            transferencia: transfer._id
+          }));
+          continue;
+        }
+
+        const cartao = endpoint.tipo === 'cartao' ? endpoint.id : null;
+
+        criadas.transacoes.push(await transactionRepository.create(await currencyService.applyToTransaction(user, {
+          user: transfer.user,
+          tipo,
+          valor: transfer.valor,
+          moeda,
+          descricao,
+          data,
+          observacoes: transfer.observacoes,
+          account: endpoint.tipo === 'conta' ? endpoint.id : null,
+          cartao,
+          cartaoId: cartao,
+          // Entrada no cartão é pagamento de fatura
+          fatura: cartao && tipo === 'receita' ? transfer.fatura : null,
+          transferencia: transfer._id,
+          status: 'confirmada'
+        })));
+      }
+    } catch (error) {
+      await this.deleteLegs(transfer, criadas);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca as pernas atuais da transferência, recusando alterações se alguma estiver conciliada
+   * @param {Object} transfer - Transferência
+   * @returns {Object} { transacoes, cofrinho }
+   */
+  async findLegs(transfer) {
+    const [transacoes, cofrinho] = await Promise.all([
+      transactionRepository.findByUser(transfer.user, { transferencia: transfer._id }),
+      piggyBankRepository.findByTransfer(transfer._id)
+    ]);
+
+    if (transacoes.some(transaction => transaction.conciliacao)) {
+      throw requestError('Transferência com transação conciliada: desfaça a conciliação para alterá-la');
+    }
+
+    return { transacoes, cofrinho };
+  }
+
+  /**
+   * Apaga as pernas informadas, desfazendo o efeito nos saldos
+   * @param {Object} transfer - Transferência
+   * @param {Object} legs - { transacoes, cofrinho }
+   */
+  async deleteLegs(transfer, { transacoes, cofrinho }) {
+    for (const transaction of transacoes) {
+      await transactionRepository.delete(transaction._id);
+    }
+
+    for (const entrada of cofrinho) {
+      await piggyBankRepository.delete(entrada._id, transfer.user);
+    }
+  }
+
+  /**
+   * Remove as pernas da transferência, desfazendo o efeito nos saldos
+   * @param {Object} transfer - Transferência
+   */
+  async removeLegs(transfer) {
+    await this.deleteLegs(transfer, await this.findLegs(transfer));
+  }
+
+  /**
+   * Busca a transferência com suas pernas
+   * @param {Object} transfer - Transferência
+   * @returns {Object} Transferência, transações e entradas no cofrinho
+   */
+  async getTransferDetails(transfer) {
+    const [transferencia, transacoes, cofrinho] = await Promise.all([
+      transferRepository.findById(transfer._id),
+      transactionRepository.findByUser(transfer.user, { transferencia: transfer._id }),
+      piggyBankRepository.findByTransfer(transfer._id)
+    ]);
+
+    return { transferencia, transacoes, cofrinho };
+  }
+
+  /**
+   * Cria uma transferência e suas pernas
+   * @param {Object} user - Usuário
+   * @param {Object} data - origem, destino, valor, data, descricao, observacoes e referencia
+   * @returns {Object} Transferência com suas pernas
+   */
+  async createTransfer(user, data) {
+    const userId = user._id;
+    const endpoints = await this.resolveEndpoints(userId, data.origem, data.destino);
+    const dataTransferencia = data.data ? new Date(data.data) : new Date();
+    const moeda = await this.resolveCurrency(user, endpoints, dataTransferencia);
+
+    const fatura = endpoints.destino.tipo === 'cartao'
+      ? await this.resolveStatement(endpoints.destino.item, dataTransferencia, data.referencia)
+      : null;
+
+    const transfer = await transferRepository.create({
+      user: userId,
+      origem: { tipo: endpoints.origem.tipo, id: endpoints.origem.id },
+      destino: { tipo: endpoints.destino.tipo, id: endpoints.destino.id },
+      valor: data.valor,
+      data: dataTransferencia,
+      descricao: data.descricao,
+      observacoes: data.observacoes,
+      fatura: fatura ? fatura._id : null
+    });
+
+    try {
+      await this.createLegs(user, transfer, endpoints, moeda);
+    } catch (error) {
+      await transferRepository.delete(transfer._id);
+      throw error;
+    }
+
+    return await this.getTransferDetails(transfer);
+  }
+
+  /**
+   * Edita a transferência como uma unidade: as pernas são refeitas com os novos dados
+   * As pernas novas são criadas antes de apagar as antigas; se falharem, a transferência
+   * volta aos dados anteriores com as pernas antigas intactas.
+   * @param {Object} user - Usuário
+   * @param {Object} transfer - Transferência
+   * @param {Object} changes - Alterações
+   * @returns {Object} Transferência com suas pernas
+   */
+  async updateTransfer(user, transfer, changes = {}) {
+    const origem = changes.origem || transfer.origem;
+    const destino = changes.destino || transfer.destino;
+    const endpoints = await this.resolveEndpoints(transfer.user, origem, destino);
+    const data = changes.data ? new Date(changes.data) : transfer.data;
+    const moeda = await this.resolveCurrency(user, endpoints, data);
+
+    const mudouFatura = endpoints.destino.tipo === 'cartao' &&
+      (changes.destino || changes.data || changes.referencia || !transfer.fatura);
+
+    let fatura = endpoints.destino.tipo === 'cartao' ? transfer.fatura : null;
+    if (mudouFatura) {
+      fatura = (await this.resolveStatement(endpoints.destino.item, data, changes.referencia))._id;
+    }
+
+    const anteriores = await this.findLegs(transfer);
+
+    const updated = await transferRepository.update(transfer._id, {
+      origem: { tipo: endpoints.origem.tipo, id: endpoints.origem.id },
+      destino: { tipo: endpoints.destino.tipo, id: endpoints.destino.id },
+      valor: changes.valor !== undefined ? changes.valor : transfer.valor,
+      data,
+      descricao: changes.descricao !== undefined ? changes.descricao : transfer.descricao,
+      observacoes: changes.observacoes !== undefined ? changes.observacoes : transfer.observacoes,
+      fatura
+    });
+
+    try {
+      await this.createLegs(user, updated, endpoints, moeda);
+    } catch (error) {
+      await transferRepository.update(transfer._id, {
+        origem: transfer.origem,
+        destino: transfer.destino,
+        valor: transfer.valor,
+        data: transfer.data,
+        descricao: transfer.descricao,
+        observacoes: transfer.observacoes,
+        fatura: transfer.fatura
+      });
+      throw error;
+    }
+
+    await this.deleteLegs(transfer, anteriores);
+
+    return await this.getTransferDetails(updated);
+  }
+
+  /**
+   * Exclui a transferência e suas pernas
+   * @param {Object} transfer - Transferência
+   */
+  async deleteTransfer(transfer) {
+    await this.removeLegs(transfer);
+    await transferRepository.delete(transfer._id);
+  }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,95 @@
+const { transactionRepository } = require('../repositories');
+const { requestError } = require('../middlewares/errorHandler');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  /**
+   * Dias que uma transação fica na lixeira antes de ser excluída definitivamente
+   * @returns {Number} Dias (TRASH_RETENTION_DAYS, padrão 30)
+   */
+  getRetentionDays() {
+    return parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  /**
+   * Busca uma transação do usuário na lixeira
+   * @param {String} userId - ID do usuário
+   * @param {String} id - ID da transação
+   * @returns {Object} Transação
+   */
+  async findOwnTrashed(userId, id) {
+    const transaction = await transactionRepository.findTrashedById(id);
+
+    if (!transaction) {
+      throw requestError('Transação não encontrada na lixeira', 404);
+    }
+
+    if (transaction.user.toString() !== userId.toString()) {
+      throw requestError('Acesso negado', 403);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Lista a lixeira com a data em que cada transação será excluída definitivamente
+   * @param {String} userId - ID do usuário
+   * @param {Object} options - page e limit
+   * @returns {Object} { data, pagination, retencaoDias }
+   */
+  async list(userId, options = {}) {
+    const retencaoDias = this.getRetentionDays();
+    const result = await transactionRepository.findTrash(userId, options);
+
+    return {
+      data: result.data.map(transaction => ({
+        ...transaction.toJSON(),
+        expiraEm: new Date(transaction.excluidaEm.getTime() + retencaoDias * DIA_MS)
+      })),
+      pagination: result.pagination,
+      retencaoDias
+    };
+  }
+
+  /**
+   * Restaura uma transação da lixeira
+   * @param {String} userId - ID do usuário
+   * @param {String} id - ID da transação
+   * @returns {Object} Transação restaurada
+   */
+  async restore(userId, id) {
+    await this.findOwnTrashed(userId, id);
+    return await transactionRepository.restore(id);
+  }
+
+  /**
+   * Exclui definitivamente uma transação da lixeira
+   * @param {String} userId - ID do usuário
+   * @param {String} id - ID da transação
+   */
+  async purge(userId, id) {
+    const transaction = await this.findOwnTrashed(userId, id);
+    await transactionRepository.purgeTrash({ _id: transaction._id });
+  }
+
+  /**
+   * Esvazia a lixeira do usuário
+   * @param {String} userId - ID do usuário
+   * @returns {Number} Quantidade de transações excluídas
+   */
+  async empty(userId) {
+    return await transactionRepository.purgeTrash({ user: userId });
+  }
+
+  /**
+   * Exclui definitivamente as transações que passaram do período de retenção (job agendado)
+   * @returns {Number} Quantidade de transações excluídas
+   */
+  async purgeExpired() {
+    const limite = new Date(Date.now() - this.getRetentionDays() * DIA_MS);
+    return await transactionRepository.purgeTrash({ excluidaEm: { $lte: limite } });
+  }
+}
+
+module.exports = new TrashService();
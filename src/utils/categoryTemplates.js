@@ -0,0 +1,170 @@
+// Idiomas com nomes traduzidos; os demais usam o idioma padrão
+const IDIOMAS = ['pt-BR', 'en-US', 'es-ES'];
+const IDIOMA_PADRAO = 'pt-BR';
+
+// Categorias que os pacotes podem usar, com o nome em cada idioma
+const CATEGORIAS = {
+  // Receitas
+  salario: { tipo: 'receita', cor: '#10B981', icone: 'dollar-sign', nome: { 'pt-BR': 'Salário', 'en-US': 'Salary', 'es-ES': 'Salario' } },
+  freelance: { tipo: 'receita', cor: '#3B82F6', icone: 'briefcase', nome: { 'pt-BR': 'Freelance', 'en-US': 'Freelance', 'es-ES': 'Freelance' } },
+  investimentos: { tipo: 'receita', cor: '#8B5CF6', icone: 'trending-up', nome: { 'pt-BR': 'Investimentos', 'en-US': 'Investments', 'es-ES': 'Inversiones' } },
+  outrasReceitas: { tipo: 'receita', cor: '#6B7280', icone: 'plus', nome: { 'pt-BR': 'Outros', 'en-US': 'Other income', 'es-ES': 'Otros ingresos' } },
+  servicos: { tipo: 'receita', cor: '#0EA5E9', icone: 'tool', nome: { 'pt-BR': 'Prestação de serviços', 'en-US': 'Services', 'es-ES': 'Prestación de servicios' } },
+  vendas: { tipo: 'receita', cor: '#14B8A6', icone: 'shopping-cart', nome: { 'pt-BR': 'Vendas', 'en-US': 'Sales', 'es-ES': 'Ventas' } },
+  mesada: { tipo: 'receita', cor: '#22C55E', icone: 'gift', nome: { 'pt-BR': 'Mesada', 'en-US': 'Allowance', 'es-ES': 'Mesada' } },
+  bolsa: { tipo: 'receita', cor: '#6366F1', icone: 'award', nome: { 'pt-BR': 'Bolsa de estudos', 'en-US': 'Scholarship', 'es-ES': 'Beca' } },
+  estagio: { tipo: 'receita', cor: '#0EA5E9', icone: 'briefcase', nome: { 'pt-BR': 'Estágio', 'en-US': 'Internship', 'es-ES': 'Prácticas' } },
+
+  // Despesas
+  alimentacao: { tipo: 'despesa', cor: '#EF4444', icone: 'utensils', nome: { 'pt-BR': 'Alimentação', 'en-US': 'Food', 'es-ES': 'Alimentación' } },
+  transporte: { tipo: 'despesa', cor: '#F59E0B', icone: 'car', nome: { 'pt-BR': 'Transporte', 'en-US': 'Transportation', 'es-ES': 'Transporte' } },
+  moradia: { tipo: 'despesa', cor: '#8B5CF6', icone: 'home', nome: { 'pt-BR': 'Moradia', 'en-US': 'Housing', 'es-ES': 'Vivienda' } },
+  saude: { tipo: 'despesa', cor: '#EC4899', icone: 'heart', nome: { 'pt-BR': 'Saúde', 'en-US': 'Health', 'es-ES': 'Salud' } },
+  educacao: { tipo: 'despesa', cor: '#3B82F6', icone: 'book', nome: { 'pt-BR': 'Educação', 'en-US': 'Education', 'es-ES': 'Educación' } },
+  lazer: { tipo: 'despesa', cor: '#10B981', icone: 'smile', nome: { 'pt-BR': 'Lazer', 'en-US': 'Leisure', 'es-ES': 'Ocio' } },
+  compras: { tipo: 'despesa', cor: '#F97316', icone: 'shopping-bag', nome: { 'pt-BR': 'Compras', 'en-US': 'Shopping', 'es-ES': 'Compras' } },
+  contas: { tipo: 'despesa', cor: '#6B7280', icone: 'file-text', nome: { 'pt-BR': 'Contas', 'en-US': 'Bills', 'es-ES': 'Facturas' } },
+  mercado: { tipo: 'despesa', cor: '#84CC16', icone: 'shopping-cart', nome: { 'pt-BR': 'Supermercado', 'en-US': 'Groceries', 'es-ES': 'Supermercado' } },
+  filhos: { tipo: 'despesa', cor: '#F472B6', icone: 'users', nome: { 'pt-BR': 'Filhos', 'en-US': 'Children', 'es-ES': 'Hijos' } },
+  pets: { tipo: 'despesa', cor: '#A16207', icone: 'feather', nome: { 'pt-BR': 'Pets', 'en-US': 'Pets', 'es-ES': 'Mascotas' } },
+  assinaturas: { tipo: 'despesa', cor: '#A855F7', icone: 'repeat', nome: { 'pt-BR': 'Assinaturas', 'en-US': 'Subscriptions', 'es-ES': 'Suscripciones' } },
+  impostos: { tipo: 'despesa', cor: '#DC2626', icone: 'percent', nome: { 'pt-BR': 'Impostos (DAS)', 'en-US': 'Taxes', 'es-ES': 'Impuestos' } },
+  equipamentos: { tipo: 'despesa', cor: '#0EA5E9', icone: 'monitor', nome: { 'pt-BR': 'Equipamentos e software', 'en-US': 'Equipment and software', 'es-ES': 'Equipos y software' } },
+  material: { tipo: 'despesa', cor: '#6366F1', icone: 'edit', nome: { 'pt-BR': 'Material escolar', 'en-US': 'School supplies', 'es-ES': 'Material escolar' } }
+};
+
+// Pacotes de categorias; "limite" é o limite mensal sugerido, em percentual da renda mensal
+const PACOTES = {
+  padrao: {
+    nome: { 'pt-BR': 'Padrão', 'en-US': 'Default', 'es-ES': 'Predeterminado' },
+    descricao: {
+      'pt-BR': 'Categorias básicas para começar',
+      'en-US': 'Basic categories to get started',
+      'es-ES': 'Categorías básicas para empezar'
+    },
+    categorias: [
+      { chave: 'salario' }, { chave: 'freelance' }, { chave: 'investimentos' }, { chave: 'outrasReceitas' },
+      { chave: 'alimentacao' }, { chave: 'transporte' }, { chave: 'moradia' }, { chave: 'saude' },
+      { chave: 'educacao' }, { chave: 'lazer' }, { chave: 'compras' }, { chave: 'contas' }
+    ]
+  },
+  solteiro: {
+    nome: { 'pt-BR': 'Solteiro', 'en-US': 'Single', 'es-ES': 'Soltero' },
+    descricao: {
+      'pt-BR': 'Para quem mora sozinho',
+      'en-US': 'For people living on their own',
+      'es-ES': 'Para quien vive solo'
+    },
+    categorias: [
+      { chave: 'salario' }, { chave: 'freelance' }, { chave: 'investimentos' }, { chave: 'outrasReceitas' },
+      { chave: 'moradia', limite: 30 }, { chave: 'alimentacao', limite: 15 }, { chave: 'transporte', limite: 10 },
+      { chave: 'contas', limite: 10 }, { chave: 'lazer', limite: 10 }, { chave: 'compras', limite: 7 },
+      { chave: 'saude', limite: 5 }, { chave: 'assinaturas', limite: 3 }
+    ]
+  },
+  familia: {
+    nome: { 'pt-BR': 'Família', 'en-US': 'Family', 'es-ES': 'Familia' },
+    descricao: {
+      'pt-BR': 'Para casais e famílias com filhos',
+      'en-US': 'For couples and families with children',
+      'es-ES': 'Para parejas y familias con hijos'
+    },
+    categorias: [
+      { chave: 'salario' }, { chave: 'investimentos' }, { chave: 'outrasReceitas' },
+      { chave: 'moradia', limite: 28 }, { chave: 'mercado', limite: 20 }, { chave: 'contas', limite: 10 },
+      { chave: 'transporte', limite: 10 }, { chave: 'educacao', limite: 10 }, { chave: 'saude', limite: 8 },
+      { chave: 'filhos', limite: 8 }, { chave: 'lazer', limite: 4 }, { chave: 'pets', limite: 2 }
+    ]
+  },
+  autonomo: {
+    nome: { 'pt-BR': 'Autônomo / MEI', 'en-US': 'Freelancer / Self-employed', 'es-ES': 'Autónomo' },
+    descricao: {
+      'pt-BR': 'Para quem trabalha por conta própria, com impostos e custos do trabalho',
+      'en-US': 'For self-employed workers, with taxes and work expenses',
+      'es-ES': 'Para quien trabaja por cuenta propia, con impuestos y gastos del trabajo'
+    },
+    categorias: [
+      { chave: 'servicos' }, { chave: 'vendas' }, { chave: 'investimentos' }, { chave: 'outrasReceitas' },
+      { chave: 'moradia', limite: 25 }, { chave: 'alimentacao', limite: 15 }, { chave: 'contas', limite: 10 },
+      { chave: 'transporte', limite: 8 }, { chave: 'saude', limite: 8 }, { chave: 'impostos', limite: 6 },
+      { chave: 'equipamentos', limite: 5 }, { chave: 'assinaturas', limite: 3 }
+    ]
+  },
+  estudante: {
+    nome: { 'pt-BR': 'Estudante', 'en-US': 'Student', 'es-ES': 'Estudiante' },
+    descricao: {
+      'pt-BR': 'Para estudantes com mesada, bolsa ou estágio',
+      'en-US': 'For students with an allowance, scholarship or internship',
+      'es-ES': 'Para estudiantes con mesada, beca o prácticas'
+    },
+    categorias: [
+      { chave: 'mesada' }, { chave: 'bolsa' }, { chave: 'estagio' },
+      { chave: 'alimentacao', limite: 30 }, { chave: 'transporte', limite: 15 }, { chave: 'educacao', limite: 15 },
+      { chave: 'moradia', limite: 10 }, { chave: 'material', limite: 10 }, { chave: 'lazer', limite: 10 },
+      { chave: 'assinaturas', limite: 5 }
+    ]
+  }
+};
+
+/**
+ * Escolhe o idioma dos pacotes: o informado, outro com a mesma língua (ex.: "en" -> "en-US") ou o padrão
+ * @param {String} idioma - Idioma (ex.: configuracoes.idioma do usuário)
+ * @returns {String} Idioma disponível
+ */
+const resolveLanguage = (idioma) => {
+  if (!idioma) return IDIOMA_PADRAO;
+
+  const pedido = String(idioma).toLowerCase();
+  const exato = IDIOMAS.find(item => item.toLowerCase() === pedido);
+  if (exato) return exato;
+
+  const lingua = pedido.split(/[-_]/)[0];
+  return IDIOMAS.find(item => item.toLowerCase().startsWith(`${lingua}-`)) || IDIOMA_PADRAO;
+};
+
+/**
+ * Monta um pacote no idioma informado
+ * @param {String} pacote - Código do pacote
+ * @param {String} idioma - Idioma
+ * @returns {Object|null} { pacote, nome, descricao, idioma, categorias } ou null se o pacote não existe
+ */
+const getTemplate = (pacote, idioma) => {
+  if (!Object.prototype.hasOwnProperty.call(PACOTES, pacote)) return null;
+
+  const definicao = PACOTES[pacote];
+
+  const lingua = resolveLanguage(idioma);
+
+  return {
+    pacote,
+    nome: definicao.nome[lingua],
+    descricao: definicao.descricao[lingua],
+    idioma: lingua,
+    categorias: definicao.categorias.map(({ chave, limite }) => {
+      const categoria = CATEGORIAS[chave];
+      return {
+        nome: categoria.nome[lingua],
+        tipo: categoria.tipo,
+        cor: categoria.cor,
+        icone: categoria.icone,
+        limitePercentual: limite || null
+      };
+    })
+  };
+};
+
+/**
+ * Lista todos os pacotes no idioma informado
+ * @param {String} idioma - Idioma
+ * @returns {Array} Pacotes
+ */
+const listTemplates = idioma => Object.keys(PACOTES).map(pacote => getTemplate(pacote, idioma));
+
+module.exports = {
+  PACOTES: Object.keys(PACOTES),
+  IDIOMAS,
+  IDIOMA_PADRAO,
+  resolveLanguage,
+  getTemplate,
+  listTemplates
+};
@@ -0,0 +1,127 @@
+/**
+ * Decodifica o arquivo enviado (UTF-8, com fallback para Latin-1 usado por alguns bancos)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {String} Texto do arquivo
+ */
+const decodeFile = (buffer) => {
+  const texto = buffer.toString('utf8');
+  const decodificado = texto.includes('\uFFFD') ? buffer.toString('latin1') : texto;
+
+  return decodificado.replace(/^\uFEFF/, '');
+};
+
+/**
+ * Detecta o separador de colunas pela primeira linha
+ * @param {String} texto - Conteúdo do CSV
+ * @returns {String} Separador (';', ',' ou tab)
+ */
+const detectDelimiter = (texto) => {
+  const primeiraLinha = texto.split(/\r?\n/)[0] || '';
+  const candidatos = [';', ',', '\t'];
+
+  return candidatos.reduce((melhor, atual) =>
+    primeiraLinha.split(atual).length > primeiraLinha.split(melhor).length ? atual : melhor
+  );
+};
+
+/**
+ * Converte o CSV em linhas de colunas, respeitando campos entre aspas
+ * @param {String} texto - Conteúdo do CSV
+ * @param {String} delimitador - Separador de colunas
+ * @returns {Array<Array<String>>} Linhas não vazias
+ */
+const parseCsv = (texto, delimitador = detectDelimiter(texto)) => {
+  const linhas = [];
+  let linha = [];
+  let campo = '';
+  let entreAspas = false;
+
+  for (let i = 0; i < texto.length; i++) {
+    const char = texto[i];
+
+    if (entreAspas) {
+      if (char === '"' && texto[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (char === '"') {
+        entreAspas = false;
+      } else {
+        campo += char;
+      }
+    } else if (char === '"') {
+      entreAspas = true;
+    } else if (char === delimitador) {
+      linha.push(campo.trim());
+      campo = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && texto[i + 1] === '\n') i++;
+      linha.push(campo.trim());
+      linhas.push(linha);
+      linha = [];
+      campo = '';
+    } else {
+      campo += char;
+    }
+  }
+
+  linha.push(campo.trim());
+  linhas.push(linha);
+
+  return linhas.filter(l => l.some(c => c !== ''));
+};
+
+/**
+ * Converte um valor monetário em número
+ * @param {String} texto - Valor (ex.: "-1.234,56", "R$ 10.50")
+ * @param {String} decimal - 'virgula' ou 'ponto'
+ * @returns {Number} Valor ou NaN
+ */
+const parseAmount = (texto, decimal = 'virgula') => {
+  if (texto === undefined || texto === null) return NaN;
+
+  let limpo = String(texto).replace(/[^\d,.\-+()]/g, '');
+  const negativo = /^\(.*\)$/.test(limpo) || limpo.includes('-');
+  limpo = limpo.replace(/[()\-+]/g, '');
+
+  limpo = decimal === 'virgula'
+    ? limpo.replace(/\./g, '').replace(',', '.')
+    : limpo.replace(/,/g, '');
+
+  if (!/^\d+(\.\d+)?$/.test(limpo)) return NaN;
+
+  const valor = parseFloat(limpo);
+  return negativo ? -valor : valor;
+};
+
+/**
+ * Converte uma data do extrato
+ * @param {String} texto - Data
+ * @param {String} formato - 'DD/MM/AAAA', 'AAAA-MM-DD' ou 'MM/DD/AAAA'
+ * @returns {Date|null} Data (meio-dia, para não mudar de dia com o fuso) ou null
+ */
+const parseDate = (texto, formato = 'DD/MM/AAAA') => {
+  const partes = String(texto || '').trim().split(/[^\d]/).filter(Boolean).map(Number);
+  if (partes.length < 3) return null;
+
+  let dia;
+  let mes;
+  let ano;
+  if (formato === 'AAAA-MM-DD') [ano, mes, dia] = partes;
+  else if (formato === 'MM/DD/AAAA') [mes, dia, ano] = partes;
+  else [dia, mes, ano] = partes;
+
+  if (ano < 100) ano += 2000;
+
+  const data = new Date(ano, mes - 1, dia, 12);
+  if (data.getFullYear() !== ano || data.getMonth() !== mes - 1 || data.getDate() !== dia) return null;
+
+  return data;
+};
+
+module.exports = {
+  decodeFile,
+  detectDelimiter,
+  parseCsv,
+  parseAmount,
+  parseDate
+};
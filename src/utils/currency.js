@@ -0,0 +1,46 @@
+// Moeda usada quando o usuário não definiu configuracoes.moeda
+const MOEDA_PADRAO = 'BRL';
+
+/**
+ * Arredonda para centavos
+ * @param {Number} valor - Valor
+ * @returns {Number} Valor arredondado
+ */
+const arredondar = valor => Math.round(valor * 100) / 100;
+
+/**
+ * Soma o campo "valor" de uma lista (transações, parcelas...), arredondando para centavos
+ * @param {Array} lista - Itens com valor
+ * @returns {Number} Soma
+ */
+const somarValores = lista => arredondar(lista.reduce((sum, item) => sum + item.valor, 0));
+
+/**
+ * Moeda base do usuário, na qual os totais e relatórios são calculados
+ * @param {Object} user - Usuário
+ * @returns {String} Código ISO da moeda
+ */
+const getUserCurrency = user => (user && user.configuracoes && user.configuracoes.moeda) || MOEDA_PADRAO;
+
+/**
+ * Formata um valor na moeda informada (ex.: "R$ 1.234,56", "US$ 10,00")
+ * @param {Number} valor - Valor
+ * @param {String} moeda - Código ISO da moeda
+ * @returns {String} Valor formatado
+ */
+const formatMoney = (valor, moeda = MOEDA_PADRAO) => {
+  try {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: moeda }).format(valor);
+  } catch (error) {
+    // Código de moeda desconhecido pelo Intl
+    return `${moeda} ${Number(valor).toFixed(2)}`;
+  }
+};
+
+module.exports = {
+  MOEDA_PADRAO,
+  arredondar,
+  somarValores,
+  getUserCurrency,
+  formatMoney
+};
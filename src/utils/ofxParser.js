@@ -0,0 +1,92 @@
+const { decodeFile } = require('./csvParser');
+const { requestError } = require('../middlewares/errorHandler');
+
+/**
+ * Decodifica o arquivo OFX respeitando o charset do cabeçalho
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {String} Texto do arquivo
+ */
+const decodeOfx = (buffer) => {
+  const cabecalho = buffer.slice(0, 500).toString('latin1');
+
+  if (/CHARSET:\s*(1252|ISO-8859-1)|encoding="(windows-1252|iso-8859-1)"/i.test(cabecalho)) {
+    return buffer.toString('latin1');
+  }
+
+  return decodeFile(buffer);
+};
+
+/**
+ * Lê o valor de uma tag (funciona em OFX SGML, sem fechamento, e em XML)
+ * @param {String} bloco - Trecho do OFX
+ * @param {String} tag - Nome da tag
+ * @returns {String|null} Valor ou null
+ */
+const readTag = (bloco, tag) => {
+  const match = bloco.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Converte datas OFX (AAAAMMDD[HHMMSS][.XXX][TZ])
+ * @param {String} texto - Data no formato OFX
+ * @returns {Date|null} Data (meio-dia, para não mudar de dia com o fuso) ou null
+ */
+const parseOfxDate = (texto) => {
+  const match = String(texto || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [, ano, mes, dia] = match.map(Number);
+  const data = new Date(ano, mes - 1, dia, 12);
+
+  return data.getMonth() === mes - 1 && data.getDate() === dia ? data : null;
+};
+
+/**
+ * Converte valores OFX (alguns bancos usam vírgula decimal)
+ * @param {String} texto - Valor
+ * @returns {Number} Valor ou NaN
+ */
+const parseOfxAmount = (texto) => {
+  const limpo = String(texto || '').trim().replace(/\s/g, '');
+  const normalizado = limpo.includes('.') ? limpo.replace(/,/g, '') : limpo.replace(',', '.');
+
+  return /^[-+]?\d+(\.\d+)?$/.test(normalizado) ? parseFloat(normalizado) : NaN;
+};
+
+/**
+ * Extrai os lançamentos de um extrato OFX/QFX
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {Object} { cartaoCredito, conta, moeda, lancamentos }
+ */
+const parseOfx = (buffer) => {
+  const texto = decodeOfx(buffer);
+
+  if (!/<OFX>/i.test(texto)) {
+    throw requestError('Arquivo OFX inválido');
+  }
+
+  const blocos = texto.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return {
+    cartaoCredito: /<CCSTMTRS>/i.test(texto),
+    conta: readTag(texto, 'ACCTID'),
+    moeda: readTag(texto, 'CURDEF'),
+    lancamentos: blocos.map(bloco => ({
+      tipo: (readTag(bloco, 'TRNTYPE') || '').toUpperCase(),
+      data: parseOfxDate(readTag(bloco, 'DTPOSTED')),
+      dataOriginal: readTag(bloco, 'DTPOSTED'),
+      valor: parseOfxAmount(readTag(bloco, 'TRNAMT')),
+      valorOriginal: readTag(bloco, 'TRNAMT'),
+      fitid: readTag(bloco, 'FITID'),
+      nome: readTag(bloco, 'NAME'),
+      memo: readTag(bloco, 'MEMO')
+    }))
+  };
+};
+
+module.exports = {
+  parseOfx,
+  parseOfxDate,
+  parseOfxAmount
+};
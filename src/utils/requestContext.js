@@ -0,0 +1,46 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Contexto da operação em andamento (origem, autor e IP), disponível em qualquer camada
+ * sem precisar repassar o req. Usado pelo histórico de alterações.
+ * Origens: web (requisições da API), importacao, regra, agendador e sistema (fora de qualquer contexto).
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Executa uma função dentro de um contexto, herdando os campos do contexto atual
+ * @param {Object} contexto - Campos do contexto ({ origem, autor, ip })
+ * @param {Function} fn - Função a executar
+ * @returns {*} Retorno da função
+ */
+const runWithContext = (contexto, fn) => storage.run({ ...getContext(), ...contexto }, fn);
+
+/**
+ * Retorna o contexto atual
+ * @returns {Object} { origem, autor, ip }
+ */
+const getContext = () => storage.getStore() || { origem: 'sistema', autor: null, ip: null };
+
+/**
+ * Altera um campo do contexto atual (sem efeito fora de um contexto)
+ * @param {String} campo - Nome do campo
+ * @param {*} valor - Valor
+ */
+const setContextValue = (campo, valor) => {
+  const store = storage.getStore();
+  if (store) store[campo] = valor;
+};
+
+/**
+ * Middleware que abre o contexto de cada requisição da API
+ */
+const requestContext = (req, res, next) => {
+  runWithContext({ origem: 'web', autor: null, ip: req.ip }, next);
+};
+
+module.exports = {
+  runWithContext,
+  getContext,
+  setContextValue,
+  requestContext
+};
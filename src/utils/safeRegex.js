@@ -0,0 +1,82 @@
+// Limites das expressões regulares informadas pelo usuário (regras de categorização)
+const MAX_TAMANHO = 100;
+const MAX_REPETICOES = 2;
+const MAX_OPCIONAIS = 3;
+
+// Escapes aceitos: classes de caracteres, bordas de palavra e pontuação escapada
+const ESCAPES = new Set(['d', 'D', 'w', 'W', 's', 'S', 'b', 'B', ...'.*+?()[]{}|^$\\/-']);
+
+/**
+ * Confere se uma expressão regular usa só a sintaxe segura
+ * Para que a avaliação não fique lenta (backtracking catastrófico), são aceitos texto, ".", "^", "$",
+ * classes ([...], \d, \w, \s), grupos com "|" e os quantificadores "*", "+" e "?" aplicados a um único
+ * caractere ou classe — nunca a um grupo. Chaves, referências e lookarounds não são aceitos, e há
+ * limite de tamanho e de quantificadores.
+ * @param {String} padrao - Expressão regular
+ * @returns {String|null} Mensagem de erro ou null se for segura
+ */
+const validateSafeRegex = (padrao) => {
+  if (typeof padrao !== 'string' || padrao.length === 0) return 'Expressão regular vazia';
+  if (padrao.length > MAX_TAMANHO) return `Expressão regular não pode ter mais de ${MAX_TAMANHO} caracteres`;
+
+  let repeticoes = 0;
+  let opcionais = 0;
+  let emClasse = false;
+  // Se o último elemento pode receber quantificador (caractere, escape, classe ou ".")
+  let quantificavel = false;
+
+  for (let i = 0; i < padrao.length; i++) {
+    const c = padrao[i];
+
+    if (c === '\\') {
+      const escape = padrao[i + 1];
+      if (!escape || !ESCAPES.has(escape)) return 'Expressão regular com escape não suportado';
+      i++;
+      quantificavel = !emClasse && escape !== 'b' && escape !== 'B';
+      continue;
+    }
+
+    if (emClasse) {
+      if (c === ']') {
+        emClasse = false;
+        quantificavel = true;
+      }
+      continue;
+    }
+
+    if (c === '[') {
+      emClasse = true;
+      quantificavel = false;
+    } else if (c === '*' || c === '+' || c === '?') {
+      if (!quantificavel) return 'Quantificadores só podem ser aplicados a um caractere ou classe';
+      if (c === '?') opcionais++;
+      else repeticoes++;
+      quantificavel = false;
+    } else if (c === '{' || c === '}') {
+      return 'Quantificadores com chaves não são aceitos';
+    } else if (c === '(') {
+      if (padrao[i + 1] === '?') return 'Grupos especiais (lookahead, lookbehind, nomeados) não são aceitos';
+      quantificavel = false;
+    } else {
+      // ")", "|", "^" e "$" não podem receber quantificador; os demais são texto ou "."
+      quantificavel = !['(', ')', '|', '^', '$'].includes(c);
+    }
+  }
+
+  if (emClasse) return 'Expressão regular inválida';
+  if (repeticoes > MAX_REPETICOES) return `Use no máximo ${MAX_REPETICOES} quantificadores "*" ou "+"`;
+  if (opcionais > MAX_OPCIONAIS) return `Use no máximo ${MAX_OPCIONAIS} quantificadores "?"`;
+
+  try {
+    new RegExp(padrao, 'i');
+  } catch (error) {
+    return 'Expressão regular inválida';
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_TAMANHO,
+  validateSafeRegex
+};
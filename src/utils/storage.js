@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Armazenamento de arquivos em disco (pasta UPLOAD_FOLDER)
+ * Outros backends (S3, GCS...) devem expor os mesmos métodos: save, createReadStream e remove.
+ */
+class LocalStorage {
+  /**
+   * @param {String} root - Pasta raiz dos arquivos
+   */
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve o caminho do arquivo, sem permitir sair da pasta raiz
+   * @param {String} chave - Chave do arquivo
+   * @returns {String} Caminho absoluto
+   */
+  resolve(chave) {
+    const caminho = path.resolve(this.root, chave);
+    if (!caminho.startsWith(this.root + path.sep)) {
+      throw new Error('Chave de arquivo inválida');
+    }
+    return caminho;
+  }
+
+  /**
+   * Grava um arquivo
+   * @param {String} chave - Chave do arquivo
+   * @param {Buffer} buffer - Conteúdo
+   */
+  async save(chave, buffer) {
+    const caminho = this.resolve(chave);
+    await fs.promises.mkdir(path.dirname(caminho), { recursive: true });
+    await fs.promises.writeFile(caminho, buffer);
+  }
+
+  /**
+   * Abre um arquivo para leitura
+   * @param {String} chave - Chave do arquivo
+   * @returns {ReadableStream} Conteúdo
+   */
+  createReadStream(chave) {
+    return fs.createReadStream(this.resolve(chave));
+  }
+
+  /**
+   * Remove um arquivo (ignora se já não existir)
+   * @param {String} chave - Chave do arquivo
+   */
+  async remove(chave) {
+    await fs.promises.rm(this.resolve(chave), { force: true });
+  }
+}
+
+// Backends disponíveis, escolhidos por STORAGE_DRIVER
+const drivers = {
+  local: () => new LocalStorage(process.env.UPLOAD_FOLDER || 'uploads')
+};
+
+let storage = null;
+
+/**
+ * Registra um backend de armazenamento
+ * @param {String} nome - Nome usado em STORAGE_DRIVER
+ * @param {Function} factory - Função que cria o backend
+ */
+const registerStorageDriver = (nome, factory) => {
+  drivers[nome] = factory;
+  storage = null;
+};
+
+/**
+ * Retorna o backend de armazenamento configurado
+ * @returns {Object} Backend com save, createReadStream e remove
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Backend de armazenamento desconhecido: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  LocalStorage,
+  registerStorageDriver,
+  getStorage
+};
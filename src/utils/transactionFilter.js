@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const { requestError } = require('../middlewares/errorHandler');
+
+const MAX_PROFUNDIDADE = 5;
+const MAX_CONDICOES = 50;
+
+const TIPOS = ['receita', 'despesa'];
+const STATUS = ['pendente', 'confirmada', 'cancelada'];
+
+/**
+ * Cria um erro de filtro inválido
+ * @param {String} message - Mensagem do erro
+ * @returns {Error} Erro com status 400
+ */
+const filterError = message => requestError(`Filtro inválido: ${message}`);
+
+/**
+ * Escapa caracteres especiais para usar o texto em uma expressão regular
+ * @param {String} texto - Texto
+ * @returns {String} Texto escapado
+ */
+const escapeRegex = texto => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converte listas separadas por vírgula (query string) ou arrays em array de strings
+ * @param {String|Array} valor - Valor recebido
+ * @returns {Array<String>} Itens não vazios
+ */
+const toList = (valor) => {
+  if (valor === undefined || valor === null) return [];
+  const lista = Array.isArray(valor) ? valor : String(valor).split(',');
+  return lista.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Converte uma lista de IDs em ObjectIds
+ * @param {String|Array} valor - IDs
+ * @param {String} campo - Nome do critério (para a mensagem de erro)
+ * @returns {Array<ObjectId>} IDs convertidos
+ */
+const toObjectIds = (valor, campo) => toList(valor).map(id => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw filterError(`ID inválido em "${campo}"`);
+  return new mongoose.Types.ObjectId(id);
+});
+
+/**
+ * Converte um valor em número
+ * @param {*} valor - Valor recebido
+ * @param {String} campo - Nome do critério
+ * @returns {Number} Número
+ */
+const toNumber = (valor, campo) => {
+  const numero = Number(valor);
+  if (Number.isNaN(numero)) throw filterError(`"${campo}" deve ser um número`);
+  return numero;
+};
+
+/**
+ * Converte um valor em data
+ * @param {*} valor - Valor recebido
+ * @param {String} campo - Nome do critério
+ * @returns {Date} Data
+ */
+const toDate = (valor, campo) => {
+  const data = new Date(valor);
+  if (Number.isNaN(data.getTime())) throw filterError(`"${campo}" deve ser uma data válida`);
+  return data;
+};
+
+// Cada critério gera uma condição do MongoDB; critérios do mesmo objeto são combinados com E
+const CRITERIOS = {
+  tipo: (valor) => {
+    if (!TIPOS.includes(valor)) throw filterError('"tipo" deve ser "receita" ou "despesa"');
+    return { tipo: valor };
+  },
+
+  // Transações divididas entram se alguma linha for de uma das categorias
+  categorias: (valor) => {
+    const ids = toObjectIds(valor, 'categorias');
+    return { $or: [{ categoriaId: { $in: ids } }, { 'divisoes.categoria': { $in: ids } }] };
+  },
+
+  cartoes: (valor) => ({ cartaoId: { $in: toObjectIds(valor, 'cartoes') } }),
+
+  contas: (valor) => ({ account: { $in: toObjectIds(valor, 'contas') } }),
+
+  estabelecimentos: (valor) => ({ estabelecimento: { $in: toObjectIds(valor, 'estabelecimentos') } }),
+
+  // Lista simples = qualquer uma; { todas: [...] } exige todas; { qualquer: [...] } aceita qualquer uma
+  tags: (valor) => {
+    if (valor && !Array.isArray(valor) && typeof valor === 'object') {
+      if (valor.todas) return { tags: { $all: toList(valor.todas) } };
+      if (valor.qualquer) return { tags: { $in: toList(valor.qualquer) } };
+      throw filterError('"tags" deve ser uma lista ou { todas } / { qualquer }');
+    }
+    return { tags: { $in: toList(valor) } };
+  },
+
+  status: (valor) => {
+    const lista = toList(valor);
+    if (lista.some(status => !STATUS.includes(status))) throw filterError('"status" inválido');
+    return { status: { $in: lista } };
+  },
+
+  valorMin: (valor) => ({ valor: { $gte: toNumber(valor, 'valorMin') } }),
+
+  valorMax: (valor) => ({ valor: { $lte: toNumber(valor, 'valorMax') } }),
+
+  startDate: (valor) => ({ data: { $gte: toDate(valor, 'startDate') } }),
+
+  endDate: (valor) => ({ data: { $lte: toDate(valor, 'endDate') } }),
+
+  comAnexo: (valor) => ({ 'anexos.0': { $exists: valor === true || valor === 'true' } }),
+
+  // Busca por trecho (sem índice de texto), em descrição e observações
+  search: (valor) => {
+    const regex = { $regex: escapeRegex(String(valor)), $options: 'i' };
+    return { $or: [{ descricao: regex }, { observacoes: regex }] };
+  }
+};
+
+/**
+ * Converte um filtro (critérios ou árvore com and/or) em condição do MongoDB
+ * Exemplo: { and: [{ tipo: 'despesa' }, { or: [{ categorias: [id] }, { tags: { todas: ['viagem'] } }] }] }
+ * @param {Object} filtro - Filtro
+ * @param {Object} contador - Controle interno do total de condições
+ * @param {Number} profundidade - Nível atual da árvore
+ * @returns {Object} Condição do MongoDB ({} quando o filtro é vazio)
+ */
+const compileFilter = (filtro, contador = { total: 0 }, profundidade = 0) => {
+  if (filtro === undefined || filtro === null) return {};
+  if (typeof filtro !== 'object' || Array.isArray(filtro)) throw filterError('cada nó deve ser um objeto');
+  if (profundidade > MAX_PROFUNDIDADE) throw filterError(`máximo de ${MAX_PROFUNDIDADE} níveis de and/or`);
+
+  const chaves = Object.keys(filtro);
+  const operador = chaves.find(chave => chave === 'and' || chave === 'or');
+
+  if (operador) {
+    if (chaves.length > 1) throw filterError(`"${operador}" não pode ser combinado com outros campos no mesmo nó`);
+    if (!Array.isArray(filtro[operador]) || filtro[operador].length === 0) {
+      throw filterError(`"${operador}" deve ser uma lista não vazia`);
+    }
+
+    const condicoes = filtro[operador]
+      .map(no => compileFilter(no, contador, profundidade + 1))
+      .filter(condicao => Object.keys(condicao).length > 0);
+
+    if (condicoes.length === 0) return {};
+    if (condicoes.length === 1) return condicoes[0];
+    return { [`$${operador}`]: condicoes };
+  }
+
+  const condicoes = chaves
+    .filter(chave => filtro[chave] !== undefined && filtro[chave] !== null && filtro[chave] !== '')
+    .map(chave => {
+      if (!CRITERIOS[chave]) throw filterError(`critério desconhecido "${chave}"`);
+      contador.total++;
+      if (contador.total > MAX_CONDICOES) throw filterError(`máximo de ${MAX_CONDICOES} condições`);
+      return CRITERIOS[chave](filtro[chave]);
+    });
+
+  if (condicoes.length === 0) return {};
+  if (condicoes.length === 1) return condicoes[0];
+  return { $and: condicoes };
+};
+
+/**
+ * Monta o filtro a partir dos parâmetros da listagem (GET /transactions)
+ * O período sempre restringe; os demais critérios são combinados com E, ou com OU se combinar=or.
+ * @param {Object} query - req.query
+ * @returns {Object} Filtro
+ */
+const parseQueryFilters = (query) => {
+  const criterios = {
+    tipo: query.tipo,
+    // categoriaId, cartaoId e account continuam aceitos como filtros de um único item
+    categorias: query.categorias || query.categoriaId,
+    cartoes: query.cartoes || query.cartaoId,
+    contas: query.contas || query.account,
+    estabelecimentos: query.estabelecimentos,
+    tags: query.tags && (query.tagsModo === 'todas' ? { todas: query.tags } : { qualquer: query.tags }),
+    status: query.status,
+    valorMin: query.valorMin,
+    valorMax: query.valorMax,
+    comAnexo: query.comAnexo,
+    search: query.search
+  };
+
+  Object.keys(criterios).forEach(chave => {
+    if (criterios[chave] === undefined || criterios[chave] === '') delete criterios[chave];
+  });
+
+  const periodo = {};
+  if (query.startDate) periodo.startDate = query.startDate;
+  if (query.endDate) periodo.endDate = query.endDate;
+
+  if (query.combinar !== 'or') return { and: [periodo, criterios] };
+
+  // A faixa de valor continua sendo um critério só quando os demais são combinados com OU
+  const { valorMin, valorMax, ...outros } = criterios;
+  const nos = Object.entries(outros).map(([chave, valor]) => ({ [chave]: valor }));
+  if (valorMin !== undefined || valorMax !== undefined) nos.push({ valorMin, valorMax });
+
+  if (nos.length === 0) return periodo;
+
+  return { and: [periodo, { or: nos }] };
+};
+
+module.exports = {
+  compileFilter,
+  parseQueryFilters
+};
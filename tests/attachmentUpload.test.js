@@ -0,0 +1,20 @@
+const { detectAttachmentFormat } = require('../src/middlewares/upload');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(8)]);
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n');
+
+describe('detectAttachmentFormat', () => {
+  it('identifica o formato pelos primeiros bytes', () => {
+    expect(detectAttachmentFormat(PNG).tipo).toBe('image/png');
+    expect(detectAttachmentFormat(PDF).tipo).toBe('application/pdf');
+  });
+
+  it('recusa conteúdo que não é de um formato aceito', () => {
+    expect(detectAttachmentFormat(Buffer.from('<html><script>alert(1)</script></html>'))).toBeNull();
+  });
+
+  it('recusa arquivos curtos demais para conferir', () => {
+    expect(detectAttachmentFormat(Buffer.from('%PDF-'))).toBeNull();
+    expect(detectAttachmentFormat(Buffer.alloc(0))).toBeNull();
+  });
+});
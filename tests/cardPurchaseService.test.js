@@ -0,0 +1,52 @@
+jest.mock('../src/repositories', () => ({
+  cardPurchaseRepository: { create: jest.fn() },
+  transactionRepository: { createMany: jest.fn() },
+  categoryRepository: { findById: jest.fn() },
+  cardRepository: { findById: jest.fn() },
+  accountRepository: { findById: jest.fn() }
+}));
+
+const { cardPurchaseRepository, transactionRepository, categoryRepository } = require('../src/repositories');
+const cardPurchaseService = require('../src/services/cardPurchaseService');
+
+const categorias = {
+  minha: { user: 'usuario' },
+  outra: { user: 'outro-usuario' }
+};
+
+const compra = {
+  descricao: 'Notebook',
+  valorTotal: 300,
+  parcelas: 3,
+  data: '2024-01-10'
+};
+
+describe('cardPurchaseService.createPurchase', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    categoryRepository.findById.mockImplementation(async id => categorias[id] || null);
+    cardPurchaseRepository.create.mockImplementation(async data => ({ _id: 'compra', ...data }));
+    transactionRepository.createMany.mockResolvedValue([]);
+    jest.spyOn(cardPurchaseService, 'getPurchaseDetails').mockImplementation(async purchase => purchase);
+  });
+
+  it('grava a categoria do usuário na compra e nas parcelas', async () => {
+    await cardPurchaseService.createPurchase('usuario', { _id: 'cartao' }, { ...compra, categoria: 'minha' });
+
+    expect(cardPurchaseRepository.create).toHaveBeenCalledWith(expect.objectContaining({ categoria: 'minha' }));
+    const parcelas = transactionRepository.createMany.mock.calls[0][0];
+    expect(parcelas).toHaveLength(3);
+    expect(parcelas.every(parcela => parcela.categoria === 'minha')).toBe(true);
+  });
+
+  it.each([
+    ['categoria de outro usuário', 'outra'],
+    ['categoria inexistente', 'apagada']
+  ])('recusa %s com 404 sem criar a compra', async (_, categoriaId) => {
+    await expect(cardPurchaseService.createPurchase('usuario', { _id: 'cartao' }, { ...compra, categoriaId }))
+      .rejects.toMatchObject({ status: 404, message: 'Categoria não encontrada' });
+
+    expect(cardPurchaseRepository.create).not.toHaveBeenCalled();
+    expect(transactionRepository.createMany).not.toHaveBeenCalled();
+  });
+});
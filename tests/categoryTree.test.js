@@ -0,0 +1,85 @@
+const Category = require('../src/models/Category');
+
+const categoria = (id, pai = null, extra = {}) => ({ _id: id, pai, tipo: 'despesa', ativo: true, ...extra });
+
+// casa > contas > luz > bandeira ; mercado
+const categorias = [
+  categoria('casa'),
+  categoria('contas', 'casa'),
+  categoria('luz', 'contas'),
+  categoria('bandeira', 'luz'),
+  categoria('mercado'),
+  categoria('salario', null, { tipo: 'receita' }),
+  categoria('antiga', null, { ativo: false })
+];
+
+describe('Category.getDescendantIds', () => {
+  it('lista filhas, netas e demais níveis', () => {
+    expect(Category.getDescendantIds(categorias, 'casa').sort()).toEqual(['bandeira', 'contas', 'luz']);
+    expect(Category.getDescendantIds(categorias, 'mercado')).toEqual([]);
+  });
+});
+
+describe('Category.validateParent', () => {
+  it('aceita categoria sem pai', () => {
+    expect(Category.validateParent(categorias, { pai: null, tipo: 'despesa' })).toBeNull();
+  });
+
+  it('aceita pai ativo do mesmo tipo', () => {
+    expect(Category.validateParent(categorias, { pai: 'casa', tipo: 'despesa' })).toBeNull();
+    expect(Category.validateParent(categorias, { id: 'mercado', pai: 'luz', tipo: 'despesa' })).toBeNull();
+  });
+
+  it('recusa pai inexistente, inativo ou de outro tipo', () => {
+    expect(Category.validateParent(categorias, { pai: 'nenhuma', tipo: 'despesa' })).toBe('Categoria pai não encontrada');
+    expect(Category.validateParent(categorias, { pai: 'antiga', tipo: 'despesa' })).toBe('Categoria pai inativa');
+    expect(Category.validateParent(categorias, { pai: 'salario', tipo: 'despesa' }))
+      .toBe('A categoria pai deve ser do mesmo tipo');
+  });
+
+  it('recusa ciclos', () => {
+    const erro = 'Uma categoria não pode ficar dentro dela mesma nem de uma subcategoria sua';
+
+    expect(Category.validateParent(categorias, { id: 'casa', pai: 'casa', tipo: 'despesa' })).toBe(erro);
+    expect(Category.validateParent(categorias, { id: 'casa', pai: 'luz', tipo: 'despesa' })).toBe(erro);
+  });
+
+  it('limita a árvore a MAX_NIVEIS níveis, contando as subcategorias da categoria movida', () => {
+    const erro = `Máximo de ${Category.MAX_NIVEIS} níveis de categorias`;
+
+    // bandeira está no 4º nível: uma nova categoria abaixo dela fica no 5º
+    expect(Category.validateParent(categorias, { pai: 'bandeira', tipo: 'despesa' })).toBeNull();
+
+    // contas leva junto luz e bandeira: sob mercado a árvore fica com 4 níveis, sob c (3º nível) ficaria com 6
+    const outra = [...categorias, categoria('a'), categoria('b', 'a'), categoria('c', 'b')];
+    expect(Category.validateParent(outra, { id: 'contas', pai: 'mercado', tipo: 'despesa' })).toBeNull();
+    expect(Category.validateParent(outra, { id: 'contas', pai: 'c', tipo: 'despesa' })).toBe(erro);
+    expect(Category.validateParent(outra, { id: 'mercado', pai: 'bandeira', tipo: 'despesa' })).toBeNull();
+  });
+});
+
+describe('Category.rollup', () => {
+  it('soma os totais das subcategorias em cada categoria', () => {
+    const totais = new Map([
+      ['casa', { total: 100, count: 1 }],
+      ['luz', { total: 50.1, count: 2 }],
+      ['bandeira', { total: 0.2, count: 1 }],
+      ['mercado', { total: 30, count: 3 }]
+    ]);
+
+    const result = Category.rollup(categorias, totais);
+
+    expect(result.get('bandeira')).toEqual({ total: 0.2, count: 1 });
+    expect(result.get('luz')).toEqual({ total: 50.3, count: 3 });
+    expect(result.get('contas')).toEqual({ total: 50.3, count: 3 });
+    expect(result.get('casa')).toEqual({ total: 150.3, count: 4 });
+    expect(result.get('mercado')).toEqual({ total: 30, count: 3 });
+    expect(result.get('salario')).toEqual({ total: 0, count: 0 });
+  });
+
+  it('trata categorias cujo pai não está na lista como primeiro nível', () => {
+    const result = Category.rollup([categoria('orfa', 'apagada')], new Map([['orfa', { total: 10, count: 1 }]]));
+
+    expect(result.get('orfa')).toEqual({ total: 10, count: 1 });
+  });
+});
@@ -0,0 +1,60 @@
+const { validateSafeRegex } = require('../src/utils/safeRegex');
+const CategoryRule = require('../src/models/CategoryRule');
+
+describe('validateSafeRegex', () => {
+  it.each([
+    '^uber\\b',
+    'ifood|rappi',
+    '^(uber|99) *trip$',
+    'pix [a-z]+ \\d+',
+    'mercado\\.? livre',
+    'a?b?c?'
+  ])('aceita %s', (padrao) => {
+    expect(validateSafeRegex(padrao)).toBeNull();
+  });
+
+  it.each([
+    ['vazia', ''],
+    ['longa demais', 'a'.repeat(101)],
+    ['quantificador em grupo', '(a+)+$'],
+    ['quantificador em grupo com alternativas', '(a|aa)*'],
+    ['chaves', 'a{2,5}'],
+    ['referência', '(a)\\1'],
+    ['lookahead', 'uber(?=trip)'],
+    ['quantificador preguiçoso', 'a*?b'],
+    ['quantificador sem alvo', '*uber'],
+    ['muitas repetições', 'a*b*c*'],
+    ['muitos opcionais', 'a?b?c?d?'],
+    ['classe aberta', '[abc'],
+    ['grupo aberto', '(uber']
+  ])('recusa %s', (_, padrao) => {
+    expect(validateSafeRegex(padrao)).toEqual(expect.any(String));
+  });
+});
+
+describe('CategoryRule com descricaoRegex', () => {
+  const regra = condicoes => new CategoryRule({ nome: 'Regra', condicoes, acoes: { tags: ['x'] } });
+
+  it('aplica a expressão sem diferenciar maiúsculas', () => {
+    const rule = regra({ descricaoRegex: '^uber\\b' });
+
+    expect(rule.matches({ descricao: 'UBER *TRIP', valor: 10 })).toBe(true);
+    expect(rule.matches({ descricao: 'Ubereats', valor: 10 })).toBe(false);
+  });
+
+  it('combina a expressão com o texto no filtro de transações', () => {
+    expect(regra({ descricaoContem: 'a.b', descricaoRegex: '^x' }).toQuery()).toEqual({
+      $and: [
+        { descricao: { $regex: 'a\\.b', $options: 'i' } },
+        { descricao: { $regex: '^x', $options: 'i' } }
+      ]
+    });
+  });
+
+  it('não aplica expressões gravadas fora da sintaxe segura', () => {
+    const rule = regra({ descricaoRegex: '(a+)+$' });
+
+    expect(rule.hasSafeRegex()).toBe(false);
+    expect(rule.matches({ descricao: 'aaaa', valor: 10 })).toBe(false);
+  });
+});
@@ -0,0 +1,27 @@
+const Transaction = require('../src/models/Transaction');
+
+describe('Transaction.pickClientFields', () => {
+  const dados = {
+    tipo: 'despesa',
+    valor: 10,
+    descricao: 'Mercado',
+    categoriaId: 'categoria',
+    recorrente: true,
+    recorrencia: { frequencia: 'mensal' }
+  };
+
+  it('mantém os campos informados pelo cliente', () => {
+    expect(Transaction.pickClientFields(dados)).toEqual({
+      tipo: 'despesa', valor: 10, descricao: 'Mercado', categoriaId: 'categoria'
+    });
+  });
+
+  it('aceita a recorrência só quando pedido', () => {
+    expect(Transaction.pickClientFields(dados, { recorrencia: true })).toEqual(dados);
+  });
+
+  it.each(['user', 'excluidaEm', 'compra', 'parcela', 'totalParcelas', 'importacao', 'idExterno',
+    'possivelDuplicata', 'anexos', 'conciliacao', 'estornoDe', 'fatura', 'transferencia'])('descarta %s', (campo) => {
+    expect(Transaction.pickClientFields({ ...dados, [campo]: 'x' }, { recorrencia: true })).not.toHaveProperty(campo);
+  });
+});
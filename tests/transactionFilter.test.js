@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { compileFilter, parseQueryFilters } = require('../src/utils/transactionFilter');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+describe('compileFilter', () => {
+  it('retorna condição vazia para filtro vazio', () => {
+    expect(compileFilter(undefined)).toEqual({});
+    expect(compileFilter({})).toEqual({});
+    expect(compileFilter({ and: [{}, { tipo: '' }] })).toEqual({});
+  });
+
+  it('converte um critério simples', () => {
+    expect(compileFilter({ tipo: 'despesa' })).toEqual({ tipo: 'despesa' });
+    expect(compileFilter({ status: 'pendente,confirmada' })).toEqual({ status: { $in: ['pendente', 'confirmada'] } });
+    expect(compileFilter({ valorMin: '10.5' })).toEqual({ valor: { $gte: 10.5 } });
+  });
+
+  it('combina critérios do mesmo nó com E', () => {
+    expect(compileFilter({ tipo: 'receita', valorMax: 100 })).toEqual({
+      $and: [{ tipo: 'receita' }, { valor: { $lte: 100 } }]
+    });
+  });
+
+  it('inclui as linhas da divisão no filtro por categorias', () => {
+    const categoria = id();
+    const { $or } = compileFilter({ categorias: [categoria] });
+
+    expect($or[0].categoriaId.$in[0].toString()).toBe(categoria);
+    expect($or[1]['divisoes.categoria'].$in[0].toString()).toBe(categoria);
+  });
+
+  it('aceita tags em lista, com todas ou com qualquer', () => {
+    expect(compileFilter({ tags: 'a,b' })).toEqual({ tags: { $in: ['a', 'b'] } });
+    expect(compileFilter({ tags: { todas: ['a', 'b'] } })).toEqual({ tags: { $all: ['a', 'b'] } });
+    expect(compileFilter({ tags: { qualquer: ['a'] } })).toEqual({ tags: { $in: ['a'] } });
+  });
+
+  it('escapa o texto da busca', () => {
+    expect(compileFilter({ search: 'a.b' })).toEqual({
+      $or: [
+        { descricao: { $regex: 'a\\.b', $options: 'i' } },
+        { observacoes: { $regex: 'a\\.b', $options: 'i' } }
+      ]
+    });
+  });
+
+  it('monta árvores com and/or', () => {
+    const filtro = { and: [{ tipo: 'despesa' }, { or: [{ comAnexo: true }, { tags: { todas: ['viagem'] } }] }] };
+
+    expect(compileFilter(filtro)).toEqual({
+      $and: [
+        { tipo: 'despesa' },
+        { $or: [{ 'anexos.0': { $exists: true } }, { tags: { $all: ['viagem'] } }] }
+      ]
+    });
+  });
+
+  it('simplifica nós com uma única condição', () => {
+    expect(compileFilter({ or: [{ tipo: 'despesa' }, {}] })).toEqual({ tipo: 'despesa' });
+  });
+
+  it.each([
+    ['critério desconhecido', { foo: 1 }],
+    ['tipo inválido', { tipo: 'outro' }],
+    ['status inválido', { status: 'apagada' }],
+    ['ID inválido', { contas: ['abc'] }],
+    ['número inválido', { valorMin: 'abc' }],
+    ['data inválida', { startDate: 'ontem' }],
+    ['nó que não é objeto', { and: ['tipo'] }],
+    ['lista vazia', { or: [] }],
+    ['operador com outros campos', { and: [{ tipo: 'despesa' }], tipo: 'receita' }],
+    ['tags sem todas/qualquer', { tags: { algumas: ['a'] } }]
+  ])('recusa %s com erro 400', (_, filtro) => {
+    expect(() => compileFilter(filtro)).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringMatching(/^Filtro inválido: /)
+    }));
+  });
+
+  it('limita a profundidade da árvore', () => {
+    let filtro = { tipo: 'despesa' };
+    for (let i = 0; i < 5; i++) filtro = { and: [filtro] };
+    expect(() => compileFilter(filtro)).not.toThrow();
+
+    expect(() => compileFilter({ and: [filtro] })).toThrow(/níveis de and\/or/);
+  });
+
+  it('limita o total de condições', () => {
+    const condicoes = Array.from({ length: 51 }, () => ({ tipo: 'despesa' }));
+
+    expect(() => compileFilter({ or: condicoes.slice(0, 50) })).not.toThrow();
+    expect(() => compileFilter({ or: condicoes })).toThrow(/máximo de 50 condições/);
+  });
+});
+
+describe('parseQueryFilters', () => {
+  it('combina período e critérios com E', () => {
+    const filtro = parseQueryFilters({ startDate: '2024-01-01', tipo: 'despesa', search: '', status: 'confirmada' });
+
+    expect(filtro).toEqual({
+      and: [{ startDate: '2024-01-01' }, { tipo: 'despesa', status: 'confirmada' }]
+    });
+  });
+
+  it('aceita os filtros antigos de um único item', () => {
+    const conta = id();
+    const filtro = parseQueryFilters({ account: conta, categoriaId: 'x' });
+
+    expect(filtro.and[1]).toEqual({ contas: conta, categorias: 'x' });
+  });
+
+  it('escolhe o modo das tags', () => {
+    expect(parseQueryFilters({ tags: 'a' }).and[1]).toEqual({ tags: { qualquer: 'a' } });
+    expect(parseQueryFilters({ tags: 'a', tagsModo: 'todas' }).and[1]).toEqual({ tags: { todas: 'a' } });
+  });
+
+  it('com combinar=or, mantém o período e a faixa de valor como um critério só', () => {
+    const filtro = parseQueryFilters({
+      combinar: 'or', endDate: '2024-12-31', tipo: 'receita', comAnexo: 'true', valorMin: '10', valorMax: '50'
+    });
+
+    expect(filtro).toEqual({
+      and: [
+        { endDate: '2024-12-31' },
+        { or: [{ tipo: 'receita' }, { comAnexo: 'true' }, { valorMin: '10', valorMax: '50' }] }
+      ]
+    });
+  });
+
+  it('com combinar=or e sem critérios, filtra só pelo período', () => {
+    expect(parseQueryFilters({ combinar: 'or', startDate: '2024-01-01' })).toEqual({ startDate: '2024-01-01' });
+  });
+
+  it('gera uma condição válida para o MongoDB', () => {
+    const query = compileFilter(parseQueryFilters({ combinar: 'or', tipo: 'despesa', status: 'pendente' }));
+
+    expect(query).toEqual({ $or: [{ tipo: 'despesa' }, { status: { $in: ['pendente'] } }] });
+  });
+});
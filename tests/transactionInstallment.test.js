@@ -0,0 +1,42 @@
+const Transaction = require('../src/models/Transaction');
+
+describe('Transaction.validateInstallmentChanges', () => {
+  const parcela = {
+    compra: 'compra',
+    tipo: 'despesa',
+    valor: 100,
+    data: new Date('2024-03-10T12:00:00Z'),
+    cartao: { _id: 'cartao' },
+    cartaoId: 'cartao'
+  };
+
+  it('ignora transações que não são parcelas', () => {
+    expect(Transaction.validateInstallmentChanges({ ...parcela, compra: null })).toBeNull();
+    expect(Transaction.validateInstallmentChanges({ ...parcela, compra: null }, { valor: 50 })).toBeNull();
+  });
+
+  it('recusa a exclusão da parcela', () => {
+    expect(Transaction.validateInstallmentChanges(parcela))
+      .toBe('Parcela de compra parcelada deve ser excluída pela compra');
+  });
+
+  it.each([
+    ['valor', { valor: 99.99 }],
+    ['data', { data: '2024-03-11T12:00:00Z' }],
+    ['cartão', { cartaoId: 'outro-cartao' }],
+    ['tipo', { tipo: 'receita' }]
+  ])('recusa alterar %s', (_, changes) => {
+    expect(Transaction.validateInstallmentChanges(parcela, changes))
+      .toBe('Parcela de compra parcelada deve ser alterada pela compra');
+  });
+
+  it('aceita campos que não vêm da compra e valores iguais aos atuais', () => {
+    expect(Transaction.validateInstallmentChanges(parcela, {
+      descricao: 'Notebook (1/10)',
+      categoria: 'categoria',
+      valor: '100.00',
+      cartao: 'cartao',
+      data: '2024-03-10T12:00:00Z'
+    })).toBeNull();
+  });
+});
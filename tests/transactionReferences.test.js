@@ -0,0 +1,39 @@
+jest.mock('../src/repositories', () => ({
+  transactionRepository: {},
+  categoryRepository: { findById: jest.fn() },
+  cardRepository: { findById: jest.fn() },
+  accountRepository: { findById: jest.fn() }
+}));
+
+const { categoryRepository } = require('../src/repositories');
+const transactionBulkService = require('../src/services/transactionBulkService');
+
+const categorias = {
+  minha: { user: 'usuario' },
+  outra: { user: 'outro-usuario' }
+};
+
+describe('transactionBulkService.validateReferences', () => {
+  beforeEach(() => {
+    categoryRepository.findById.mockReset();
+    categoryRepository.findById.mockImplementation(async id => categorias[id] || null);
+  });
+
+  it('aceita categorias do usuário, inclusive nas divisões', async () => {
+    await expect(transactionBulkService.validateReferences('usuario', {
+      categoria: 'minha',
+      divisoes: [{ categoria: 'minha', valor: 1 }, { categoria: 'minha', valor: 2 }]
+    })).resolves.toBeUndefined();
+
+    expect(categoryRepository.findById).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ['categoria de outro usuário', { categoria: 'outra' }],
+    ['divisão com categoria de outro usuário', { divisoes: [{ categoria: 'minha' }, { categoria: 'outra' }] }],
+    ['divisão com categoria inexistente', { divisoes: [{ categoria: 'minha' }, { categoria: 'apagada' }] }]
+  ])('recusa %s com 404', async (_, alteracoes) => {
+    await expect(transactionBulkService.validateReferences('usuario', alteracoes))
+      .rejects.toMatchObject({ status: 404, message: 'Categoria não encontrada' });
+  });
+});
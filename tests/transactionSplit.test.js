@@ -0,0 +1,56 @@
+const Transaction = require('../src/models/Transaction');
+
+describe('Transaction.validateSplit', () => {
+  it('aceita transações sem divisão', () => {
+    expect(Transaction.validateSplit(100, undefined)).toBeNull();
+    expect(Transaction.validateSplit(100, [])).toBeNull();
+  });
+
+  it('exige pelo menos duas linhas', () => {
+    expect(Transaction.validateSplit(100, [{ valor: 100 }])).toMatch(/pelo menos duas linhas/);
+  });
+
+  it('aceita linhas que somam o valor da transação, comparando em centavos', () => {
+    expect(Transaction.validateSplit(0.3, [{ valor: 0.1 }, { valor: 0.2 }])).toBeNull();
+    expect(Transaction.validateSplit('100', [{ valor: '60.5' }, { valor: 39.5 }])).toBeNull();
+  });
+
+  it('recusa linhas que não somam o valor da transação', () => {
+    expect(Transaction.validateSplit(100, [{ valor: 60 }, { valor: 39.99 }]))
+      .toBe('A soma das divisões (R$ 99.99) deve ser igual ao valor da transação (R$ 100.00)');
+  });
+});
+
+describe('Transaction.scaleSplit', () => {
+  it('mantém a proporção das linhas no novo total', () => {
+    const divisoes = [{ categoria: 'a', valor: 60 }, { categoria: 'b', valor: 40 }];
+
+    expect(Transaction.scaleSplit(divisoes, 50)).toEqual([
+      { categoria: 'a', valor: 30 },
+      { categoria: 'b', valor: 20 }
+    ]);
+  });
+
+  it('deixa a sobra do arredondamento na última linha', () => {
+    const linhas = Transaction.scaleSplit([{ valor: 1 }, { valor: 1 }, { valor: 1 }], 100);
+
+    expect(linhas.map(linha => linha.valor)).toEqual([33.33, 33.33, 33.34]);
+    expect(Transaction.validateSplit(100, linhas)).toBeNull();
+  });
+
+  it('não altera as linhas originais', () => {
+    const divisoes = [{ valor: 10 }, { valor: 30 }];
+    Transaction.scaleSplit(divisoes, 8);
+
+    expect(divisoes).toEqual([{ valor: 10 }, { valor: 30 }]);
+  });
+
+  it('converte subdocumentos em objetos simples', () => {
+    const linha = { toObject: () => ({ categoria: 'a', valor: 5 }) };
+
+    expect(Transaction.scaleSplit([linha, { categoria: 'b', valor: 5 }], 3)).toEqual([
+      { categoria: 'a', valor: 1.5 },
+      { categoria: 'b', valor: 1.5 }
+    ]);
+  });
+});